@@ -1,4 +1,4 @@
-const { app, BrowserWindow, Tray, Menu, ipcMain, globalShortcut, screen } = require('electron');
+const { app, BrowserWindow, Tray, Menu, ipcMain, globalShortcut, screen, dialog } = require('electron');
 const path = require('path');
 const Store = require('electron-store');
 
@@ -6,8 +6,22 @@ const Store = require('electron-store');
 const ShortcutManager = require('./services/ShortcutManager');
 const ShortcutConfigManager = require('./services/ShortcutConfigManager');
 const LanguageManager = require('./services/LanguageManager');
-const { WindowActivator } = require('./services/WindowActivator');
 const WindowManagerWindows = require('./services/WindowManagerWindows');
+const DisplayManager = require('./services/DisplayManager');
+const ProfileManager = require('./services/ProfileManager');
+const LeaderKeyMode = require('./services/LeaderKeyMode');
+const FightMode = require('./services/FightMode');
+const FightTracker = require('./services/FightTracker');
+const KeyBroadcaster = require('./services/KeyBroadcaster');
+const ClickSync = require('./services/ClickSync');
+const InputSafetyMonitor = require('./services/InputSafetyMonitor');
+const AutoKeyScheduler = require('./services/AutoKeyScheduler');
+const { createClickSource } = require('./services/WindowManagerWindows/ClickSource');
+const ShortcutConflicts = require('./utils/ShortcutConflicts');
+const WindowCycling = require('./utils/WindowCycling');
+const CharacterTags = require('./utils/CharacterTags');
+const KeyboardLayouts = require('./utils/KeyboardLayouts');
+const { PROFILES, KEYBOARD, LEADER_KEY, LAYOUT, WINDOW_CYCLING, CHARACTER_TAGS, CHARACTER_SERVERS, FIGHT_MODE, FIGHT_TRACKER, BROADCAST, CLICK_SYNC, AUTO_KEY } = require('./utils/Constants');
 
 console.log('Dorganize: Starting application...');
 
@@ -23,16 +37,51 @@ class Dorganize {
     this.isConfiguring = false;
     this.isTogglingShortcuts = false;
     this.globalShortcuts = {};
+    this.autoSelectDetectedKey = null;
+    this.profileUndoBalloon = false;
 
     // Initialize services
     this.store = new Store();
     this.shortcutManager = new ShortcutManager();
     this.shortcutConfig = new ShortcutConfigManager();
     this.languageManager = new LanguageManager();
-    this.windowActivator = new WindowActivator();
 
-    // Initialize platform-specific window manager
+    // Initialize platform-specific window manager (shares its activator and helper session)
     this.windowManager = new WindowManagerWindows();
+    this.windowActivator = this.windowManager.windowActivator;
+    this.displayManager = new DisplayManager(screen);
+    this.profileManager = new ProfileManager(this.store, this.shortcutConfig);
+    this.leaderKeyMode = new LeaderKeyMode(this.shortcutManager, {
+      onSelect: selection => this.handleLeaderSelection(selection)
+    });
+    this.fightMode = new FightMode({
+      onChange: state => this.sendFightState(state)
+    });
+    this.fightTracker = new FightTracker({
+      onWarning: warning => this.warnTurnEnding(warning)
+    });
+    // Key broadcast, click sync and the auto key repeat share the emergency stop and the rate limit
+    this.inputSafety = new InputSafetyMonitor();
+    this.keyBroadcaster = new KeyBroadcaster({
+      backend: this.windowManager.inputBackend,
+      safetyMonitor: this.inputSafety,
+      settings: this.getBroadcastSettings()
+    });
+    this.clickSync = new ClickSync({
+      backend: this.windowManager.inputBackend,
+      safetyMonitor: this.inputSafety
+    });
+    this.autoKeyScheduler = new AutoKeyScheduler({
+      backend: this.windowManager.inputBackend,
+      safetyMonitor: this.inputSafety,
+      getWindows: () => this.dofusWindows,
+      onChange: status => this.handleAutoKeyStatus(status)
+    });
+    this.autoKeyRunning = false;
+    this.clickSource = createClickSource();
+    if (this.clickSource) {
+      this.clickSource.on('click', click => this.replayClick(click));
+    }
 
     this.initializeApp();
   }
@@ -72,6 +121,13 @@ class Dorganize {
     console.log('Dorganize: App ready, setting up...');    // Load settings first
     this.loadSettings();
 
+    // Migrations change the loaded configuration
+    try {
+      await this.shortcutConfig.waitForInitialization();
+    } catch (error) {
+      console.error('Dorganize: Shortcut configuration failed to load:', error);
+    }
+
     // Migrate from old electron-store format if the method exists
     if (this.shortcutConfig && typeof this.shortcutConfig.migrateFromElectronStore === 'function') {
       const migratedCount = this.shortcutConfig.migrateFromElectronStore(this.store);
@@ -82,6 +138,12 @@ class Dorganize {
       console.log('Dorganize: Shortcut migration skipped (migrateFromElectronStore not available)');
     }
 
+    // Shortcuts recorded by older releases name keys by label; store physical key codes
+    const convertedCount = this.shortcutConfig.migrateToKeyCodes(this.shortcutManager.keyboardLayout);
+    if (convertedCount > 0) {
+      console.log(`Dorganize: Converted ${convertedCount} shortcuts to key codes`);
+    }
+
     // Create tray
     this.createTray();
 
@@ -91,6 +153,9 @@ class Dorganize {
     // Start periodic window check
     this.startPeriodicCheck();
 
+    // Listen for modifier clicks when click sync is on
+    this.applyClickSyncSettings();
+
     console.log('Dorganize: Application ready');
   }
 
@@ -110,6 +175,16 @@ class Dorganize {
       this.showConfigWindow();
     });
 
+    // Profile auto-selection balloons offer to undo the switch
+    this.tray.on('balloon-click', () => {
+      if (this.profileUndoBalloon) {
+        this.undoProfileSwitch();
+      }
+    });
+    this.tray.on('balloon-closed', () => {
+      this.profileUndoBalloon = false;
+    });
+
     console.log('Dorganize: System tray created');
   }
 
@@ -145,6 +220,57 @@ class Dorganize {
         label: shortcutsText,
         click: () => this.toggleShortcuts()
       },
+      {
+        label: lang.tray_fight_mode || 'Fight Mode',
+        type: 'checkbox',
+        checked: this.fightMode.isActive(),
+        click: () => this.toggleFightMode()
+      },
+      {
+        label: lang.tray_end_turn || 'End Turn',
+        enabled: this.fightMode.isActive(),
+        click: () => this.endTurn()
+      },
+      {
+        label: lang.tray_fight_summary || 'Last Fight Summary',
+        click: () => this.showLastFightSummary()
+      },
+      {
+        label: lang.tray_broadcast || 'Broadcast Keys',
+        click: () => this.broadcastKeys()
+      },
+      {
+        label: this.getAutoKeyTrayLabel(lang),
+        enabled: this.autoKeyRunning || this.canStartAutoKey(),
+        click: () => this.toggleAutoKey()
+      },
+      {
+        label: lang.tray_click_sync || 'Click Sync',
+        type: 'checkbox',
+        checked: this.clickSync.isEnabled(),
+        enabled: this.clickSource !== null,
+        click: (menuItem) => {
+          this.store.set(`${CLICK_SYNC.SETTINGS_KEY}.enabled`, menuItem.checked);
+          this.applyClickSyncSettings();
+        }
+      },
+      {
+        label: lang.tray_organize || 'Organize Windows',
+        submenu: this.getOrganizeMenu(lang)
+      },
+      {
+        label: lang.tray_capture_layout || 'Capture Layout',
+        click: () => this.captureLayout(LanguageManager.format(lang.tray_capture_name || 'Snapshot {0}', new Date().toLocaleString()))
+      },
+      {
+        label: lang.tray_restore_layout || 'Restore Layout',
+        submenu: this.getRestoreLayoutMenu(lang)
+      },
+      { type: 'separator' },
+      {
+        label: this.getActiveProfileLabel(lang),
+        submenu: this.getProfileMenu(lang)
+      },
       { type: 'separator' },
       ...this.languageManager.getLanguageMenu((langCode) => this.changeLanguage(langCode)),
       { type: 'separator' },
@@ -152,14 +278,7 @@ class Dorganize {
         label: lang.displayTray_dock || 'Show Dock',
         type: 'checkbox',
         checked: this.store.get('dock.enabled', false),
-        click: (item) => {
-          this.store.set('dock.enabled', item.checked);
-          if (item.checked) {
-            this.showDockWindow();
-          } else {
-            this.hideDockWindow();
-          }
-        }
+        click: (item) => this.setDockEnabled(item.checked)
       },
       { type: 'separator' },
       {
@@ -173,6 +292,484 @@ class Dorganize {
     this.tray.setContextMenu(menu);
   }
 
+  /**
+   * Build the tray submenu listing built-in layouts and saved layout templates
+   * @param {Object} lang - Current language strings
+   */
+  getOrganizeMenu(lang) {
+    const layoutLabels = {
+      grid: lang.tray_layout_grid || 'Grid Layout',
+      horizontal: lang.tray_layout_horizontal || 'Horizontal',
+      vertical: lang.tray_layout_vertical || 'Vertical'
+    };
+
+    const { builtIn, templates } = this.windowManager.getLayouts();
+
+    const menu = builtIn.map(layout => ({
+      label: layoutLabels[layout] || layout,
+      click: () => this.organizeWindows(layout)
+    }));
+
+    menu.push({ type: 'separator' });
+
+    if (templates.length === 0) {
+      menu.push({ label: lang.tray_no_templates || 'No saved templates', enabled: false });
+    } else {
+      templates.forEach(name => {
+        menu.push({
+          label: name,
+          click: () => this.organizeWindows(name)
+        });
+      });
+    }
+
+    menu.push({ type: 'separator' });
+    menu.push({
+      label: lang.tray_target_display || 'Target Display',
+      submenu: this.getDisplayTargetMenu(lang)
+    });
+
+    return menu;
+  }
+
+  /**
+   * Build the radio submenu selecting which display built-in layouts target
+   * @param {Object} lang - Current language strings
+   */
+  getDisplayTargetMenu(lang) {
+    const currentTarget = this.store.get(LAYOUT.TARGET_KEY, LAYOUT.DEFAULT_TARGET);
+    const setTarget = (target) => {
+      this.store.set(LAYOUT.TARGET_KEY, target);
+      this.updateTrayMenu();
+    };
+
+    const menu = [
+      {
+        label: lang.tray_primary_display || 'Primary Display',
+        type: 'radio',
+        checked: currentTarget === LAYOUT.TARGETS.PRIMARY,
+        click: () => setTarget(LAYOUT.TARGETS.PRIMARY)
+      },
+      {
+        label: lang.tray_all_displays || 'All Displays',
+        type: 'radio',
+        checked: currentTarget === LAYOUT.TARGETS.ALL,
+        click: () => setTarget(LAYOUT.TARGETS.ALL)
+      }
+    ];
+
+    this.displayManager.getDisplays().forEach((display, index) => {
+      menu.push({
+        label: LanguageManager.format(lang.tray_display_X || 'Display {0} ({1}x{2})', index + 1, display.bounds.width, display.bounds.height),
+        type: 'radio',
+        checked: currentTarget === display.id,
+        click: () => setTarget(display.id)
+      });
+    });
+
+    return menu;
+  }
+
+  /**
+   * Build the tray submenu listing saved layouts to restore
+   * @param {Object} lang - Current language strings
+   */
+  getRestoreLayoutMenu(lang) {
+    const { templates } = this.windowManager.getLayouts();
+
+    if (templates.length === 0) {
+      return [{ label: lang.tray_no_layouts || 'No saved layouts', enabled: false }];
+    }
+
+    return templates.map(name => ({
+      label: name,
+      click: () => this.restoreLayout(name)
+    }));
+  }
+
+  /**
+   * Label of the tray profile submenu, naming the active profile
+   * @param {Object} lang - Current language strings
+   */
+  getActiveProfileLabel(lang) {
+    const activeProfile = this.profileManager.getActiveProfileName();
+    const label = lang.main_profil || 'Profile';
+    return activeProfile ? `${label}: ${activeProfile}` : label;
+  }
+
+  /**
+   * Build the tray submenu switching, saving and deleting team profiles
+   * @param {Object} lang - Current language strings
+   */
+  getProfileMenu(lang) {
+    const activeProfile = this.profileManager.getActiveProfileName();
+    const names = this.profileManager.getProfileNames();
+
+    const menu = names.length === 0
+      ? [{ label: lang.main_noprofil || 'No profile', enabled: false }]
+      : names.map(name => ({
+        label: name,
+        type: 'radio',
+        checked: name === activeProfile,
+        click: () => this.switchProfile(name)
+      }));
+
+    menu.push({ type: 'separator' });
+
+    const undoInfo = this.profileManager.getUndoInfo();
+    if (undoInfo) {
+      menu.push({
+        label: LanguageManager.format(lang.tray_profile_undo || 'Undo Switch to "{0}"', undoInfo.profile),
+        click: () => this.undoProfileSwitch()
+      });
+    }
+
+    const autoSelect = { ...PROFILES.AUTO_SELECT_DEFAULTS, ...this.store.get(PROFILES.AUTO_SELECT_KEY, {}) };
+    menu.push({
+      label: lang.tray_profile_auto || 'Select Profile Automatically',
+      type: 'checkbox',
+      checked: autoSelect.enabled,
+      click: (menuItem) => {
+        this.store.set(`${PROFILES.AUTO_SELECT_KEY}.enabled`, menuItem.checked);
+        this.autoSelectDetectedKey = null;
+        this.updateTrayMenu();
+      }
+    });
+    menu.push({
+      label: lang.tray_profile_save || 'Save Current Setup as New Profile',
+      click: () => this.saveProfile(this.profileManager.getDefaultProfileName(lang.main_profil_X || 'Profile #{0}'))
+    });
+
+    if (activeProfile) {
+      menu.push({
+        label: LanguageManager.format(lang.tray_profile_update || 'Update "{0}"', activeProfile),
+        click: () => this.saveProfile(activeProfile)
+      });
+      menu.push({
+        label: LanguageManager.format(lang.tray_profile_delete || 'Delete "{0}"', activeProfile),
+        click: () => {
+          this.profileManager.deleteProfile(activeProfile);
+          this.updateTrayMenu();
+        }
+      });
+    }
+
+    return menu;
+  }
+
+  /**
+   * Save the current roster, initiatives, shortcuts, dock and layout as a profile
+   * @param {string} name - Profile name
+   */
+  saveProfile(name) {
+    try {
+      const profile = this.profileManager.saveProfile(name, this.dofusWindows);
+      this.updateTrayMenu();
+      return profile;
+    } catch (error) {
+      console.error('Dorganize: Error saving profile:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Switch to a team profile. Shortcuts are unregistered and registered again
+   * in one pass once the whole profile is written.
+   * @param {string} name - Profile name
+   * @returns {Promise<boolean>} Success status
+   */
+  async switchProfile(name) {
+    try {
+      const profile = await this.profileManager.applyProfile(name, this.dofusWindows);
+      this.reloadProfileState();
+
+      if (profile.layout && profile.layout.name) {
+        if (profile.layout.restore) {
+          await this.restoreLayout(profile.layout.name);
+        } else {
+          await this.organizeWindows(profile.layout.name, profile.layout.target);
+        }
+      }
+
+      console.log(`Dorganize: Switched to profile "${name}"`);
+      return true;
+    } catch (error) {
+      console.error(`Dorganize: Error switching to profile "${name}":`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Go back to the configuration in place before the last profile switch.
+   * Windows stay where the switched-to profile's layout put them.
+   * @returns {Promise<boolean>} Success status
+   */
+  async undoProfileSwitch() {
+    try {
+      this.profileUndoBalloon = false;
+      const active = await this.profileManager.undoLastSwitch(this.dofusWindows);
+      this.reloadProfileState();
+
+      console.log(`Dorganize: Profile switch undone, active profile: ${active || 'none'}`);
+      return true;
+    } catch (error) {
+      console.error('Dorganize: Error undoing profile switch:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Pick the saved profile matching the detected characters, when automatic
+   * selection is enabled. Only runs when the set of detected characters changes,
+   * so a profile the user left or undid is not applied again.
+   */
+  async autoSelectProfile() {
+    const settings = { ...PROFILES.AUTO_SELECT_DEFAULTS, ...this.store.get(PROFILES.AUTO_SELECT_KEY, {}) };
+    if (!settings.enabled) {
+      return;
+    }
+
+    const detectedKey = this.dofusWindows.map(window => window.characterId).filter(Boolean).sort().join('|');
+    if (!detectedKey || detectedKey === this.autoSelectDetectedKey) {
+      return;
+    }
+    this.autoSelectDetectedKey = detectedKey;
+
+    const best = this.profileManager.findBestProfile(this.dofusWindows, settings.minimumMatch);
+    if (!best || best.name === this.profileManager.getActiveProfileName()) {
+      return;
+    }
+
+    console.log(`Dorganize: Auto-selecting profile "${best.name}" (${Math.round(best.match * 100)}% match)`);
+    if (await this.switchProfile(best.name) && this.tray) {
+      const lang = this.languageManager.getCurrentLanguage();
+      this.profileUndoBalloon = true;
+      this.tray.displayBalloon({
+        iconType: 'info',
+        title: 'Dorganize',
+        content: LanguageManager.format(lang.balloon_profile_selected || 'Profile "{0}" selected for the detected characters. Click to undo.', best.name)
+      });
+    }
+  }
+
+  /**
+   * Propagate a profile change: reload per-character state, register shortcuts
+   * again in one pass, and refresh the dock, config window and tray
+   * @private
+   */
+  reloadProfileState() {
+    // Pick up the profile's initiatives and enabled flags without a new detection
+    this.dofusWindows = this.windowManager.reloadWindowStates().map(window => ({ ...window }));
+    this.sortWindowsByInitiative();
+
+    this.reregisterAllShortcuts();
+
+    this.hideDockWindow();
+    if (this.store.get('dock.enabled', false)) {
+      this.showDockWindow();
+    }
+
+    [this.mainWindow, this.dockWindow].forEach(window => {
+      if (window && !window.isDestroyed()) {
+        window.webContents.send('windows-updated', this.dofusWindows);
+      }
+    });
+
+    this.updateTrayTooltip();
+    this.updateTrayMenu();
+  }
+
+  /**
+   * Pick up tags and servers saved from the configuration window without a new
+   * detection, so dock filters and group shortcuts use them at once
+   * @private
+   */
+  reloadWindowDetails() {
+    this.dofusWindows = this.windowManager.reloadWindowStates().map(window => ({ ...window }));
+    this.sortWindowsByInitiative();
+
+    if (this.dockWindow && !this.dockWindow.isDestroyed()) {
+      this.dockWindow.webContents.send('windows-updated', this.dofusWindows);
+    }
+  }
+
+  /**
+   * Get every tag given to a character
+   * @returns {Array<string>} Tags sorted by name
+   */
+  getAllTags() {
+    return CharacterTags.getAllTags(Object.values(this.store.get(CHARACTER_TAGS.STORAGE_KEY, {}) || {}));
+  }
+
+  /**
+   * Enable or disable every character carrying a tag, then register shortcuts
+   * again for the new set of enabled windows
+   * @param {string} tag - Tag
+   * @param {boolean} enabled - New state
+   * @returns {number} Number of characters changed
+   */
+  setTagEnabled(tag, enabled) {
+    const tagged = Object.entries(this.store.get(CHARACTER_TAGS.STORAGE_KEY, {}) || {})
+      .filter(([, tags]) => CharacterTags.includesTag(tags, tag))
+      .map(([characterId]) => characterId);
+    if (tagged.length === 0) {
+      return 0;
+    }
+
+    const enabledWindows = { ...(this.store.get('enabledWindows', {}) || {}) };
+    tagged.forEach(characterId => {
+      enabledWindows[characterId] = Boolean(enabled);
+    });
+    this.store.set('enabledWindows', enabledWindows);
+    this.reloadProfileState();
+
+    console.log(`Dorganize: ${enabled ? 'Enabled' : 'Disabled'} ${tagged.length} character(s) tagged "${tag}"`);
+    return tagged.length;
+  }
+
+  /**
+   * Unregister every global and window shortcut and register them again in one pass
+   * @private
+   */
+  reregisterAllShortcuts() {
+    this.leaderKeyMode.cancel('shortcuts reloaded');
+    this.unregisterGlobalShortcuts();
+    this.shortcutManager.cleanup();
+    this.shortcutsLoaded = false;
+    this.registerGlobalShortcuts();
+    if (this.shortcutsEnabled && this.dofusWindows.length > 0) {
+      this.loadAndRegisterShortcuts();
+    }
+  }
+
+  /**
+   * Report the state of every configured shortcut: registered, inactive,
+   * shadowed by another Dorganize shortcut, refused by the system or
+   * duplicated across characters (see ShortcutConflicts)
+   * @returns {Object} Conflict analysis
+   */
+  analyzeShortcutConflicts() {
+    const characterKeyOf = window => this.shortcutConfig.generateCharacterKey(window.character, window.dofusClass);
+    const detected = new Set(this.dofusWindows.map(characterKeyOf));
+
+    const entries = this.shortcutConfig.getConfiguredShortcuts().map(entry => ({
+      ...entry,
+      active: entry.kind === 'global'
+        ? this.shortcutsEnabled || entry.name === 'toggleShortcuts'
+        : this.shortcutsEnabled && detected.has(entry.name)
+    }));
+
+    const registered = Object.entries(this.globalShortcuts).map(([type, accelerator]) => ({ id: `global:${type}`, accelerator }));
+    this.shortcutManager.shortcuts.forEach((info, windowId) => {
+      const window = this.dofusWindows.find(w => w.id === windowId);
+      if (window) {
+        registered.push({ id: `character:${characterKeyOf(window)}`, accelerator: info.accelerator });
+      }
+    });
+
+    return ShortcutConflicts.analyze(entries, registered, { layout: this.shortcutManager.keyboardLayout });
+  }
+
+  /**
+   * Apply a one-click conflict fix and register every shortcut again
+   * @param {string} id - Shortcut ID from the analysis
+   * @param {string} fix - One of SHORTCUTS.CONFLICT_FIXES
+   * @returns {Object} Analysis after the fix
+   */
+  resolveShortcutConflict(id, fix) {
+    const changes = ShortcutConflicts.planFix(this.analyzeShortcutConflicts(), id, fix);
+    if (!this.shortcutConfig.applyShortcutChanges(changes)) {
+      throw new Error(`Could not apply ${fix} to ${id}`);
+    }
+
+    console.log(`Dorganize: Applied conflict fix "${fix}" to ${id}`);
+    this.reregisterAllShortcuts();
+    this.updateTrayMenu();
+    return this.analyzeShortcutConflicts();
+  }
+
+  /**
+   * Switch to the profile after the active one (global shortcut)
+   */
+  async switchToNextProfile() {
+    const nextProfile = this.profileManager.getNextProfileName();
+    if (nextProfile) {
+      await this.switchProfile(nextProfile);
+    }
+  }
+
+  /**
+   * Organize detected windows with a built-in layout or a saved template
+   * @param {string} layout - Layout name or template name
+   * @param {string|number} target - 'primary', 'all' or a display id (defaults to the saved target)
+   */
+  async organizeWindows(layout, target = this.store.get(LAYOUT.TARGET_KEY, LAYOUT.DEFAULT_TARGET)) {
+    try {
+      const targetDisplays = this.displayManager.resolveTargetDisplays(target);
+      const success = await this.windowManager.organizeWindows(layout, {
+        workArea: targetDisplays[0].workArea,
+        spreadDisplays: target === LAYOUT.TARGETS.ALL ? targetDisplays : null,
+        displays: this.displayManager.getDisplays(),
+        windows: this.dofusWindows
+      });
+
+      // Remembered so team profiles can bring the layout back
+      if (success) {
+        this.store.set(LAYOUT.LAST_LAYOUT_KEY, { name: layout, restore: false });
+      }
+      return success;
+    } catch (error) {
+      console.error('Dorganize: Error organizing windows:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Snapshot the bounds of every detected window into a named layout
+   * @param {string} name - Layout name
+   */
+  async captureLayout(name) {
+    try {
+      // Fresh detection so the captured bounds match what is on screen
+      const windows = await this.windowManager.getDofusWindows();
+      const result = this.windowManager.captureLayout(name, {
+        windows,
+        displays: this.displayManager.getDisplays()
+      });
+
+      if (result.success) {
+        this.updateTrayMenu();
+      }
+      return result;
+    } catch (error) {
+      console.error('Dorganize: Error capturing layout:', error);
+      return { success: false, count: 0 };
+    }
+  }
+
+  /**
+   * Reapply a captured layout to the detected windows, matched by character
+   * @param {string} name - Layout name
+   */
+  async restoreLayout(name) {
+    try {
+      const windows = await this.windowManager.getDofusWindows();
+      const success = await this.windowManager.restoreLayout(name, {
+        workArea: this.displayManager.getPrimaryDisplay().workArea,
+        displays: this.displayManager.getDisplays(),
+        windows
+      });
+
+      if (success) {
+        this.store.set(LAYOUT.LAST_LAYOUT_KEY, { name, restore: true });
+      }
+      return success;
+    } catch (error) {
+      console.error('Dorganize: Error restoring layout:', error);
+      return false;
+    }
+  }
+
   showConfigWindow() {
     // Si la fenêtre existe mais est cachée, la montrer
     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
@@ -270,29 +867,12 @@ class Dorganize {
     const dockWidth = Math.min(600, itemCount * 60 + 20);
     const dockHeight = 70;
 
-    // Position dock
-    const displays = screen.getAllDisplays();
-    const primaryDisplay = displays[0];
-    const { width: screenWidth, height: screenHeight } = primaryDisplay.workAreaSize;
-
-    let x, y;
-
-    // Use saved position if available, otherwise use default position
-    if (dockSettings.x !== null && dockSettings.y !== null) {
-      x = dockSettings.x;
-      y = dockSettings.y;
-    } else {
-      // Default positioning based on settings
-      switch (dockSettings.position) {
-        case 'NW': x = 10; y = 10; break;
-        case 'NE': x = screenWidth - dockWidth - 10; y = 10; break;
-        case 'SW': x = 10; y = screenHeight - dockHeight - 10; break;
-        case 'SE': x = screenWidth - dockWidth - 10; y = screenHeight - dockHeight - 10; break;
-        case 'N': x = (screenWidth - dockWidth) / 2; y = 10; break;
-        case 'S': x = (screenWidth - dockWidth) / 2; y = screenHeight - dockHeight - 10; break;
-        default: x = screenWidth - dockWidth - 10; y = screenHeight - dockHeight - 10;
-      }
-    }
+    // Position dock on its remembered display (saved point or named corner)
+    const { x, y, displayId } = this.displayManager.resolveDockPosition(dockSettings, {
+      width: dockWidth,
+      height: dockHeight
+    });
+    this.store.set('dock.displayId', displayId);
 
     this.dockWindow = new BrowserWindow({
       width: dockWidth,
@@ -347,6 +927,7 @@ class Dorganize {
         const [newX, newY] = this.dockWindow.getPosition();
         this.store.set('dock.x', newX);
         this.store.set('dock.y', newY);
+        this.store.set('dock.displayId', this.displayManager.getDisplayForRect(this.dockWindow.getBounds()).id);
       }
     });
 
@@ -389,7 +970,8 @@ class Dorganize {
         windowCount: 0,
         timestamp: Date.now()
       },
-      consecutiveHighLatency: 0
+      consecutiveHighLatency: 0,
+      eventDriven: false
     };
 
     // Set up polling timer with initial interval
@@ -397,6 +979,69 @@ class Dorganize {
 
     // Set up activity listeners for adaptive polling
     this.setupActivityListeners();
+
+    // Prefer window events; polling stays as a slow safety net while they work
+    this.startWindowEventTracking();
+  }
+
+  /**
+   * Consume window events from the window manager instead of polling
+   * @private
+   */
+  startWindowEventTracking() {
+    if (!this.windowManager || !this.windowManager.supportsWindowEvents()) {
+      console.log('Dorganize: Window events not available, using adaptive polling');
+      return;
+    }
+
+    const { POLLING_INTERVALS, WINDOW_EVENTS } = require('./utils/Constants');
+
+    this.windowManager.startEventTracking({
+      onChange: () => this.scheduleWindowEventUpdate(),
+      onReady: async () => {
+        // (Re)started tracking: events may have been missed, resynchronize once
+        this.pollingState.eventDriven = true;
+        this.pollingState.interval = WINDOW_EVENTS.FALLBACK_POLL_INTERVAL_MS;
+        this.setupPollingInterval();
+        console.log('Dorganize: Window events active, polling reduced to fallback rate');
+        await this.refreshAndSort();
+      },
+      onUnavailable: () => {
+        this.pollingState.eventDriven = false;
+        this.pollingState.interval = POLLING_INTERVALS.NORMAL;
+        this.setupPollingInterval();
+        console.warn('Dorganize: Window events unavailable, falling back to adaptive polling');
+      }
+    });
+  }
+
+  /**
+   * Push event-driven changes to the UI, once per burst of events
+   * @private
+   */
+  scheduleWindowEventUpdate() {
+    const { WINDOW_EVENTS } = require('./utils/Constants');
+
+    if (this.windowEventTimeout) {
+      clearTimeout(this.windowEventTimeout);
+    }
+
+    this.windowEventTimeout = setTimeout(async () => {
+      this.windowEventTimeout = null;
+      if (this.isConfiguring) {
+        return;
+      }
+
+      try {
+        // Copies, so later in-place state updates still show up as changes
+        const windows = this.windowManager.getLastKnownWindows().map(window => ({ ...window }));
+        this.applyWindowList(windows);
+        // A team opened between two fallback polls gets its profile right away
+        await this.autoSelectProfile();
+      } catch (error) {
+        console.error('Dorganize: Error applying window events:', error);
+      }
+    }, WINDOW_EVENTS.DEBOUNCE_MS);
   }
 
   /**
@@ -452,169 +1097,671 @@ class Dorganize {
   }
 
   /**
-   * Record user activity and adjust polling rate
-   * @param {string} source - Source of the activity
+   * Record user activity and adjust polling rate
+   * @param {string} source - Source of the activity
+   * @private
+   */
+  recordUserActivity(source) {
+    const { POLLING_INTERVALS } = require('./utils/Constants');
+
+    // Update activity timestamp
+    this.pollingState.lastActivity = Date.now();
+
+    // Window events already keep the list current
+    if (this.pollingState.eventDriven) {
+      return;
+    }
+
+    // If we're not already at high frequency polling, switch to it
+    if (this.pollingState.interval !== POLLING_INTERVALS.HIGH) {
+      this.pollingState.interval = POLLING_INTERVALS.HIGH;
+      this.setupPollingInterval();
+      console.log(`Switched to high frequency polling due to user activity: ${source}`);
+    }
+
+    // Schedule a check to reduce polling rate after inactivity
+    this.scheduleInactivityCheck();
+  }
+
+  /**
+   * Schedule a check to reduce polling frequency after inactivity
+   * @private
+   */
+  scheduleInactivityCheck() {
+    const { POLLING_INTERVALS } = require('./utils/Constants');
+
+    // Clear any existing timeout
+    if (this.inactivityTimeout) {
+      clearTimeout(this.inactivityTimeout);
+    }
+
+    // Set timeout to check for inactivity
+    this.inactivityTimeout = setTimeout(() => {
+      const timeSinceActivity = Date.now() - this.pollingState.lastActivity;
+
+      // If inactive for ACTIVITY_TIMEOUT, reduce polling rate
+      if (timeSinceActivity >= POLLING_INTERVALS.ACTIVITY_TIMEOUT) {
+        // If inactive for IDLE_TIMEOUT, use IDLE rate
+        if (timeSinceActivity >= POLLING_INTERVALS.IDLE_TIMEOUT) {
+          this.pollingState.interval = POLLING_INTERVALS.IDLE;
+        }
+        // Otherwise use the LOW rate
+        else {
+          this.pollingState.interval = POLLING_INTERVALS.LOW;
+        }
+
+        this.setupPollingInterval();
+        console.log(`Reduced polling frequency due to inactivity (${Math.round(timeSinceActivity / 1000)}s)`);
+      }
+    }, POLLING_INTERVALS.ACTIVITY_TIMEOUT);
+  }
+
+  /**
+   * Update performance metrics and adapt polling rate based on system load
+   * @param {number} detectionTime - Time taken to detect windows in ms
+   * @private
+   */
+  updatePollingPerformanceMetrics(detectionTime) {
+    const { POLLING_INTERVALS } = require('./utils/Constants');
+
+    // Update metrics
+    this.pollingState.lastPerformanceMetrics = {
+      detectionTime,
+      windowCount: this.dofusWindows.length,
+      timestamp: Date.now()
+    };
+
+    // Detect high latency patterns
+    if (detectionTime > POLLING_INTERVALS.HIGH_LATENCY_THRESHOLD) {
+      this.pollingState.consecutiveHighLatency++;
+
+      // If consistently high latency, reduce polling frequency
+      if (this.pollingState.consecutiveHighLatency >= 3 &&
+        this.pollingState.interval < POLLING_INTERVALS.LOW) {
+        this.pollingState.interval = POLLING_INTERVALS.LOW;
+        this.setupPollingInterval();
+        console.log(`Reduced polling frequency due to high latency (${detectionTime}ms)`);
+      }
+    } else {
+      // Reset counter when latency is normal
+      this.pollingState.consecutiveHighLatency = 0;
+    }
+  }
+
+  registerGlobalShortcuts() {
+    try {
+      // Unregister existing global shortcuts
+      this.unregisterGlobalShortcuts();
+
+      if (!this.shortcutsEnabled) {      // Only register toggle shortcut when shortcuts are disabled
+        let toggleShortcut;
+
+        // Try to get from shortcutConfig if the method exists
+        if (this.shortcutConfig && typeof this.shortcutConfig.getGlobalShortcut === 'function') {
+          toggleShortcut = this.shortcutConfig.getGlobalShortcut('toggleShortcuts');
+        }
+        // Fallback to store
+        else {
+          const shortcuts = this.store.get('shortcuts', {});
+          toggleShortcut = shortcuts.toggleShortcuts;
+        }
+
+        if (toggleShortcut) {
+          const accelerator = this.shortcutManager.convertShortcutToAccelerator(toggleShortcut);
+          if (accelerator) {
+            globalShortcut.register(accelerator, () => this.toggleShortcuts());
+            this.globalShortcuts.toggleShortcuts = accelerator;
+          }
+        }
+        return;
+      }
+
+      const actions = {
+        [WINDOW_CYCLING.SHORTCUT_TYPES.NEXT_WINDOW]: () => this.activateNextWindow(),
+        [WINDOW_CYCLING.SHORTCUT_TYPES.PREVIOUS_WINDOW]: () => this.activatePreviousWindow(),
+        [WINDOW_CYCLING.SHORTCUT_TYPES.INITIATIVE_LEADER]: () => this.activateInitiativeLeader(),
+        [WINDOW_CYCLING.SHORTCUT_TYPES.LAST_WINDOW]: () => this.activateLastFocusedWindow(),
+        [PROFILES.NEXT_PROFILE_SHORTCUT]: () => this.switchToNextProfile(),
+        [LEADER_KEY.SHORTCUT_TYPE]: () => this.triggerLeaderKey(),
+        [FIGHT_MODE.SHORTCUT_TYPES.TOGGLE]: () => this.toggleFightMode(),
+        [FIGHT_MODE.SHORTCUT_TYPES.END_TURN]: () => this.endTurn(),
+        [BROADCAST.SHORTCUT_TYPES.SEND]: () => this.broadcastKeys(this.shortcutConfig.getGlobalShortcut(BROADCAST.SHORTCUT_TYPES.SEND))
+      };
+      Object.entries(actions).forEach(([type, action]) => this.registerGlobalShortcut(type, action));
+
+      // Register group cycling shortcuts ("cycleGroup:<group>")
+      const groupPrefix = WINDOW_CYCLING.GROUP_SHORTCUT_PREFIX;
+      Object.keys(this.shortcutConfig.getAllGlobalShortcuts())
+        .filter(type => type.startsWith(groupPrefix))
+        .forEach(type => this.registerGlobalShortcut(type, () => this.cycleGroup(type.slice(groupPrefix.length))));
+
+      // Register toggle shortcuts shortcut
+      this.registerGlobalShortcut('toggleShortcuts', () => this.toggleShortcuts());
+
+      console.log('Dorganize: Global shortcuts registered');
+    } catch (error) {
+      console.error('Dorganize: Error registering global shortcuts:', error);
+    }
+  }
+
+  /**
+   * Register a configured global shortcut unless its keys are already taken
+   * @param {string} type - Global shortcut type
+   * @param {Function} action - Called when the shortcut is pressed
+   * @private
+   */
+  registerGlobalShortcut(type, action) {
+    const shortcut = this.shortcutConfig.getGlobalShortcut(type);
+    if (!shortcut) return;
+
+    const accelerator = this.shortcutManager.convertShortcutToAccelerator(shortcut);
+    if (accelerator && !globalShortcut.isRegistered(accelerator) && globalShortcut.register(accelerator, action)) {
+      this.globalShortcuts[type] = accelerator;
+    }
+  }
+
+  unregisterGlobalShortcuts() {
+    try {
+      Object.values(this.globalShortcuts).forEach(accelerator => {
+        if (globalShortcut.isRegistered(accelerator)) {
+          globalShortcut.unregister(accelerator);
+        }
+      });
+      this.globalShortcuts = {};
+    } catch (error) {
+      console.error('Dorganize: Error unregistering global shortcuts:', error);
+    }
+  }
+
+  /**
+   * Focus a window picked by a navigation shortcut
+   * @param {Object|null} window - Window to focus
+   * @private
+   */
+  focusCycledWindow(window) {
+    if (window) {
+      this.windowActivator.activateWindow(window);
+    }
+  }
+
+  activateNextWindow() {
+    const enabledWindows = this.dofusWindows.filter(w => w.enabled);
+    this.focusCycledWindow(WindowCycling.getAdjacentWindow(enabledWindows, this.windowActivator.getFocusedHandle(), 1));
+  }
+
+  activatePreviousWindow() {
+    const enabledWindows = this.dofusWindows.filter(w => w.enabled);
+    this.focusCycledWindow(WindowCycling.getAdjacentWindow(enabledWindows, this.windowActivator.getFocusedHandle(), -1));
+  }
+
+  activateInitiativeLeader() {
+    this.focusCycledWindow(WindowCycling.getInitiativeLeader(this.dofusWindows.filter(w => w.enabled)));
+  }
+
+  /**
+   * Go back to the window focused before the current one (alt-tab style)
+   */
+  activateLastFocusedWindow() {
+    const enabledWindows = this.dofusWindows.filter(w => w.enabled);
+    this.focusCycledWindow(WindowCycling.getLastFocusedWindow(enabledWindows, this.windowActivator.focusHistory));
+  }
+
+  /**
+   * Focus the next window of a named group
+   * @param {string} groupName - Group name
+   */
+  cycleGroup(groupName) {
+    const enabledWindows = this.dofusWindows.filter(w => w.enabled);
+    const window = WindowCycling.getNextGroupWindow(enabledWindows, this.windowActivator.getFocusedHandle(), groupName, this.getWindowGroups());
+    if (!window) {
+      console.log(`Dorganize: No enabled window in group "${groupName}"`);
+    }
+    this.focusCycledWindow(window);
+  }
+
+  /**
+   * Get the named groups windows can be cycled through: class groups and tags
+   * @returns {Object} { [name]: classes }
+   */
+  getWindowGroups() {
+    const groups = { ...WINDOW_CYCLING.CLASS_GROUPS };
+
+    // A tag needs no classes: WindowCycling matches it against the windows' tags
+    this.getAllTags().forEach(tag => {
+      if (!groups[tag]) {
+        groups[tag] = [];
+      }
+    });
+    return groups;
+  }
+
+  /**
+   * Start a fight on the first character in initiative order, or end it
+   */
+  toggleFightMode() {
+    if (this.fightMode.isActive()) {
+      this.fightMode.stop();
+      this.finishFightTracking();
+    } else {
+      this.fightTracker.configure(this.getFightTrackerSettings());
+      this.fightTracker.start();
+      this.startTurn(this.fightMode.start(this.dofusWindows));
+    }
+    this.updateTrayMenu();
+  }
+
+  /**
+   * Focus the character playing next in the fight, whatever window is in the foreground
+   */
+  endTurn() {
+    if (!this.fightMode.isActive()) {
+      console.log('Dorganize: End turn ignored, fight mode is off');
+      return;
+    }
+    this.startTurn(this.fightMode.endTurn(this.dofusWindows));
+  }
+
+  /**
+   * Focus the character whose turn it is and time its turn; with no character
+   * left to play, the running turn ends and its warning is dropped
+   * @param {Object|null} window - Window whose turn it is
+   * @private
+   */
+  startTurn(window) {
+    if (window) {
+      this.fightTracker.beginTurn(window, this.fightMode.getState().round);
+    } else {
+      this.fightTracker.endTurn();
+    }
+    this.focusCycledWindow(window);
+  }
+
+  /**
+   * @returns {Object} Turn length and warning settings
+   */
+  getFightTrackerSettings() {
+    return { ...FIGHT_TRACKER.DEFAULTS, ...this.store.get(FIGHT_TRACKER.SETTINGS_KEY, {}) };
+  }
+
+  /**
+   * Warn that the character's turn is about to run out: dock pulse and tray balloon
+   * @param {Object} warning - { name, round, remainingSeconds }
+   * @private
+   */
+  warnTurnEnding(warning) {
+    if (this.dockWindow && !this.dockWindow.isDestroyed()) {
+      this.dockWindow.webContents.send(FIGHT_TRACKER.WARNING_EVENT, warning);
+    }
+    const lang = this.languageManager.getCurrentLanguage();
+    this.showBalloon(LanguageManager.format(lang.balloon_turn_warning || '{0}: {1} seconds left in round {2}', warning.name, warning.remainingSeconds, warning.round));
+  }
+
+  /**
+   * Stop timing turns and report the turn durations per character
+   * @private
+   */
+  finishFightTracking() {
+    const summary = this.fightTracker.stop();
+    if (!summary || summary.turns === 0) return;
+
+    this.store.set(FIGHT_TRACKER.SUMMARY_KEY, summary);
+    console.log(`Dorganize: Fight summary\n${FightTracker.formatSummary(summary).join('\n')}`);
+    const lang = this.languageManager.getCurrentLanguage();
+    this.showBalloon(FightTracker.formatSummary(summary, FIGHT_TRACKER.BALLOON_LINES, lang).join('\n'));
+  }
+
+  /**
+   * Show the turn durations of the last fight
+   */
+  showLastFightSummary() {
+    const lang = this.languageManager.getCurrentLanguage();
+    const summary = this.store.get(FIGHT_TRACKER.SUMMARY_KEY, null);
+    const lines = summary ? FightTracker.formatSummary(summary, Infinity, lang) : [lang.fight_none || 'No fight tracked yet'];
+
+    dialog.showMessageBox({
+      type: 'info',
+      title: 'Dorganize',
+      message: lang.fight_last || 'Last fight',
+      detail: lines.join('\n')
+    });
+  }
+
+  /**
+   * Send the broadcast keys to every enabled window, or to the windows of the
+   * configured group, in initiative order. Pressing the shortcut again during a
+   * broadcast stops it; the emergency stop shortcut also blocks keys for a while.
+   * @param {string|null} trigger - Shortcut that started the broadcast: its modifiers,
+   *   still held, are released before the keys are sent
+   */
+  async broadcastKeys(trigger = null) {
+    if (this.keyBroadcaster.isRunning()) {
+      this.keyBroadcaster.stop();
+      return;
+    }
+
+    const lang = this.languageManager.getCurrentLanguage();
+    const settings = this.keyBroadcaster.configure(this.getBroadcastSettings());
+    if (settings.keys.length === 0) {
+      this.showBalloon(lang.balloon_broadcast_no_keys || 'Set the keys to broadcast in the global shortcuts window');
+      return;
+    }
+
+    const targets = KeyBroadcaster.getTargets(this.dofusWindows, settings.group, this.getWindowGroups());
+    const focusedWindow = this.dofusWindows.find(w => w.handle === this.windowActivator.getFocusedHandle()) || null;
+
+    const releaseModifiers = trigger
+      ? trigger.split('+').slice(0, -1).map(modifier => KeyboardLayouts.getModifierVirtualKey(modifier)).filter(Boolean)
+      : [];
+
+    // Held like the auto key one, so reloading shortcuts mid-broadcast keeps it
+    this.shortcutManager.holdGuardShortcut('broadcast', BROADCAST.EMERGENCY_STOP_SHORTCUT, () => this.keyBroadcaster.emergencyStop());
+
+    let result = null;
+    try {
+      result = await this.keyBroadcaster.broadcast(targets, this.shortcutManager.keyboardLayout, { releaseModifiers });
+    } finally {
+      this.shortcutManager.releaseGuardShortcut('broadcast');
+    }
+
+    // Sending keys focused each window: go back to the one the player was in
+    this.focusCycledWindow(focusedWindow);
+
+    const reasons = {
+      'emergency-stop': lang.reason_emergency_stop || 'emergency stop',
+      'rate-limit': lang.reason_rate_limit || 'too many keys sent in the last minute',
+      stopped: lang.reason_stopped || 'stopped by hand'
+    };
+    if (result && result.stopped) {
+      this.showBalloon(LanguageManager.format(lang.balloon_broadcast_stopped || 'Broadcast stopped after {0} window(s): {1}', result.sent, reasons[result.stopped]));
+    } else if (result && targets.length === 0) {
+      this.showBalloon(settings.group
+        ? LanguageManager.format(lang.balloon_no_window_group || 'No enabled window in group "{0}"', settings.group)
+        : lang.balloon_no_window || 'No enabled window');
+    }
+  }
+
+  /**
+   * @returns {Object} Broadcast keys, target group and delay between windows
+   */
+  getBroadcastSettings() {
+    return { ...BROADCAST.DEFAULTS, ...this.store.get(BROADCAST.SETTINGS_KEY, {}) };
+  }
+
+  /**
+   * Apply the click sync settings: the mouse hook only runs while click sync is on
+   */
+  applyClickSyncSettings() {
+    const settings = this.clickSync.configure({ ...CLICK_SYNC.DEFAULTS, ...this.store.get(CLICK_SYNC.SETTINGS_KEY, {}) });
+    if (this.clickSource) {
+      if (settings.enabled && !this.clickSource.isRunning()) {
+        this.clickSource.start();
+      } else if (!settings.enabled && this.clickSource.isRunning()) {
+        this.clickSource.stop();
+      }
+    }
+    this.updateTrayMenu();
+  }
+
+  /**
+   * Replay a modifier click on the other windows, then focus the clicked window again
+   * @param {Object} click - Click from the click source
+   * @private
+   */
+  async replayClick(click) {
+    try {
+      const result = await this.clickSync.replay(click, this.dofusWindows, this.getWindowGroups());
+      if (result && result.replayed + result.failed > 0) {
+        this.focusCycledWindow(result.source);
+      }
+    } catch (error) {
+      console.error('Dorganize: Error replaying click:', error);
+    }
+  }
+
+  /**
+   * Start the auto key repeat, or the auto key programs of the enabled windows in
+   * the programs mode. Stored settings fill in what is not given; without a window,
+   * the key is pressed in the focused game window, or else the first enabled one.
+   * @param {Object} options - { mode, key, intervalMs, windowId }
+   * @returns {Object} { success, error, status }
+   */
+  startAutoKey(options = {}) {
+    const settings = { ...this.getAutoKeyRepeatSettings(), ...options };
+
+    if (settings.mode === AUTO_KEY.SCHEDULER.MODES.PROGRAMS) {
+      const programs = this.shortcutConfig.getAutoKeyProgramTargets(this.dofusWindows)
+        .map(target => ({ windowId: target.windowId, ...target.program }));
+      const result = this.autoKeyScheduler.startPrograms(programs, this.shortcutManager.keyboardLayout);
+      if (result.success) {
+        this.store.set(AUTO_KEY.SCHEDULER.SETTINGS_KEY, { ...this.getAutoKeyRepeatSettings(), mode: settings.mode });
+      }
+      return result;
+    }
+
+    let windowId = settings.windowId;
+    if (!windowId) {
+      const focused = this.dofusWindows.find(w => w.handle === this.windowActivator.getFocusedHandle());
+      const target = AutoKeyScheduler.findWindow(this.dofusWindows, focused && focused.id) ||
+        this.dofusWindows.find(w => w.enabled && w.handle);
+      windowId = target ? target.id : '';
+    }
+
+    const result = this.autoKeyScheduler.start({ ...settings, windowId }, this.shortcutManager.keyboardLayout);
+    if (result.success) {
+      this.store.set(AUTO_KEY.SCHEDULER.SETTINGS_KEY, {
+        mode: AUTO_KEY.SCHEDULER.MODES.REPEAT,
+        key: settings.key,
+        intervalMs: result.status.intervalMs,
+        windowId: settings.windowId || ''
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Stop the running auto key repeat, or start it again with the stored settings
+   */
+  toggleAutoKey() {
+    if (this.autoKeyScheduler.isRunning()) {
+      this.autoKeyScheduler.stop();
+      return;
+    }
+
+    const result = this.startAutoKey();
+    if (!result.success) {
+      const lang = this.languageManager.getCurrentLanguage();
+      this.showBalloon(LanguageManager.format(lang.balloon_autokey_not_started || 'Auto Key not started: {0}', result.error));
+    }
+  }
+
+  /**
+   * @returns {Object} Mode, and key, interval and window of the last auto key repeat
+   */
+  getAutoKeyRepeatSettings() {
+    return { ...AUTO_KEY.SCHEDULER.DEFAULTS, ...this.store.get(AUTO_KEY.SCHEDULER.SETTINGS_KEY, {}) };
+  }
+
+  /**
+   * @returns {boolean} Whether the stored settings are enough to start auto key from the tray
+   * @private
+   */
+  canStartAutoKey() {
+    const settings = this.getAutoKeyRepeatSettings();
+    return settings.mode === AUTO_KEY.SCHEDULER.MODES.PROGRAMS || Boolean(settings.key);
+  }
+
+  /**
+   * @param {Object} lang - Current language strings
+   * @returns {string} Tray label of the auto key repeat
+   * @private
+   */
+  getAutoKeyTrayLabel(lang) {
+    const status = this.autoKeyScheduler.getStatus();
+    if (status.running && status.mode === AUTO_KEY.SCHEDULER.MODES.PROGRAMS) {
+      return LanguageManager.format(lang.tray_autokey_stop_programs || 'Stop Auto Key (programs in {0} windows)', status.windowIds.length);
+    }
+    if (status.running) {
+      const key = KeyboardLayouts.toDisplay(status.key, this.shortcutManager.keyboardLayout);
+      return LanguageManager.format(lang.tray_autokey_stop_key || 'Stop Auto Key ({0} in {1})', key, status.windowName);
+    }
+
+    const { mode, key } = this.getAutoKeyRepeatSettings();
+    if (mode === AUTO_KEY.SCHEDULER.MODES.PROGRAMS) {
+      return lang.tray_autokey_start_programs || 'Start Auto Key Programs';
+    }
+    return key
+      ? LanguageManager.format(lang.tray_autokey_start_key || 'Start Auto Key ({0})', KeyboardLayouts.toDisplay(key, this.shortcutManager.keyboardLayout))
+      : lang.tray_autokey_start || 'Start Auto Key';
+  }
+
+  /**
+   * Push the auto key status to the config window and the dock. The tray follows
+   * starts and stops; a stop the player did not ask for is reported in a balloon.
+   * @param {Object} status - AutoKeyScheduler status
+   * @private
+   */
+  handleAutoKeyStatus(status) {
+    [this.mainWindow, this.dockWindow].forEach(window => {
+      if (window && !window.isDestroyed()) {
+        window.webContents.send(AUTO_KEY.SCHEDULER.STATUS_EVENT, status);
+      }
+    });
+
+    if (status.running === this.autoKeyRunning) return;
+    this.autoKeyRunning = status.running;
+    this.syncAutoKeyEmergencyStop();
+    this.updateTrayMenu();
+
+    const lang = this.languageManager.getCurrentLanguage();
+    const programs = status.mode === AUTO_KEY.SCHEDULER.MODES.PROGRAMS;
+    const reasons = {
+      'emergency-stop': lang.reason_emergency_stop || 'emergency stop',
+      'rate-limit': lang.reason_rate_limit || 'too many keys sent in the last minute',
+      'window-lost': programs
+        ? lang.reason_windows_lost || 'every window is gone or disabled'
+        : LanguageManager.format(lang.reason_window_lost || '{0} is gone or disabled', status.windowName),
+      'send-failed': programs
+        ? lang.reason_sends_failed || 'no window takes keys'
+        : LanguageManager.format(lang.reason_send_failed || '{0} does not take keys', status.windowName)
+    };
+    if (!status.running && reasons[status.stoppedReason]) {
+      this.showBalloon(LanguageManager.format(lang.balloon_autokey_stopped || 'Auto Key stopped after {0} key(s): {1}', status.keyCount, reasons[status.stoppedReason]));
+    }
+  }
+
+  /**
+   * Hold the emergency stop shortcut while the auto key repeat runs; the shortcut
+   * manager registers it again whenever it reloads or turns off the other shortcuts
    * @private
    */
-  recordUserActivity(source) {
-    const { POLLING_INTERVALS } = require('./utils/Constants');
-
-    // Update activity timestamp
-    this.pollingState.lastActivity = Date.now();
-
-    // If we're not already at high frequency polling, switch to it
-    if (this.pollingState.interval !== POLLING_INTERVALS.HIGH) {
-      this.pollingState.interval = POLLING_INTERVALS.HIGH;
-      this.setupPollingInterval();
-      console.log(`Switched to high frequency polling due to user activity: ${source}`);
+  syncAutoKeyEmergencyStop() {
+    if (this.autoKeyScheduler.isRunning()) {
+      this.shortcutManager.holdGuardShortcut('auto-key', BROADCAST.EMERGENCY_STOP_SHORTCUT, () => this.autoKeyScheduler.emergencyStop());
+    } else {
+      this.shortcutManager.releaseGuardShortcut('auto-key');
     }
-
-    // Schedule a check to reduce polling rate after inactivity
-    this.scheduleInactivityCheck();
   }
 
   /**
-   * Schedule a check to reduce polling frequency after inactivity
+   * Show a tray balloon
+   * @param {string} content - Message
    * @private
    */
-  scheduleInactivityCheck() {
-    const { POLLING_INTERVALS } = require('./utils/Constants');
-
-    // Clear any existing timeout
-    if (this.inactivityTimeout) {
-      clearTimeout(this.inactivityTimeout);
-    }
+  showBalloon(content) {
+    if (!this.tray) return;
 
-    // Set timeout to check for inactivity
-    this.inactivityTimeout = setTimeout(() => {
-      const timeSinceActivity = Date.now() - this.pollingState.lastActivity;
+    // A newer balloon replaces the one offering to undo a profile switch
+    this.profileUndoBalloon = false;
+    this.tray.displayBalloon({ iconType: 'info', title: 'Dorganize', content });
+  }
 
-      // If inactive for ACTIVITY_TIMEOUT, reduce polling rate
-      if (timeSinceActivity >= POLLING_INTERVALS.ACTIVITY_TIMEOUT) {
-        // If inactive for IDLE_TIMEOUT, use IDLE rate
-        if (timeSinceActivity >= POLLING_INTERVALS.IDLE_TIMEOUT) {
-          this.pollingState.interval = POLLING_INTERVALS.IDLE;
-        }
-        // Otherwise use the LOW rate
-        else {
-          this.pollingState.interval = POLLING_INTERVALS.LOW;
-        }
+  /**
+   * Mark a character as dead so its turns are skipped, or alive again
+   * @param {string} windowId - Window ID
+   * @param {boolean} dead - New state
+   * @returns {boolean} Whether the window was found
+   */
+  setFightDead(windowId, dead) {
+    const window = this.dofusWindows.find(w => w.id === windowId);
+    if (!window) return false;
 
-        this.setupPollingInterval();
-        console.log(`Reduced polling frequency due to inactivity (${Math.round(timeSinceActivity / 1000)}s)`);
-      }
-    }, POLLING_INTERVALS.ACTIVITY_TIMEOUT);
+    this.fightMode.setDead(window, dead);
+    return true;
   }
 
   /**
-   * Update performance metrics and adapt polling rate based on system load
-   * @param {number} detectionTime - Time taken to detect windows in ms
+   * Tell the dock whose turn it is
+   * @param {Object} state - FightMode state
    * @private
    */
-  updatePollingPerformanceMetrics(detectionTime) {
-    const { POLLING_INTERVALS } = require('./utils/Constants');
-
-    // Update metrics
-    this.pollingState.lastPerformanceMetrics = {
-      detectionTime,
-      windowCount: this.dofusWindows.length,
-      timestamp: Date.now()
-    };
-
-    // Detect high latency patterns
-    if (detectionTime > POLLING_INTERVALS.HIGH_LATENCY_THRESHOLD) {
-      this.pollingState.consecutiveHighLatency++;
-
-      // If consistently high latency, reduce polling frequency
-      if (this.pollingState.consecutiveHighLatency >= 3 &&
-        this.pollingState.interval < POLLING_INTERVALS.LOW) {
-        this.pollingState.interval = POLLING_INTERVALS.LOW;
-        this.setupPollingInterval();
-        console.log(`Reduced polling frequency due to high latency (${detectionTime}ms)`);
-      }
-    } else {
-      // Reset counter when latency is normal
-      this.pollingState.consecutiveHighLatency = 0;
+  sendFightState(state) {
+    if (this.dockWindow && !this.dockWindow.isDestroyed()) {
+      this.dockWindow.webContents.send(FIGHT_MODE.STATE_EVENT, state);
     }
   }
 
-  registerGlobalShortcuts() {
-    try {
-      // Unregister existing global shortcuts
-      this.unregisterGlobalShortcuts();
-
-      if (!this.shortcutsEnabled) {      // Only register toggle shortcut when shortcuts are disabled
-        let toggleShortcut;
-
-        // Try to get from shortcutConfig if the method exists
-        if (this.shortcutConfig && typeof this.shortcutConfig.getGlobalShortcut === 'function') {
-          toggleShortcut = this.shortcutConfig.getGlobalShortcut('toggleShortcuts');
-        }
-        // Fallback to store
-        else {
-          const shortcuts = this.store.get('shortcuts', {});
-          toggleShortcut = shortcuts.toggleShortcuts;
-        }
+  /**
+   * Arm leader key mode (or cancel it when armed) for the enabled windows
+   */
+  triggerLeaderKey() {
+    this.leaderKeyMode.trigger({
+      windows: this.dofusWindows.filter(w => w.enabled),
+      layout: this.shortcutManager.keyboardLayout
+    });
+  }
 
-        if (toggleShortcut) {
-          const accelerator = this.shortcutManager.convertShortcutToAccelerator(toggleShortcut);
-          if (accelerator) {
-            globalShortcut.register(accelerator, () => this.toggleShortcuts());
-            this.globalShortcuts.toggleShortcuts = accelerator;
-          }
-        }
+  /**
+   * Carry out what the key following the leader selected
+   * @param {Object} selection - { type: 'window', window } or { type: 'action', action }
+   */
+  async handleLeaderSelection(selection) {
+    try {
+      if (selection.type === 'window') {
+        await this.windowActivator.activateWindow(selection.window);
         return;
       }
 
-      // Register next window shortcut
-      const nextWindowShortcut = this.shortcutConfig.getGlobalShortcut('nextWindow');
-      if (nextWindowShortcut) {
-        const accelerator = this.shortcutManager.convertShortcutToAccelerator(nextWindowShortcut);
-        if (accelerator && !globalShortcut.isRegistered(accelerator)) {
-          globalShortcut.register(accelerator, () => this.activateNextWindow());
-          this.globalShortcuts.nextWindow = accelerator;
-        }
-      }
-
-      // Register toggle shortcuts shortcut
-      const toggleShortcutsShortcut = this.shortcutConfig.getGlobalShortcut('toggleShortcuts');
-      if (toggleShortcutsShortcut) {
-        const accelerator = this.shortcutManager.convertShortcutToAccelerator(toggleShortcutsShortcut);
-        if (accelerator && !globalShortcut.isRegistered(accelerator)) {
-          globalShortcut.register(accelerator, () => this.toggleShortcuts());
-          this.globalShortcuts.toggleShortcuts = accelerator;
-        }
+      switch (selection.action) {
+      case LEADER_KEY.ACTIONS.ORGANIZE:
+        await this.reapplyLastLayout();
+        break;
+      case LEADER_KEY.ACTIONS.REFRESH:
+        await this.refreshAndSort();
+        break;
+      case LEADER_KEY.ACTIONS.TOGGLE_DOCK:
+        this.setDockEnabled(!this.store.get('dock.enabled', false));
+        this.updateTrayMenu();
+        break;
+      default:
+        console.warn(`Dorganize: Unknown leader key action "${selection.action}"`);
       }
-
-      console.log('Dorganize: Global shortcuts registered');
     } catch (error) {
-      console.error('Dorganize: Error registering global shortcuts:', error);
+      console.error('Dorganize: Error handling leader key selection:', error);
     }
   }
 
-  unregisterGlobalShortcuts() {
-    try {
-      Object.values(this.globalShortcuts).forEach(accelerator => {
-        if (globalShortcut.isRegistered(accelerator)) {
-          globalShortcut.unregister(accelerator);
-        }
-      });
-      this.globalShortcuts = {};
-    } catch (error) {
-      console.error('Dorganize: Error unregistering global shortcuts:', error);
+  /**
+   * Organize windows with the layout used last, or the grid layout
+   * @returns {Promise<boolean>} Success status
+   */
+  async reapplyLastLayout() {
+    const lastLayout = this.store.get(LAYOUT.LAST_LAYOUT_KEY, null);
+    if (lastLayout?.restore) {
+      return this.restoreLayout(lastLayout.name);
     }
+    return this.organizeWindows(lastLayout?.name || LAYOUT.DEFAULT);
   }
 
-  activateNextWindow() {
-    const enabledWindows = this.dofusWindows.filter(w => w.enabled);
-    if (enabledWindows.length === 0) return;
-
-    const currentActiveIndex = enabledWindows.findIndex(w => w.isActive);
-    const nextIndex = (currentActiveIndex + 1) % enabledWindows.length;
-    const nextWindow = enabledWindows[nextIndex];
-
-    if (nextWindow) {
-      this.windowActivator.activateWindow(nextWindow.title);
+  /**
+   * Show or hide the dock and remember the choice
+   * @param {boolean} enabled - Whether the dock is shown
+   */
+  setDockEnabled(enabled) {
+    this.store.set('dock.enabled', enabled);
+    if (enabled) {
+      this.showDockWindow();
+    } else {
+      this.hideDockWindow();
     }
   }
 
@@ -667,10 +1814,18 @@ class Dorganize {
 
     ipcMain.handle('get-settings', () => {
       console.log('IPC: get-settings called');
+      const { WINDOW_VIEW } = require('./utils/Constants');
       return {
         shortcutsEnabled: this.shortcutsEnabled,
         dock: this.store.get('dock', { enabled: false }),
-        language: this.store.get('language', 'FR')
+        organize: this.store.get(LAYOUT.SETTINGS_KEY, { target: LAYOUT.DEFAULT_TARGET }),
+        language: this.store.get('language', 'FR'),
+        windowView: this.store.get('windowView', WINDOW_VIEW.DEFAULTS),
+        profileAutoSelect: { ...PROFILES.AUTO_SELECT_DEFAULTS, ...this.store.get(PROFILES.AUTO_SELECT_KEY, {}) },
+        fightTracker: this.getFightTrackerSettings(),
+        broadcast: this.getBroadcastSettings(),
+        clickSync: { ...CLICK_SYNC.DEFAULTS, ...this.store.get(CLICK_SYNC.SETTINGS_KEY, {}) },
+        keyboardLayout: this.shortcutManager.keyboardLayout
       };
     });
 
@@ -693,6 +1848,48 @@ class Dorganize {
         this.changeLanguage(settings.language);
       }
 
+      // Letter keys move with the layout: register every shortcut with the new keys
+      if (settings[KEYBOARD.LAYOUT_STORAGE_KEY] !== undefined) {
+        this.shortcutManager.setKeyboardLayout(settings[KEYBOARD.LAYOUT_STORAGE_KEY]);
+        this.reregisterAllShortcuts();
+
+        // The dock labels shortcuts for the layout when it loads
+        if (this.store.get('dock.enabled', false)) {
+          this.hideDockWindow();
+          this.showDockWindow();
+        }
+      }
+
+      // Keep the tray display target in sync
+      if (settings[LAYOUT.TARGET_KEY] !== undefined) {
+        this.updateTrayMenu();
+      }
+
+      // Tags and servers edited in the configuration window are used by the dock and group shortcuts
+      const detailKeys = [CHARACTER_TAGS.STORAGE_KEY, CHARACTER_SERVERS.STORAGE_KEY].map(key => `${key}.`);
+      if (Object.keys(settings).some(key => detailKeys.some(prefix => key.startsWith(prefix)))) {
+        this.reloadWindowDetails();
+      }
+
+      // New turn length and warning apply from the next turn
+      if (Object.keys(settings).some(key => key.startsWith(`${FIGHT_TRACKER.SETTINGS_KEY}.`))) {
+        this.fightTracker.configure(this.getFightTrackerSettings());
+      }
+
+      if (Object.keys(settings).some(key => key.startsWith(`${BROADCAST.SETTINGS_KEY}.`))) {
+        this.keyBroadcaster.configure(this.getBroadcastSettings());
+      }
+
+      if (Object.keys(settings).some(key => key.startsWith(`${CLICK_SYNC.SETTINGS_KEY}.`))) {
+        this.applyClickSyncSettings();
+      }
+
+      // Evaluate the detected characters again with the new auto-selection settings
+      if (Object.keys(settings).some(key => key.startsWith(`${PROFILES.AUTO_SELECT_KEY}.`))) {
+        this.autoSelectDetectedKey = null;
+        this.updateTrayMenu();
+      }
+
       // Handle global shortcut changes
       const globalShortcutChanges = Object.keys(settings).filter(key => key.startsWith('globalShortcuts.'));
       if (globalShortcutChanges.length > 0) {
@@ -748,10 +1945,9 @@ class Dorganize {
 
       try {
         const window = this.dofusWindows.find(w => w.id === windowId);
-        const title = window ? window.title : null;
 
-        // Send the title to the WindowActivator
-        const result = await this.windowActivator.activateWindow(title);
+        // Activate by native handle
+        const result = await this.windowActivator.activateWindow(window);
 
         // Enhanced activation with immediate feedback
         if (result) {
@@ -823,8 +2019,7 @@ class Dorganize {
       // Register the shortcut with appropriate priority
       return this.shortcutManager.setWindowShortcut(windowId, shortcut, async () => {
         console.log(`ShortcutManager: Executing shortcut for window ${windowId}`);
-        const windowTitle = window.title;
-        await this.windowActivator.activateWindow(windowTitle);
+        await this.windowActivator.activateWindow(window);
       }, priority);
     });
 
@@ -845,11 +2040,44 @@ class Dorganize {
       this.shortcutManager.removeWindowShortcut(windowId);
     });
 
-    ipcMain.handle('organize-windows', (event, layout) => {
+    ipcMain.handle('organize-windows', async (event, layout) => {
       console.log(`IPC: organize-windows called with layout: ${layout}`);
-      console.log('IPC: Window organization using placeholder activator');
-      this.windowActivator.bringWindowToFront('organization-request');
-      return true;
+      return this.organizeWindows(layout);
+    });
+
+    ipcMain.handle('capture-layout', async (event, name) => {
+      console.log(`IPC: capture-layout called for: ${name}`);
+      return this.captureLayout(name);
+    });
+
+    ipcMain.handle('restore-layout', async (event, name) => {
+      console.log(`IPC: restore-layout called for: ${name}`);
+      return this.restoreLayout(name);
+    });
+
+    ipcMain.handle('get-layouts', () => {
+      return {
+        ...this.windowManager.getLayouts(),
+        definitions: this.windowManager.getLayoutTemplates()
+      };
+    });
+
+    ipcMain.handle('save-layout-template', (event, name, slots) => {
+      console.log(`IPC: save-layout-template called for: ${name}`);
+      const success = this.windowManager.saveLayoutTemplate(name, slots);
+      if (success) {
+        this.updateTrayMenu();
+      }
+      return success;
+    });
+
+    ipcMain.handle('delete-layout-template', (event, name) => {
+      console.log(`IPC: delete-layout-template called for: ${name}`);
+      const success = this.windowManager.deleteLayoutTemplate(name);
+      if (success) {
+        this.updateTrayMenu();
+      }
+      return success;
     });
 
     ipcMain.on('show-config', () => {
@@ -884,6 +2112,79 @@ class Dorganize {
       return this.shortcutConfig.getAllGlobalShortcuts();
     });
 
+    // Auto key repeat and programs, run here so they keep going when the config window is closed
+    ipcMain.handle('auto-key-start', (event, options) => {
+      console.log('IPC: auto-key-start called');
+      return this.startAutoKey(options || {});
+    });
+
+    ipcMain.handle('auto-key-stop', (event, options = {}) => {
+      console.log('IPC: auto-key-stop called');
+      return options.emergency ? this.autoKeyScheduler.emergencyStop() : this.autoKeyScheduler.stop();
+    });
+
+    ipcMain.handle('auto-key-status', () => {
+      return { ...this.autoKeyScheduler.getStatus(), settings: this.getAutoKeyRepeatSettings() };
+    });
+
+    ipcMain.handle('get-auto-key-programs', () => {
+      const programs = {};
+      this.dofusWindows.forEach(window => {
+        const program = this.shortcutConfig.getAutoKeyProgram(window.character, window.dofusClass);
+        if (program) {
+          programs[window.id] = program;
+        }
+      });
+      return programs;
+    });
+
+    ipcMain.handle('save-auto-key-program', (event, windowId, program) => {
+      console.log(`IPC: save-auto-key-program called for ${windowId}`);
+      const window = this.dofusWindows.find(w => w.id === windowId);
+      if (!window) {
+        return { isValid: false, errors: ['window not found'] };
+      }
+      return this.shortcutConfig.setAutoKeyProgram(window.character, window.dofusClass, program);
+    });
+
+    ipcMain.handle('remove-auto-key-program', (event, windowId) => {
+      console.log(`IPC: remove-auto-key-program called for ${windowId}`);
+      const window = this.dofusWindows.find(w => w.id === windowId);
+      return window ? this.shortcutConfig.removeAutoKeyProgram(window.character, window.dofusClass) : false;
+    });
+
+    // Fight mode
+
+    ipcMain.handle('get-fight-state', () => {
+      return this.fightMode.getState();
+    });
+
+    ipcMain.handle('toggle-fight-mode', () => {
+      this.toggleFightMode();
+      return this.fightMode.getState();
+    });
+
+    ipcMain.handle('end-turn', () => {
+      this.endTurn();
+      return this.fightMode.getState();
+    });
+
+    ipcMain.handle('set-fight-dead', (event, windowId, dead) => {
+      return this.setFightDead(windowId, dead);
+    });
+
+    ipcMain.handle('get-fight-summary', () => {
+      return this.store.get(FIGHT_TRACKER.SUMMARY_KEY, null);
+    });
+
+    ipcMain.handle('get-window-groups', () => {
+      return Object.keys(this.getWindowGroups());
+    });
+
+    ipcMain.handle('set-tag-enabled', (event, tag, enabled) => {
+      return this.setTagEnabled(tag, enabled);
+    });
+
     ipcMain.handle('set-global-shortcut', (event, type, shortcut) => {
       console.log(`IPC: set-global-shortcut called for ${type}: ${shortcut}`);
 
@@ -914,6 +2215,42 @@ class Dorganize {
       this.updateTrayMenu();
     });
 
+    // Shortcut conflicts
+    ipcMain.handle('get-shortcut-conflicts', () => {
+      return this.analyzeShortcutConflicts();
+    });
+
+    ipcMain.handle('resolve-shortcut-conflict', (event, id, fix) => {
+      try {
+        return this.resolveShortcutConflict(id, fix);
+      } catch (error) {
+        console.error('Dorganize: Error resolving shortcut conflict:', error);
+        return null;
+      }
+    });
+
+    // Team profiles
+    ipcMain.handle('get-profiles', () => {
+      return {
+        active: this.profileManager.getActiveProfileName(),
+        profiles: this.profileManager.getProfiles()
+      };
+    });
+
+    ipcMain.handle('save-profile', (event, name) => {
+      return this.saveProfile(name) !== null;
+    });
+
+    ipcMain.handle('switch-profile', async (event, name) => {
+      return await this.switchProfile(name);
+    });
+
+    ipcMain.handle('delete-profile', (event, name) => {
+      const deleted = this.profileManager.deleteProfile(name);
+      this.updateTrayMenu();
+      return deleted;
+    });
+
     // Config file management
     ipcMain.handle('get-shortcut-config-stats', () => {
       return this.shortcutConfig.getStatistics();
@@ -936,14 +2273,21 @@ class Dorganize {
       };
     });
 
+    ipcMain.handle('preview-auto-key', (event, pattern, customPattern) => {
+      return this.shortcutConfig.previewAutoKeyConfiguration(this.dofusWindows, pattern, customPattern);
+    });
+
     ipcMain.handle('apply-auto-key-configuration', (event, configData) => {
       console.log('IPC: apply-auto-key-configuration called');
       console.log('IPC: Config data received:', configData);
 
       try {
         // Enable auto key with the provided settings
+        if (!this.shortcutConfig.setAutoKeyPattern(configData.pattern, configData.customPattern)) {
+          console.warn('IPC: Invalid auto key pattern:', configData.pattern, configData.customPattern);
+          return false;
+        }
         this.shortcutConfig.setAutoKeyEnabled(configData.enabled);
-        this.shortcutConfig.setAutoKeyPattern(configData.pattern, configData.customPattern);
 
         // Apply the configuration to windows
         if (configData.enabled && configData.windows) {
@@ -1035,9 +2379,36 @@ class Dorganize {
     });
 
     ipcMain.handle('get-screen-bounds', () => {
-      const displays = screen.getAllDisplays();
-      const primaryDisplay = displays[0];
-      return primaryDisplay.workAreaSize;
+      // Work area of the display currently holding the dock
+      if (this.dockWindow && !this.dockWindow.isDestroyed()) {
+        return this.displayManager.getDisplayForRect(this.dockWindow.getBounds()).workArea;
+      }
+      return this.displayManager.getPrimaryDisplay().workArea;
+    });
+
+    ipcMain.handle('get-displays', () => {
+      return this.displayManager.getDisplays();
+    });
+
+    ipcMain.handle('move-dock-to-display', (event, displayId) => {
+      if (!this.dockWindow || this.dockWindow.isDestroyed()) {
+        return false;
+      }
+
+      const display = this.displayManager.getDisplay(displayId);
+      if (!display) {
+        return false;
+      }
+
+      const bounds = this.dockWindow.getBounds();
+      const position = this.store.get('dock.position', 'SE');
+      const { x, y } = this.displayManager.computeDockPosition(position, bounds, display.workArea);
+
+      this.dockWindow.setPosition(x, y);
+      this.store.set('dock.x', x);
+      this.store.set('dock.y', y);
+      this.store.set('dock.displayId', display.id);
+      return true;
     });
 
     ipcMain.handle('set-dock-always-on-top', (event, flag) => {
@@ -1073,6 +2444,9 @@ class Dorganize {
     console.log(`Dorganize: Setting language to ${language}`);
     this.languageManager.setLanguage(language);
 
+    // Keyboard layout key codes are registered with
+    this.shortcutManager.setKeyboardLayout(this.store.get(KEYBOARD.LAYOUT_STORAGE_KEY, KEYBOARD.DEFAULT_LAYOUT));
+
     // Load shortcuts enabled state
     this.shortcutsEnabled = this.store.get('shortcutsEnabled', true);
     console.log(`Dorganize: Shortcuts enabled: ${this.shortcutsEnabled}`);
@@ -1147,7 +2521,7 @@ class Dorganize {
         // Use WindowActivator with priority system
         const success = this.shortcutManager.setWindowShortcut(window.id, existingShortcut, async () => {
           console.log(`ShortcutManager: Executing shortcut for window ${window.id}`);
-          await this.windowActivator.activateWindow(window.title);
+          await this.windowActivator.activateWindow(window);
         }, priority);
 
         if (success) {
@@ -1155,7 +2529,7 @@ class Dorganize {
           // Update window info with shortcut
           window.shortcut = existingShortcut;
         } else {
-          console.warn(`Dorganize: Failed to register shortcut ${existingShortcut} for window ${window.id} (may conflict with higher priority shortcut)`);
+          console.warn(`Dorganize: Failed to register shortcut ${existingShortcut} for window ${window.id}, see the shortcut conflicts panel`);
         }
       }
     });
@@ -1172,6 +2546,7 @@ class Dorganize {
     // Update UI with shortcut information
     if (this.mainWindow && !this.mainWindow.isDestroyed()) {
       this.mainWindow.webContents.send('windows-updated', this.dofusWindows);
+      this.mainWindow.webContents.send('shortcut-conflicts-updated', this.analyzeShortcutConflicts());
     }
 
     if (this.dockWindow && !this.dockWindow.isDestroyed()) {
@@ -1191,6 +2566,26 @@ class Dorganize {
       const windows = await this.windowManager.getDofusWindows();
       console.log(`Dorganize: WindowManager returned ${windows.length} windows`);
 
+      this.applyWindowList(windows);
+      await this.autoSelectProfile();
+    } catch (error) {
+      console.error('Dorganize: Error refreshing windows:', error);
+    }
+  }
+
+  /**
+   * Replace the window list and propagate changes to shortcuts, tray and UI
+   * @param {Array} windows - Processed windows from the window manager
+   */
+  applyWindowList(windows) {
+    try {
+      // Focus moved by the user also counts for "last focused window"
+      const activeWindow = windows.find(w => w.isActive);
+      const previousActiveWindow = this.dofusWindows.find(w => w.isActive);
+      if (activeWindow && activeWindow.handle !== previousActiveWindow?.handle) {
+        this.windowActivator.recordFocus(activeWindow.handle);
+      }
+
       // CORRECTION: S'assurer que toutes les fenêtres sont enabled par défaut
       windows.forEach(window => {
         if (window.enabled === undefined || window.enabled === null) {
@@ -1202,6 +2597,10 @@ class Dorganize {
       const hasChanged = JSON.stringify(windows.map(w => ({ id: w.id, title: w.title, isActive: w.isActive, dofusClass: w.dofusClass }))) !==
         JSON.stringify(this.dofusWindows.map(w => ({ id: w.id, title: w.title, isActive: w.isActive, dofusClass: w.dofusClass })));
 
+      // Focus or order changes alone do not require re-registering shortcuts
+      const structureKey = list => list.map(w => `${w.id}|${w.title}|${w.dofusClass}`).sort().join('\n');
+      const structureChanged = structureKey(windows) !== structureKey(this.dofusWindows);
+
       // FORCE UPDATE: Always update the array to ensure IPC gets fresh data
       const forceUpdate = this.dofusWindows.length === 0 && windows.length > 0;
 
@@ -1234,7 +2633,7 @@ class Dorganize {
         if (!this.shortcutsLoaded && this.dofusWindows.length > 0) {
           console.log('Dorganize: Windows detected, loading shortcuts...');
           this.loadAndRegisterShortcuts();
-        } else if (this.shortcutsLoaded && this.dofusWindows.length > 0) {
+        } else if (this.shortcutsLoaded && this.dofusWindows.length > 0 && structureChanged) {
           // If shortcuts were already loaded, reload them to handle window changes
           console.log('Dorganize: Windows changed, reloading shortcuts...');
           this.loadAndRegisterShortcuts();
@@ -1270,7 +2669,7 @@ class Dorganize {
         this.sortWindowsByInitiative();
       }
     } catch (error) {
-      console.error('Dorganize: Error refreshing windows:', error);
+      console.error('Dorganize: Error applying window list:', error);
     }
   }
 
@@ -1335,6 +2734,7 @@ class Dorganize {
   }
 
   deactivateShortcuts() {
+    this.leaderKeyMode.cancel('shortcuts disabled');
     this.shortcutsEnabled = false;
     this.store.set('shortcutsEnabled', false);
     console.log('Dorganize: Deactivating shortcuts');
@@ -1358,12 +2758,20 @@ class Dorganize {
       console.error('Dorganize: Error unregistering global shortcuts:', error);
     }
 
-    // Clean up WindowActivator
-    if (this.windowActivator && typeof this.windowActivator.cleanup === 'function') {
-      this.windowActivator.cleanup();
+    if (this.windowEventTimeout) {
+      clearTimeout(this.windowEventTimeout);
+      this.windowEventTimeout = null;
+    }
+
+    // Drop the pending turn warning, end a running broadcast, the auto key repeat and the mouse hook
+    this.fightTracker.stop();
+    this.keyBroadcaster.cleanup();
+    this.autoKeyScheduler.cleanup();
+    if (this.clickSource) {
+      this.clickSource.stop();
     }
 
-    // Clean up Windows-specific resources
+    // Clean up Windows-specific resources (including the activation, input and event helpers)
     if (this.windowManager && typeof this.windowManager.cleanup === 'function') {
       this.windowManager.cleanup();
     }
@@ -1381,4 +2789,6 @@ class Dorganize {
 // Initialize the application
 console.log('Starting Dorganize...');
 
-new Dorganize();
\ No newline at end of file
+new Dorganize();
+
+module.exports = Dorganize;
\ No newline at end of file
@@ -8,6 +8,7 @@ const WindowRenderer = require('./modules/WindowRenderer');
 const UIManager = require('./modules/UIManager');
 const SettingsManager = require('./modules/SettingsManager');
 const EventHandler = require('./modules/EventHandler');
+const ShortcutConflictPanel = require('./modules/ShortcutConflictPanel');
 
 class ConfigRenderer {
   constructor() {
@@ -114,6 +115,18 @@ class ConfigRenderer {
       windowCount: document.getElementById('window-count'),
       dockEnabled: document.getElementById('dock-enabled'),
       dockPosition: document.getElementById('dock-position'),
+      profileAutoSelect: document.getElementById('profile-auto-select'),
+      profileAutoSelectMin: document.getElementById('profile-auto-select-min'),
+      fightWarningEnabled: document.getElementById('fight-warning-enabled'),
+      fightTurnSeconds: document.getElementById('fight-turn-seconds'),
+      fightWarningSeconds: document.getElementById('fight-warning-seconds'),
+      viewVariant: document.getElementById('view-variant'),
+      viewServer: document.getElementById('view-server'),
+      viewTag: document.getElementById('view-tag'),
+      tagEnableBtn: document.getElementById('tag-enable-btn'),
+      tagDisableBtn: document.getElementById('tag-disable-btn'),
+      viewSort: document.getElementById('view-sort'),
+      viewGroup: document.getElementById('view-group'),
       shortcutsStatus: document.getElementById('shortcuts-status'),
       shortcutsStatusText: document.getElementById('shortcuts-status-text')
     };
@@ -145,6 +158,9 @@ class ConfigRenderer {
       this.eventHandler = new EventHandler(this);
       console.log('ConfigRenderer: EventHandler initialized');
 
+      this.shortcutConflictPanel = new ShortcutConflictPanel(this);
+      console.log('ConfigRenderer: ShortcutConflictPanel initialized');
+
       // Make managers globally accessible for onclick handlers
       window.autoKeyManager = this.autoKeyManager;
       window.shortcutManager = this.shortcutManager;
@@ -153,6 +169,7 @@ class ConfigRenderer {
       window.uiManager = this.uiManager;
       window.settingsManager = this.settingsManager;
       window.eventHandler = this.eventHandler;
+      window.shortcutConflictPanel = this.shortcutConflictPanel;
       window.configRenderer = this;
 
       console.log('ConfigRenderer: All managers initialized successfully');
@@ -218,6 +235,10 @@ class ConfigRenderer {
     }
   }
 
+  async organizeWindows(layout) {
+    return this.modalManager.organizeWindows(layout);
+  }
+
   // Settings update methods - delegated to SettingsManager
   async updateCharacterName(windowId, newName) {
     return this.settingsManager.updateCharacterName(windowId, newName);
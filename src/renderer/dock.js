@@ -1,4 +1,7 @@
 const { ipcRenderer } = require('electron');
+const WindowView = require('./modules/WindowView');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const { FIGHT_MODE, FIGHT_TRACKER, AUTO_KEY } = require('../utils/Constants');
 
 class DockRenderer {
   constructor() {
@@ -10,6 +13,8 @@ class DockRenderer {
     this.isDragging = false;
     this.dragOffset = { x: 0, y: 0 };
     this.elements = {};
+    this.fightState = { active: false, round: 0, currentKey: null, dead: [] };
+    this.autoKeyStatus = { running: false, windowIds: [], keyCount: 0 };
 
     // Add error tracking
     this.errorCount = 0;
@@ -215,6 +220,26 @@ class DockRenderer {
       }
     });
 
+    ipcRenderer.on(FIGHT_MODE.STATE_EVENT, (event, state) => {
+      this.fightState = state;
+      this.renderDock();
+    });
+
+    // The auto key repeat started, stopped or pressed its key
+    ipcRenderer.on(AUTO_KEY.SCHEDULER.STATUS_EVENT, (event, status) => {
+      const changed = status.running !== this.autoKeyStatus.running ||
+        status.windowIds.join() !== this.autoKeyStatus.windowIds.join();
+      this.autoKeyStatus = status;
+      if (changed) {
+        this.renderDock();
+      }
+    });
+
+    // The character's turn is about to run out
+    ipcRenderer.on(FIGHT_TRACKER.WARNING_EVENT, () => {
+      this.triggerActivityPulse();
+    });
+
     ipcRenderer.on('language-changed', (event, language) => {
       console.log('DockRenderer: Received language-changed event');
       this.language = language;
@@ -269,17 +294,21 @@ class DockRenderer {
     try {
       console.log('DockRenderer: Loading initial data...');
 
-      const [windows, language, settings, dofusClasses] = await Promise.all([
+      const [windows, language, settings, dofusClasses, fightState, autoKeyStatus] = await Promise.all([
         ipcRenderer.invoke('get-dofus-windows'),
         ipcRenderer.invoke('get-language'),
         ipcRenderer.invoke('get-settings'),
-        ipcRenderer.invoke('get-dofus-classes')
+        ipcRenderer.invoke('get-dofus-classes'),
+        ipcRenderer.invoke('get-fight-state'),
+        ipcRenderer.invoke('auto-key-status')
       ]);
 
       this.windows = windows;
       this.language = language;
       this.settings = settings;
       this.dofusClasses = dofusClasses;
+      this.fightState = fightState || this.fightState;
+      this.autoKeyStatus = autoKeyStatus || this.autoKeyStatus;
 
       console.log('DockRenderer: Data loaded successfully');
       console.log('DockRenderer: Windows:', this.windows.length);
@@ -356,34 +385,47 @@ class DockRenderer {
       return a.character.localeCompare(b.character);
     });
 
-    console.log('DockRenderer: Sorted windows for display:', sortedWindows);
+    // Game variant and tag filters, sorting and grouping chosen from the context menu
+    const view = new WindowView(this.settings?.dock?.view);
+    const { windows: visibleWindows, groups } = view.apply(sortedWindows);
+    const groupStarts = new Map(groups.filter(group => group.label).map(group => [group.windows[0].id, group.label]));
+
+    console.log('DockRenderer: Sorted windows for display:', visibleWindows);
+
+    visibleWindows.forEach((window, index) => {
+      if (groupStarts.has(window.id)) {
+        dockHTML += `<div class="dock-separator" title="${this.escapeHtml(groupStarts.get(window.id))}"></div>`;
+      }
 
-    sortedWindows.forEach((window, index) => {
       // Display only character name, not full title
       const displayName = window.customName || window.character;
       const className = this.dofusClasses[window.dofusClass]?.name || window.dofusClass || 'Unknown';
-      const shortcutText = window.shortcut || (this.language.shortcut_none || 'No shortcut');
+      const shortcutLabel = KeyboardLayouts.toDisplay(window.shortcut, this.settings?.keyboardLayout);
+      const shortcutText = shortcutLabel || (this.language.shortcut_none || 'No shortcut');
       const tooltip = `${displayName} (${className})\\n${this.language.dock_FENETRE_tooltip?.replace('{0}', shortcutText) || `Shortcut: ${shortcutText}`}`;
       const activeClass = window.isActive ? 'active' : '';
+      const fightClass = this.getFightClass(window);
+      const autoKeyClass = this.autoKeyStatus.running && this.autoKeyStatus.windowIds.includes(window.id) ? 'auto-key-target' : '';
 
       // Use .jpg extension for avatars - avatar is now determined by class
       const avatarSrc = `../../assets/avatars/${window.avatar || '1'}.jpg`;
       const fallbackSrc = '../../assets/avatars/1.jpg';
 
       dockHTML += `
-        <div class="dock-item window-item ${activeClass}" 
+        <div class="dock-item window-item ${activeClass} ${fightClass} ${autoKeyClass}" 
              onclick="window.dockRenderer.activateWindow('${window.id}')"
              onmouseenter="window.dockRenderer.showTooltip(this, '${this.escapeHtml(tooltip)}')"
              onmouseleave="window.dockRenderer.hideTooltip(this)"
              data-window-id="${window.id}"
              data-class="${window.dofusClass}"
+             data-variant="${window.gameVariant || ''}"
              data-index="${index + 1}">
             <img src="${avatarSrc}" 
                  alt="${this.escapeHtml(displayName)}"
                  onerror="this.src='${fallbackSrc}'"
                  title="${className}">
             <div class="tooltip">${this.escapeHtml(displayName)}<br>${this.escapeHtml(className)}<br>${this.escapeHtml(shortcutText)}</div>
-            ${window.shortcut ? `<div class="shortcut-label">${this.escapeHtml(window.shortcut)}</div>` : ''}
+            ${shortcutLabel ? `<div class="shortcut-label">${this.escapeHtml(shortcutLabel)}</div>` : ''}
             ${window.initiative > 0 ? `<div class="initiative-badge">${window.initiative}</div>` : ''}
             <div class="index-badge">${index + 1}</div>
             <div class="class-indicator" title="${className}"></div>
@@ -482,28 +524,32 @@ class DockRenderer {
         ipcRenderer.invoke('get-dock-bounds')
       ]);
 
+      // Work area of the display holding the dock (origin is not 0,0 on secondary displays)
+      const originX = screenBounds.x || 0;
+      const originY = screenBounds.y || 0;
+
       let x, y;
 
       switch (position) {
         case 'top-left':
-          x = 10;
-          y = 10;
+          x = originX + 10;
+          y = originY + 10;
           break;
         case 'top-right':
-          x = screenBounds.width - dockBounds.width - 10;
-          y = 10;
+          x = originX + screenBounds.width - dockBounds.width - 10;
+          y = originY + 10;
           break;
         case 'bottom-left':
-          x = 10;
-          y = screenBounds.height - dockBounds.height - 10;
+          x = originX + 10;
+          y = originY + screenBounds.height - dockBounds.height - 10;
           break;
         case 'bottom-right':
-          x = screenBounds.width - dockBounds.width - 10;
-          y = screenBounds.height - dockBounds.height - 10;
+          x = originX + screenBounds.width - dockBounds.width - 10;
+          y = originY + screenBounds.height - dockBounds.height - 10;
           break;
         case 'center':
-          x = (screenBounds.width - dockBounds.width) / 2;
-          y = (screenBounds.height - dockBounds.height) / 2;
+          x = originX + (screenBounds.width - dockBounds.width) / 2;
+          y = originY + (screenBounds.height - dockBounds.height) / 2;
           break;
         default:
           return;
@@ -515,6 +561,14 @@ class DockRenderer {
     }
   }
 
+  async moveToDisplay(displayId) {
+    try {
+      await ipcRenderer.invoke('move-dock-to-display', displayId);
+    } catch (error) {
+      console.error('DockRenderer: Error moving dock to display:', error);
+    }
+  }
+
   async updateDockSize() {
     const itemCount = this.elements.dockItems.children.length;
     const itemWidth = 60; // Including gaps
@@ -589,7 +643,7 @@ class DockRenderer {
   }
 
   // Ajouter menu contextuel pour les options de positionnement
-  showContextMenu(e) {
+  async showContextMenu(e) {
     e.preventDefault();
 
     const contextMenu = document.createElement('div');
@@ -620,6 +674,29 @@ class DockRenderer {
       { label: 'Config', action: () => this.showConfig() }
     ];
 
+    menuItems.splice(5, 0, { label: '---', action: null }, ...this.getViewMenuItems());
+    menuItems.splice(5, 0, { label: '---', action: null }, ...this.getFightMenuItems(e.target.closest?.('.window-item')));
+    if (this.autoKeyStatus.running) {
+      menuItems.splice(5, 0, { label: '---', action: null }, {
+        label: `Stop Auto Key (${this.autoKeyStatus.keyCount} sent)`,
+        action: () => ipcRenderer.invoke('auto-key-stop')
+      });
+    }
+
+    // Offer moving the dock to another display when several are connected
+    try {
+      const displays = await ipcRenderer.invoke('get-displays');
+      if (Array.isArray(displays) && displays.length > 1) {
+        const displayItems = displays.map((display, index) => ({
+          label: `Move to Display ${index + 1}`,
+          action: () => this.moveToDisplay(display.id)
+        }));
+        menuItems.splice(5, 0, { label: '---', action: null }, ...displayItems);
+      }
+    } catch (error) {
+      console.error('DockRenderer: Error loading displays:', error);
+    }
+
     menuItems.forEach(item => {
       if (item.label === '---') {
         const separator = document.createElement('div');
@@ -674,6 +751,94 @@ class DockRenderer {
     }, 100);
   }
 
+  /**
+   * Build the game variant filter, sort and grouping entries of the context menu
+   * @returns {Array} Menu items
+   */
+  getViewMenuItems() {
+    const view = new WindowView(this.settings?.dock?.view).getOptions();
+    const mark = (active, label) => `${active ? '✓ ' : ''}${label}`;
+    const { variants, servers, tags } = WindowView.getFilterChoices(this.windows);
+
+    const items = [];
+    if (variants.length > 1 || view.variant !== 'all') {
+      items.push({ label: mark(view.variant === 'all', 'All Games'), action: () => this.updateView({ variant: 'all' }) });
+      variants.forEach(variant => {
+        items.push({ label: mark(view.variant === variant.value, variant.label), action: () => this.updateView({ variant: variant.value }) });
+      });
+    }
+
+    if (tags.length > 0 || view.tag !== 'all') {
+      items.push({ label: mark(view.tag === 'all', 'All Tags'), action: () => this.updateView({ tag: 'all' }) });
+      tags.forEach(tag => {
+        items.push({ label: mark(view.tag === tag.value, `Tag: ${tag.label}`), action: () => this.updateView({ tag: tag.value }) });
+      });
+    }
+
+    items.push(
+      { label: mark(view.sortBy === 'initiative', 'Sort by Initiative'), action: () => this.updateView({ sortBy: 'initiative' }) },
+      { label: mark(view.sortBy === 'name', 'Sort by Name'), action: () => this.updateView({ sortBy: 'name' }) },
+      { label: mark(view.groupBy === 'variant', 'Group by Game'), action: () => this.updateView({ groupBy: view.groupBy === 'variant' ? 'none' : 'variant' }) }
+    );
+
+    // The server is only known when a title rule captures it
+    if (servers.length > 0 || view.groupBy === 'server') {
+      items.push({ label: mark(view.groupBy === 'server', 'Group by Server'), action: () => this.updateView({ groupBy: view.groupBy === 'server' ? 'none' : 'server' }) });
+    }
+
+    return items;
+  }
+
+  /**
+   * Fight mode items of the context menu; a right-clicked character can be marked dead
+   * @param {Element|null} item - Dock item right-clicked
+   * @returns {Array} Menu items
+   */
+  getFightMenuItems(item) {
+    const { active, dead } = this.fightState;
+    const items = [{ label: active ? 'End Fight' : 'Start Fight', action: () => ipcRenderer.invoke('toggle-fight-mode') }];
+    if (!active) return items;
+
+    items.push({ label: 'End Turn', action: () => ipcRenderer.invoke('end-turn') });
+
+    const window = item && this.windows.find(w => w.id === item.dataset.windowId);
+    if (window) {
+      const isDead = dead.includes(window.characterId || window.id);
+      const name = window.customName || window.character;
+      items.push({
+        label: isDead ? `Mark ${name} Alive` : `Mark ${name} Dead`,
+        action: () => ipcRenderer.invoke('set-fight-dead', window.id, !isDead)
+      });
+    }
+    return items;
+  }
+
+  /**
+   * Highlight whose turn it is and dim dead characters while a fight is on
+   * @param {Object} window - Window
+   * @returns {string} Extra class names
+   */
+  getFightClass(window) {
+    const { active, currentKey, dead } = this.fightState;
+    if (!active) return '';
+
+    const key = window.characterId || window.id;
+    return [key === currentKey ? 'fight-turn' : '', dead.includes(key) ? 'fight-dead' : ''].join(' ').trim();
+  }
+
+  async updateView(changes) {
+    const view = new WindowView(this.settings?.dock?.view).setOptions(changes);
+
+    this.settings = { ...this.settings, dock: { ...this.settings?.dock, view } };
+    this.renderDock();
+
+    try {
+      await ipcRenderer.invoke('save-settings', { 'dock.view': view });
+    } catch (error) {
+      console.error('DockRenderer: Error saving dock view:', error);
+    }
+  }
+
   async activateWindow(windowId) {
     try {
       const success = await ipcRenderer.invoke('activate-window', windowId);
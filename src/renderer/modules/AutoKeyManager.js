@@ -1,46 +1,56 @@
 const { getErrorHandler } = require('../../services/ErrorHandler');
 const UIManager = require('./UIManager');
 const ShortcutUtils = require('../../utils/ShortcutUtils');
+const AutoKeyPatterns = require('../../utils/AutoKeyPatterns');
+const AutoKeyPrograms = require('../../utils/AutoKeyPrograms');
+const KeyboardLayouts = require('../../utils/KeyboardLayouts');
 const { logger } = require('../../utils/Logger');
+const { AUTO_KEY } = require('../../utils/Constants');
 
 /**
  * AutoKeyManager - Handles auto-key functionality with standardized null checking
  * Now using shared ShortcutUtils for shortcut validation and formatting
+ * The key repeat itself runs in the main process (AutoKeyScheduler): this
+ * window starts and stops it over IPC and shows the status it pushes.
+ * Window programs (AutoKeyPrograms) are edited and previewed here and stored
+ * with the shortcut configuration.
  */
 class AutoKeyManager {
-  constructor() {
+  constructor(configRenderer = null) {
+    this.configRenderer = configRenderer;
     this.errorHandler = getErrorHandler();
     this.uiManager = new UIManager();
 
-    // State management
-    this.isEnabled = false;
+    // State management, mirrored from the main-process scheduler
     this.isActive = false;
     this.currentKey = null;
-    this.keyInterval = null;
     this.lastKeyTime = 0;
     this.keyCount = 0;
+    this.status = null;
+    this.statusListener = null;
+
+    // Window programs by window ID, and the program being edited: { windowId, name, steps, jitterMs, enabled }
+    this.programs = {};
+    this.editingProgram = null;
 
     // Configuration
     this.config = {
-      defaultInterval: 1000, // 1 second
-      minInterval: 100,      // 100ms minimum
-      maxInterval: 60000,    // 60 seconds maximum
-      maxKeysPerMinute: 600, // Safety limit
-      enableSafetyChecks: true,
+      defaultInterval: AUTO_KEY.DEFAULT_INTERVAL_MS,
+      minInterval: AUTO_KEY.MIN_INTERVAL_MS,
+      maxInterval: AUTO_KEY.MAX_INTERVAL_MS,
       strictNullChecking: true
     };
 
     // Element selectors with validation
     this.selectors = {
-      autoKeyEnabled: '#auto-key-enabled',
-      autoKeySettings: '.auto-key-settings',
-      keySelector: '#key-selector',
-      intervalInput: '#interval-input',
-      startButton: '#start-auto-key',
-      stopButton: '#stop-auto-key',
-      statusDisplay: '.auto-key-status',
-      keyCountDisplay: '.key-count',
-      safetyIndicator: '.safety-indicator'
+      keySelector: '#auto-key-repeat-key',
+      intervalInput: '#auto-key-repeat-interval',
+      windowSelector: '#auto-key-repeat-window',
+      startButton: '#auto-key-repeat-start',
+      stopButton: '#auto-key-repeat-stop',
+      statusDisplay: '.auto-key-repeat-status',
+      keyCountDisplay: '.auto-key-repeat-count',
+      safetyIndicator: '.auto-key-repeat-safety'
     };
 
     // Cached elements with null tracking
@@ -57,15 +67,11 @@ class AutoKeyManager {
       lastActivity: 0
     };
 
-    // Safety monitoring
-    this.safetyMonitor = {
-      keyPressHistory: [],
-      windowFocusLost: false,
-      emergencyStop: false
-    };
-
     this.isInitialized = false;
     this.initializationPromise = null;
+
+    // Auto key configuration modal: pattern being previewed
+    this.modalSettings = { enabled: false, pattern: 'numbers', customPattern: 'Ctrl+Alt+{n}' };
   }
 
   /**
@@ -109,6 +115,9 @@ class AutoKeyManager {
       // Setup safety monitoring
       this.setupSafetyMonitoring();
 
+      // Show the repeat already running in the main process
+      await this.refreshStatus();
+
       this.isInitialized = true;
       console.log('AutoKeyManager: Initialization completed successfully');
       return true;
@@ -129,7 +138,7 @@ class AutoKeyManager {
     for (const [key, selector] of Object.entries(this.selectors)) {
       try {
         const element = await this.getElementSafely(key, selector, {
-          required: key === 'autoKeyEnabled', // Only checkbox is required
+          required: key === 'keySelector', // Only the key selector is required
           timeout: 2000,
           cache: true
         });
@@ -141,7 +150,7 @@ class AutoKeyManager {
         } else {
           this.elementStates.set(key, { isNull: true, lastSeen: Date.now() });
 
-          if (key === 'autoKeyEnabled') {
+          if (key === 'keySelector') {
             throw new Error(`Required element not found: ${selector}`);
           } else {
             console.warn(`AutoKeyManager: Optional element not found: ${key} (${selector})`);
@@ -152,7 +161,7 @@ class AutoKeyManager {
         this.errorHandler.error(error, `AutoKeyManager.cacheElements [${key}]`);
         this.elementStates.set(key, { isNull: true, lastSeen: Date.now(), error: error.message });
 
-        if (key === 'autoKeyEnabled') {
+        if (key === 'keySelector') {
           throw error;
         }
       }
@@ -318,101 +327,6 @@ class AutoKeyManager {
     }
   }
 
-  /**
-   * Check if auto-key is enabled with comprehensive null checking
-   */
-  isAutoKeyEnabled() {
-    try {
-      const checkbox = this.getElement('autoKeyEnabled', { warnOnNull: false });
-
-      if (!checkbox) {
-        // Fallback: check if we have stored state
-        const storedState = this.getStoredEnabledState();
-        if (storedState !== null) {
-          console.log('AutoKeyManager: Using stored enabled state due to null checkbox');
-          return storedState;
-        }
-
-        // Final fallback
-        console.warn('AutoKeyManager: Auto-key checkbox is null, defaulting to false');
-        return false;
-      }
-
-      // Validate checkbox properties
-      if (typeof checkbox.checked !== 'boolean') {
-        console.warn('AutoKeyManager: Checkbox element lacks checked property');
-        return false;
-      }
-
-      return checkbox.checked;
-
-    } catch (error) {
-      this.errorHandler.error(error, 'AutoKeyManager.isAutoKeyEnabled');
-      return false;
-    }
-  }
-
-  /**
-   * Set auto-key enabled state with null checking
-   */
-  setAutoKeyEnabled(enabled) {
-    try {
-      const checkbox = this.getElement('autoKeyEnabled', { warnOnNull: true });
-
-      if (!checkbox) {
-        // Store state for later use
-        this.storeEnabledState(enabled);
-        console.warn('AutoKeyManager: Checkbox null, stored state for later application');
-        return false;
-      }
-
-      // Validate checkbox before setting
-      if (typeof checkbox.checked !== 'boolean') {
-        console.error('AutoKeyManager: Checkbox element is invalid');
-        return false;
-      }
-
-      checkbox.checked = Boolean(enabled);
-      this.isEnabled = Boolean(enabled);
-
-      // Store state
-      this.storeEnabledState(enabled);
-
-      // Update UI
-      this.updateUIState();
-
-      console.log(`AutoKeyManager: Auto-key enabled state set to: ${enabled}`);
-      return true;
-
-    } catch (error) {
-      this.errorHandler.error(error, 'AutoKeyManager.setAutoKeyEnabled');
-      return false;
-    }
-  }
-
-  /**
-   * Get stored enabled state from localStorage
-   */
-  getStoredEnabledState() {
-    try {
-      const stored = localStorage.getItem('autoKeyEnabled');
-      return stored !== null ? JSON.parse(stored) : null;
-    } catch (error) {
-      return null;
-    }
-  }
-
-  /**
-   * Store enabled state to localStorage
-   */
-  storeEnabledState(enabled) {
-    try {
-      localStorage.setItem('autoKeyEnabled', JSON.stringify(Boolean(enabled)));
-    } catch (error) {
-      console.warn('AutoKeyManager: Failed to store enabled state:', error.message);
-    }
-  }
-
   /**
    * Get selected key with null checking
    */
@@ -637,6 +551,41 @@ class AutoKeyManager {
     }
   }
 
+  /**
+   * Get the window the key is pressed in
+   * @returns {string} Window ID, empty for the focused game window
+   */
+  getSelectedWindowId() {
+    const selector = this.getElement('windowSelector', { warnOnNull: false });
+    return selector ? selector.value : '';
+  }
+
+  /**
+   * Fill the window selector with the enabled windows
+   * @param {string} windowId - Window to select
+   */
+  renderWindowOptions(windowId = this.getSelectedWindowId()) {
+    const selector = this.getElement('windowSelector', { warnOnNull: false });
+    if (!selector) {
+      return;
+    }
+
+    const focused = document.createElement('option');
+    focused.value = '';
+    focused.textContent = 'Focused game window';
+
+    const windows = this.configRenderer ? this.configRenderer.getWindows() : [];
+    const options = windows.filter(window => window.enabled).map(window => {
+      const option = document.createElement('option');
+      option.value = window.id;
+      option.textContent = window.customName || window.character;
+      return option;
+    });
+
+    selector.replaceChildren(focused, ...options);
+    selector.value = options.some(option => option.value === windowId) ? windowId : '';
+  }
+
   /**
    * Start auto-key with comprehensive validation
    */
@@ -649,36 +598,26 @@ class AutoKeyManager {
         return false;
       }
 
-      // Stop existing interval if running
-      this.stopAutoKey();
-
-      // Get current settings
-      this.currentKey = this.getSelectedKey();
-      const interval = this.getInterval();
+      // The main process owns the timer and checks the settings again
+      const { ipcRenderer } = require('electron');
+      const result = await ipcRenderer.invoke('auto-key-start', {
+        mode: AUTO_KEY.SCHEDULER.MODES.REPEAT,
+        key: this.getSelectedKey(),
+        intervalMs: this.getInterval(),
+        windowId: this.getSelectedWindowId()
+      });
+      this.applyStatus(result.status);
 
-      // Validate settings
-      if (!this.currentKey || !interval) {
-        throw new Error('Invalid auto-key settings');
+      if (!result.success) {
+        this.configRenderer?.uiManager.showErrorMessage(`Auto Key not started: ${result.error}`);
+        return false;
       }
 
-      // Start interval
-      this.keyInterval = setInterval(() => {
-        this.executeKeyPress();
-      }, interval);
-
-      this.isActive = true;
-      this.stats.lastActivity = Date.now();
-
-      // Update UI
-      this.updateUIState();
-      this.updateStartStopButtons();
-
-      console.log(`AutoKeyManager: Auto-key started - Key: ${this.currentKey}, Interval: ${interval}ms`);
+      console.log(`AutoKeyManager: Auto-key started - Key: ${this.currentKey}, Interval: ${result.status.intervalMs}ms`);
       return true;
 
     } catch (error) {
       this.errorHandler.error(error, 'AutoKeyManager.startAutoKey');
-      this.stopAutoKey(); // Ensure clean state
       return false;
     }
   }
@@ -688,12 +627,6 @@ class AutoKeyManager {
    */
   validateAutoKeyStart() {
     try {
-      // Check if enabled
-      if (!this.isAutoKeyEnabled()) {
-        console.warn('AutoKeyManager: Cannot start - auto-key is disabled');
-        return false;
-      }
-
       // Check if already active
       if (this.isActive) {
         console.warn('AutoKeyManager: Auto-key is already active');
@@ -701,13 +634,13 @@ class AutoKeyManager {
       }
 
       // Check safety conditions
-      if (this.safetyMonitor.emergencyStop) {
+      if (this.status && this.status.safety.emergencyStop) {
         console.warn('AutoKeyManager: Cannot start - emergency stop is active');
         return false;
       }
 
       // Check rate limiting
-      if (!this.checkRateLimit()) {
+      if (this.isRateLimited()) {
         console.warn('AutoKeyManager: Cannot start - rate limit exceeded');
         return false;
       }
@@ -721,24 +654,14 @@ class AutoKeyManager {
   }
 
   /**
-   * Stop auto-key with cleanup
+   * Stop auto-key
    */
-  stopAutoKey() {
+  async stopAutoKey() {
     try {
       console.log('AutoKeyManager: Stopping auto-key...');
 
-      // Clear interval
-      if (this.keyInterval) {
-        clearInterval(this.keyInterval);
-        this.keyInterval = null;
-      }
-
-      this.isActive = false;
-      this.currentKey = null;
-
-      // Update UI
-      this.updateUIState();
-      this.updateStartStopButtons();
+      const { ipcRenderer } = require('electron');
+      this.applyStatus(await ipcRenderer.invoke('auto-key-stop'));
 
       console.log('AutoKeyManager: Auto-key stopped');
       return true;
@@ -750,97 +673,59 @@ class AutoKeyManager {
   }
 
   /**
-   * Execute key press with safety checks
+   * Load the scheduler status and the settings of the last repeat
    */
-  executeKeyPress() {
+  async refreshStatus() {
     try {
-      // Safety checks
-      if (!this.performSafetyChecks()) {
-        this.stopAutoKey();
-        return;
-      }
-
-      // Simulate key press (placeholder - implement actual key sending)
-      console.log(`AutoKeyManager: Simulating key press: ${this.currentKey}`);
-
-      // Update statistics
-      this.keyCount++;
-      this.lastKeyTime = Date.now();
-      this.stats.successfulKeyPresses++;
-      this.stats.lastActivity = Date.now();
-
-      // Add to history for rate limiting
-      this.safetyMonitor.keyPressHistory.push(Date.now());
-
-      // Cleanup old history entries (keep only last minute)
-      const oneMinuteAgo = Date.now() - 60000;
-      this.safetyMonitor.keyPressHistory = this.safetyMonitor.keyPressHistory.filter(
-        time => time > oneMinuteAgo
-      );
+      const { ipcRenderer } = require('electron');
+      const status = await ipcRenderer.invoke('auto-key-status');
 
-      // Update display
-      this.updateKeyCountDisplay();
+      if (status.settings) {
+        if (status.settings.key) {
+          this.setSelectedKey(status.settings.key);
+        }
+        this.setInterval(status.settings.intervalMs);
+        this.renderWindowOptions(status.settings.windowId);
+      }
+      this.applyStatus(status);
 
     } catch (error) {
-      this.stats.failedKeyPresses++;
-      this.errorHandler.error(error, 'AutoKeyManager.executeKeyPress');
+      this.errorHandler.error(error, 'AutoKeyManager.refreshStatus');
     }
   }
 
   /**
-   * Perform safety checks before key press
+   * Mirror the status pushed by the main-process scheduler
+   * @param {Object} status - { running, key, intervalMs, windowName, keyCount, failedCount, stoppedReason, safety }
    */
-  performSafetyChecks() {
-    try {
-      if (!this.config.enableSafetyChecks) {
-        return true;
-      }
-
-      // Check if window has focus
-      if (document.hidden || !document.hasFocus()) {
-        console.warn('AutoKeyManager: Stopping - window lost focus');
-        this.safetyMonitor.windowFocusLost = true;
-        this.stats.safetyStops++;
-        return false;
-      }
-
-      // Check rate limiting
-      if (!this.checkRateLimit()) {
-        console.warn('AutoKeyManager: Stopping - rate limit exceeded');
-        this.stats.safetyStops++;
-        return false;
-      }
+  applyStatus(status) {
+    if (!status) {
+      return;
+    }
 
-      // Check if still enabled
-      if (!this.isAutoKeyEnabled()) {
-        console.warn('AutoKeyManager: Stopping - auto-key was disabled');
-        return false;
-      }
+    this.status = status;
+    this.isActive = status.running;
+    this.currentKey = status.running ? status.key : null;
+    this.keyCount = status.keyCount;
+    this.lastKeyTime = status.lastKeyTime;
 
-      return true;
+    this.stats.successfulKeyPresses = status.keyCount;
+    this.stats.failedKeyPresses = status.failedCount;
+    this.stats.safetyStops = status.safety.stats.safetyStops;
+    this.stats.lastActivity = status.lastKeyTime || status.startedAt;
 
-    } catch (error) {
-      this.errorHandler.error(error, 'AutoKeyManager.performSafetyChecks');
-      return false;
-    }
+    this.updateUIState();
+    this.updateKeyCountDisplay();
+    this.updateStartStopButtons();
   }
 
   /**
-   * Check rate limiting
+   * Check whether the shared rate limit is reached
+   * @returns {boolean} True when no key may be sent for now
    */
-  checkRateLimit() {
-    try {
-      const oneMinuteAgo = Date.now() - 60000;
-      const recentKeyPresses = this.safetyMonitor.keyPressHistory.filter(
-        time => time > oneMinuteAgo
-      ).length;
-
-      return recentKeyPresses < this.config.maxKeysPerMinute;
-
-    } catch (error) {
-      this.errorHandler.error(error, 'AutoKeyManager.checkRateLimit');
-      return false;
-    }
+  isRateLimited() {
+    const safety = this.status && this.status.safety;
+    return Boolean(safety) && safety.recentKeyPresses >= safety.maxKeysPerMinute;
   }
 
   /**
@@ -848,14 +733,6 @@ class AutoKeyManager {
    */
   updateUIState() {
     try {
-      const enabled = this.isAutoKeyEnabled();
-
-      // Update settings panel visibility
-      const settingsPanel = this.getElement('autoKeySettings', { warnOnNull: false });
-      if (settingsPanel) {
-        this.uiManager.setStyle(settingsPanel, 'display', enabled ? 'block' : 'none');
-      }
-
       // Update status display
       this.updateStatusDisplay();
 
@@ -878,14 +755,15 @@ class AutoKeyManager {
         return;
       }
 
-      let status = 'Disabled';
+      let status = 'Stopped';
 
-      if (this.isAutoKeyEnabled()) {
-        if (this.isActive) {
-          status = `Active - ${this.currentKey || 'Unknown'} (${this.getInterval()}ms)`;
-        } else {
-          status = 'Enabled - Stopped';
-        }
+      if (this.isActive && this.status.mode === AUTO_KEY.SCHEDULER.MODES.PROGRAMS) {
+        status = `Active - programs in ${this.status.windowIds.length} windows`;
+      } else if (this.isActive) {
+        const key = this.configRenderer?.shortcutManager.formatShortcut(this.currentKey) || this.currentKey;
+        status = `Active - ${key} every ${this.status.intervalMs}ms in ${this.status.windowName}`;
+      } else if (this.status && this.status.stoppedReason && this.status.stoppedReason !== 'stopped') {
+        status = `Stopped (${this.status.stoppedReason})`;
       }
 
       this.uiManager.setContent(statusDisplay, status, { method: 'textContent' });
@@ -927,13 +805,13 @@ class AutoKeyManager {
       let safetyClass = 'safety-ok';
       let safetyText = 'OK';
 
-      if (this.safetyMonitor.emergencyStop) {
+      if (this.status && this.status.safety.emergencyStop) {
         safetyClass = 'safety-emergency';
         safetyText = 'EMERGENCY STOP';
-      } else if (this.safetyMonitor.windowFocusLost) {
+      } else if (this.status && !this.status.running && this.status.stoppedReason === 'window-lost') {
         safetyClass = 'safety-warning';
-        safetyText = 'FOCUS LOST';
-      } else if (!this.checkRateLimit()) {
+        safetyText = 'WINDOW LOST';
+      } else if (this.isRateLimited()) {
         safetyClass = 'safety-warning';
         safetyText = 'RATE LIMITED';
       }
@@ -961,14 +839,18 @@ class AutoKeyManager {
       const stopButton = this.getElement('stopButton', { warnOnNull: false });
 
       if (startButton) {
-        const disabled = !this.isAutoKeyEnabled() || this.isActive;
-        startButton.disabled = disabled;
+        startButton.disabled = this.isActive;
       }
 
       if (stopButton) {
         stopButton.disabled = !this.isActive;
       }
 
+      const programsButton = document.getElementById('auto-key-programs-start');
+      if (programsButton) {
+        programsButton.disabled = this.isActive;
+      }
+
     } catch (error) {
       this.errorHandler.error(error, 'AutoKeyManager.updateStartStopButtons');
     }
@@ -979,14 +861,6 @@ class AutoKeyManager {
    */
   setupEventListeners() {
     try {
-      // Auto-key enabled checkbox
-      const checkbox = this.getElement('autoKeyEnabled', { warnOnNull: false });
-      if (checkbox) {
-        checkbox.addEventListener('change', (event) => {
-          this.handleEnabledChange(event);
-        });
-      }
-
       // Key selector
       const keySelector = this.getElement('keySelector', { warnOnNull: false });
       if (keySelector) {
@@ -1019,46 +893,16 @@ class AutoKeyManager {
         });
       }
 
-      // Window focus events for safety
-      window.addEventListener('blur', () => {
-        this.safetyMonitor.windowFocusLost = true;
-        if (this.isActive && this.config.enableSafetyChecks) {
-          console.log('AutoKeyManager: Window lost focus, stopping auto-key');
-          this.stopAutoKey();
-        }
-      });
-
-      window.addEventListener('focus', () => {
-        this.safetyMonitor.windowFocusLost = false;
-        this.updateSafetyIndicator();
-      });
+      // Status pushed by the main-process scheduler on every start, stop and key press
+      const { ipcRenderer } = require('electron');
+      this.statusListener = (event, status) => this.applyStatus(status);
+      ipcRenderer.on(AUTO_KEY.SCHEDULER.STATUS_EVENT, this.statusListener);
 
     } catch (error) {
       this.errorHandler.error(error, 'AutoKeyManager.setupEventListeners');
     }
   }
 
-  /**
-   * Handle enabled state change
-   */
-  handleEnabledChange(event) {
-    try {
-      const enabled = event.target.checked;
-      this.isEnabled = enabled;
-      this.storeEnabledState(enabled);
-
-      if (!enabled && this.isActive) {
-        this.stopAutoKey();
-      }
-
-      this.updateUIState();
-      console.log(`AutoKeyManager: Enabled state changed to: ${enabled}`);
-
-    } catch (error) {
-      this.errorHandler.error(error, 'AutoKeyManager.handleEnabledChange');
-    }
-  }
-
   /**
    * Handle key selection change
    */
@@ -1092,24 +936,15 @@ class AutoKeyManager {
    */
   setupSafetyMonitoring() {
     try {
-      // Emergency stop hotkey (Ctrl+Shift+X)
+      // Emergency stop hotkey (Ctrl+Shift+X); the main process registers it globally
+      // while the repeat runs and lifts the emergency stop after a while
       document.addEventListener('keydown', (event) => {
         if (event.ctrlKey && event.shiftKey && event.key === 'X') {
           console.log('AutoKeyManager: Emergency stop activated');
-          this.safetyMonitor.emergencyStop = true;
-          this.stopAutoKey();
-          this.updateSafetyIndicator();
+          this.emergencyStop();
         }
       });
 
-      // Reset emergency stop after 10 seconds
-      setInterval(() => {
-        if (this.safetyMonitor.emergencyStop) {
-          this.safetyMonitor.emergencyStop = false;
-          this.updateSafetyIndicator();
-        }
-      }, 10000);
-
     } catch (error) {
       this.errorHandler.error(error, 'AutoKeyManager.setupSafetyMonitoring');
     }
@@ -1136,7 +971,6 @@ class AutoKeyManager {
       elementCacheSize: this.elements.size,
       nullElementsCount: Array.from(this.elementStates.values()).filter(s => s.isNull).length,
       isInitialized: this.isInitialized,
-      isEnabled: this.isEnabled,
       isActive: this.isActive,
       keyCount: this.keyCount,
       successRate: this.stats.totalElementAccesses > 0 ?
@@ -1144,16 +978,637 @@ class AutoKeyManager {
     };
   }
 
+  /**
+   * Open the auto key configuration modal with the stored settings
+   */
+  async showModal() {
+    try {
+      const modal = document.getElementById('auto-key-config-modal');
+      if (!modal) {
+        console.warn('AutoKeyManager: Auto key configuration modal not found');
+        return;
+      }
+
+      const { ipcRenderer } = require('electron');
+      this.modalSettings = { ...this.modalSettings, ...(await ipcRenderer.invoke('get-auto-key-settings')) };
+
+      // Key repeat controls; refreshes the windows and the status on later openings
+      if (!this.isInitialized) {
+        await this.initialize();
+      } else {
+        await this.refreshStatus();
+      }
+
+      const checkbox = document.getElementById('auto-key-enabled');
+      if (checkbox) {
+        checkbox.checked = this.modalSettings.enabled;
+        checkbox.onchange = () => this.updateModalState();
+      }
+
+      const customInput = document.getElementById('custom-pattern-input');
+      if (customInput) {
+        customInput.value = this.modalSettings.customPattern;
+        customInput.oninput = () => {
+          if (this.modalSettings.pattern === 'custom') {
+            this.updatePreview();
+          }
+        };
+      }
+
+      this.setupProgramEditor();
+      this.updateModalState();
+      modal.style.display = 'flex';
+      await this.loadPrograms();
+      await this.updatePreview();
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.showModal');
+    }
+  }
+
+  closeModal() {
+    const modal = document.getElementById('auto-key-config-modal');
+    if (modal) {
+      modal.style.display = 'none';
+    }
+  }
+
+  /**
+   * Select a pattern preset and refresh the preview
+   * @param {string} preset - numbers, function, numpad, azertyui or custom
+   */
+  selectPreset(preset) {
+    this.modalSettings.pattern = preset;
+    this.updateModalState();
+    this.updatePreview();
+  }
+
+  /**
+   * Show the pattern settings when auto key is enabled and highlight the selected preset
+   */
+  updateModalState() {
+    const checkbox = document.getElementById('auto-key-enabled');
+    const enabled = checkbox ? checkbox.checked : this.modalSettings.enabled;
+
+    const settings = document.getElementById('auto-key-settings');
+    if (settings) {
+      settings.style.display = enabled ? 'block' : 'none';
+    }
+
+    const disableButton = document.getElementById('auto-key-disable');
+    if (disableButton) {
+      disableButton.style.display = this.modalSettings.enabled ? 'inline-block' : 'none';
+    }
+
+    document.querySelectorAll('#auto-key-config-modal .preset-btn').forEach(button => {
+      button.classList.toggle('active', button.dataset.preset === this.modalSettings.pattern);
+    });
+  }
+
+  /**
+   * Custom template to send with the selected pattern
+   * @returns {string|undefined} Template, only for the custom pattern
+   */
+  getModalCustomPattern() {
+    if (this.modalSettings.pattern !== 'custom') {
+      return undefined;
+    }
+
+    const customInput = document.getElementById('custom-pattern-input');
+    return customInput ? customInput.value.trim() : this.modalSettings.customPattern;
+  }
+
+  /**
+   * Render the shortcuts the selected pattern gives, in initiative order, into #auto-key-preview-list
+   */
+  async updatePreview() {
+    const list = document.getElementById('auto-key-preview-list');
+    const modal = document.getElementById('auto-key-config-modal');
+    if (!list || !modal || modal.style.display === 'none') {
+      return;
+    }
+
+    // Window programs follow the same windows
+    this.renderPrograms();
+
+    try {
+      const customPattern = this.getModalCustomPattern();
+      if (customPattern !== undefined) {
+        const validation = AutoKeyPatterns.validateTemplate(customPattern);
+        if (!validation.isValid) {
+          list.replaceChildren(this.createPreviewNotice(`Invalid pattern: ${validation.errors.join(', ')}`));
+          return;
+        }
+      }
+
+      const { ipcRenderer } = require('electron');
+      const preview = await ipcRenderer.invoke('preview-auto-key', this.modalSettings.pattern, customPattern);
+
+      const items = preview.assignments.map((assignment, index) => this.createPreviewItem(assignment, index + 1));
+      if (items.length === 0) {
+        items.push(this.createPreviewNotice('No enabled windows'));
+      }
+      if (preview.overflowCount > 0) {
+        items.push(this.createPreviewNotice(`${preview.overflowCount} window(s) get no shortcut: the pattern has no key left`));
+      }
+      if (preview.collisions.length > 0) {
+        items.push(this.createPreviewNotice(`Skipped, already in use: ${preview.collisions.join(', ')}`));
+      }
+
+      list.replaceChildren(...items);
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.updatePreview');
+    }
+  }
+
+  /**
+   * Create a preview row
+   * @param {Object} assignment - Assignment from the preview
+   * @param {number} order - Position in initiative order
+   * @returns {HTMLElement} Row element
+   */
+  createPreviewItem(assignment, order) {
+    const item = document.createElement('div');
+    item.className = 'preview-item';
+
+    const orderElement = document.createElement('span');
+    orderElement.className = 'preview-order';
+    orderElement.textContent = order;
+
+    const character = document.createElement('span');
+    character.className = 'preview-character';
+    character.textContent = assignment.displayName;
+
+    const initiative = document.createElement('span');
+    initiative.className = 'preview-initiative';
+    initiative.textContent = `Init: ${assignment.initiative}`;
+
+    const shortcut = document.createElement('span');
+    shortcut.className = 'preview-shortcut';
+    if (assignment.overflow) {
+      shortcut.classList.add('overflow');
+      shortcut.textContent = 'No key left';
+    } else {
+      shortcut.textContent = this.configRenderer?.shortcutManager.formatShortcut(assignment.shortcut) || assignment.shortcut;
+    }
+    if (assignment.manual) {
+      shortcut.classList.add('manual');
+      shortcut.title = 'Set by hand, kept by Auto Key';
+    }
+
+    item.append(orderElement, character, initiative, shortcut);
+    return item;
+  }
+
+  createPreviewNotice(text) {
+    const notice = document.createElement('div');
+    notice.className = 'preview-notice';
+    notice.textContent = text;
+    return notice;
+  }
+
+  /**
+   * Wire the window program editor of the modal
+   */
+  setupProgramEditor() {
+    const handlers = {
+      'auto-key-program-add-step': () => this.addProgramStep(),
+      'auto-key-program-save': () => this.saveProgram(),
+      'auto-key-program-remove': () => this.removeProgram(),
+      'auto-key-program-cancel': () => this.closeProgramEditor(),
+      'auto-key-programs-start': () => this.startPrograms()
+    };
+    Object.entries(handlers).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.onclick = handler;
+      }
+    });
+
+    const jitterInput = document.getElementById('auto-key-program-jitter');
+    if (jitterInput) {
+      jitterInput.oninput = () => {
+        if (this.editingProgram) {
+          this.editingProgram.jitterMs = jitterInput.value;
+          this.renderProgramPreview();
+        }
+      };
+    }
+
+    const enabledInput = document.getElementById('auto-key-program-enabled');
+    if (enabledInput) {
+      enabledInput.onchange = () => {
+        if (this.editingProgram) {
+          this.editingProgram.enabled = enabledInput.checked;
+          this.renderProgramPreview();
+        }
+      };
+    }
+  }
+
+  /**
+   * Load the stored window programs and render them
+   */
+  async loadPrograms() {
+    try {
+      const { ipcRenderer } = require('electron');
+      this.programs = await ipcRenderer.invoke('get-auto-key-programs') || {};
+      this.renderPrograms();
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.loadPrograms');
+    }
+  }
+
+  /**
+   * @returns {Array} Enabled windows, in the order their programs take turns
+   */
+  getProgramWindows() {
+    const windows = this.configRenderer ? this.configRenderer.getWindows() : [];
+    return windows.filter(window => window.enabled);
+  }
+
+  /**
+   * Render the program of each enabled window into #auto-key-program-list, and the preview
+   */
+  renderPrograms() {
+    const list = document.getElementById('auto-key-program-list');
+    if (!list) {
+      return;
+    }
+
+    const items = this.getProgramWindows().map(window => this.createProgramItem(window, this.programs[window.id]));
+    if (items.length === 0) {
+      items.push(this.createPreviewNotice('No enabled windows'));
+    }
+    list.replaceChildren(...items);
+
+    if (this.editingProgram && !this.getProgramWindows().some(window => window.id === this.editingProgram.windowId)) {
+      this.closeProgramEditor();
+    }
+    this.renderProgramPreview();
+  }
+
+  /**
+   * Create a program row
+   * @param {Object} window - Window
+   * @param {Object} program - Stored program, if any
+   * @returns {HTMLElement} Row element
+   */
+  createProgramItem(window, program) {
+    const item = document.createElement('div');
+    item.className = 'preview-item';
+    if (program && program.enabled === false) {
+      item.classList.add('disabled');
+    }
+
+    const character = document.createElement('span');
+    character.className = 'preview-character';
+    character.textContent = window.customName || window.character;
+
+    const summary = document.createElement('span');
+    summary.className = 'preview-initiative';
+    if (program) {
+      const keys = program.steps.map(step => this.configRenderer?.shortcutManager.formatShortcut(step.key) || step.key);
+      summary.textContent = `${keys.join(', ')}${program.jitterMs ? ` (jitter ${program.jitterMs}ms)` : ''}`;
+    } else {
+      summary.textContent = 'No program';
+    }
+
+    const editButton = document.createElement('button');
+    editButton.className = 'btn btn-secondary';
+    editButton.textContent = program ? 'Edit' : 'Add';
+    editButton.onclick = () => this.editProgram(window.id);
+
+    item.append(character, summary, editButton);
+    return item;
+  }
+
+  /**
+   * Open the editor on the program of a window, a one-step program when it has none
+   * @param {string} windowId - Window ID
+   */
+  editProgram(windowId) {
+    const window = this.getProgramWindows().find(w => w.id === windowId);
+    const editor = document.getElementById('auto-key-program-editor');
+    if (!window || !editor) {
+      return;
+    }
+
+    const program = this.programs[windowId];
+    this.editingProgram = {
+      windowId,
+      name: window.customName || window.character,
+      steps: program ? program.steps.map(step => ({ ...step })) : [{ key: '', delayMs: AUTO_KEY.PROGRAMS.DEFAULT_STEP_DELAY_MS }],
+      jitterMs: program ? program.jitterMs : 0,
+      enabled: program ? program.enabled !== false : true
+    };
+
+    document.getElementById('auto-key-program-title').textContent = `Program of ${this.editingProgram.name}`;
+    document.getElementById('auto-key-program-jitter').value = this.editingProgram.jitterMs;
+    document.getElementById('auto-key-program-enabled').checked = this.editingProgram.enabled;
+    document.getElementById('auto-key-program-remove').style.display = program ? 'inline-block' : 'none';
+    editor.style.display = 'block';
+
+    this.renderProgramSteps();
+  }
+
+  closeProgramEditor() {
+    this.editingProgram = null;
+    const editor = document.getElementById('auto-key-program-editor');
+    if (editor) {
+      editor.style.display = 'none';
+    }
+    this.renderProgramPreview();
+  }
+
+  addProgramStep() {
+    if (!this.editingProgram) {
+      return;
+    }
+    if (this.editingProgram.steps.length >= AUTO_KEY.PROGRAMS.MAX_STEPS) {
+      this.configRenderer?.uiManager.showErrorMessage(`A program has at most ${AUTO_KEY.PROGRAMS.MAX_STEPS} steps`);
+      return;
+    }
+
+    const last = this.editingProgram.steps[this.editingProgram.steps.length - 1];
+    this.editingProgram.steps.push({ key: '', delayMs: last ? last.delayMs : AUTO_KEY.PROGRAMS.DEFAULT_STEP_DELAY_MS });
+    this.renderProgramSteps();
+  }
+
+  /**
+   * Render the steps of the edited program into #auto-key-program-steps
+   */
+  renderProgramSteps() {
+    const container = document.getElementById('auto-key-program-steps');
+    if (!container || !this.editingProgram) {
+      return;
+    }
+
+    container.replaceChildren(...this.editingProgram.steps.map((step, index) => this.createProgramStep(step, index)));
+    this.renderProgramPreview();
+  }
+
+  /**
+   * Create a step row: the key field records the next key pressed in it
+   * @param {Object} step - { key, delayMs }
+   * @param {number} index - Step index
+   * @returns {HTMLElement} Row element
+   */
+  createProgramStep(step, index) {
+    const row = document.createElement('div');
+    row.className = 'auto-key-repeat-row auto-key-program-step';
+
+    const order = document.createElement('span');
+    order.className = 'preview-order';
+    order.textContent = index + 1;
+
+    const keyInput = document.createElement('input');
+    keyInput.type = 'text';
+    keyInput.readOnly = true;
+    keyInput.className = 'form-input';
+    keyInput.placeholder = 'Press a key';
+    keyInput.value = this.configRenderer?.shortcutManager.formatShortcut(step.key) || step.key;
+    keyInput.onkeydown = (event) => {
+      // Every key is recorded, Escape and Tab included
+      event.preventDefault();
+      event.stopPropagation();
+
+      const shortcut = KeyboardLayouts.fromKeyboardEvent(event);
+      if (!ShortcutUtils.validateShortcut(shortcut) || !KeyboardLayouts.isKeyCode(shortcut.split('+').pop())) return;
+
+      step.key = shortcut;
+      keyInput.value = this.configRenderer?.shortcutManager.formatShortcut(shortcut) || shortcut;
+      this.renderProgramPreview();
+    };
+
+    const delayInput = document.createElement('input');
+    delayInput.type = 'number';
+    delayInput.className = 'form-input';
+    delayInput.min = AUTO_KEY.MIN_INTERVAL_MS;
+    delayInput.max = AUTO_KEY.MAX_INTERVAL_MS;
+    delayInput.step = 100;
+    delayInput.value = step.delayMs;
+    delayInput.oninput = () => {
+      step.delayMs = delayInput.value;
+      this.renderProgramPreview();
+    };
+
+    const delayLabel = document.createElement('span');
+    delayLabel.textContent = 'ms, then next window';
+
+    const removeButton = document.createElement('button');
+    removeButton.className = 'btn btn-danger';
+    removeButton.textContent = '×';
+    removeButton.title = 'Remove step';
+    removeButton.disabled = this.editingProgram.steps.length === 1;
+    removeButton.onclick = () => {
+      this.editingProgram.steps.splice(index, 1);
+      this.renderProgramSteps();
+    };
+
+    row.append(order, keyInput, delayInput, delayLabel, removeButton);
+    return row;
+  }
+
+  /**
+   * Render the first key presses of a programs run into #auto-key-program-preview,
+   * with the edited program in place of the stored one while it is valid
+   */
+  renderProgramPreview() {
+    const list = document.getElementById('auto-key-program-preview');
+    if (!list) {
+      return;
+    }
+
+    const errors = document.getElementById('auto-key-program-errors');
+    const validation = this.editingProgram ? AutoKeyPrograms.validateProgram(this.editingProgram) : null;
+    if (errors) {
+      errors.textContent = validation && !validation.isValid ? validation.errors.join(', ') : '';
+    }
+
+    const entries = this.getProgramWindows().map(window => {
+      let program = this.programs[window.id];
+      if (validation && validation.isValid && this.editingProgram.windowId === window.id) {
+        program = validation.program;
+      }
+      return { windowId: window.id, name: window.customName || window.character, program };
+    }).filter(entry => entry.program && entry.program.enabled !== false);
+
+    const items = AutoKeyPrograms.preview(entries).map(press => this.createProgramPreviewItem(press));
+    if (items.length === 0) {
+      items.push(this.createPreviewNotice('No window has a program to run'));
+    }
+    list.replaceChildren(...items);
+  }
+
+  /**
+   * Create a program preview row
+   * @param {Object} press - Key press from AutoKeyPrograms.preview
+   * @returns {HTMLElement} Row element
+   */
+  createProgramPreviewItem(press) {
+    const item = document.createElement('div');
+    item.className = 'preview-item';
+
+    const orderElement = document.createElement('span');
+    orderElement.className = 'preview-order';
+    orderElement.textContent = press.order;
+
+    const character = document.createElement('span');
+    character.className = 'preview-character';
+    character.textContent = press.name;
+
+    const timing = document.createElement('span');
+    timing.className = 'preview-initiative';
+    const wait = press.maxDelayMs > press.delayMs ? `${press.delayMs}-${press.maxDelayMs}ms` : `${press.delayMs}ms`;
+    timing.textContent = `Step ${press.step}/${press.stepCount}, at ${(press.atMs / 1000).toFixed(1)}s, then ${wait}`;
+
+    const shortcut = document.createElement('span');
+    shortcut.className = 'preview-shortcut';
+    shortcut.textContent = this.configRenderer?.shortcutManager.formatShortcut(press.key) || press.key;
+
+    item.append(orderElement, character, timing, shortcut);
+    return item;
+  }
+
+  /**
+   * Store the edited program
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveProgram() {
+    if (!this.editingProgram) {
+      return false;
+    }
+
+    try {
+      const { windowId, steps, jitterMs, enabled } = this.editingProgram;
+      const { ipcRenderer } = require('electron');
+      const result = await ipcRenderer.invoke('save-auto-key-program', windowId, { steps, jitterMs, enabled });
+
+      if (!result.isValid) {
+        this.configRenderer?.uiManager.showErrorMessage(`Program not saved: ${result.errors.join(', ')}`);
+        return false;
+      }
+
+      this.configRenderer?.uiManager.showSuccessMessage(`Program of ${this.editingProgram.name} saved`);
+      this.closeProgramEditor();
+      await this.loadPrograms();
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.saveProgram');
+      return false;
+    }
+  }
+
+  /**
+   * Remove the program of the edited window
+   * @returns {Promise<boolean>} Success status
+   */
+  async removeProgram() {
+    if (!this.editingProgram) {
+      return false;
+    }
+
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('remove-auto-key-program', this.editingProgram.windowId);
+
+      this.closeProgramEditor();
+      await this.loadPrograms();
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.removeProgram');
+      return false;
+    }
+  }
+
+  /**
+   * Run the stored programs of the enabled windows round-robin
+   * @returns {Promise<boolean>} Success status
+   */
+  async startPrograms() {
+    try {
+      if (!this.validateAutoKeyStart()) {
+        return false;
+      }
+
+      const { ipcRenderer } = require('electron');
+      const result = await ipcRenderer.invoke('auto-key-start', { mode: AUTO_KEY.SCHEDULER.MODES.PROGRAMS });
+      this.applyStatus(result.status);
+
+      if (!result.success) {
+        this.configRenderer?.uiManager.showErrorMessage(`Programs not started: ${result.error}`);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.startPrograms');
+      return false;
+    }
+  }
+
+  /**
+   * Save the modal settings and assign the shortcuts
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyConfiguration() {
+    try {
+      const checkbox = document.getElementById('auto-key-enabled');
+      const { ipcRenderer } = require('electron');
+
+      const success = await ipcRenderer.invoke('apply-auto-key-configuration', {
+        enabled: checkbox ? checkbox.checked : this.modalSettings.enabled,
+        pattern: this.modalSettings.pattern,
+        customPattern: this.getModalCustomPattern(),
+        windows: this.configRenderer ? this.configRenderer.getWindows() : []
+      });
+
+      if (!success) {
+        this.configRenderer?.uiManager.showErrorMessage('Failed to apply Auto Key configuration');
+        return false;
+      }
+
+      this.modalSettings.enabled = checkbox ? checkbox.checked : this.modalSettings.enabled;
+      this.configRenderer?.uiManager.showSuccessMessage('Auto Key configuration applied');
+      this.closeModal();
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.applyConfiguration');
+      return false;
+    }
+  }
+
+  /**
+   * Turn auto key off, removing the generated shortcuts
+   * @returns {Promise<boolean>} Success status
+   */
+  async disableAutoKey() {
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('disable-auto-key');
+
+      this.modalSettings.enabled = false;
+      const checkbox = document.getElementById('auto-key-enabled');
+      if (checkbox) {
+        checkbox.checked = false;
+      }
+      this.updateModalState();
+
+      this.configRenderer?.uiManager.showSuccessMessage('Auto Key disabled');
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'AutoKeyManager.disableAutoKey');
+      return false;
+    }
+  }
+
   /**
    * Emergency stop
    */
-  emergencyStop() {
+  async emergencyStop() {
     try {
       console.log('AutoKeyManager: Emergency stop triggered');
-      this.safetyMonitor.emergencyStop = true;
-      this.stopAutoKey();
-      this.setAutoKeyEnabled(false);
-      this.updateUIState();
+      const { ipcRenderer } = require('electron');
+      this.applyStatus(await ipcRenderer.invoke('auto-key-stop', { emergency: true }));
 
     } catch (error) {
       this.errorHandler.error(error, 'AutoKeyManager.emergencyStop');
@@ -1167,16 +1622,17 @@ class AutoKeyManager {
     try {
       console.log('AutoKeyManager: Starting cleanup...');
 
-      // Stop auto-key
-      this.stopAutoKey();
+      // The repeat runs in the main process and keeps going without this window
+      if (this.statusListener) {
+        const { ipcRenderer } = require('electron');
+        ipcRenderer.removeListener(AUTO_KEY.SCHEDULER.STATUS_EVENT, this.statusListener);
+        this.statusListener = null;
+      }
 
       // Clear caches
       this.elements.clear();
       this.elementStates.clear();
 
-      // Clear history
-      this.safetyMonitor.keyPressHistory = [];
-
       // Cleanup UI manager
       if (this.uiManager) {
         this.uiManager.cleanup();
@@ -34,6 +34,26 @@ class EventHandler {
     this.addChangeHandler(elements.dockEnabled, () => this.handleDockSettingsChange());
     this.addChangeHandler(elements.dockPosition, () => this.handleDockSettingsChange());
 
+    // Automatic profile selection
+    this.addChangeHandler(elements.profileAutoSelect, () => this.handleProfileAutoSelectChange());
+    this.addChangeHandler(elements.profileAutoSelectMin, () => this.handleProfileAutoSelectChange());
+
+    // Fight turn warning
+    this.addChangeHandler(elements.fightWarningEnabled, () => this.configRenderer.settingsManager.updateFightTracker());
+    this.addChangeHandler(elements.fightTurnSeconds, () => this.configRenderer.settingsManager.updateFightTracker());
+    this.addChangeHandler(elements.fightWarningSeconds, () => this.configRenderer.settingsManager.updateFightTracker());
+
+    // Window list filter, sort and grouping
+    this.addChangeHandler(elements.viewVariant, () => this.handleWindowViewChange());
+    this.addChangeHandler(elements.viewServer, () => this.handleWindowViewChange());
+    this.addChangeHandler(elements.viewTag, () => this.handleWindowViewChange());
+    this.addChangeHandler(elements.viewSort, () => this.handleWindowViewChange());
+    this.addChangeHandler(elements.viewGroup, () => this.handleWindowViewChange());
+
+    // Bulk enable/disable of the characters with the filtered tag
+    this.addClickHandler(elements.tagEnableBtn, () => this.configRenderer.settingsManager.setTagEnabled(elements.viewTag?.value, true));
+    this.addClickHandler(elements.tagDisableBtn, () => this.configRenderer.settingsManager.setTagEnabled(elements.viewTag?.value, false));
+
     // Window-specific events will be handled dynamically when windows are rendered
   }
 
@@ -120,6 +140,26 @@ class EventHandler {
     }
   }
 
+  async handleProfileAutoSelectChange() {
+    try {
+      console.log('EventHandler: Profile auto-selection changed');
+      await this.configRenderer.settingsManager.updateProfileAutoSelect();
+    } catch (error) {
+      console.error('EventHandler: Error updating profile auto-selection:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update profile auto-selection');
+    }
+  }
+
+  async handleWindowViewChange() {
+    try {
+      console.log('EventHandler: Window view changed');
+      await this.configRenderer.settingsManager.updateWindowView();
+    } catch (error) {
+      console.error('EventHandler: Error updating window view:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update window view');
+    }
+  }
+
   handleGlobalKeyDown(e) {
     // Handle global keyboard shortcuts
     if (e.key === 'Escape') {
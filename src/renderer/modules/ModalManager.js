@@ -1,3 +1,7 @@
+const ShortcutUtils = require('../../utils/ShortcutUtils');
+const KeyboardLayouts = require('../../utils/KeyboardLayouts');
+const { WINDOW_CYCLING, FIGHT_MODE, BROADCAST, CLICK_SYNC, LAYOUT } = require('../../utils/Constants');
+
 /**
  * ModalManager - Handles all modal dialogs (Language, Class, Organize, Global Shortcuts)
  */
@@ -25,11 +29,30 @@ class ModalManager {
 
       // Organize Modal
       organizeModal: document.getElementById('organize-modal'),
+      organizeTarget: document.getElementById('organize-target'),
+      layoutTemplatesList: document.getElementById('layout-templates-list'),
+      layoutTemplateName: document.getElementById('layout-template-name'),
+      layoutTemplateSlots: document.getElementById('layout-template-slots'),
+      layoutTemplateSave: document.getElementById('layout-template-save'),
+      layoutTemplateError: document.getElementById('layout-template-error'),
+      layoutCaptureName: document.getElementById('layout-capture-name'),
+      layoutCaptureButton: document.getElementById('layout-capture-btn'),
 
       // Global Shortcuts Modal
       globalShortcutsModal: document.getElementById('global-shortcuts-modal'),
       nextWindowShortcutDisplay: document.getElementById('next-window-shortcut-display'),
-      toggleShortcutsShortcutDisplay: document.getElementById('toggle-shortcuts-shortcut-display')
+      toggleShortcutsShortcutDisplay: document.getElementById('toggle-shortcuts-shortcut-display'),
+      nextProfileShortcutDisplay: document.getElementById('next-profile-shortcut-display'),
+      leaderKeyShortcutDisplay: document.getElementById('leader-key-shortcut-display'),
+      groupShortcutsList: document.getElementById('group-shortcuts-list'),
+      keyboardLayout: document.getElementById('keyboard-layout'),
+      broadcastKeys: document.getElementById('broadcast-keys'),
+      broadcastKeysClear: document.getElementById('broadcast-keys-clear'),
+      broadcastGroup: document.getElementById('broadcast-group'),
+      broadcastDelay: document.getElementById('broadcast-delay'),
+      clickSyncEnabled: document.getElementById('click-sync-enabled'),
+      clickSyncModifier: document.getElementById('click-sync-modifier'),
+      clickSyncGroup: document.getElementById('click-sync-group')
     };
   }
 
@@ -40,6 +63,20 @@ class ModalManager {
 
     // Class modal events
     this.elements.classCancel?.addEventListener('click', () => this.closeClassModal());
+
+    // Organize modal events
+    this.elements.layoutTemplateSave?.addEventListener('click', () => this.saveLayoutTemplate());
+    this.elements.layoutCaptureButton?.addEventListener('click', () => this.captureLayout());
+    this.elements.organizeTarget?.addEventListener('change', () => this.saveOrganizeTarget());
+
+    // Global shortcuts modal events
+    this.elements.keyboardLayout?.addEventListener('change', () => this.saveKeyboardLayout());
+    this.elements.broadcastKeys?.addEventListener('keydown', (e) => this.recordBroadcastKey(e));
+    this.elements.broadcastKeysClear?.addEventListener('click', () => this.saveBroadcastSettings({ keys: [] }));
+    this.elements.broadcastGroup?.addEventListener('change', () => this.saveBroadcastSettings({ group: this.elements.broadcastGroup.value }));
+    this.elements.broadcastDelay?.addEventListener('change', () => this.saveBroadcastSettings({ delayMs: this.elements.broadcastDelay.value }));
+    [this.elements.clickSyncEnabled, this.elements.clickSyncModifier, this.elements.clickSyncGroup]
+      .forEach(element => element?.addEventListener('change', () => this.saveClickSyncSettings()));
   }
 
   // Language Modal Methods
@@ -111,7 +148,8 @@ class ModalManager {
     if (this.currentClassWindowId) {
       try {
         const { ipcRenderer } = require('electron');
-        const settings = { [`classes.${this.currentClassWindowId}`]: classKey };
+        const storageId = this.configRenderer.settingsManager.getCharacterStorageId(this.currentClassWindowId);
+        const settings = { [`classes.${storageId}`]: classKey };
         await ipcRenderer.invoke('save-settings', settings);
 
         const window = this.configRenderer.windows.find(w => w.id === this.currentClassWindowId);
@@ -140,6 +178,192 @@ class ModalManager {
   // Organize Modal Methods
   showOrganizeModal() {
     this.elements.organizeModal.style.display = 'flex';
+    this.loadDisplayTargets();
+    this.loadLayoutTemplates();
+  }
+
+  async loadDisplayTargets() {
+    const select = this.elements.organizeTarget;
+    if (!select) return;
+
+    try {
+      const { ipcRenderer } = require('electron');
+      const [displays, settings] = await Promise.all([
+        ipcRenderer.invoke('get-displays'),
+        ipcRenderer.invoke('get-settings')
+      ]);
+
+      // Keep the two fixed options, rebuild one option per display
+      Array.from(select.querySelectorAll('option[data-display]')).forEach(option => option.remove());
+      (displays || []).forEach((display, index) => {
+        const option = document.createElement('option');
+        option.value = String(display.id);
+        option.dataset.display = 'true';
+        option.textContent = `Display ${index + 1} (${display.bounds.width}x${display.bounds.height})${display.primary ? ' - primary' : ''}`;
+        select.appendChild(option);
+      });
+
+      const target = settings?.organize?.target ?? LAYOUT.DEFAULT_TARGET;
+      select.value = String(target);
+      if (select.value !== String(target)) {
+        select.value = LAYOUT.DEFAULT_TARGET;
+      }
+    } catch (error) {
+      console.error('ModalManager: Error loading displays:', error);
+    }
+  }
+
+  async saveOrganizeTarget() {
+    const value = this.elements.organizeTarget?.value;
+    if (!value) return;
+
+    const target = Object.values(LAYOUT.TARGETS).includes(value) ? value : Number(value);
+
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('save-settings', { [LAYOUT.TARGET_KEY]: target });
+    } catch (error) {
+      console.error('ModalManager: Error saving organize target:', error);
+    }
+  }
+
+  async loadLayoutTemplates() {
+    try {
+      const { ipcRenderer } = require('electron');
+      const layouts = await ipcRenderer.invoke('get-layouts');
+      this.renderLayoutTemplates(layouts?.templates || []);
+    } catch (error) {
+      console.error('ModalManager: Error loading layout templates:', error);
+    }
+  }
+
+  renderLayoutTemplates(templateNames) {
+    const list = this.elements.layoutTemplatesList;
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    if (templateNames.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'layout-templates-empty';
+      empty.textContent = 'No saved templates';
+      list.appendChild(empty);
+      return;
+    }
+
+    templateNames.forEach(name => {
+      const item = document.createElement('div');
+      item.className = 'layout-template-item';
+
+      const label = document.createElement('span');
+      label.className = 'template-name';
+      label.textContent = name;
+
+      const applyButton = document.createElement('button');
+      applyButton.className = 'btn btn-small btn-primary';
+      applyButton.textContent = 'Apply';
+      applyButton.title = 'Place enabled windows';
+      applyButton.addEventListener('click', () => this.organizeWindows(name));
+
+      const restoreButton = document.createElement('button');
+      restoreButton.className = 'btn btn-small btn-secondary';
+      restoreButton.textContent = 'Restore';
+      restoreButton.title = 'Place every detected window, including disabled ones';
+      restoreButton.addEventListener('click', () => this.restoreLayout(name));
+
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'btn btn-small btn-danger';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => this.deleteLayoutTemplate(name));
+
+      item.append(label, applyButton, restoreButton, deleteButton);
+      list.appendChild(item);
+    });
+  }
+
+  showLayoutTemplateError(message) {
+    if (this.elements.layoutTemplateError) {
+      this.elements.layoutTemplateError.textContent = message;
+    }
+  }
+
+  async saveLayoutTemplate() {
+    this.showLayoutTemplateError('');
+
+    const name = this.elements.layoutTemplateName?.value.trim();
+    const slotsText = this.elements.layoutTemplateSlots?.value.trim();
+
+    if (!name || !slotsText) {
+      this.showLayoutTemplateError('Please enter a template name and its slots');
+      return;
+    }
+
+    let slots;
+    try {
+      slots = JSON.parse(slotsText);
+    } catch (error) {
+      this.showLayoutTemplateError(`Invalid JSON: ${error.message}`);
+      return;
+    }
+
+    try {
+      const { ipcRenderer } = require('electron');
+      const success = await ipcRenderer.invoke('save-layout-template', name, slots);
+      if (!success) {
+        this.showLayoutTemplateError('Invalid template: each slot needs a unit ("fraction" or "px"), x, y, width and height');
+        return;
+      }
+
+      this.elements.layoutTemplateName.value = '';
+      this.elements.layoutTemplateSlots.value = '';
+      await this.loadLayoutTemplates();
+    } catch (error) {
+      console.error('ModalManager: Error saving layout template:', error);
+    }
+  }
+
+  async captureLayout() {
+    this.showLayoutTemplateError('');
+
+    const name = this.elements.layoutCaptureName?.value.trim();
+    if (!name) {
+      this.showLayoutTemplateError('Please enter a layout name');
+      return;
+    }
+
+    try {
+      const { ipcRenderer } = require('electron');
+      const result = await ipcRenderer.invoke('capture-layout', name);
+      if (!result?.success) {
+        this.showLayoutTemplateError('No window position could be captured');
+        return;
+      }
+
+      this.elements.layoutCaptureName.value = '';
+      await this.loadLayoutTemplates();
+    } catch (error) {
+      console.error('ModalManager: Error capturing layout:', error);
+    }
+  }
+
+  async restoreLayout(name) {
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('restore-layout', name);
+      this.closeOrganizeModal();
+    } catch (error) {
+      console.error('ModalManager: Error restoring layout:', error);
+    }
+  }
+
+  async deleteLayoutTemplate(name) {
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('delete-layout-template', name);
+      await this.loadLayoutTemplates();
+    } catch (error) {
+      console.error('ModalManager: Error deleting layout template:', error);
+    }
   }
 
   closeOrganizeModal() {
@@ -161,13 +385,38 @@ class ModalManager {
     try {
       const { ipcRenderer } = require('electron');
       const globalShortcuts = await ipcRenderer.invoke('get-global-shortcuts');
+      const shortcutManager = this.configRenderer.shortcutManager;
 
       // Update the modal with current shortcuts
       if (this.elements.nextWindowShortcutDisplay) {
-        this.elements.nextWindowShortcutDisplay.textContent = globalShortcuts.nextWindow || 'Ctrl+Tab';
+        this.elements.nextWindowShortcutDisplay.textContent = shortcutManager.formatShortcut(globalShortcuts.nextWindow || 'Ctrl+Tab');
       }
       if (this.elements.toggleShortcutsShortcutDisplay) {
-        this.elements.toggleShortcutsShortcutDisplay.textContent = globalShortcuts.toggleShortcuts || 'Ctrl+Shift+D';
+        this.elements.toggleShortcutsShortcutDisplay.textContent = shortcutManager.formatShortcut(globalShortcuts.toggleShortcuts || 'Ctrl+Shift+KeyD');
+      }
+      if (this.elements.nextProfileShortcutDisplay) {
+        this.elements.nextProfileShortcutDisplay.textContent = shortcutManager.formatShortcut(globalShortcuts.nextProfile) || 'No shortcut';
+      }
+      if (this.elements.leaderKeyShortcutDisplay) {
+        this.elements.leaderKeyShortcutDisplay.textContent = shortcutManager.formatShortcut(globalShortcuts.leaderKey) || 'No shortcut';
+      }
+      [
+        WINDOW_CYCLING.SHORTCUT_TYPES.PREVIOUS_WINDOW,
+        WINDOW_CYCLING.SHORTCUT_TYPES.INITIATIVE_LEADER,
+        WINDOW_CYCLING.SHORTCUT_TYPES.LAST_WINDOW,
+        FIGHT_MODE.SHORTCUT_TYPES.TOGGLE,
+        FIGHT_MODE.SHORTCUT_TYPES.END_TURN,
+        BROADCAST.SHORTCUT_TYPES.SEND
+      ].forEach(type => shortcutManager.updateGlobalShortcutDisplay(type, globalShortcuts[type]));
+      const groupNames = await ipcRenderer.invoke('get-window-groups');
+      this.renderGroupShortcuts(groupNames, globalShortcuts);
+
+      // Click sync can be switched from the tray while this window is open
+      this.configRenderer.settings = { ...this.configRenderer.settings, ...await ipcRenderer.invoke('get-settings') };
+      this.renderBroadcastSettings(groupNames);
+      this.renderClickSyncSettings(groupNames);
+      if (this.elements.keyboardLayout) {
+        this.elements.keyboardLayout.value = shortcutManager.getKeyboardLayout();
       }
 
       this.elements.globalShortcutsModal.style.display = 'flex';
@@ -176,6 +425,203 @@ class ModalManager {
     }
   }
 
+  async saveKeyboardLayout() {
+    const layout = this.elements.keyboardLayout?.value;
+    if (!layout) return;
+
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('save-settings', { keyboardLayout: layout });
+
+      // Shortcuts keep their keys; show them with the labels of the new layout
+      this.configRenderer.settings = { ...this.configRenderer.settings, keyboardLayout: layout };
+      this.configRenderer.windowRenderer.refreshShortcutLabels();
+      await this.showGlobalShortcutsModal();
+    } catch (error) {
+      console.error('ModalManager: Error saving keyboard layout:', error);
+    }
+  }
+
+  /**
+   * List a cycling shortcut for each window group
+   * @param {Array<string>} groupNames - Group names
+   * @param {Object} globalShortcuts - Global shortcuts by type
+   */
+  renderGroupShortcuts(groupNames, globalShortcuts) {
+    const list = this.elements.groupShortcutsList;
+    if (!list) return;
+
+    const shortcutManager = this.configRenderer.shortcutManager;
+    list.innerHTML = '';
+
+    (groupNames || []).forEach(groupName => {
+      const type = `${WINDOW_CYCLING.GROUP_SHORTCUT_PREFIX}${groupName}`;
+
+      const item = document.createElement('div');
+      item.className = 'global-shortcut-item';
+
+      const label = document.createElement('div');
+      label.className = 'global-shortcut-label';
+      const title = document.createElement('h4');
+      title.textContent = groupName;
+      const description = document.createElement('p');
+      description.textContent = `Cycle through the ${groupName} windows`;
+      label.append(title, description);
+
+      const controls = document.createElement('div');
+      controls.className = 'global-shortcut-controls';
+
+      const display = document.createElement('div');
+      display.id = shortcutManager.getGlobalShortcutDisplayId(type);
+      display.className = 'shortcut-display';
+      display.textContent = shortcutManager.formatShortcut(globalShortcuts[type]) || 'No shortcut';
+      display.addEventListener('click', () => this.setGlobalShortcut(type));
+
+      const removeButton = document.createElement('button');
+      removeButton.className = 'btn btn-danger btn-small';
+      removeButton.title = 'Remove shortcut';
+      removeButton.textContent = '×';
+      removeButton.addEventListener('click', () => this.removeGlobalShortcut(type));
+
+      controls.append(display, removeButton);
+      item.append(label, controls);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * @returns {Object} Broadcast keys, group and delay
+   */
+  getBroadcastSettings() {
+    return { ...BROADCAST.DEFAULTS, ...this.configRenderer.settings?.broadcast };
+  }
+
+  /**
+   * Show the broadcast keys, target group and delay
+   * @param {Array<string>|null} groupNames - Groups the keys can be sent to, null to keep the listed ones
+   */
+  renderBroadcastSettings(groupNames) {
+    const settings = this.getBroadcastSettings();
+    const layout = this.configRenderer.shortcutManager.getKeyboardLayout();
+
+    if (this.elements.broadcastKeys) {
+      this.elements.broadcastKeys.value = settings.keys.map(key => KeyboardLayouts.toDisplay(key, layout)).join(', ');
+    }
+
+    this.renderGroupSelect(this.elements.broadcastGroup, groupNames, settings.group);
+
+    if (this.elements.broadcastDelay) {
+      this.elements.broadcastDelay.value = settings.delayMs;
+    }
+  }
+
+  /**
+   * Fill a window group select and select a group
+   * @param {HTMLSelectElement} select - Group select
+   * @param {Array<string>|null} groupNames - Group names, null to keep the listed options
+   * @param {string} group - Selected group, empty for every enabled window
+   */
+  renderGroupSelect(select, groupNames, group) {
+    if (!select) return;
+
+    if (groupNames) {
+      select.innerHTML = '';
+      const allOption = document.createElement('option');
+      allOption.value = '';
+      allOption.textContent = 'All enabled windows';
+      select.appendChild(allOption);
+
+      // Keep a saved group listed even while none of its windows is detected
+      [...new Set([...groupNames, group].filter(Boolean))].forEach(groupName => {
+        const option = document.createElement('option');
+        option.value = groupName;
+        option.textContent = groupName;
+        select.appendChild(option);
+      });
+    }
+    select.value = group;
+  }
+
+  /**
+   * Add the pressed key to the broadcast sequence
+   * @param {KeyboardEvent} event - keydown event in the keys field
+   */
+  recordBroadcastKey(event) {
+    // Every key is recorded, Escape and Tab included
+    event.preventDefault();
+    event.stopPropagation();
+
+    const shortcut = KeyboardLayouts.fromKeyboardEvent(event);
+    const key = shortcut.split('+').pop();
+    if (!ShortcutUtils.validateShortcut(shortcut) || !KeyboardLayouts.isKeyCode(key)) return;
+
+    const keys = this.getBroadcastSettings().keys;
+    if (keys.length >= BROADCAST.MAX_KEYS) {
+      this.configRenderer.uiManager.showErrorMessage(`At most ${BROADCAST.MAX_KEYS} keys can be broadcast`);
+      return;
+    }
+    this.saveBroadcastSettings({ keys: [...keys, shortcut] });
+  }
+
+  /**
+   * Save broadcast settings
+   * @param {Object} changes - { keys, group, delayMs }
+   */
+  async saveBroadcastSettings(changes) {
+    const settings = { ...this.getBroadcastSettings(), ...changes };
+    settings.delayMs = Math.min(BROADCAST.MAX_DELAY_MS, Math.max(0, parseInt(settings.delayMs, 10) || 0));
+
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('save-settings', {
+        [`${BROADCAST.SETTINGS_KEY}.keys`]: settings.keys,
+        [`${BROADCAST.SETTINGS_KEY}.group`]: settings.group,
+        [`${BROADCAST.SETTINGS_KEY}.delayMs`]: settings.delayMs
+      });
+
+      this.configRenderer.settings = { ...this.configRenderer.settings, broadcast: settings };
+      this.renderBroadcastSettings(null);
+    } catch (error) {
+      console.error('ModalManager: Error saving broadcast settings:', error);
+    }
+  }
+
+  /**
+   * Show whether click sync is on, its modifier and target group
+   * @param {Array<string>} groupNames - Groups clicks can be replayed on
+   */
+  renderClickSyncSettings(groupNames) {
+    const settings = { ...CLICK_SYNC.DEFAULTS, ...this.configRenderer.settings?.clickSync };
+
+    if (this.elements.clickSyncEnabled) {
+      this.elements.clickSyncEnabled.checked = settings.enabled;
+    }
+    if (this.elements.clickSyncModifier) {
+      this.elements.clickSyncModifier.value = settings.modifier;
+    }
+    this.renderGroupSelect(this.elements.clickSyncGroup, groupNames, settings.group);
+  }
+
+  async saveClickSyncSettings() {
+    const settings = {
+      enabled: this.elements.clickSyncEnabled?.checked || false,
+      modifier: this.elements.clickSyncModifier?.value || CLICK_SYNC.DEFAULTS.modifier,
+      group: this.elements.clickSyncGroup?.value || ''
+    };
+
+    try {
+      const { ipcRenderer } = require('electron');
+      await ipcRenderer.invoke('save-settings', {
+        [`${CLICK_SYNC.SETTINGS_KEY}.enabled`]: settings.enabled,
+        [`${CLICK_SYNC.SETTINGS_KEY}.modifier`]: settings.modifier,
+        [`${CLICK_SYNC.SETTINGS_KEY}.group`]: settings.group
+      });
+      this.configRenderer.settings = { ...this.configRenderer.settings, clickSync: settings };
+    } catch (error) {
+      console.error('ModalManager: Error saving click sync settings:', error);
+    }
+  }
+
   closeGlobalShortcutsModal() {
     this.elements.globalShortcutsModal.style.display = 'none';
   }
@@ -190,6 +636,7 @@ class ModalManager {
       const { ipcRenderer } = require('electron');
       await ipcRenderer.invoke('remove-global-shortcut', type);
       this.showGlobalShortcutsModal(); // Refresh the modal
+      this.configRenderer.shortcutConflictPanel?.refresh();
     } catch (error) {
       console.error('ModalManager: Error removing global shortcut:', error);
     }
@@ -1,3 +1,5 @@
+const CharacterTags = require('../../utils/CharacterTags');
+
 /**
  * SettingsManager - Handles all settings-related operations and persistence
  */
@@ -21,6 +23,28 @@ class SettingsManager {
         elements.dockPosition.value = settings.dock?.position || 'SE';
       }
 
+      // Update automatic profile selection
+      if (settings.profileAutoSelect) {
+        if (elements.profileAutoSelect) elements.profileAutoSelect.checked = settings.profileAutoSelect.enabled !== false;
+        if (elements.profileAutoSelectMin) {
+          elements.profileAutoSelectMin.value = Math.round(settings.profileAutoSelect.minimumMatch * 100);
+        }
+      }
+
+      // Update fight turn warning
+      if (settings.fightTracker) {
+        if (elements.fightWarningEnabled) elements.fightWarningEnabled.checked = settings.fightTracker.warningEnabled !== false;
+        if (elements.fightTurnSeconds) elements.fightTurnSeconds.value = settings.fightTracker.turnSeconds;
+        if (elements.fightWarningSeconds) elements.fightWarningSeconds.value = settings.fightTracker.warningSeconds;
+      }
+
+      // Update window list view
+      if (settings.windowView) {
+        if (elements.viewSort) elements.viewSort.value = settings.windowView.sortBy || 'initiative';
+        if (elements.viewGroup) elements.viewGroup.value = settings.windowView.groupBy || 'none';
+        this.configRenderer.windowRenderer?.setViewOptions(settings.windowView);
+      }
+
       this.configRenderer.uiManager.updateShortcutsStatus();
       console.log('SettingsManager: UI updated from settings');
     } catch (error) {
@@ -46,9 +70,19 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Get the key under which a window's per-character settings are stored
+   * @param {string} windowId - Window ID
+   * @returns {string} Character identity, or the window ID when unknown
+   */
+  getCharacterStorageId(windowId) {
+    const window = this.configRenderer.getWindows().find(w => w.id === windowId);
+    return window?.characterId || windowId;
+  }
+
   async updateCharacterName(windowId, newName) {
     try {
-      const settings = { [`customNames.${windowId}`]: newName };
+      const settings = { [`customNames.${this.getCharacterStorageId(windowId)}`]: newName };
       const success = await this.saveSettings(settings);
 
       if (success) {
@@ -71,7 +105,7 @@ class SettingsManager {
   async updateInitiative(windowId, newInitiative) {
     try {
       const initiative = parseInt(newInitiative) || 0;
-      const settings = { [`initiatives.${windowId}`]: initiative };
+      const settings = { [`initiatives.${this.getCharacterStorageId(windowId)}`]: initiative };
       const success = await this.saveSettings(settings);
 
       if (success) {
@@ -98,6 +132,87 @@ class SettingsManager {
     }
   }
 
+  async updateTags(windowId, text) {
+    try {
+      const tags = CharacterTags.parseTags(text);
+      const settings = { [`tags.${this.getCharacterStorageId(windowId)}`]: tags };
+      const success = await this.saveSettings(settings);
+
+      if (success) {
+        const window = this.configRenderer.getWindows().find(w => w.id === windowId);
+        if (window) {
+          window.tags = tags;
+          this.configRenderer.windowRenderer.renderWindows();
+          this.configRenderer.uiManager.showSuccessMessage('Tags updated');
+        }
+      }
+
+      return success;
+    } catch (error) {
+      console.error('SettingsManager: Error updating tags:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update tags');
+      return false;
+    }
+  }
+
+  /**
+   * Save the server of a character whose window title does not show it
+   * @param {string} windowId - Window ID
+   * @param {string} text - Server name as typed, empty to clear it
+   * @returns {Promise<boolean>} Success status
+   */
+  async updateServer(windowId, text) {
+    try {
+      const server = text.trim() || null;
+      const settings = { [`servers.${this.getCharacterStorageId(windowId)}`]: server };
+      const success = await this.saveSettings(settings);
+
+      if (success) {
+        const window = this.configRenderer.getWindows().find(w => w.id === windowId);
+        if (window) {
+          window.server = server;
+          this.configRenderer.windowRenderer.renderWindows();
+          this.configRenderer.uiManager.showSuccessMessage('Server updated');
+        }
+      }
+
+      return success;
+    } catch (error) {
+      console.error('SettingsManager: Error updating server:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update server');
+      return false;
+    }
+  }
+
+  /**
+   * Enable or disable every character carrying a tag
+   * @param {string} tag - Tag
+   * @param {boolean} enabled - New state
+   * @returns {Promise<boolean>} True when at least one character was changed
+   */
+  async setTagEnabled(tag, enabled) {
+    try {
+      if (!tag || tag === 'all') return false;
+
+      const { ipcRenderer } = require('electron');
+      const count = await ipcRenderer.invoke('set-tag-enabled', tag, enabled);
+
+      if (count > 0) {
+        this.configRenderer.uiManager.showSuccessMessage(
+          `${count} character${count > 1 ? 's' : ''} ${enabled ? 'enabled' : 'disabled'} (${tag})`
+        );
+      } else {
+        this.configRenderer.uiManager.showErrorMessage(`No character tagged "${tag}"`);
+      }
+
+      return count > 0;
+    } catch (error) {
+      console.error('SettingsManager: Error updating tagged windows:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update tagged windows');
+      return false;
+    }
+  }
+
   async updateDockSettings() {
     try {
       const elements = this.configRenderer.getElements();
@@ -120,6 +235,75 @@ class SettingsManager {
     }
   }
 
+  async updateProfileAutoSelect() {
+    try {
+      const elements = this.configRenderer.getElements();
+      const percent = Math.min(100, Math.max(1, parseInt(elements.profileAutoSelectMin?.value, 10) || 75));
+      if (elements.profileAutoSelectMin) {
+        elements.profileAutoSelectMin.value = percent;
+      }
+
+      const success = await this.saveSettings({
+        'profileAutoSelect.enabled': elements.profileAutoSelect?.checked || false,
+        'profileAutoSelect.minimumMatch': percent / 100
+      });
+      if (success) {
+        this.configRenderer.uiManager.showSuccessMessage('Profile auto-selection updated');
+      }
+
+      return success;
+    } catch (error) {
+      console.error('SettingsManager: Error updating profile auto-selection:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update profile auto-selection');
+      return false;
+    }
+  }
+
+  async updateFightTracker() {
+    try {
+      const elements = this.configRenderer.getElements();
+      const turnSeconds = Math.min(300, Math.max(5, parseInt(elements.fightTurnSeconds?.value, 10) || 30));
+      const warningSeconds = Math.min(turnSeconds - 1, Math.max(1, parseInt(elements.fightWarningSeconds?.value, 10) || 10));
+      if (elements.fightTurnSeconds) elements.fightTurnSeconds.value = turnSeconds;
+      if (elements.fightWarningSeconds) elements.fightWarningSeconds.value = warningSeconds;
+
+      const success = await this.saveSettings({
+        'fightTracker.warningEnabled': elements.fightWarningEnabled?.checked || false,
+        'fightTracker.turnSeconds': turnSeconds,
+        'fightTracker.warningSeconds': warningSeconds
+      });
+      if (success) {
+        this.configRenderer.uiManager.showSuccessMessage('Fight turn warning updated');
+      }
+
+      return success;
+    } catch (error) {
+      console.error('SettingsManager: Error updating fight turn warning:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update fight turn warning');
+      return false;
+    }
+  }
+
+  async updateWindowView() {
+    try {
+      const elements = this.configRenderer.getElements();
+      const windowView = {
+        variant: elements.viewVariant?.value || 'all',
+        server: elements.viewServer?.value || 'all',
+        tag: elements.viewTag?.value || 'all',
+        sortBy: elements.viewSort?.value || 'initiative',
+        groupBy: elements.viewGroup?.value || 'none'
+      };
+
+      this.configRenderer.windowRenderer?.setViewOptions(windowView);
+      return await this.saveSettings({ windowView });
+    } catch (error) {
+      console.error('SettingsManager: Error updating window view:', error);
+      this.configRenderer.uiManager.showErrorMessage('Failed to update window view');
+      return false;
+    }
+  }
+
   async updateLanguage(languageCode) {
     try {
       const settings = { language: languageCode };
@@ -139,7 +323,7 @@ class SettingsManager {
 
   async updateClassForWindow(windowId, classKey) {
     try {
-      const settings = { [`classes.${windowId}`]: classKey };
+      const settings = { [`classes.${this.getCharacterStorageId(windowId)}`]: classKey };
       const success = await this.saveSettings(settings);
 
       if (success) {
@@ -170,7 +354,7 @@ class SettingsManager {
       if (!window) return false;
 
       const newEnabledState = !window.enabled;
-      const settings = { [`enabled.${windowId}`]: newEnabledState };
+      const settings = { [`enabledWindows.${this.getCharacterStorageId(windowId)}`]: newEnabledState };
       const success = await this.saveSettings(settings);
 
       if (success) {
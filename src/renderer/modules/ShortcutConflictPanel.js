@@ -0,0 +1,165 @@
+const { SHORTCUTS, WINDOW_CYCLING } = require('../../utils/Constants');
+const { generateCharacterKey } = require('../../services/WindowManagerWindows/CharacterIdentity');
+
+const STATUS_LABELS = {
+  [SHORTCUTS.CONFLICT_STATUSES.SHADOWED]: 'Shadowed by {0}',
+  [SHORTCUTS.CONFLICT_STATUSES.REFUSED]: 'Refused by the system (used by another application)',
+  [SHORTCUTS.CONFLICT_STATUSES.DUPLICATED]: 'Also set for {0}'
+};
+
+const GLOBAL_LABELS = {
+  nextWindow: 'Next Window',
+  previousWindow: 'Previous Window',
+  initiativeLeader: 'Initiative Leader',
+  lastWindow: 'Last Window',
+  toggleShortcuts: 'Toggle Shortcuts',
+  nextProfile: 'Next Profile',
+  leaderKey: 'Leader Key',
+  toggleFightMode: 'Fight Mode',
+  endTurn: 'End Turn',
+  broadcastKeys: 'Broadcast Keys'
+};
+
+/**
+ * ShortcutConflictPanel - Lists shortcuts that do not work and offers one-click fixes
+ *
+ * Reassign gives the shortcut free keys, swap gives the free keys to the shortcut
+ * holding its keys instead, and drop removes it.
+ */
+class ShortcutConflictPanel {
+  constructor(configRenderer) {
+    this.configRenderer = configRenderer;
+    this.analysis = null;
+    this.elements = {
+      panel: document.getElementById('shortcut-conflicts'),
+      summary: document.getElementById('shortcut-conflicts-summary'),
+      list: document.getElementById('shortcut-conflicts-list')
+    };
+
+    this.setupEventListeners();
+    this.refresh();
+  }
+
+  setupEventListeners() {
+    const { ipcRenderer } = require('electron');
+    ipcRenderer.on('shortcut-conflicts-updated', (event, analysis) => this.render(analysis));
+  }
+
+  async refresh() {
+    try {
+      const { ipcRenderer } = require('electron');
+      this.render(await ipcRenderer.invoke('get-shortcut-conflicts'));
+    } catch (error) {
+      console.error('ShortcutConflictPanel: Error loading shortcut conflicts:', error);
+    }
+  }
+
+  async applyFix(id, fix) {
+    try {
+      const { ipcRenderer } = require('electron');
+      const analysis = await ipcRenderer.invoke('resolve-shortcut-conflict', id, fix);
+      if (!analysis) {
+        this.configRenderer.uiManager?.showErrorMessage('Failed to fix the shortcut conflict');
+        return;
+      }
+
+      console.log(`ShortcutConflictPanel: Applied ${fix} to ${id}`);
+      this.render(analysis);
+      await this.configRenderer.refreshWindows();
+    } catch (error) {
+      console.error('ShortcutConflictPanel: Error fixing shortcut conflict:', error);
+    }
+  }
+
+  render(analysis) {
+    this.analysis = analysis;
+    const { panel, summary, list } = this.elements;
+    if (!panel || !list) return;
+
+    const conflicts = (analysis?.entries || []).filter(entry => entry.fixes.length > 0);
+    panel.style.display = conflicts.length > 0 ? 'block' : 'none';
+    if (conflicts.length === 0) return;
+
+    if (summary) {
+      summary.textContent = `${conflicts.length} shortcut(s) do not work`;
+    }
+
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    conflicts.forEach(entry => list.appendChild(this.createConflictItem(entry)));
+  }
+
+  createConflictItem(entry) {
+    const item = document.createElement('div');
+    item.className = `conflict-item ${entry.status}`;
+
+    const name = document.createElement('span');
+    name.className = 'conflict-name';
+    name.textContent = this.getEntryLabel(entry);
+
+    const shortcut = document.createElement('span');
+    shortcut.className = 'conflict-shortcut';
+    shortcut.textContent = this.formatShortcut(entry.shortcut);
+
+    const status = document.createElement('span');
+    status.className = 'conflict-status';
+    status.textContent = (STATUS_LABELS[entry.status] || entry.status)
+      .replace('{0}', entry.conflictsWith.map(id => this.getEntryLabel(this.findEntry(id))).join(', '));
+
+    const actions = document.createElement('div');
+    actions.className = 'conflict-actions';
+    entry.fixes.forEach(fix => actions.appendChild(this.createFixButton(entry, fix)));
+
+    item.appendChild(name);
+    item.appendChild(shortcut);
+    item.appendChild(status);
+    item.appendChild(actions);
+    return item;
+  }
+
+  createFixButton(entry, fix) {
+    const button = document.createElement('button');
+    button.className = `btn btn-small ${fix === SHORTCUTS.CONFLICT_FIXES.DROP ? 'btn-danger' : 'btn-secondary'}`;
+
+    const suggestion = this.formatShortcut(entry.suggestion);
+    const other = this.getEntryLabel(this.findEntry(entry.conflictsWith[0]));
+    if (fix === SHORTCUTS.CONFLICT_FIXES.REASSIGN) {
+      button.textContent = `Use ${suggestion}`;
+      button.title = `Give ${this.getEntryLabel(entry)} the free shortcut ${suggestion}`;
+    } else if (fix === SHORTCUTS.CONFLICT_FIXES.SWAP) {
+      button.textContent = 'Swap';
+      button.title = `Keep ${this.formatShortcut(entry.shortcut)} here and give ${other} ${suggestion}`;
+    } else {
+      button.textContent = 'Remove';
+      button.title = `Remove the shortcut of ${this.getEntryLabel(entry)}`;
+    }
+
+    button.addEventListener('click', () => this.applyFix(entry.id, fix));
+    return button;
+  }
+
+  findEntry(id) {
+    return (this.analysis?.entries || []).find(entry => entry.id === id) || { id, kind: 'character', label: id };
+  }
+
+  getEntryLabel(entry) {
+    if (entry.kind === 'global') {
+      if (entry.name.startsWith(WINDOW_CYCLING.GROUP_SHORTCUT_PREFIX)) {
+        return `Cycle ${entry.name.slice(WINDOW_CYCLING.GROUP_SHORTCUT_PREFIX.length)}`;
+      }
+      return GLOBAL_LABELS[entry.name] || entry.name;
+    }
+
+    const window = (this.configRenderer.windows || []).find(w => generateCharacterKey(w.character, w.dofusClass) === entry.name);
+    return window?.customName || entry.label;
+  }
+
+  formatShortcut(shortcut) {
+    return this.configRenderer.shortcutManager?.formatShortcut(shortcut) || shortcut || '';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShortcutConflictPanel;
+}
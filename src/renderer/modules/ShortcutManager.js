@@ -1,4 +1,6 @@
 const ShortcutUtils = require('../../utils/ShortcutUtils');
+const KeyboardLayouts = require('../../utils/KeyboardLayouts');
+const { WINDOW_CYCLING } = require('../../utils/Constants');
 const { logger } = require('../../utils/Logger');
 
 /**
@@ -10,6 +12,7 @@ class ShortcutManager {
     this.isRecording = false;
     this.currentWindowId = null;
     this.currentGlobalShortcutType = null;
+    this.recordedShortcut = null;
     this.elements = {};
 
     // Set up utilities
@@ -61,10 +64,21 @@ class ShortcutManager {
 
     const typeNames = {
       'nextWindow': 'Next Window',
-      'toggleShortcuts': 'Toggle Shortcuts'
+      'toggleShortcuts': 'Toggle Shortcuts',
+      'previousWindow': 'Previous Window',
+      'initiativeLeader': 'Initiative Leader',
+      'lastWindow': 'Last Window',
+      'nextProfile': 'Next Profile',
+      'leaderKey': 'Leader Key',
+      'toggleFightMode': 'Fight Mode',
+      'endTurn': 'End Turn',
+      'broadcastKeys': 'Broadcast Keys'
     };
+    const groupName = type.startsWith(WINDOW_CYCLING.GROUP_SHORTCUT_PREFIX)
+      ? type.slice(WINDOW_CYCLING.GROUP_SHORTCUT_PREFIX.length)
+      : null;
 
-    this.elements.shortcutTitle.textContent = `Set Global Shortcut for ${typeNames[type] || type}`;
+    this.elements.shortcutTitle.textContent = `Set Global Shortcut for ${typeNames[type] || (groupName ? `Cycle ${groupName}` : type)}`;
     this.elements.shortcutDisplay.textContent = 'Press any key or combination...';
     this.elements.shortcutDisplay.className = 'shortcut-display-modal';
     this.elements.shortcutModal.style.display = 'flex';
@@ -81,6 +95,7 @@ class ShortcutManager {
 
   startRecording() {
     this.isRecording = true;
+    this.recordedShortcut = null;
     this.elements.shortcutDisplay.className = 'shortcut-display-modal recording';
     this.elements.shortcutDisplay.textContent = 'Press any key combination...';
   }
@@ -97,59 +112,26 @@ class ShortcutManager {
     e.preventDefault();
     e.stopPropagation();
 
+    // Physical key, so the shortcut stays on the same key whatever the layout
     const shortcut = this.buildShortcutString(e);
+    this.recordedShortcut = shortcut;
 
-    this.elements.shortcutDisplay.textContent = shortcut;
-    this.elements.shortcutDisplay.className = 'shortcut-display-modal captured';
+    this.elements.shortcutDisplay.textContent = this.formatShortcut(shortcut);
 
-    this.stopRecording();
-  }
-
-  buildShortcutString(e) {
-    const parts = [];
-
-    if (e.ctrlKey) parts.push('Ctrl');
-    if (e.altKey) parts.push('Alt');
-    if (e.shiftKey) parts.push('Shift');
-    if (e.metaKey) parts.push('Meta');
-
-    const key = this.getKeyName(e);
-    if (key && !['Control', 'Alt', 'Shift', 'Meta'].includes(key)) {
-      parts.push(key);
+    // Keep recording until a key other than a modifier is pressed
+    if (this.utils.parseShortcut(shortcut).key) {
+      this.elements.shortcutDisplay.className = 'shortcut-display-modal captured';
+      this.stopRecording();
     }
-
-    return parts.join('+');
   }
 
-  getKeyName(e) {
-    const keyMap = {
-      ' ': 'Space',
-      'ArrowUp': 'Up',
-      'ArrowDown': 'Down',
-      'ArrowLeft': 'Left',
-      'ArrowRight': 'Right',
-      'Enter': 'Return',
-      'Escape': 'Escape',
-      'Backspace': 'Backspace',
-      'Delete': 'Delete',
-      'Tab': 'Tab',
-      'Insert': 'Insert',
-      'Home': 'Home',
-      'End': 'End',
-      'PageUp': 'PageUp',
-      'PageDown': 'PageDown'
-    };
-
-    if (keyMap[e.key]) return keyMap[e.key];
-    if (e.key.startsWith('F') && e.key.length <= 3) return e.key;
-    if (e.key.length === 1) return e.key.toUpperCase();
-
-    return e.key;
+  buildShortcutString(e) {
+    return KeyboardLayouts.fromKeyboardEvent(e);
   }
 
   async saveShortcut() {
-    const shortcut = this.elements.shortcutDisplay.textContent;
-    if (shortcut && shortcut !== 'Press any key or combination...') {
+    const shortcut = this.recordedShortcut;
+    if (shortcut && this.utils.parseShortcut(shortcut).key) {
       try {
         const { ipcRenderer } = require('electron');
         let success = false;
@@ -179,6 +161,7 @@ class ShortcutManager {
         if (!success) {
           this.showMessage('Failed to save shortcut. It may conflict with an existing shortcut.', 'error');
         }
+        this.configRenderer.shortcutConflictPanel?.refresh();
       } catch (error) {
         console.error('ShortcutManager: Error saving shortcut:', error);
         this.showMessage('Error saving shortcut', 'error');
@@ -197,7 +180,7 @@ class ShortcutManager {
         success = await ipcRenderer.invoke('remove-global-shortcut', this.currentGlobalShortcutType);
         if (success) {
           console.log(`ShortcutManager: Global shortcut ${this.currentGlobalShortcutType} removed`);
-          this.updateGlobalShortcutDisplay(this.currentGlobalShortcutType, 'No shortcut');
+          this.updateGlobalShortcutDisplay(this.currentGlobalShortcutType, null);
         }
       } else if (this.currentWindowId) {
         // Remove window shortcut
@@ -216,6 +199,7 @@ class ShortcutManager {
       if (!success) {
         this.showMessage('Failed to remove shortcut', 'error');
       }
+      this.configRenderer.shortcutConflictPanel?.refresh();
     } catch (error) {
       console.error('ShortcutManager: Error removing shortcut:', error);
       this.showMessage('Error removing shortcut', 'error');
@@ -240,10 +224,14 @@ class ShortcutManager {
     }
   }
 
+  getGlobalShortcutDisplayId(type) {
+    return `${type.replace(/([A-Z])/g, '-$1').toLowerCase()}-shortcut-display`;
+  }
+
   updateGlobalShortcutDisplay(type, shortcut) {
-    const displayElement = document.getElementById(`${type.replace(/([A-Z])/g, '-$1').toLowerCase()}-shortcut-display`);
+    const displayElement = document.getElementById(this.getGlobalShortcutDisplayId(type));
     if (displayElement) {
-      displayElement.textContent = shortcut;
+      displayElement.textContent = this.formatShortcut(shortcut) || 'No shortcut';
     }
   }
 
@@ -284,8 +272,21 @@ class ShortcutManager {
     return ShortcutUtils.validateShortcut(shortcut);
   }
 
+  /**
+   * Get the keyboard layout shortcuts are labeled with
+   * @returns {string} One of KEYBOARD.LAYOUTS
+   */
+  getKeyboardLayout() {
+    return KeyboardLayouts.resolveLayout(this.configRenderer?.settings?.keyboardLayout);
+  }
+
+  /**
+   * Label a stored shortcut with the keys of the selected layout ("Ctrl+KeyQ" is "Ctrl+A" on AZERTY)
+   * @param {string} shortcut - Stored shortcut
+   * @returns {string} Label, empty when there is no shortcut
+   */
   formatShortcut(shortcut) {
-    return ShortcutUtils.formatShortcut(shortcut);
+    return KeyboardLayouts.toDisplay(shortcut, this.getKeyboardLayout());
   }
 
   // For backward compatibility
@@ -1,4 +1,6 @@
 const Constants = require('../../utils/Constants');
+const WindowView = require('./WindowView');
+const CharacterTags = require('../../utils/CharacterTags');
 
 /**
  * WindowRenderer - Handles all window rendering with incremental DOM updates
@@ -50,6 +52,9 @@ class WindowRenderer {
     // Element factory for creating optimized DOM elements
     this.elementFactory = new WindowElementFactory();
 
+    // Filter / sort / group options (game variant, server)
+    this.windowView = new WindowView();
+
     this.initialize();
     console.log('WindowRenderer: Initialized with incremental DOM updates');
   }
@@ -234,8 +239,9 @@ class WindowRenderer {
     this.stats.totalRenders++;
 
     try {
-      const windows = this.configRenderer?.windows || [];
-      console.log(`WindowRenderer: Rendering ${windows.length} windows (render #${this.stats.totalRenders})`);
+      const allWindows = this.configRenderer?.windows || [];
+      const { windows, groups } = this.windowView.apply(allWindows);
+      console.log(`WindowRenderer: Rendering ${windows.length}/${allWindows.length} windows (render #${this.stats.totalRenders})`);
 
       if (!this.isInitialized) {
         console.warn('WindowRenderer: Not initialized, performing basic render');
@@ -245,11 +251,23 @@ class WindowRenderer {
       // Always use incremental updates
       await this.renderWindowsIncremental(windows);
 
+      // Windows exist but are all filtered out: not the "no windows detected" state
+      if (windows.length === 0 && allWindows.length > 0) {
+        const noWindows = this.getElement('noWindows', '#no-windows');
+        if (noWindows) noWindows.style.display = 'none';
+      }
+
+      // Mark where each group starts
+      this.updateGroupMarkers(groups);
+
       // Update state tracking
       this.updateStateTracking(windows);
 
       // Update window count display
-      this.updateWindowCount(windows.length);
+      this.updateWindowCount(windows.length, allWindows.length);
+
+      // Keep the filter choices in line with the detected windows
+      this.updateViewControls();
 
       // Performance tracking
       const renderTime = performance.now() - startTime;
@@ -263,6 +281,114 @@ class WindowRenderer {
     }
   }
 
+  /**
+   * Change filter, sort or grouping options and re-render
+   * @param {Object} options - { variant, server, sortBy, groupBy }
+   * @returns {Object} Current view options
+   */
+  setViewOptions(options) {
+    const viewOptions = this.windowView.setOptions(options);
+    this.renderWindows();
+    return viewOptions;
+  }
+
+  /**
+   * Get the variants, servers and tags that can currently be filtered on
+   * @returns {Object} { variants, servers, tags }
+   */
+  getViewChoices() {
+    return WindowView.getFilterChoices(this.configRenderer?.windows || []);
+  }
+
+  /**
+   * Refresh the game, server and tag filter options, keeping the current selection
+   */
+  updateViewControls() {
+    const { variants, servers, tags } = this.getViewChoices();
+    const options = this.windowView.getOptions();
+
+    this.fillViewSelect(this.getElement('viewVariant', '#view-variant'), variants, options.variant);
+    this.fillViewSelect(this.getElement('viewServer', '#view-server'), servers, options.server);
+    this.fillViewSelect(this.getElement('viewTag', '#view-tag'), tags, options.tag);
+    this.updateTagActions(options.tag);
+    this.updateServerControls(servers.length > 0, options);
+  }
+
+  /**
+   * The server comes from a title rule with a {server} field or is entered per
+   * character, so the server filter, sort and grouping are hidden until a window has one
+   * @param {boolean} hasServers - Whether any window has a server
+   * @param {Object} options - Current view options
+   */
+  updateServerControls(hasServers, options) {
+    const serverSelect = this.getElement('viewServer', '#view-server');
+    const serverLabel = serverSelect?.closest('label');
+    if (serverLabel) {
+      serverLabel.hidden = !hasServers && options.server === Constants.WINDOW_VIEW.ALL;
+    }
+
+    [['viewSort', '#view-sort', options.sortBy], ['viewGroup', '#view-group', options.groupBy]].forEach(([key, selector, selected]) => {
+      const option = this.getElement(key, selector)?.querySelector('option[value="server"]');
+      if (option) {
+        option.hidden = !hasServers && selected !== 'server';
+      }
+    });
+  }
+
+  /**
+   * Bulk enable and disable act on the tag filtered on
+   * @param {string} tag - Selected tag
+   */
+  updateTagActions(tag) {
+    [['tagEnableBtn', '#tag-enable-btn'], ['tagDisableBtn', '#tag-disable-btn']].forEach(([key, selector]) => {
+      const button = this.getElement(key, selector);
+      if (button) {
+        button.disabled = tag === Constants.WINDOW_VIEW.ALL;
+      }
+    });
+  }
+
+  fillViewSelect(select, choices, selected) {
+    if (!select) return;
+
+    // The active filter stays selectable even when no window matches it anymore
+    const values = choices.map(choice => choice.value);
+    if (selected !== Constants.WINDOW_VIEW.ALL && !values.includes(selected)) {
+      choices = [...choices, { value: selected, label: selected }];
+    }
+
+    select.innerHTML = '';
+    [{ value: Constants.WINDOW_VIEW.ALL, label: 'All' }, ...choices].forEach(choice => {
+      const option = document.createElement('option');
+      option.value = choice.value;
+      option.textContent = choice.label;
+      select.appendChild(option);
+    });
+    select.value = selected;
+  }
+
+  /**
+   * Flag the first window of each group so a group label is shown above it
+   * @param {Array} groups - Groups from WindowView.apply
+   */
+  updateGroupMarkers(groups) {
+    const firstIds = new Map(
+      groups.filter(group => group.label && group.windows.length > 0)
+        .map(group => [group.windows[0].id, group.label])
+    );
+
+    this.windowElementCache.forEach((element, windowId) => {
+      const label = firstIds.get(windowId);
+      if (label) {
+        element.classList.add('group-start');
+        element.setAttribute('data-group-label', label);
+      } else if (element.classList.contains('group-start')) {
+        element.classList.remove('group-start');
+        element.removeAttribute('data-group-label');
+      }
+    });
+  }
+
   /**
    * Incremental render - only update what has changed
    */
@@ -365,10 +491,10 @@ class WindowRenderer {
    */
   getSpecificChanges(current, last) {
     const changedFields = [];
-    const trackFields = ['customName', 'character', 'dofusClass', 'shortcut', 'enabled', 'initiative', 'isActive'];
+    const trackFields = ['customName', 'character', 'dofusClass', 'shortcut', 'enabled', 'initiative', 'isActive', 'tags', 'server'];
 
     for (const field of trackFields) {
-      if (current[field] !== last[field]) {
+      if (this.getTrackedValue(current, field) !== last[field]) {
         changedFields.push(field);
       }
     }
@@ -382,10 +508,10 @@ class WindowRenderer {
    */
   hasWindowChanged(current, last) {
     // Quickly detect if any of the tracked fields have changed
-    const trackFields = ['customName', 'character', 'dofusClass', 'shortcut', 'enabled', 'initiative', 'isActive'];
+    const trackFields = ['customName', 'character', 'dofusClass', 'shortcut', 'enabled', 'initiative', 'isActive', 'tags', 'server'];
 
     for (const field of trackFields) {
-      if (current[field] !== last[field]) {
+      if (this.getTrackedValue(current, field) !== last[field]) {
         return true;
       }
     }
@@ -587,6 +713,7 @@ class WindowRenderer {
     container.setAttribute('data-window-id', window.id);
     container.setAttribute('data-order', order);
     container.setAttribute('data-class', window.dofusClass || 'unknown');
+    container.setAttribute('data-variant', window.gameVariant || 'unknown');
 
     // Update classes in one operation
     container.className = this.getWindowClassNames(window);
@@ -653,7 +780,7 @@ class WindowRenderer {
     // Create process info element (Fix #1)
     const processInfo = document.createElement('div');
     processInfo.className = 'process-info';
-    processInfo.textContent = `PID: ${window.pid || 'Unknown'} | Handle: ${window.handle || 'Unknown'}`;
+    processInfo.textContent = `${this.elementFactory.getGameInfo(window)} | PID: ${window.pid || 'Unknown'} | Handle: ${window.handle || 'Unknown'}`;
     header.appendChild(processInfo);
 
     return header;
@@ -686,7 +813,7 @@ class WindowRenderer {
     // Add shortcut display with minimal elements
     const shortcutDisplay = document.createElement('div');
     shortcutDisplay.className = 'shortcut-display';
-    shortcutDisplay.textContent = window.shortcut || 'No shortcut';
+    shortcutDisplay.textContent = this.formatShortcut(window.shortcut);
     shortcutDisplay.setAttribute('data-window-id', window.id);
 
     controls.appendChild(shortcutDisplay);
@@ -702,6 +829,33 @@ class WindowRenderer {
       controls.appendChild(initiativeInput);
     }
 
+    // Add tags input ("team A, mules")
+    const tagsInput = document.createElement('input');
+    tagsInput.type = 'text';
+    tagsInput.className = 'window-tags';
+    tagsInput.placeholder = 'Tags';
+    tagsInput.title = 'Tags, separated by commas';
+    tagsInput.value = CharacterTags.formatTags(window.tags);
+    tagsInput.setAttribute('data-window-id', window.id);
+    tagsInput.addEventListener('change', (e) => {
+      this.configRenderer?.settingsManager?.updateTags(window.id, e.target.value);
+    });
+
+    controls.appendChild(tagsInput);
+
+    // Add server input, read-only when the window title tells the server
+    const serverInput = document.createElement('input');
+    serverInput.type = 'text';
+    serverInput.className = 'window-server';
+    serverInput.placeholder = 'Server';
+    serverInput.setAttribute('data-window-id', window.id);
+    this.setServerInput(serverInput, window);
+    serverInput.addEventListener('change', (e) => {
+      this.configRenderer?.settingsManager?.updateServer(window.id, e.target.value);
+    });
+
+    controls.appendChild(serverInput);
+
     return controls;
   }
 
@@ -770,6 +924,10 @@ class WindowRenderer {
           return this.updateEnabledState(element, window);
         case 'isActive':
           return this.updateActiveState(element, window);
+        case 'tags':
+          return this.updateTags(element, window);
+        case 'server':
+          return this.updateServer(element, window);
       }
     } catch (error) {
       console.warn(`WindowRenderer: Error updating field ${field}:`, error);
@@ -792,6 +950,39 @@ class WindowRenderer {
     return false;
   }
 
+  /**
+   * Update tags input
+   */
+  updateTags(element, window) {
+    const tagsInput = element.querySelector('.window-tags');
+    if (tagsInput) {
+      const text = CharacterTags.formatTags(window.tags);
+      if (tagsInput.value !== text) {
+        tagsInput.value = text;
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Update server input
+   */
+  updateServer(element, window) {
+    const serverInput = element.querySelector('.window-server');
+    if (serverInput && serverInput.value !== (window.server || '')) {
+      this.setServerInput(serverInput, window);
+      return true;
+    }
+    return false;
+  }
+
+  setServerInput(serverInput, window) {
+    serverInput.value = window.server || '';
+    serverInput.disabled = Boolean(window.serverFromTitle);
+    serverInput.title = window.serverFromTitle ? 'Server read from the window title' : 'Server of this character';
+  }
+
   /**
    * Update character class display
    */
@@ -833,13 +1024,33 @@ class WindowRenderer {
     return false;
   }
 
+  /**
+   * Label a shortcut with the keys of the selected keyboard layout
+   */
+  formatShortcut(shortcut) {
+    const label = this.configRenderer?.shortcutManager?.formatShortcut(shortcut) || shortcut;
+    return label || 'No shortcut';
+  }
+
+  /**
+   * Label every shortcut again, after the keyboard layout changed
+   */
+  refreshShortcutLabels() {
+    (this.configRenderer?.windows || []).forEach(window => {
+      const element = this.windowElementCache.get(window.id);
+      if (element) {
+        this.updateShortcut(element, window);
+      }
+    });
+  }
+
   /**
    * Update shortcut display
    */
   updateShortcut(element, window) {
     const shortcutDisplay = element.querySelector('.shortcut-display');
     if (shortcutDisplay) {
-      const shortcutText = window.shortcut || 'No shortcut';
+      const shortcutText = this.formatShortcut(window.shortcut);
       if (shortcutDisplay.textContent !== shortcutText) {
         shortcutDisplay.textContent = shortcutText;
       }
@@ -1007,8 +1218,15 @@ class WindowRenderer {
   hasWindowChanged(current, last) {
     if (!last) return true;
 
-    const fields = ['customName', 'character', 'dofusClass', 'shortcut', 'enabled', 'initiative', 'isActive'];
-    return fields.some(field => current[field] !== last[field]);
+    const fields = ['customName', 'character', 'dofusClass', 'shortcut', 'enabled', 'initiative', 'isActive', 'tags', 'server'];
+    return fields.some(field => this.getTrackedValue(current, field) !== last[field]);
+  }
+
+  /**
+   * Get a tracked field in a form comparable with !== (tags are kept as text)
+   */
+  getTrackedValue(window, field) {
+    return field === 'tags' ? CharacterTags.formatTags(window.tags) : window[field];
   }
 
   /**
@@ -1086,10 +1304,13 @@ class WindowRenderer {
   /**
    * Update window count display
    */
-  updateWindowCount(count) {
+  updateWindowCount(count, total = count) {
     const windowCount = this.getElement('windowCount', '#window-count');
     if (windowCount) {
-      const text = count === 0 ? '0 windows detected' : `${count} window(s) detected`;
+      let text = count === 0 ? '0 windows detected' : `${count} window(s) detected`;
+      if (total > count) {
+        text = `${count} of ${total} window(s) shown`;
+      }
       if (windowCount.textContent !== text) {
         windowCount.textContent = text;
       }
@@ -1110,7 +1331,9 @@ class WindowRenderer {
         shortcut: window.shortcut,
         enabled: window.enabled,
         initiative: window.initiative,
-        isActive: window.isActive
+        isActive: window.isActive,
+        tags: this.getTrackedValue(window, 'tags'),
+        server: window.server
       });
     }
 
@@ -1301,6 +1524,7 @@ class WindowElementFactory {
     container.className = this.getWindowItemClasses(window);
     container.setAttribute('data-window-id', window.id);
     container.setAttribute('data-class', window.dofusClass || 'unknown');
+    container.setAttribute('data-variant', window.gameVariant || 'unknown');
     return container;
   }
 
@@ -1444,11 +1668,19 @@ class WindowElementFactory {
   createProcessInfo(window) {
     const processDiv = document.createElement('div');
     processDiv.className = 'process-info';
-    processDiv.textContent = `PID: ${window.pid || 'Unknown'} | Handle: ${window.handle || 'Unknown'}`;
+    processDiv.textContent = `${this.getGameInfo(window)} | PID: ${window.pid || 'Unknown'} | Handle: ${window.handle || 'Unknown'}`;
 
     return processDiv;
   }
 
+  /**
+   * Get the game variant and server label of a window
+   */
+  getGameInfo(window) {
+    const variant = WindowView.getVariantLabel(window.gameVariant);
+    return window.server ? `${variant} · ${window.server}` : variant;
+  }
+
   /**
    * Create window controls section
    */
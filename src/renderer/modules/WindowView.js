@@ -0,0 +1,153 @@
+const Constants = require('../../utils/Constants');
+const CharacterTags = require('../../utils/CharacterTags');
+
+const { WINDOW_VIEW, TITLE_PARSING } = Constants;
+
+/**
+ * WindowView - Filters, sorts and groups windows by game variant, server and tag
+ * Shared by the configuration window list and the dock
+ */
+class WindowView {
+  /**
+   * @param {Object} options - { variant, server, tag, sortBy, groupBy }
+   */
+  constructor(options = {}) {
+    this.options = { ...WINDOW_VIEW.DEFAULTS };
+    this.setOptions(options);
+  }
+
+  /**
+   * Update view options, ignoring unknown values
+   * @param {Object} options - Partial options
+   * @returns {Object} Current options
+   */
+  setOptions(options = {}) {
+    if (typeof options.variant === 'string') this.options.variant = options.variant;
+    if (typeof options.server === 'string') this.options.server = options.server;
+    if (typeof options.tag === 'string') this.options.tag = options.tag;
+    if (WINDOW_VIEW.SORT_OPTIONS.includes(options.sortBy)) this.options.sortBy = options.sortBy;
+    if (WINDOW_VIEW.GROUP_OPTIONS.includes(options.groupBy)) this.options.groupBy = options.groupBy;
+    return this.getOptions();
+  }
+
+  getOptions() {
+    return { ...this.options };
+  }
+
+  /**
+   * Apply filter, sort and grouping
+   * @param {Array} windows - Windows to display
+   * @returns {Object} { windows: ordered visible windows, groups: [{ key, label, windows }] }
+   */
+  apply(windows = []) {
+    const visible = windows.filter(window => this.matches(window));
+    const sorted = WindowView.sortWindows(visible, this.options.sortBy);
+
+    if (this.options.groupBy === 'none') {
+      return { windows: sorted, groups: [{ key: WINDOW_VIEW.ALL, label: null, windows: sorted }] };
+    }
+
+    const groups = new Map();
+    sorted.forEach(window => {
+      const key = WindowView.getGroupKey(window, this.options.groupBy);
+      if (!groups.has(key)) {
+        groups.set(key, { key, label: WindowView.getGroupLabel(key, this.options.groupBy), windows: [] });
+      }
+      groups.get(key).windows.push(window);
+    });
+
+    const orderedGroups = Array.from(groups.values()).sort((a, b) => a.label.localeCompare(b.label));
+    return {
+      windows: orderedGroups.flatMap(group => group.windows),
+      groups: orderedGroups
+    };
+  }
+
+  /**
+   * Check whether a window passes the variant, server and tag filters
+   * @param {Object} window - Window
+   * @returns {boolean} True if visible
+   */
+  matches(window) {
+    const { variant, server, tag } = this.options;
+    if (variant !== WINDOW_VIEW.ALL && window.gameVariant !== variant) {
+      return false;
+    }
+    if (server !== WINDOW_VIEW.ALL && (window.server || '') !== server) {
+      return false;
+    }
+    if (tag !== WINDOW_VIEW.ALL && !CharacterTags.includesTag(window.tags, tag)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * List the variants, servers and tags present, to build filter choices
+   * @param {Array} windows - Windows
+   * @returns {Object} { variants, servers, tags }, each a list of { value, label }
+   */
+  static getFilterChoices(windows = []) {
+    const variants = [...new Set(windows.map(window => window.gameVariant).filter(Boolean))].sort();
+    const servers = [...new Set(windows.map(window => window.server).filter(Boolean))].sort();
+    const tags = CharacterTags.getAllTags(windows.map(window => window.tags));
+
+    return {
+      variants: variants.map(value => ({ value, label: WindowView.getVariantLabel(value) })),
+      servers: servers.map(value => ({ value, label: value })),
+      tags: tags.map(value => ({ value, label: value }))
+    };
+  }
+
+  /**
+   * Sort windows without modifying the input array
+   * @param {Array} windows - Windows
+   * @param {string} sortBy - One of WINDOW_VIEW.SORT_OPTIONS
+   * @returns {Array} Sorted copy
+   */
+  static sortWindows(windows, sortBy) {
+    // Windows arrive in initiative order from the main process; sort is stable, so keep it
+    const byInitiative = () => 0;
+    const byName = (a, b) => WindowView.getDisplayName(a).localeCompare(WindowView.getDisplayName(b));
+    const compareBy = (key) => (a, b) => WindowView.getGroupLabel(WindowView.getGroupKey(a, key), key)
+      .localeCompare(WindowView.getGroupLabel(WindowView.getGroupKey(b, key), key));
+
+    const comparators = {
+      initiative: byInitiative,
+      name: byName,
+      variant: compareBy('variant'),
+      server: compareBy('server')
+    };
+
+    return [...windows].sort(comparators[sortBy] || byInitiative);
+  }
+
+  static getGroupKey(window, groupBy) {
+    if (groupBy === 'variant') return window.gameVariant || '';
+    if (groupBy === 'server') return window.server || '';
+    return WINDOW_VIEW.ALL;
+  }
+
+  static getGroupLabel(key, groupBy) {
+    if (groupBy === 'variant') return WindowView.getVariantLabel(key);
+    if (groupBy === 'server') return key || WINDOW_VIEW.UNKNOWN_SERVER_LABEL;
+    return '';
+  }
+
+  /**
+   * Get the display label of a game variant
+   * @param {string} variant - Variant id
+   * @returns {string} Label
+   */
+  static getVariantLabel(variant) {
+    return TITLE_PARSING.VARIANT_LABELS[variant] || 'Dofus';
+  }
+
+  static getDisplayName(window) {
+    return window.customName || window.character || '';
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WindowView;
+}
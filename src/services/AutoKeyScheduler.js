@@ -0,0 +1,375 @@
+const { AUTO_KEY } = require('../utils/Constants');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const ShortcutUtils = require('../utils/ShortcutUtils');
+const AutoKeyPrograms = require('../utils/AutoKeyPrograms');
+const InputSafetyMonitor = require('./InputSafetyMonitor');
+
+/**
+ * AutoKeyScheduler - Presses keys in game windows on a schedule
+ *
+ * Runs in the main process so it outlives the configuration window. It either
+ * repeats one key in one window at a fixed interval, or runs the programs of
+ * several windows round-robin (see AutoKeyPrograms); a repeat is a one-step
+ * program. The next press is only scheduled once the previous one went
+ * through, so a slow backend never piles presses up. Each press is checked
+ * against the safety monitor shared with key broadcast and click sync; the
+ * run stops on the emergency stop, at the rate limit, or once every window is
+ * gone or kept refusing keys. onChange(status) reports every start, stop and press.
+ */
+class AutoKeyScheduler {
+  /**
+   * @param {Object} options - { backend, safetyMonitor, getWindows(), onChange(status), random() for jitter }
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.safetyMonitor = options.safetyMonitor || new InputSafetyMonitor();
+    this.getWindows = options.getWindows || (() => []);
+    this.onChange = options.onChange || (() => {});
+    this.random = options.random || Math.random;
+
+    this.timer = null;
+    this.running = false;
+    // Bumped on every start and stop so a press still in flight does not schedule another
+    this.generation = 0;
+    this.run = null;
+    this.stoppedReason = null;
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Check a key repeat request
+   * @param {Object} options - { key, intervalMs, windowId }
+   * @param {string} layout - Keyboard layout the key is labeled with
+   * @param {Array} windows - Known windows
+   * @returns {Object} { isValid, error, keys, intervalMs, window }
+   */
+  static validate(options = {}, layout, windows = []) {
+    const invalid = error => ({ isValid: false, error });
+
+    const keys = ShortcutUtils.validateShortcut(options.key) ? KeyboardLayouts.toVirtualKeys(options.key, layout) : null;
+    if (!keys) {
+      return invalid(`Invalid key: ${options.key || 'none'}`);
+    }
+
+    const intervalMs = parseInt(options.intervalMs, 10);
+    if (!Number.isFinite(intervalMs) || intervalMs < AUTO_KEY.MIN_INTERVAL_MS || intervalMs > AUTO_KEY.MAX_INTERVAL_MS) {
+      return invalid(`Interval must be between ${AUTO_KEY.MIN_INTERVAL_MS} and ${AUTO_KEY.MAX_INTERVAL_MS} ms`);
+    }
+
+    const window = AutoKeyScheduler.findWindow(windows, options.windowId);
+    if (!window) {
+      return invalid('No enabled window to send the key to');
+    }
+
+    return { isValid: true, error: null, keys: [keys], intervalMs, window };
+  }
+
+  /**
+   * @param {Array} windows - Known windows
+   * @param {string} windowId - Window ID
+   * @returns {Object|null} The window when it is enabled and has a handle
+   */
+  static findWindow(windows, windowId) {
+    return windows.find(window => window.id === windowId && window.enabled !== false && window.handle) || null;
+  }
+
+  /**
+   * Start pressing a key in one window, replacing the running schedule
+   * @param {Object} options - { key, intervalMs, windowId }
+   * @param {string} layout - Keyboard layout the key is labeled with
+   * @returns {Object} { success, error, status }
+   */
+  start(options, layout) {
+    const validation = AutoKeyScheduler.validate(options, layout, this.getWindows());
+    if (!validation.isValid) {
+      return this.refuse(validation.error);
+    }
+
+    const step = { key: options.key, keys: validation.keys, delayMs: validation.intervalMs };
+    return this.begin(AUTO_KEY.SCHEDULER.MODES.REPEAT, [this.createTarget(validation.window, [step], 0)], {
+      key: options.key,
+      intervalMs: validation.intervalMs
+    }, validation.intervalMs);
+  }
+
+  /**
+   * Start running window programs round-robin, replacing the running schedule.
+   * Invalid programs and windows that cannot take keys are left out.
+   * @param {Array} programs - In turn order: [{ windowId, steps: [{ key, delayMs }], jitterMs }]
+   * @param {string} layout - Keyboard layout the keys are labeled with
+   * @returns {Object} { success, error, status }
+   */
+  startPrograms(programs, layout) {
+    const windows = this.getWindows();
+    const targets = [];
+
+    programs.forEach(entry => {
+      const window = AutoKeyScheduler.findWindow(windows, entry.windowId);
+      const validation = AutoKeyPrograms.validateProgram(entry);
+      if (!window || !validation.isValid) {
+        console.warn(`AutoKeyScheduler: Skipping the program of ${entry.windowId}: ${window ? validation.errors.join(', ') : 'window not available'}`);
+        return;
+      }
+
+      const steps = validation.program.steps.map(step => ({
+        ...step,
+        keys: [KeyboardLayouts.toVirtualKeys(step.key, layout)]
+      }));
+      targets.push(this.createTarget(window, steps, validation.program.jitterMs));
+    });
+
+    if (targets.length === 0) {
+      return this.refuse('No enabled window has a program to run');
+    }
+    return this.begin(AUTO_KEY.SCHEDULER.MODES.PROGRAMS, targets, { key: null, intervalMs: 0 }, 0);
+  }
+
+  /**
+   * @private
+   */
+  createTarget(window, steps, jitterMs) {
+    return {
+      windowId: window.id,
+      windowName: window.customName || window.character || window.id,
+      steps,
+      jitterMs,
+      cursor: 0,
+      failures: 0
+    };
+  }
+
+  /**
+   * @private
+   */
+  refuse(error) {
+    console.warn(`AutoKeyScheduler: Cannot start - ${error}`);
+    return { success: false, error, status: this.getStatus() };
+  }
+
+  /**
+   * @param {string} mode - One of AUTO_KEY.SCHEDULER.MODES
+   * @param {Array} targets - Windows in turn order, see createTarget
+   * @param {Object} details - { key, intervalMs } of a repeat
+   * @param {number} firstDelayMs - Delay before the first key: a repeat waits one interval,
+   *   programs press their first step at once
+   * @private
+   */
+  begin(mode, targets, details, firstDelayMs) {
+    if (this.safetyMonitor.getStatus().emergencyStop) {
+      return this.refuse('Emergency stop is active');
+    }
+
+    this.clearTimer();
+    this.generation++;
+    this.running = true;
+    this.stoppedReason = null;
+    this.run = {
+      mode,
+      ...details,
+      targets,
+      first: { windowId: targets[0].windowId, windowName: targets[0].windowName },
+      turn: 0,
+      keyCount: 0,
+      failedCount: 0,
+      startedAt: Date.now(),
+      lastKeyTime: 0
+    };
+
+    const first = targets[0];
+    console.log(`AutoKeyScheduler: Started ${mode} - ${targets.length} window(s), first: ${first.windowName}, ${first.steps.length} step(s)`);
+    this.schedule(firstDelayMs);
+    this.notify();
+    return { success: true, error: null, status: this.getStatus() };
+  }
+
+  /**
+   * Stop the schedule
+   * @param {string} reason - 'stopped', 'emergency-stop', 'rate-limit', 'window-lost' or 'send-failed'
+   * @returns {Object} Status
+   */
+  stop(reason = 'stopped') {
+    if (!this.running) {
+      return this.getStatus();
+    }
+
+    this.clearTimer();
+    this.generation++;
+    this.running = false;
+    this.stoppedReason = reason;
+
+    console.log(`AutoKeyScheduler: Stopped (${reason}) after ${this.run.keyCount} key(s)`);
+    this.notify();
+    return this.getStatus();
+  }
+
+  /**
+   * Stop the schedule and block every key for a while
+   * @returns {Object} Status
+   */
+  emergencyStop() {
+    this.safetyMonitor.triggerEmergencyStop();
+    return this.stop('emergency-stop');
+  }
+
+  /**
+   * Press the current step of the window whose turn it is, then schedule the next turn
+   * @returns {Promise<boolean>} Whether the key was sent
+   */
+  async tick() {
+    if (!this.running) return false;
+
+    this.timer = null;
+    const generation = this.generation;
+    const run = this.run;
+
+    const target = this.nextTarget();
+    if (!target) {
+      this.stop('window-lost');
+      return false;
+    }
+
+    const step = target.steps[target.cursor];
+    const check = this.safetyMonitor.performSafetyChecks(step.keys.length);
+    if (!check.allowed) {
+      this.stop(check.reason);
+      return false;
+    }
+
+    const sent = await this.sendTo(target.window, step.keys);
+    if (generation !== this.generation) {
+      return sent;
+    }
+
+    let index = run.targets.indexOf(target);
+    if (sent) {
+      this.safetyMonitor.recordKeyPresses(step.keys.length);
+      run.keyCount++;
+      run.lastKeyTime = Date.now();
+      target.failures = 0;
+      target.cursor = (target.cursor + 1) % target.steps.length;
+    } else {
+      run.failedCount++;
+      target.failures++;
+      if (target.failures >= AUTO_KEY.SCHEDULER.MAX_FAILURES) {
+        console.warn(`AutoKeyScheduler: ${target.windowName} keeps refusing keys, leaving it out`);
+        run.targets.splice(index, 1);
+        index--;
+        if (run.targets.length === 0) {
+          this.stop('send-failed');
+          return false;
+        }
+      }
+    }
+
+    run.turn = (index + 1) % run.targets.length;
+    this.schedule(AutoKeyPrograms.getDelay(step, target.jitterMs, this.random));
+    this.notify();
+    return sent;
+  }
+
+  /**
+   * Find the window whose turn it is, leaving out the ones that are gone or disabled
+   * @returns {Object|null} Target with its current window, null when none is left
+   * @private
+   */
+  nextTarget() {
+    const run = this.run;
+    const windows = this.getWindows();
+
+    while (run.targets.length > 0) {
+      run.turn %= run.targets.length;
+      const target = run.targets[run.turn];
+      const window = AutoKeyScheduler.findWindow(windows, target.windowId);
+      if (window) {
+        target.window = window;
+        return target;
+      }
+
+      console.warn(`AutoKeyScheduler: ${target.windowName} is gone or disabled, leaving it out`);
+      run.targets.splice(run.turn, 1);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  async sendTo(window, keys) {
+    try {
+      return await this.backend.sendKeys(window.handle, keys);
+    } catch (error) {
+      console.warn(`AutoKeyScheduler: Could not send key to ${window.customName || window.character || window.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * @private
+   */
+  schedule(delayMs) {
+    this.timer = setTimeout(() => this.tick(), delayMs);
+  }
+
+  /**
+   * @private
+   */
+  clearTimer() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    try {
+      this.onChange(this.getStatus());
+    } catch (error) {
+      console.error('AutoKeyScheduler: Error reporting status:', error);
+    }
+  }
+
+  /**
+   * @returns {Object} { running, mode, key, intervalMs, windowId, windowName, windowIds, targets,
+   *   keyCount, failedCount, startedAt, lastKeyTime, stoppedReason, safety } with the figures of
+   *   the last run once stopped; windowId and windowName are those of the window the run started with,
+   *   targets lists [{ windowId, windowName, step, stepCount }] with the next step of each
+   */
+  getStatus() {
+    const run = this.run || { targets: [], first: {} };
+    const targets = run.targets.map(target => ({
+      windowId: target.windowId,
+      windowName: target.windowName,
+      step: target.cursor + 1,
+      stepCount: target.steps.length
+    }));
+
+    return {
+      running: this.running,
+      mode: run.mode || null,
+      key: run.key || null,
+      intervalMs: run.intervalMs || 0,
+      windowId: run.first.windowId || null,
+      windowName: run.first.windowName || null,
+      windowIds: targets.map(target => target.windowId),
+      targets,
+      keyCount: run.keyCount || 0,
+      failedCount: run.failedCount || 0,
+      startedAt: run.startedAt || 0,
+      lastKeyTime: run.lastKeyTime || 0,
+      stoppedReason: this.stoppedReason,
+      safety: this.safetyMonitor.getStatus()
+    };
+  }
+
+  cleanup() {
+    this.clearTimer();
+    this.generation++;
+    this.running = false;
+  }
+}
+
+module.exports = AutoKeyScheduler;
@@ -0,0 +1,130 @@
+const { CLICK_SYNC } = require('../utils/Constants');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const WindowCycling = require('../utils/WindowCycling');
+const ClickMapping = require('./WindowManagerWindows/ClickMapping');
+const InputSafetyMonitor = require('./InputSafetyMonitor');
+
+/**
+ * ClickSync - Replays a click made on the leader window on the other ones
+ *
+ * Only clicks made on the initiative leader while holding the configured
+ * modifier, and no other, are replayed: on every other enabled window, or on the windows of a group, in
+ * initiative order, at the same spot relative to each client area (see
+ * ClickMapping). The modifier is released in the target windows so they get a
+ * plain click. Each click goes through the safety monitor shared with key broadcast.
+ */
+class ClickSync {
+  /**
+   * @param {Object} options - { backend, safetyMonitor, settings, wait(ms) }
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.safetyMonitor = options.safetyMonitor || new InputSafetyMonitor();
+    this.wait = options.wait || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.settings = { ...CLICK_SYNC.DEFAULTS };
+    this.configure(options.settings);
+
+    this.running = false;
+  }
+
+  /**
+   * Update the settings, used from the next click on
+   * @param {Object} settings - { enabled, modifier, group }
+   * @returns {Object} Settings in use
+   */
+  configure(settings = {}) {
+    this.settings = {
+      enabled: typeof settings.enabled === 'boolean' ? settings.enabled : this.settings.enabled,
+      modifier: CLICK_SYNC.MODIFIERS.includes(settings.modifier) ? settings.modifier : this.settings.modifier,
+      group: typeof settings.group === 'string' ? settings.group : this.settings.group
+    };
+    return { ...this.settings };
+  }
+
+  isEnabled() {
+    return this.settings.enabled;
+  }
+
+  /**
+   * Get the windows a click on a window is replayed on
+   * @param {Array} windows - Windows in initiative order
+   * @param {Object} source - Clicked window
+   * @param {string} group - Group name, empty for every enabled window
+   * @param {Object} groups - { [name]: classes }, see WindowCycling.getGroupWindows
+   * @returns {Array} Enabled windows of the group other than the clicked one
+   */
+  static getTargets(windows, source, group, groups) {
+    const enabled = windows.filter(window => window.enabled !== false && window.handle && window !== source);
+    return group ? WindowCycling.getGroupWindows(enabled, group, groups) : enabled;
+  }
+
+  /**
+   * Replay a click on the other windows
+   * @param {Object} click - Click from a ClickSource ({ button, x, y, handle, modifiers, client })
+   * @param {Array} windows - Windows in initiative order
+   * @param {Object} groups - { [name]: classes }
+   * @returns {Promise<Object|null>} { source, replayed, failed, stopped }, null when
+   *   the click is not replayed (off, other modifiers, not on the leader window, busy)
+   */
+  async replay(click, windows, groups) {
+    const modifiers = click.modifiers || [];
+    if (!this.settings.enabled || this.running || modifiers.length !== 1 || modifiers[0] !== this.settings.modifier) {
+      return null;
+    }
+
+    // Only the leader drives the others: a click in a follower window stays there
+    const source = WindowCycling.getInitiativeLeader(windows.filter(window => window.enabled !== false && window.handle));
+    if (!source || String(source.handle) !== String(click.handle)) return null;
+
+    const clicks = ClickMapping.mapClick(click, source, ClickSync.getTargets(windows, source, this.settings.group, groups));
+    const result = { source, replayed: 0, failed: 0, stopped: null };
+    if (clicks.length === 0) return result;
+
+    this.running = true;
+    const options = {
+      button: click.button,
+      releaseModifiers: [KeyboardLayouts.getModifierVirtualKey(this.settings.modifier)]
+    };
+
+    try {
+      for (let index = 0; index < clicks.length; index++) {
+        if (index > 0) {
+          await this.wait(CLICK_SYNC.WINDOW_DELAY_MS);
+        }
+
+        const check = this.safetyMonitor.performSafetyChecks(1);
+        if (!check.allowed) {
+          result.stopped = check.reason;
+          break;
+        }
+
+        const { window, x, y } = clicks[index];
+        if (await this.sendTo(window, { x, y }, options)) {
+          this.safetyMonitor.recordKeyPresses(1);
+          result.replayed++;
+        } else {
+          result.failed++;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    console.log(`ClickSync: Replayed a ${click.button} click on ${result.replayed} window(s), ${result.failed} failed${result.stopped ? `, stopped (${result.stopped})` : ''}`);
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async sendTo(window, point, options) {
+    try {
+      return await this.backend.sendClick(window.handle, point, options);
+    } catch (error) {
+      console.warn(`ClickSync: Could not click in ${window.customName || window.character || window.id}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+module.exports = ClickSync;
@@ -0,0 +1,159 @@
+const { LAYOUT, DOCK } = require('../utils/Constants');
+const LayoutEngine = require('./WindowManagerWindows/LayoutEngine');
+
+/**
+ * DisplayManager - Multi-monitor helpers on top of Electron's screen module
+ *
+ * The screen module is injected so the display list can be stubbed in tests.
+ * Displays are normalized to { id, bounds, workArea, primary }.
+ */
+class DisplayManager {
+  /**
+   * @param {Object} screenModule - Object implementing getAllDisplays() and getPrimaryDisplay()
+   */
+  constructor(screenModule) {
+    this.screen = screenModule;
+  }
+
+  /**
+   * Get connected displays, ordered left to right
+   * @returns {Array} Displays ({ id, bounds, workArea, primary })
+   */
+  getDisplays() {
+    const primaryId = this.getPrimaryDisplay().id;
+    const displays = this.screen.getAllDisplays().map(display => ({
+      id: display.id,
+      bounds: { ...display.bounds },
+      workArea: { ...display.workArea },
+      primary: display.id === primaryId
+    }));
+
+    return LayoutEngine.sortDisplays(displays);
+  }
+
+  /**
+   * Get the primary display
+   * @returns {Object} Display ({ id, bounds, workArea, primary })
+   */
+  getPrimaryDisplay() {
+    const display = this.screen.getPrimaryDisplay();
+    return {
+      id: display.id,
+      bounds: { ...display.bounds },
+      workArea: { ...display.workArea },
+      primary: true
+    };
+  }
+
+  /**
+   * Get a display by id
+   * @param {number} displayId - Display id
+   * @returns {Object|null} Display or null when it is not connected
+   */
+  getDisplay(displayId) {
+    return this.getDisplays().find(display => display.id === displayId) || null;
+  }
+
+  /**
+   * Get the display holding a rectangle
+   * @param {Object} rect - { x, y, width, height }
+   * @returns {Object} Display
+   */
+  getDisplayForRect(rect) {
+    return LayoutEngine.findDisplayForRect(rect, this.getDisplays()) || this.getPrimaryDisplay();
+  }
+
+  /**
+   * Resolve an organization target to the displays it covers
+   * @param {string|number} target - 'primary', 'all' or a display id
+   * @returns {Array} Target displays (never empty)
+   */
+  resolveTargetDisplays(target = LAYOUT.DEFAULT_TARGET) {
+    if (target === LAYOUT.TARGETS.ALL) {
+      return this.getDisplays();
+    }
+
+    if (target !== LAYOUT.TARGETS.PRIMARY) {
+      const display = this.getDisplay(Number(target));
+      if (display) {
+        return [display];
+      }
+      console.warn(`DisplayManager: Display ${target} not connected, using primary display`);
+    }
+
+    return [this.getPrimaryDisplay()];
+  }
+
+  /**
+   * Compute the dock position for a named corner of a display work area
+   * @param {string} position - Dock position (NW, NE, SW, SE, N, S)
+   * @param {Object} size - Dock size { width, height }
+   * @param {Object} workArea - Work area { x, y, width, height }
+   * @param {number} margin - Margin from the work area edges
+   * @returns {Object} { x, y }
+   */
+  computeDockPosition(position, size, workArea, margin = DOCK.MARGIN_PX) {
+    const left = workArea.x + margin;
+    const right = workArea.x + workArea.width - size.width - margin;
+    const centerX = workArea.x + (workArea.width - size.width) / 2;
+    const top = workArea.y + margin;
+    const bottom = workArea.y + workArea.height - size.height - margin;
+
+    const positions = {
+      [DOCK.POSITIONS.NORTH_WEST]: { x: left, y: top },
+      [DOCK.POSITIONS.NORTH_EAST]: { x: right, y: top },
+      [DOCK.POSITIONS.SOUTH_WEST]: { x: left, y: bottom },
+      [DOCK.POSITIONS.SOUTH_EAST]: { x: right, y: bottom },
+      [DOCK.POSITIONS.NORTH]: { x: centerX, y: top },
+      [DOCK.POSITIONS.SOUTH]: { x: centerX, y: bottom }
+    };
+
+    const point = positions[position] || positions[DOCK.DEFAULT_POSITION];
+    return { x: Math.round(point.x), y: Math.round(point.y) };
+  }
+
+  /**
+   * Resolve where the dock should open from its saved settings.
+   * A saved point is reused only if it is still on the remembered display;
+   * otherwise the dock goes to its named corner on that display, or on the
+   * primary display when the remembered one is disconnected.
+   * @param {Object} dockSettings - { position, x, y, displayId }
+   * @param {Object} size - Dock size { width, height }
+   * @returns {Object} { x, y, displayId }
+   */
+  resolveDockPosition(dockSettings, size) {
+    const rememberedDisplay = dockSettings.displayId !== undefined && dockSettings.displayId !== null
+      ? this.getDisplay(dockSettings.displayId)
+      : null;
+
+    const hasSavedPoint = Number.isFinite(dockSettings.x) && Number.isFinite(dockSettings.y);
+    if (hasSavedPoint) {
+      const savedRect = { x: dockSettings.x, y: dockSettings.y, width: size.width, height: size.height };
+      const holder = LayoutEngine.findDisplayForRect(savedRect, this.getDisplays());
+      const onScreen = holder && this.containsPoint(holder.bounds, savedRect.x + size.width / 2, savedRect.y + size.height / 2);
+
+      if (onScreen && (!rememberedDisplay || holder.id === rememberedDisplay.id)) {
+        return { x: dockSettings.x, y: dockSettings.y, displayId: holder.id };
+      }
+    }
+
+    const display = rememberedDisplay || this.getPrimaryDisplay();
+    return {
+      ...this.computeDockPosition(dockSettings.position, size, display.workArea),
+      displayId: display.id
+    };
+  }
+
+  /**
+   * Check whether a point lies inside a rectangle
+   * @param {Object} rect - { x, y, width, height }
+   * @param {number} x - Point x
+   * @param {number} y - Point y
+   * @returns {boolean} Whether the point is inside
+   */
+  containsPoint(rect, x, y) {
+    return x >= rect.x && x < rect.x + rect.width && y >= rect.y && y < rect.y + rect.height;
+  }
+}
+
+module.exports = DisplayManager;
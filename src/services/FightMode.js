@@ -0,0 +1,173 @@
+/**
+ * FightMode - Turn order following the fight initiative
+ *
+ * While a fight is on, "end turn" moves to the next character in initiative
+ * order, starting a new round after the last one. Disabled characters and the
+ * ones marked dead are skipped.
+ *
+ * The current turn is remembered by character, not by focused window, so it
+ * survives a click in another window and a refresh of the window list. When
+ * the current character's window disappears, the turn goes on from its place.
+ */
+class FightMode {
+  /**
+   * @param {Object} options - { onChange(state) }
+   */
+  constructor(options = {}) {
+    this.onChange = options.onChange || (() => {});
+    this.reset();
+  }
+
+  /**
+   * Forget the fight
+   * @private
+   */
+  reset() {
+    this.active = false;
+    this.round = 0;
+    this.currentKey = null;
+    this.currentIndex = -1;
+    this.dead = new Set();
+  }
+
+  /**
+   * Get the key a character is remembered by
+   * @param {Object} window - Window
+   * @returns {string} Character identity, or the window ID when unknown
+   */
+  static getKey(window) {
+    return window.characterId || window.id;
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Check whether a character gets a turn
+   * @param {Object} window - Window
+   * @returns {boolean} True when enabled and not dead
+   */
+  isEligible(window) {
+    return window.enabled !== false && !this.dead.has(FightMode.getKey(window));
+  }
+
+  /**
+   * Start a fight: round 1, first eligible character in initiative order
+   * @param {Array} windows - Windows in initiative order
+   * @returns {Object|null} Window whose turn it is
+   */
+  start(windows) {
+    this.reset();
+    this.active = true;
+    this.round = 1;
+
+    const first = windows.find(window => this.isEligible(window)) || null;
+    this.setCurrent(first, windows);
+    console.log(`FightMode: Fight started${first ? ` with ${first.customName || first.character}` : ''}`);
+    this.notify();
+    return first;
+  }
+
+  /**
+   * End the fight
+   */
+  stop() {
+    if (!this.active) return;
+
+    console.log(`FightMode: Fight ended after ${this.round} round(s)`);
+    this.reset();
+    this.notify();
+  }
+
+  /**
+   * Move to the next eligible character, wrapping to a new round
+   * @param {Array} windows - Windows in initiative order
+   * @returns {Object|null} Window whose turn it is, null when nobody can play
+   */
+  endTurn(windows) {
+    if (!this.active || windows.length === 0) return null;
+
+    let index = -1;
+    if (this.currentKey) {
+      index = windows.findIndex(window => FightMode.getKey(window) === this.currentKey);
+      if (index === -1) {
+        // The current character left: the one now at its place plays next
+        index = Math.min(this.currentIndex, windows.length) - 1;
+      }
+    }
+
+    for (let step = 1; step <= windows.length; step++) {
+      const position = index + step;
+      const window = windows[position % windows.length];
+      if (this.isEligible(window)) {
+        if (position >= windows.length) {
+          this.round++;
+        }
+        this.setCurrent(window, windows);
+        this.notify();
+        return window;
+      }
+    }
+
+    console.log('FightMode: No character left to play');
+    return null;
+  }
+
+  /**
+   * Mark a character as dead (skipped) or alive again
+   * @param {Object} window - Window
+   * @param {boolean} dead - New state
+   */
+  setDead(window, dead) {
+    const key = FightMode.getKey(window);
+    if (dead) {
+      this.dead.add(key);
+    } else {
+      this.dead.delete(key);
+    }
+    this.notify();
+  }
+
+  /**
+   * Get the window whose turn it is
+   * @param {Array} windows - Windows
+   * @returns {Object|null} Current window
+   */
+  getCurrent(windows) {
+    return windows.find(window => FightMode.getKey(window) === this.currentKey) || null;
+  }
+
+  /**
+   * @returns {Object} { active, round, currentKey, dead } for the dock and the tray
+   */
+  getState() {
+    return {
+      active: this.active,
+      round: this.round,
+      currentKey: this.currentKey,
+      dead: [...this.dead]
+    };
+  }
+
+  /**
+   * @private
+   */
+  setCurrent(window, windows) {
+    this.currentKey = window ? FightMode.getKey(window) : null;
+    this.currentIndex = window ? windows.indexOf(window) : -1;
+  }
+
+  /**
+   * @private
+   */
+  notify() {
+    try {
+      this.onChange(this.getState());
+    } catch (error) {
+      console.error('FightMode: Error notifying state change:', error);
+    }
+  }
+}
+
+module.exports = FightMode;
@@ -0,0 +1,201 @@
+const { FIGHT_TRACKER } = require('../utils/Constants');
+const LanguageManager = require('./LanguageManager');
+
+/**
+ * FightTracker - Rounds, turn timers and the end-of-fight summary
+ *
+ * Fed by fight mode: each turn starts when a character gets the turn and ends
+ * when the next one does, or when the fight ends. A warning fires a few seconds
+ * before the Dofus turn timer runs out, once per turn.
+ *
+ * The summary lists every character's turn durations, slowest on average
+ * first, to find the account slowing the rotation.
+ */
+class FightTracker {
+  /**
+   * @param {Object} options - { onWarning(warning), settings }
+   */
+  constructor(options = {}) {
+    this.onWarning = options.onWarning || (() => {});
+    this.settings = { ...FIGHT_TRACKER.DEFAULTS };
+    this.configure(options.settings);
+
+    this.startedAt = null;
+    this.turns = [];
+    this.current = null;
+    this.warningTimer = null;
+  }
+
+  /**
+   * Update the turn length and warning, used from the next turn on
+   * @param {Object} settings - { warningEnabled, turnSeconds, warningSeconds }
+   * @returns {Object} Settings in use
+   */
+  configure(settings = {}) {
+    const clamp = (value, min, max, fallback) => {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    };
+
+    const turnSeconds = clamp(settings.turnSeconds, FIGHT_TRACKER.MIN_TURN_SECONDS, FIGHT_TRACKER.MAX_TURN_SECONDS, this.settings.turnSeconds);
+    this.settings = {
+      warningEnabled: typeof settings.warningEnabled === 'boolean' ? settings.warningEnabled : this.settings.warningEnabled,
+      turnSeconds,
+      warningSeconds: clamp(settings.warningSeconds, 1, turnSeconds - 1, Math.min(this.settings.warningSeconds, turnSeconds - 1))
+    };
+    return { ...this.settings };
+  }
+
+  isRunning() {
+    return this.startedAt !== null;
+  }
+
+  /**
+   * Start tracking a fight
+   * @param {number} now - Timestamp
+   */
+  start(now = Date.now()) {
+    this.clearWarning();
+    this.startedAt = now;
+    this.turns = [];
+    this.current = null;
+  }
+
+  /**
+   * Start a character's turn, ending the previous one
+   * @param {Object} window - Window whose turn it is
+   * @param {number} round - Round number
+   * @param {number} now - Timestamp
+   */
+  beginTurn(window, round, now = Date.now()) {
+    if (!this.isRunning()) return;
+
+    this.finishTurn(now);
+    this.current = {
+      key: window.characterId || window.id,
+      name: window.customName || window.character || window.id,
+      round,
+      startedAt: now
+    };
+
+    if (this.settings.warningEnabled) {
+      const { key, name } = this.current;
+      const delay = (this.settings.turnSeconds - this.settings.warningSeconds) * 1000;
+      this.warningTimer = setTimeout(() => {
+        this.warningTimer = null;
+        this.onWarning({ key, name, round, remainingSeconds: this.settings.warningSeconds });
+      }, delay);
+    }
+  }
+
+  /**
+   * End the running turn when no character gets the turn after it
+   * @param {number} now - Timestamp
+   */
+  endTurn(now = Date.now()) {
+    if (!this.isRunning()) return;
+    this.finishTurn(now);
+  }
+
+  /**
+   * Record the running turn
+   * @param {number} now - Timestamp
+   * @private
+   */
+  finishTurn(now) {
+    this.clearWarning();
+    if (!this.current) return;
+
+    const { key, name, round, startedAt } = this.current;
+    this.turns.push({ key, name, round, duration: Math.max(0, now - startedAt) });
+    this.current = null;
+  }
+
+  /**
+   * End the fight
+   * @param {number} now - Timestamp
+   * @returns {Object|null} Summary, null when no fight was tracked
+   */
+  stop(now = Date.now()) {
+    if (!this.isRunning()) return null;
+
+    this.finishTurn(now);
+    const summary = FightTracker.summarize(this.turns, now - this.startedAt);
+    this.startedAt = null;
+    this.turns = [];
+    return summary;
+  }
+
+  /**
+   * Get the running turn
+   * @param {number} now - Timestamp
+   * @returns {Object} { running, round, current: { key, name, elapsed } | null }
+   */
+  getStatus(now = Date.now()) {
+    return {
+      running: this.isRunning(),
+      round: this.current ? this.current.round : 0,
+      current: this.current
+        ? { key: this.current.key, name: this.current.name, elapsed: now - this.current.startedAt }
+        : null
+    };
+  }
+
+  /**
+   * @private
+   */
+  clearWarning() {
+    if (this.warningTimer) {
+      clearTimeout(this.warningTimer);
+      this.warningTimer = null;
+    }
+  }
+
+  /**
+   * Sum up turn durations per character
+   * @param {Array} turns - [{ key, name, round, duration }]
+   * @param {number} duration - Fight duration in ms
+   * @returns {Object} { rounds, turns, duration, characters: [{ key, name, turns, total, average, longest }] }
+   */
+  static summarize(turns, duration = 0) {
+    const characters = new Map();
+    turns.forEach(turn => {
+      if (!characters.has(turn.key)) {
+        characters.set(turn.key, { key: turn.key, name: turn.name, turns: 0, total: 0, average: 0, longest: 0 });
+      }
+      const character = characters.get(turn.key);
+      character.turns++;
+      character.total += turn.duration;
+      character.longest = Math.max(character.longest, turn.duration);
+      character.average = Math.round(character.total / character.turns);
+    });
+
+    return {
+      rounds: turns.reduce((max, turn) => Math.max(max, turn.round || 0), 0),
+      turns: turns.length,
+      duration,
+      characters: [...characters.values()].sort((a, b) => b.average - a.average)
+    };
+  }
+
+  /**
+   * Describe a summary, one line per character
+   * @param {Object} summary - Summary from summarize()
+   * @param {number} limit - Maximum number of characters listed
+   * @param {Object} lang - Language strings; English when a line is missing
+   * @returns {Array<string>} Lines, slowest character first
+   */
+  static formatSummary(summary, limit = Infinity, lang = {}) {
+    const seconds = ms => `${Math.round(ms / 100) / 10}s`;
+    const lines = [LanguageManager.format(lang.fight_summary_total || '{0} round(s), {1} turn(s) in {2}',
+      summary.rounds, summary.turns, seconds(summary.duration))];
+
+    summary.characters.slice(0, limit).forEach(character => {
+      lines.push(LanguageManager.format(lang.fight_summary_character || '{0}: {1} average, {2} longest ({3} turn(s))',
+        character.name, seconds(character.average), seconds(character.longest), character.turns));
+    });
+    return lines;
+  }
+}
+
+module.exports = FightTracker;
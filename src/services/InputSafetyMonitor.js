@@ -0,0 +1,105 @@
+const { AUTO_KEY, UI } = require('../utils/Constants');
+
+/**
+ * InputSafetyMonitor - Emergency stop and rate limit for synthetic input
+ *
+ * Same safety concepts as the Auto Key window (AutoKeyManager.performSafetyChecks):
+ * no key or click is sent while the emergency stop is on, and never more than
+ * maxKeysPerMinute of them in a minute. The emergency stop lifts itself after
+ * UI.EMERGENCY_STOP_RESET_MS.
+ */
+class InputSafetyMonitor {
+  /**
+   * @param {Object} options - { maxKeysPerMinute, resetDelay }
+   */
+  constructor(options = {}) {
+    this.maxKeysPerMinute = options.maxKeysPerMinute || AUTO_KEY.MAX_KEYS_PER_MINUTE;
+    this.resetDelay = options.resetDelay || UI.EMERGENCY_STOP_RESET_MS;
+    this.keyPressHistory = [];
+    this.emergencyStop = false;
+    this.resetTimer = null;
+    this.stats = { keyPresses: 0, safetyStops: 0 };
+  }
+
+  /**
+   * Check whether keys may be sent
+   * @param {number} count - Number of keys about to be sent
+   * @param {number} now - Timestamp
+   * @returns {Object} { allowed, reason } with reason 'emergency-stop' or 'rate-limit'
+   */
+  performSafetyChecks(count = 1, now = Date.now()) {
+    if (this.emergencyStop) {
+      console.warn('InputSafetyMonitor: Blocked - emergency stop is active');
+      return { allowed: false, reason: 'emergency-stop' };
+    }
+
+    if (!this.checkRateLimit(count, now)) {
+      console.warn('InputSafetyMonitor: Blocked - rate limit exceeded');
+      this.stats.safetyStops++;
+      return { allowed: false, reason: 'rate-limit' };
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  /**
+   * Check that sending more keys stays under the rate limit
+   * @param {number} count - Number of keys about to be sent
+   * @param {number} now - Timestamp
+   * @returns {boolean} True when allowed
+   */
+  checkRateLimit(count = 1, now = Date.now()) {
+    const oneMinuteAgo = now - AUTO_KEY.RATE_LIMIT_WINDOW_MS;
+    this.keyPressHistory = this.keyPressHistory.filter(time => time > oneMinuteAgo);
+    return this.keyPressHistory.length + count <= this.maxKeysPerMinute;
+  }
+
+  /**
+   * Count keys that were sent
+   * @param {number} count - Number of keys
+   * @param {number} now - Timestamp
+   */
+  recordKeyPresses(count, now = Date.now()) {
+    for (let i = 0; i < count; i++) {
+      this.keyPressHistory.push(now);
+    }
+    this.stats.keyPresses += count;
+  }
+
+  /**
+   * Block every key until the emergency stop lifts
+   */
+  triggerEmergencyStop() {
+    console.warn('InputSafetyMonitor: EMERGENCY STOP activated');
+    this.emergencyStop = true;
+    this.stats.safetyStops++;
+
+    clearTimeout(this.resetTimer);
+    this.resetTimer = setTimeout(() => {
+      this.resetTimer = null;
+      this.emergencyStop = false;
+      console.log('InputSafetyMonitor: Emergency stop reset');
+    }, this.resetDelay);
+  }
+
+  /**
+   * @param {number} now - Timestamp
+   * @returns {Object} { emergencyStop, recentKeyPresses, maxKeysPerMinute, stats }
+   */
+  getStatus(now = Date.now()) {
+    const oneMinuteAgo = now - AUTO_KEY.RATE_LIMIT_WINDOW_MS;
+    return {
+      emergencyStop: this.emergencyStop,
+      recentKeyPresses: this.keyPressHistory.filter(time => time > oneMinuteAgo).length,
+      maxKeysPerMinute: this.maxKeysPerMinute,
+      stats: { ...this.stats }
+    };
+  }
+
+  cleanup() {
+    clearTimeout(this.resetTimer);
+    this.resetTimer = null;
+  }
+}
+
+module.exports = InputSafetyMonitor;
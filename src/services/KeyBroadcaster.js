@@ -0,0 +1,160 @@
+const { BROADCAST } = require('../utils/Constants');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const ShortcutUtils = require('../utils/ShortcutUtils');
+const WindowCycling = require('../utils/WindowCycling');
+const InputSafetyMonitor = require('./InputSafetyMonitor');
+
+/**
+ * KeyBroadcaster - Sends the same keys to several windows, one after the other
+ *
+ * Each target window is focused and gets the whole key sequence before the
+ * next one, in initiative order, with a pause between windows. Every window is
+ * checked against the safety monitor first: the emergency stop or the rate
+ * limit ends the broadcast, as does stop().
+ */
+class KeyBroadcaster {
+  /**
+   * @param {Object} options - { backend, safetyMonitor, settings, wait(ms) }
+   */
+  constructor(options = {}) {
+    this.backend = options.backend;
+    this.safetyMonitor = options.safetyMonitor || new InputSafetyMonitor();
+    this.wait = options.wait || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.settings = { ...BROADCAST.DEFAULTS };
+    this.configure(options.settings);
+
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * Update the keys, target group and delay, used from the next broadcast on
+   * @param {Object} settings - { keys, group, delayMs }
+   * @returns {Object} Settings in use
+   */
+  configure(settings = {}) {
+    const keys = Array.isArray(settings.keys) ? KeyBroadcaster.normalizeKeys(settings.keys) : this.settings.keys;
+    const delayMs = parseInt(settings.delayMs, 10);
+
+    this.settings = {
+      keys,
+      group: typeof settings.group === 'string' ? settings.group : this.settings.group,
+      delayMs: Number.isFinite(delayMs) ? Math.min(BROADCAST.MAX_DELAY_MS, Math.max(0, delayMs)) : this.settings.delayMs
+    };
+    return { ...this.settings, keys: [...this.settings.keys] };
+  }
+
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Keep the valid keys of a sequence
+   * @param {Array<string>} keys - Stored shortcuts
+   * @returns {Array<string>} Keys that can be sent, at most BROADCAST.MAX_KEYS
+   */
+  static normalizeKeys(keys) {
+    return keys
+      .filter(key => ShortcutUtils.validateShortcut(key) && KeyboardLayouts.toVirtualKeys(key) !== null)
+      .slice(0, BROADCAST.MAX_KEYS);
+  }
+
+  /**
+   * Get the windows a broadcast goes to
+   * @param {Array} windows - Windows in initiative order
+   * @param {string} group - Group name, empty for every enabled window
+   * @param {Object} groups - { [name]: classes }, see WindowCycling.getGroupWindows
+   * @returns {Array} Enabled windows of the group, in initiative order
+   */
+  static getTargets(windows, group, groups) {
+    const enabled = windows.filter(window => window.enabled !== false && window.handle);
+    return group ? WindowCycling.getGroupWindows(enabled, group, groups) : enabled;
+  }
+
+  /**
+   * Send the configured keys to each window in turn
+   * @param {Array} windows - Target windows in order
+   * @param {string} layout - Keyboard layout the keys are labeled with
+   * @param {Object} options - { releaseModifiers: virtual-key codes of the modifiers of the
+   *   shortcut that started the broadcast, still held by the player }
+   * @returns {Promise<Object|null>} { sent, failed, stopped } with stopped the reason the
+   *   broadcast ended early, null when a broadcast is already running
+   */
+  async broadcast(windows, layout, options = {}) {
+    if (this.running) return null;
+
+    const keys = this.settings.keys.map(key => KeyboardLayouts.toVirtualKeys(key, layout)).filter(Boolean);
+    const result = { sent: 0, failed: 0, stopped: null };
+    if (keys.length === 0 || windows.length === 0) {
+      console.log('KeyBroadcaster: Nothing to broadcast');
+      return result;
+    }
+
+    this.running = true;
+    this.cancelled = false;
+    console.log(`KeyBroadcaster: Sending ${keys.length} key(s) to ${windows.length} window(s)`);
+
+    try {
+      for (let index = 0; index < windows.length; index++) {
+        if (index > 0 && this.settings.delayMs > 0) {
+          await this.wait(this.settings.delayMs);
+        }
+
+        const check = this.safetyMonitor.performSafetyChecks(keys.length);
+        if (!check.allowed || this.cancelled) {
+          result.stopped = check.allowed ? 'stopped' : check.reason;
+          break;
+        }
+
+        if (await this.sendTo(windows[index], keys, options)) {
+          this.safetyMonitor.recordKeyPresses(keys.length);
+          result.sent++;
+        } else {
+          result.failed++;
+        }
+      }
+    } finally {
+      this.running = false;
+      this.cancelled = false;
+    }
+
+    console.log(`KeyBroadcaster: Sent to ${result.sent} window(s), ${result.failed} failed${result.stopped ? `, stopped (${result.stopped})` : ''}`);
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  async sendTo(window, keys, options) {
+    try {
+      return await this.backend.sendKeys(window.handle, keys, { releaseModifiers: options.releaseModifiers || [] });
+    } catch (error) {
+      console.warn(`KeyBroadcaster: Could not send keys to ${window.customName || window.character || window.id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * End the running broadcast before the next window
+   */
+  stop() {
+    if (this.running) {
+      this.cancelled = true;
+    }
+  }
+
+  /**
+   * End the running broadcast and block every key for a while
+   */
+  emergencyStop() {
+    this.stop();
+    this.safetyMonitor.triggerEmergencyStop();
+  }
+
+  cleanup() {
+    this.stop();
+    this.safetyMonitor.cleanup();
+  }
+}
+
+module.exports = KeyBroadcaster;
@@ -363,14 +363,17 @@ class LanguageManager {
 
   translate(key, ...args) {
     const lang = this.getCurrentLanguage();
-    let text = lang[key] || key;
-    
-    // Replace placeholders {0}, {1}, etc.
-    args.forEach((arg, index) => {
-      text = text.replace(new RegExp(`\\{${index}\\}`, 'g'), arg);
-    });
-    
-    return text;
+    return LanguageManager.format(lang[key] || key, ...args);
+  }
+
+  /**
+   * Replace the placeholders {0}, {1}, etc. of a text
+   * @param {string} text - Text from a language file or its fallback
+   * @param {...*} args - Values of the placeholders
+   * @returns {string} Formatted text
+   */
+  static format(text, ...args) {
+    return args.reduce((result, arg, index) => result.replace(new RegExp(`\\{${index}\\}`, 'g'), arg), text);
   }
 
   getAvailableLanguages() {
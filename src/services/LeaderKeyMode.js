@@ -0,0 +1,232 @@
+const { getErrorHandler } = require('./ErrorHandler');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const { LEADER_KEY } = require('../utils/Constants');
+
+/**
+ * LeaderKeyMode - Leader key followed by a single key
+ *
+ * Pressing the leader arms the mode: the follow-up keys are registered on the
+ * ShortcutManager for a short time, then the next key
+ * - 1-9 (digit row or numpad) selects a window by initiative order
+ * - a letter selects a window by class initial, cycling through the windows of
+ *   classes starting with it
+ * - an action key (ACTION_KEYS) triggers an action
+ * - Escape, the leader again or the timeout cancels
+ *
+ * States are idle and armed. Follow-up keys exist only while armed.
+ */
+class LeaderKeyMode {
+  /**
+   * @param {Object} shortcutManager - ShortcutManager (registerTemporaryShortcuts/releaseTemporaryShortcuts)
+   * @param {Object} options - { onSelect(selection), timeout }
+   */
+  constructor(shortcutManager, options = {}) {
+    this.errorHandler = getErrorHandler();
+    this.shortcutManager = shortcutManager;
+    this.onSelect = options.onSelect || (() => {});
+    this.timeout = options.timeout || LEADER_KEY.TIMEOUT_MS;
+
+    this.state = LEADER_KEY.STATES.IDLE;
+    this.context = null;
+    this.timer = null;
+  }
+
+  /**
+   * Check whether a follow-up key is awaited
+   * @returns {boolean} Whether the mode is armed
+   */
+  isArmed() {
+    return this.state === LEADER_KEY.STATES.ARMED;
+  }
+
+  /**
+   * Handle the leader shortcut: arm, or cancel when already armed
+   * @param {Object} context - { windows: enabled windows in initiative order, layout }
+   * @returns {boolean} Whether the mode is armed afterwards
+   */
+  trigger(context) {
+    if (this.isArmed()) {
+      this.cancel('leader');
+      return false;
+    }
+    return this.arm(context);
+  }
+
+  /**
+   * Register the follow-up keys and wait for one of them
+   * @param {Object} context - { windows, layout }
+   * @returns {boolean} Whether any follow-up key could be registered
+   */
+  arm(context = {}) {
+    try {
+      this.disarm();
+
+      const keys = LeaderKeyMode.getFollowUpKeys(context.windows, context.layout);
+      const registered = this.shortcutManager.registerTemporaryShortcuts(keys, key => this.press(key));
+      if (registered.length === 0) {
+        this.shortcutManager.releaseTemporaryShortcuts();
+        console.warn('LeaderKeyMode: No follow-up key could be registered');
+        return false;
+      }
+
+      this.context = context;
+      this.state = LEADER_KEY.STATES.ARMED;
+      this.timer = setTimeout(() => this.cancel('timeout'), this.timeout);
+      console.log(`LeaderKeyMode: Armed with ${registered.length} follow-up keys`);
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'LeaderKeyMode.arm');
+      this.disarm();
+      return false;
+    }
+  }
+
+  /**
+   * Handle a follow-up key
+   * @param {string} key - Key code
+   * @returns {Object|null} Selection passed to onSelect, null when nothing was selected
+   */
+  press(key) {
+    if (!this.isArmed()) return null;
+
+    const { windows = [], layout } = this.context;
+    this.disarm();
+
+    const target = LeaderKeyMode.resolveKey(key, layout);
+    if (!target || target.type === 'cancel') {
+      console.log(`LeaderKeyMode: Cancelled by ${key}`);
+      return null;
+    }
+
+    const selection = LeaderKeyMode.select(target, windows);
+    if (!selection) {
+      console.log(`LeaderKeyMode: Nothing matches ${key}`);
+      return null;
+    }
+
+    try {
+      this.onSelect(selection);
+    } catch (error) {
+      this.errorHandler.error(error, 'LeaderKeyMode.press');
+    }
+    return selection;
+  }
+
+  /**
+   * Stop waiting for a follow-up key
+   * @param {string} reason - Why the mode was cancelled, for logging
+   */
+  cancel(reason = 'cancel') {
+    if (!this.isArmed()) return;
+
+    this.disarm();
+    console.log(`LeaderKeyMode: Cancelled (${reason})`);
+  }
+
+  /**
+   * Release the follow-up keys and return to idle
+   * @private
+   */
+  disarm() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.isArmed()) {
+      this.shortcutManager.releaseTemporaryShortcuts();
+    }
+    this.state = LEADER_KEY.STATES.IDLE;
+    this.context = null;
+  }
+
+  /**
+   * Get the follow-up keys worth registering for the windows
+   * @param {Array} windows - Enabled windows in initiative order
+   * @param {string} layout - Keyboard layout
+   * @returns {Array<string>} Key codes
+   */
+  static getFollowUpKeys(windows = [], layout) {
+    const keys = [];
+
+    const indexCount = Math.min(windows.length, LEADER_KEY.MAX_INDEX);
+    for (let n = 1; n <= indexCount; n++) {
+      keys.push(`Digit${n}`, `Numpad${n}`);
+    }
+
+    windows.forEach(window => {
+      const code = LeaderKeyMode.getInitialKey(window.dofusClass, layout);
+      if (code && !keys.includes(code) && !LEADER_KEY.ACTION_KEYS[code]) {
+        keys.push(code);
+      }
+    });
+
+    return keys.concat(Object.keys(LEADER_KEY.ACTION_KEYS), LEADER_KEY.CANCEL_KEY);
+  }
+
+  /**
+   * Get the key typing the initial of a class on a layout
+   * @param {string} dofusClass - Class key
+   * @param {string} layout - Keyboard layout
+   * @returns {string|null} Code of the key typing the letter, not always a Key* code
+   *   (M is Semicolon on AZERTY)
+   */
+  static getInitialKey(dofusClass, layout) {
+    const initial = String(dofusClass || '').charAt(0).toUpperCase();
+    if (!/^[A-Z]$/.test(initial)) return null;
+    return KeyboardLayouts.fromLegacyShortcut(initial, KeyboardLayouts.resolveLayout(layout));
+  }
+
+  /**
+   * Tell what a follow-up key stands for
+   * @param {string} key - Key code
+   * @param {string} layout - Keyboard layout
+   * @returns {Object|null} { type: 'index', index } | { type: 'class', initial } |
+   *   { type: 'action', action } | { type: 'cancel' }, null for other keys
+   */
+  static resolveKey(key, layout) {
+    if (key === LEADER_KEY.CANCEL_KEY) {
+      return { type: 'cancel' };
+    }
+    if (LEADER_KEY.ACTION_KEYS[key]) {
+      return { type: 'action', action: LEADER_KEY.ACTION_KEYS[key] };
+    }
+
+    const digit = /^(Digit|Numpad)([1-9])$/.exec(key || '');
+    if (digit) {
+      return { type: 'index', index: Number(digit[2]) - 1 };
+    }
+
+    // Read the letter off the layout, as getInitialKey() picked the key from it
+    const label = key ? KeyboardLayouts.getKeyLabel(key, layout) : '';
+    if (/^[A-Z]$/.test(label)) {
+      return { type: 'class', initial: label.toLowerCase() };
+    }
+    return null;
+  }
+
+  /**
+   * Turn a resolved key into a selection
+   * @param {Object} target - Result of resolveKey()
+   * @param {Array} windows - Enabled windows in initiative order
+   * @returns {Object|null} { type: 'window', window } | { type: 'action', action }
+   */
+  static select(target, windows = []) {
+    if (target.type === 'action') {
+      return { type: 'action', action: target.action };
+    }
+
+    let window = null;
+    if (target.type === 'index') {
+      window = windows[target.index] || null;
+    } else if (target.type === 'class') {
+      // Start after the active window so repeating the chord cycles through the class
+      const matching = windows.filter(w => String(w.dofusClass || '').toLowerCase().startsWith(target.initial));
+      const activeIndex = matching.findIndex(w => w.isActive);
+      window = matching[(activeIndex + 1) % matching.length] || null;
+    }
+
+    return window ? { type: 'window', window } : null;
+  }
+}
+
+module.exports = LeaderKeyMode;
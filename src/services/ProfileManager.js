@@ -0,0 +1,370 @@
+const { getErrorHandler } = require('./ErrorHandler');
+const { PROFILES, LAYOUT } = require('../utils/Constants');
+
+/**
+ * ProfileManager - Stores named team profiles and switches between them
+ *
+ * A profile bundles a whole multibox configuration:
+ * - roster: the characters of the team ([{ characterId, character, dofusClass }]);
+ *   switching enables them and disables every other known character
+ * - initiatives of the roster, keyed by character identity
+ * - per-character shortcuts, global shortcuts and the auto-key pattern from the
+ *   shortcut configuration file
+ * - dock settings and the layout last used to organize or restore windows, with its target display
+ *
+ * Profiles are persisted under profiles = { active, items: { [name]: profile } }.
+ */
+class ProfileManager {
+  /**
+   * @param {Object} store - electron-store compatible instance (get/set)
+   * @param {Object} shortcutConfig - ShortcutConfigManager (config.shortcuts and saveConfig())
+   * @param {string} storageKey - Root storage key
+   */
+  constructor(store, shortcutConfig, storageKey = PROFILES.STORAGE_KEY) {
+    this.errorHandler = getErrorHandler();
+    this.store = store;
+    this.shortcutConfig = shortcutConfig;
+    this.storageKey = storageKey;
+
+    // Configuration in place before the last switch, until it is undone or replaced
+    this.undoState = null;
+  }
+
+  /**
+   * Get all profiles
+   * @returns {Object} Profiles keyed by name
+   */
+  getProfiles() {
+    try {
+      const data = this.store.get(this.storageKey, {}) || {};
+      return { ...(data.items || {}) };
+    } catch (error) {
+      this.errorHandler.error(error, 'ProfileManager.getProfiles');
+      return {};
+    }
+  }
+
+  /**
+   * Get profile names sorted alphabetically
+   * @returns {Array<string>} Profile names
+   */
+  getProfileNames() {
+    return Object.keys(this.getProfiles()).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Get a profile by name
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile or null
+   */
+  getProfile(name) {
+    return this.getProfiles()[name] || null;
+  }
+
+  /**
+   * Get the name of the profile applied last
+   * @returns {string|null} Active profile name, or null when none is applied
+   */
+  getActiveProfileName() {
+    const data = this.store.get(this.storageKey, {}) || {};
+    return data.active && this.getProfile(data.active) ? data.active : null;
+  }
+
+  /**
+   * Save the current configuration as a profile, replacing a profile of the same name
+   * @param {string} name - Profile name
+   * @param {Array} windows - Detected windows, the enabled ones form the roster
+   * @returns {Object} Saved profile
+   */
+  saveProfile(name, windows = []) {
+    const validation = this.validateProfileName(name);
+    if (!validation.isValid) {
+      throw new Error(`Invalid profile: ${validation.errors.join(', ')}`);
+    }
+
+    const trimmedName = name.trim();
+    const existing = this.getProfile(trimmedName);
+    const now = new Date().toISOString();
+
+    const profile = {
+      name: trimmedName,
+      ...this.captureState(windows),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    this.writeProfiles({ ...this.getProfiles(), [trimmedName]: profile }, trimmedName);
+
+    console.log(`ProfileManager: Saved profile "${trimmedName}" with ${profile.roster.length} characters`);
+    return profile;
+  }
+
+  /**
+   * Delete a profile
+   * @param {string} name - Profile name
+   * @returns {boolean} Whether a profile was deleted
+   */
+  deleteProfile(name) {
+    const profiles = this.getProfiles();
+    if (!profiles[name]) {
+      return false;
+    }
+
+    delete profiles[name];
+    const active = this.getActiveProfileName();
+    this.writeProfiles(profiles, active === name ? null : active);
+
+    console.log(`ProfileManager: Deleted profile "${name}"`);
+    return true;
+  }
+
+  /**
+   * Get a default name for a new profile ("Profile #N")
+   * @param {string} template - Localized template with a {0} placeholder
+   * @returns {string} Unused profile name
+   */
+  getDefaultProfileName(template = 'Profile #{0}') {
+    const profiles = this.getProfiles();
+    let index = Object.keys(profiles).length + 1;
+    while (profiles[template.replace('{0}', index)]) {
+      index++;
+    }
+    return template.replace('{0}', index);
+  }
+
+  /**
+   * Get the profile following the active one, in name order
+   * @returns {string|null} Profile name, or null when there is no profile
+   */
+  getNextProfileName() {
+    const names = this.getProfileNames();
+    if (names.length === 0) {
+      return null;
+    }
+
+    const currentIndex = names.indexOf(this.getActiveProfileName());
+    return names[(currentIndex + 1) % names.length];
+  }
+
+  /**
+   * Apply a profile. Every part is written or none is: when writing fails,
+   * the configuration that was in place is restored.
+   * @param {string} name - Profile name
+   * @param {Array} windows - Detected windows, disabled unless they are in the roster
+   * @returns {Promise<Object>} Applied profile
+   */
+  async applyProfile(name, windows = []) {
+    const profile = this.getProfile(name);
+    if (!profile) {
+      throw new Error(`Unknown profile: ${name}`);
+    }
+
+    const previous = this.captureState(windows, { exact: true });
+    const previousActive = this.getActiveProfileName();
+
+    try {
+      this.writeState(profile, windows);
+
+      const saved = await this.shortcutConfig.saveConfig();
+      if (saved === false) {
+        throw new Error('Failed to save the shortcut configuration');
+      }
+    } catch (error) {
+      this.writeState(previous, windows);
+      this.errorHandler.error(error, `ProfileManager.applyProfile: ${name}`);
+      throw error;
+    }
+
+    this.writeProfiles(this.getProfiles(), profile.name);
+    this.undoState = { state: previous, active: previousActive, profile: profile.name };
+
+    console.log(`ProfileManager: Applied profile "${profile.name}"`);
+    return profile;
+  }
+
+  /**
+   * Check whether the last profile switch can be undone
+   * @returns {Object|null} { profile, active } names of the switched-to and previous profiles, or null
+   */
+  getUndoInfo() {
+    return this.undoState ? { profile: this.undoState.profile, active: this.undoState.active } : null;
+  }
+
+  /**
+   * Put back the configuration that was in place before the last profile switch
+   * @param {Array} windows - Detected windows
+   * @returns {Promise<string|null>} Name of the profile active again, or null
+   */
+  async undoLastSwitch(windows = []) {
+    if (!this.undoState) {
+      throw new Error('No profile switch to undo');
+    }
+
+    const { state, active, profile } = this.undoState;
+    this.writeState(state, windows);
+
+    const saved = await this.shortcutConfig.saveConfig();
+    if (saved === false) {
+      throw new Error('Failed to save the shortcut configuration');
+    }
+
+    this.writeProfiles(this.getProfiles(), active);
+    this.undoState = null;
+
+    console.log(`ProfileManager: Undid switch to profile "${profile}"`);
+    return active;
+  }
+
+  /**
+   * Find the saved profile whose roster best matches the detected characters.
+   * The match is the share of characters the roster and the detected windows
+   * have in common (characters in both / characters in either).
+   * @param {Array} windows - Detected windows
+   * @param {number} minimumMatch - Lowest match accepted, between 0 and 1
+   * @returns {Object|null} { name, match, matched } or null when no profile is close enough
+   */
+  findBestProfile(windows = [], minimumMatch = PROFILES.AUTO_SELECT_DEFAULTS.minimumMatch) {
+    const detected = new Set(windows.map(window => window.characterId).filter(Boolean));
+    if (detected.size === 0) {
+      return null;
+    }
+
+    let best = null;
+    const profiles = this.getProfiles();
+
+    this.getProfileNames().forEach(name => {
+      const rosterIds = new Set((profiles[name].roster || []).map(member => member.characterId));
+      const matched = [...rosterIds].filter(characterId => detected.has(characterId)).length;
+      const match = matched / (detected.size + rosterIds.size - matched);
+
+      if (matched > 0 && match >= minimumMatch && (!best || match > best.match)) {
+        best = { name, match, matched };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Capture the current configuration
+   * @param {Array} windows - Detected windows
+   * @param {Object} options - { exact } capture every stored initiative and enabled flag, to restore them as they were
+   * @returns {Object} Profile contents
+   */
+  captureState(windows = [], options = {}) {
+    const shortcuts = this.shortcutConfig.config.shortcuts;
+    const initiatives = this.store.get('initiatives', {}) || {};
+
+    const roster = windows
+      .filter(window => window.enabled !== false && window.characterId)
+      .map(window => ({ characterId: window.characterId, character: window.character, dofusClass: window.dofusClass }));
+
+    const rosterInitiatives = {};
+    roster.forEach(({ characterId }) => {
+      if (initiatives[characterId] !== undefined) {
+        rosterInitiatives[characterId] = initiatives[characterId];
+      }
+    });
+
+    const state = {
+      roster,
+      initiatives: options.exact ? { ...initiatives } : rosterInitiatives,
+      characterShortcuts: clone(shortcuts.characters || {}),
+      globalShortcuts: clone(shortcuts.global || {}),
+      autoKey: clone(shortcuts.autoKey || {}),
+      dock: clone(this.store.get('dock', {}) || {}),
+      layout: {
+        name: null,
+        restore: false,
+        ...this.store.get(LAYOUT.LAST_LAYOUT_KEY, {}),
+        target: this.store.get(LAYOUT.TARGET_KEY, LAYOUT.DEFAULT_TARGET)
+      }
+    };
+
+    if (options.exact) {
+      state.enabledWindows = { ...(this.store.get('enabledWindows', {}) || {}) };
+    }
+    return state;
+  }
+
+  /**
+   * Write profile contents to the store and the in-memory shortcut configuration
+   * @param {Object} state - Profile or captured state
+   * @param {Array} windows - Detected windows
+   * @private
+   */
+  writeState(state, windows) {
+    if (state.enabledWindows) {
+      this.store.set('enabledWindows', { ...state.enabledWindows });
+      this.store.set('initiatives', { ...state.initiatives });
+    } else {
+      this.store.set('enabledWindows', this.getRosterEnabledFlags(state.roster, windows));
+      this.store.set('initiatives', { ...(this.store.get('initiatives', {}) || {}), ...state.initiatives });
+    }
+
+    const shortcuts = this.shortcutConfig.config.shortcuts;
+    shortcuts.characters = clone(state.characterShortcuts);
+    shortcuts.global = clone(state.globalShortcuts);
+    shortcuts.autoKey = clone(state.autoKey);
+
+    this.store.set('dock', clone(state.dock));
+    if (state.layout) {
+      this.store.set(LAYOUT.LAST_LAYOUT_KEY, { name: state.layout.name || null, restore: Boolean(state.layout.restore) });
+      this.store.set(LAYOUT.TARGET_KEY, state.layout.target || LAYOUT.DEFAULT_TARGET);
+    }
+  }
+
+  /**
+   * Enable the roster and disable every other character known to the store or detected
+   * @param {Array} roster - Profile roster
+   * @param {Array} windows - Detected windows
+   * @returns {Object} Enabled flags keyed by character identity
+   * @private
+   */
+  getRosterEnabledFlags(roster, windows) {
+    const rosterIds = new Set(roster.map(member => member.characterId));
+    const knownIds = new Set([
+      ...Object.keys(this.store.get('enabledWindows', {}) || {}),
+      ...windows.map(window => window.characterId).filter(Boolean),
+      ...rosterIds
+    ]);
+
+    const flags = {};
+    knownIds.forEach(characterId => {
+      flags[characterId] = rosterIds.has(characterId);
+    });
+    return flags;
+  }
+
+  /**
+   * Validate a profile name
+   * @param {string} name - Profile name
+   * @returns {Object} { isValid, errors }
+   */
+  validateProfileName(name) {
+    const errors = [];
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      errors.push('name is required');
+    } else if (name.trim().length > PROFILES.MAX_NAME_LENGTH) {
+      errors.push(`name must be at most ${PROFILES.MAX_NAME_LENGTH} characters`);
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  writeProfiles(items, active) {
+    this.store.set(this.storageKey, { active: active || null, items });
+  }
+}
+
+/**
+ * Deep copy plain configuration data
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+module.exports = ProfileManager;
@@ -3,10 +3,40 @@ const fsSync = require('fs');
 const path = require('path');
 const { app } = require('electron');
 const { logger } = require('../utils/Logger');
+const ShortcutUtils = require('../utils/ShortcutUtils');
+const AutoKeyPatterns = require('../utils/AutoKeyPatterns');
+const AutoKeyPrograms = require('../utils/AutoKeyPrograms');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const { AUTO_KEY, PATHS, SHORTCUTS, PROFILES, WINDOW_CYCLING, LEADER_KEY, FIGHT_MODE, BROADCAST } = require('../utils/Constants');
+const { generateCharacterKey, getLegacyCharacterKey } = require('./WindowManagerWindows/CharacterIdentity');
+
+// Global shortcut types the app registers, the only global keys taken from electron-store
+const KNOWN_GLOBAL_SHORTCUT_TYPES = new Set([
+  ...Object.values(SHORTCUTS.SHORTCUT_TYPES),
+  ...Object.values(WINDOW_CYCLING.SHORTCUT_TYPES),
+  ...Object.values(FIGHT_MODE.SHORTCUT_TYPES),
+  ...Object.values(BROADCAST.SHORTCUT_TYPES),
+  PROFILES.NEXT_PROFILE_SHORTCUT,
+  LEADER_KEY.SHORTCUT_TYPE
+]);
 
 /**
  * ShortcutConfigManager - Manages shortcuts configuration with proper Electron paths
  * Uses asynchronous file operations with proper error handling
+ *
+ * Shortcuts are keyed by character ("character_class"), so they follow a
+ * character across client restarts:
+ * - shortcuts.global: { [type]: shortcut }
+ * - shortcuts.characters: { [characterKey]: { shortcut, character, dofusClass, windowId, priority, auto, updatedAt } }
+ * - characters: { [characterKey]: { character, dofusClass, windowId, lastSeen } }
+ * - shortcuts.autoKey.programs: { [characterKey]: { steps: [{ key, delayMs }], jitterMs, enabled } },
+ *   the key sequences of the auto key scheduler (see AutoKeyPrograms)
+ *
+ * Shortcuts name physical keys with KeyboardEvent.code values ("Ctrl+Digit1"),
+ * see KeyboardLayouts.
+ *
+ * The synchronous setters update the configuration in memory and queue a save;
+ * saves run one after another, each creating a backup of the previous file.
  */
 class ShortcutConfigManager {
   constructor() {
@@ -25,7 +55,8 @@ class ShortcutConfigManager {
         autoKey: {
           enabled: false,
           pattern: 'numbers',
-          customPattern: 'Ctrl+Alt+{n}'
+          customPattern: 'Ctrl+Alt+{n}',
+          programs: {}
         }
       },
       characters: {},
@@ -46,6 +77,9 @@ class ShortcutConfigManager {
     // Initialize config (will call async methods)
     this._initPromise = this.initialize();
 
+    // Last queued save; setters only save once the configuration is loaded
+    this.savePromise = this._initPromise.catch(() => false);
+
     logger.info(`ShortcutConfigManager: Using config directory: ${this.configDir}`);
   }
 
@@ -561,6 +595,731 @@ class ShortcutConfigManager {
     }
   }
 
+  /**
+   * Save the configuration after the saves already queued
+   * @returns {Promise<boolean>} Whether the save succeeded
+   */
+  queueSave() {
+    this.savePromise = this.savePromise.then(() => this.saveConfig());
+    return this.savePromise;
+  }
+
+  /**
+   * Generate the key shortcuts are stored under for a character
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @returns {string|null} "character_class" or null
+   */
+  generateCharacterKey(character, dofusClass) {
+    return generateCharacterKey(character, dofusClass);
+  }
+
+  /**
+   * Get a global shortcut
+   * @param {string} type - Global shortcut type (nextWindow, toggleShortcuts...)
+   * @returns {string|null} Accelerator or null
+   */
+  getGlobalShortcut(type) {
+    return this.config.shortcuts.global[type] || null;
+  }
+
+  /**
+   * Get all global shortcuts
+   * @returns {Object} Accelerators keyed by type
+   */
+  getAllGlobalShortcuts() {
+    return { ...this.config.shortcuts.global };
+  }
+
+  /**
+   * Set a global shortcut
+   * @param {string} type - Global shortcut type
+   * @param {string} shortcut - Accelerator
+   * @returns {boolean} Whether the shortcut was valid and stored
+   */
+  setGlobalShortcut(type, shortcut) {
+    if (!type || !ShortcutUtils.validateShortcut(shortcut)) {
+      logger.warn('ShortcutConfigManager: Invalid global shortcut', { type, shortcut });
+      return false;
+    }
+
+    this.config.shortcuts.global[type] = shortcut.trim();
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Global shortcut ${type} set to ${shortcut}`);
+    return true;
+  }
+
+  /**
+   * Remove a global shortcut
+   * @param {string} type - Global shortcut type
+   * @returns {boolean} Whether a shortcut was removed
+   */
+  removeGlobalShortcut(type) {
+    if (!this.config.shortcuts.global[type]) {
+      return false;
+    }
+
+    delete this.config.shortcuts.global[type];
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Global shortcut ${type} removed`);
+    return true;
+  }
+
+  /**
+   * Assign a shortcut to a window's character
+   * @param {string} windowId - Runtime window ID
+   * @param {string} shortcut - Accelerator
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @param {number} priority - Registration priority (priorities.WINDOW or AUTO_KEY)
+   * @returns {boolean} Whether the shortcut was valid and stored
+   */
+  setWindowShortcut(windowId, shortcut, character, dofusClass, priority = this.config.priorities.WINDOW) {
+    const characterKey = this.generateCharacterKey(character, dofusClass);
+    if (!characterKey || !ShortcutUtils.validateShortcut(shortcut)) {
+      logger.warn('ShortcutConfigManager: Invalid window shortcut', { windowId, shortcut, character });
+      return false;
+    }
+
+    this.writeCharacterShortcut(characterKey, {
+      shortcut: shortcut.trim(),
+      character,
+      dofusClass,
+      windowId,
+      priority,
+      auto: false
+    });
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Shortcut ${shortcut} set for ${characterKey}`);
+    return true;
+  }
+
+  /**
+   * Remove the shortcut linked to a window
+   * @param {string} windowId - Runtime window ID
+   * @returns {boolean} Whether a shortcut was removed
+   */
+  removeWindowShortcut(windowId) {
+    const characterKeys = Object.keys(this.config.shortcuts.characters)
+      .filter(characterKey => this.config.shortcuts.characters[characterKey].windowId === windowId);
+
+    characterKeys.forEach(characterKey => delete this.config.shortcuts.characters[characterKey]);
+    if (characterKeys.length > 0) {
+      this.queueSave();
+    }
+
+    return characterKeys.length > 0;
+  }
+
+  /**
+   * Get the shortcut of a character
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @returns {string|null} Accelerator or null
+   */
+  getCharacterShortcut(character, dofusClass) {
+    const entry = this.config.shortcuts.characters[this.generateCharacterKey(character, dofusClass)];
+    return entry ? entry.shortcut : null;
+  }
+
+  /**
+   * Remove the shortcut of a character
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @returns {boolean} Whether a shortcut was removed
+   */
+  removeCharacterShortcut(character, dofusClass) {
+    const characterKey = this.generateCharacterKey(character, dofusClass);
+    if (!characterKey || !this.config.shortcuts.characters[characterKey]) {
+      return false;
+    }
+
+    delete this.config.shortcuts.characters[characterKey];
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Shortcut removed for ${characterKey}`);
+    return true;
+  }
+
+  /**
+   * Link a character's stored shortcut to the window it currently runs in
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @param {string} windowId - Runtime window ID
+   * @returns {string|null} The character's accelerator, or null when it has none
+   */
+  linkShortcutToWindow(character, dofusClass, windowId) {
+    const entry = this.config.shortcuts.characters[this.generateCharacterKey(character, dofusClass)];
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.windowId !== windowId) {
+      entry.windowId = windowId;
+      this.queueSave();
+    }
+
+    return entry.shortcut;
+  }
+
+  /**
+   * Record that a character was seen in a window
+   * @param {string} windowId - Runtime window ID
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @returns {boolean} Whether the character could be keyed
+   */
+  setCharacterProfile(windowId, character, dofusClass) {
+    const characterKey = this.generateCharacterKey(character, dofusClass);
+    if (!characterKey) {
+      return false;
+    }
+
+    const existing = this.config.characters[characterKey];
+    this.config.characters[characterKey] = {
+      character,
+      dofusClass,
+      windowId,
+      lastSeen: new Date().toISOString()
+    };
+
+    // lastSeen alone is saved along with the next change
+    if (!existing || existing.windowId !== windowId || existing.dofusClass !== dofusClass) {
+      this.queueSave();
+    }
+    return true;
+  }
+
+  /**
+   * Get the registration priority of a character's shortcut
+   * @param {string} characterKey - Character key
+   * @returns {number} Priority (lower registers first)
+   */
+  getShortcutPriority(characterKey) {
+    const entry = this.config.shortcuts.characters[characterKey];
+    return entry && entry.priority ? entry.priority : this.config.priorities.WINDOW;
+  }
+
+  /**
+   * Unlink windows that are gone and forget characters not seen for a while.
+   * Shortcuts assigned to a character are kept.
+   * @param {Array} windows - Detected windows
+   * @param {number} maxAgeDays - Days after which an unseen character without shortcut is forgotten
+   * @returns {number} Number of entries changed or removed
+   */
+  cleanupOldEntries(windows = [], maxAgeDays = PATHS.BACKUP_CLEANUP_DAYS) {
+    const activeWindowIds = new Set(windows.map(window => window.id));
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    let changed = 0;
+
+    Object.values(this.config.shortcuts.characters).forEach(entry => {
+      if (entry.windowId && !activeWindowIds.has(entry.windowId)) {
+        entry.windowId = null;
+        changed++;
+      }
+    });
+
+    Object.keys(this.config.characters).forEach(characterKey => {
+      const profile = this.config.characters[characterKey];
+      if (activeWindowIds.has(profile.windowId)) {
+        return;
+      }
+
+      const lastSeen = Date.parse(profile.lastSeen);
+      if (!this.config.shortcuts.characters[characterKey] && !(lastSeen >= cutoff)) {
+        delete this.config.characters[characterKey];
+      } else if (profile.windowId) {
+        profile.windowId = null;
+      } else {
+        return;
+      }
+      changed++;
+    });
+
+    if (changed > 0) {
+      this.queueSave();
+      logger.debug(`ShortcutConfigManager: Cleaned up ${changed} stale entries`);
+    }
+    return changed;
+  }
+
+  /**
+   * Check whether shortcuts are assigned automatically from initiative order
+   * @returns {boolean} Auto key state
+   */
+  isAutoKeyEnabled() {
+    return Boolean(this.config.shortcuts.autoKey.enabled);
+  }
+
+  /**
+   * Enable or disable automatic shortcuts. Disabling removes the generated
+   * shortcuts and keeps the ones set by hand.
+   * @param {boolean} enabled - Auto key state
+   */
+  setAutoKeyEnabled(enabled) {
+    this.config.shortcuts.autoKey.enabled = Boolean(enabled);
+
+    if (!enabled) {
+      this.removeAutoKeyShortcuts();
+    }
+
+    this.queueSave();
+    logger.info(`ShortcutConfigManager: Auto key ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /**
+   * Get the auto key pattern
+   * @returns {string} One of AUTO_KEY.PATTERNS
+   */
+  getAutoKeyPattern() {
+    return this.config.shortcuts.autoKey.pattern || AUTO_KEY.PATTERNS.NUMBERS;
+  }
+
+  /**
+   * Get the custom auto key pattern
+   * @returns {string} Accelerator template with a {n} placeholder
+   */
+  getAutoKeyCustomPattern() {
+    return this.config.shortcuts.autoKey.customPattern || AUTO_KEY.DEFAULT_CUSTOM_PATTERN;
+  }
+
+  /**
+   * Set the auto key pattern
+   * @param {string} pattern - One of AUTO_KEY.PATTERNS
+   * @param {string} customPattern - Template with a {n} placeholder, for the custom pattern
+   * @returns {boolean} Whether the pattern was valid and stored
+   */
+  setAutoKeyPattern(pattern, customPattern) {
+    if (!Object.values(AUTO_KEY.PATTERNS).includes(pattern)) {
+      logger.warn('ShortcutConfigManager: Unknown auto key pattern', { pattern });
+      return false;
+    }
+
+    if (customPattern !== undefined) {
+      const validation = AutoKeyPatterns.validateTemplate(customPattern);
+      if (!validation.isValid) {
+        logger.warn('ShortcutConfigManager: Invalid custom auto key pattern', { customPattern, errors: validation.errors });
+        return false;
+      }
+      this.config.shortcuts.autoKey.customPattern = customPattern.trim();
+    }
+
+    this.config.shortcuts.autoKey.pattern = pattern;
+    this.queueSave();
+    return true;
+  }
+
+  /**
+   * Compute the auto key shortcuts of enabled windows in initiative order,
+   * without storing them. Characters with a shortcut set by hand keep it, and
+   * generated shortcuts skip global and hand-set shortcuts.
+   * @param {Array} windows - Windows with id, character, dofusClass, initiative and enabled
+   * @param {string} pattern - One of AUTO_KEY.PATTERNS (defaults to the stored pattern)
+   * @param {string} customPattern - Template for the custom pattern (defaults to the stored one)
+   * @returns {Object} { assignments: [{ windowId, characterKey, character, dofusClass, displayName, initiative, shortcut, manual, overflow }], overflowCount, collisions }
+   */
+  previewAutoKeyConfiguration(windows = [], pattern = this.getAutoKeyPattern(), customPattern = this.getAutoKeyCustomPattern()) {
+    const manualShortcuts = {};
+    Object.entries(this.config.shortcuts.characters).forEach(([characterKey, entry]) => {
+      if (!entry.auto) {
+        manualShortcuts[characterKey] = entry.shortcut;
+      }
+    });
+
+    const candidates = AutoKeyPatterns.sortByInitiative(windows.filter(window =>
+      window.enabled !== false && this.generateCharacterKey(window.character, window.dofusClass)));
+    const automatic = candidates.filter(window =>
+      !manualShortcuts[this.generateCharacterKey(window.character, window.dofusClass)]);
+
+    const generated = AutoKeyPatterns.generate(automatic, {
+      pattern,
+      customPattern,
+      reserved: [...Object.values(this.config.shortcuts.global), ...Object.values(manualShortcuts)]
+    });
+    const generatedByWindow = new Map(generated.assignments.map(assignment => [assignment.window, assignment]));
+
+    const assignments = candidates.map(window => {
+      const characterKey = this.generateCharacterKey(window.character, window.dofusClass);
+      const assignment = generatedByWindow.get(window);
+
+      return {
+        windowId: window.id || null,
+        characterKey,
+        character: window.character,
+        dofusClass: window.dofusClass,
+        displayName: window.customName || window.character,
+        initiative: window.initiative || 0,
+        shortcut: assignment ? assignment.shortcut : manualShortcuts[characterKey],
+        manual: !assignment,
+        overflow: Boolean(assignment && assignment.overflow)
+      };
+    });
+
+    return { assignments, overflowCount: generated.overflowCount, collisions: generated.collisions };
+  }
+
+  /**
+   * Store the auto key shortcuts of enabled windows (see previewAutoKeyConfiguration).
+   * Generated shortcuts of characters no longer given one are removed.
+   * @param {Array} windows - Windows with id, character, dofusClass, initiative and enabled
+   * @returns {number} Number of generated shortcuts
+   */
+  applyAutoKeyConfiguration(windows = []) {
+    const preview = this.previewAutoKeyConfiguration(windows);
+
+    const assigned = new Set();
+    preview.assignments
+      .filter(assignment => !assignment.manual && assignment.shortcut)
+      .forEach(assignment => {
+        this.writeCharacterShortcut(assignment.characterKey, {
+          shortcut: assignment.shortcut,
+          character: assignment.character,
+          dofusClass: assignment.dofusClass,
+          windowId: assignment.windowId,
+          priority: this.config.priorities.AUTO_KEY,
+          auto: true
+        });
+        assigned.add(assignment.characterKey);
+      });
+
+    if (preview.overflowCount > 0) {
+      logger.warn(`ShortcutConfigManager: Auto key pattern has no key left for ${preview.overflowCount} windows`);
+    }
+
+    this.removeAutoKeyShortcuts(assigned);
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Auto key assigned ${assigned.size} shortcuts`);
+    return assigned.size;
+  }
+
+  /**
+   * Remove generated auto key shortcuts
+   * @param {Set<string>} keep - Character keys to keep
+   * @private
+   */
+  removeAutoKeyShortcuts(keep = new Set()) {
+    Object.keys(this.config.shortcuts.characters).forEach(characterKey => {
+      if (this.config.shortcuts.characters[characterKey].auto && !keep.has(characterKey)) {
+        delete this.config.shortcuts.characters[characterKey];
+      }
+    });
+  }
+
+  /**
+   * Get the auto key program of a character
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @returns {Object|null} { steps: [{ key, delayMs }], jitterMs, enabled } or null
+   */
+  getAutoKeyProgram(character, dofusClass) {
+    const programs = this.config.shortcuts.autoKey.programs || {};
+    return programs[this.generateCharacterKey(character, dofusClass)] || null;
+  }
+
+  /**
+   * Store the auto key program of a character
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @param {Object} program - { steps: [{ key, delayMs }], jitterMs, enabled }
+   * @returns {Object} { isValid, errors } - the program is only stored when valid
+   */
+  setAutoKeyProgram(character, dofusClass, program) {
+    const characterKey = this.generateCharacterKey(character, dofusClass);
+    if (!characterKey) {
+      return { isValid: false, errors: ['window has no character'] };
+    }
+
+    const validation = AutoKeyPrograms.validateProgram(program);
+    if (!validation.isValid) {
+      logger.warn('ShortcutConfigManager: Invalid auto key program', { characterKey, errors: validation.errors });
+      return { isValid: false, errors: validation.errors };
+    }
+
+    this.config.shortcuts.autoKey.programs = {
+      ...this.config.shortcuts.autoKey.programs,
+      [characterKey]: { ...validation.program, updatedAt: new Date().toISOString() }
+    };
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Auto key program of ${validation.program.steps.length} steps set for ${characterKey}`);
+    return { isValid: true, errors: [] };
+  }
+
+  /**
+   * Remove the auto key program of a character
+   * @param {string} character - Character name
+   * @param {string} dofusClass - Class key
+   * @returns {boolean} Whether a program was removed
+   */
+  removeAutoKeyProgram(character, dofusClass) {
+    const characterKey = this.generateCharacterKey(character, dofusClass);
+    const programs = this.config.shortcuts.autoKey.programs || {};
+    if (!characterKey || !programs[characterKey]) {
+      return false;
+    }
+
+    delete programs[characterKey];
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Auto key program removed for ${characterKey}`);
+    return true;
+  }
+
+  /**
+   * List the enabled windows that have an enabled auto key program, in the given order
+   * @param {Array} windows - Windows with id, character, dofusClass and enabled
+   * @returns {Array} [{ windowId, name, program }]
+   */
+  getAutoKeyProgramTargets(windows = []) {
+    return windows
+      .filter(window => window.enabled !== false)
+      .map(window => ({
+        windowId: window.id,
+        name: window.customName || window.character,
+        program: this.getAutoKeyProgram(window.character, window.dofusClass)
+      }))
+      .filter(target => target.program && target.program.enabled !== false);
+  }
+
+  /**
+   * List every configured shortcut, for conflict analysis
+   * @returns {Array} [{ id: "global:type" or "character:characterKey", kind, name, label, shortcut, auto }]
+   */
+  getConfiguredShortcuts() {
+    const globals = Object.entries(this.config.shortcuts.global).map(([type, shortcut]) => ({
+      id: `global:${type}`,
+      kind: 'global',
+      name: type,
+      label: type,
+      shortcut,
+      auto: false
+    }));
+
+    const characters = Object.entries(this.config.shortcuts.characters).map(([characterKey, entry]) => ({
+      id: `character:${characterKey}`,
+      kind: 'character',
+      name: characterKey,
+      label: entry.character || characterKey,
+      shortcut: entry.shortcut,
+      auto: Boolean(entry.auto)
+    }));
+
+    return [...globals, ...characters];
+  }
+
+  /**
+   * Change configured shortcuts in one save. A character shortcut changed here
+   * counts as set by hand, so Auto Key keeps it.
+   * @param {Array} changes - [{ id, shortcut }] as listed by getConfiguredShortcuts; a null shortcut removes it
+   * @returns {boolean} Whether every change was valid and applied
+   */
+  applyShortcutChanges(changes = []) {
+    const invalid = changes.find(({ id, shortcut }) => {
+      const { kind, name } = parseShortcutId(id);
+      const known = kind === 'global' || (kind === 'character' && this.config.shortcuts.characters[name]);
+      return !known || (shortcut !== null && !ShortcutUtils.validateShortcut(shortcut));
+    });
+    if (invalid) {
+      logger.warn('ShortcutConfigManager: Invalid shortcut change', { id: invalid.id, shortcut: invalid.shortcut });
+      return false;
+    }
+
+    changes.forEach(({ id, shortcut }) => {
+      const { kind, name } = parseShortcutId(id);
+      if (kind === 'global') {
+        if (shortcut === null) {
+          delete this.config.shortcuts.global[name];
+        } else {
+          this.config.shortcuts.global[name] = shortcut;
+        }
+      } else if (shortcut === null) {
+        delete this.config.shortcuts.characters[name];
+      } else {
+        this.writeCharacterShortcut(name, {
+          ...this.config.shortcuts.characters[name],
+          shortcut,
+          priority: this.config.priorities.WINDOW,
+          auto: false
+        });
+      }
+    });
+
+    this.queueSave();
+    logger.info(`ShortcutConfigManager: Applied ${changes.length} shortcut changes`);
+    return true;
+  }
+
+  /**
+   * Store a character shortcut entry
+   * @param {string} characterKey - Character key
+   * @param {Object} entry - Shortcut entry
+   * @private
+   */
+  writeCharacterShortcut(characterKey, entry) {
+    this.config.shortcuts.characters[characterKey] = {
+      ...entry,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Export the shortcuts and characters, without machine-specific paths
+   * @returns {Object} Portable configuration
+   */
+  exportConfig() {
+    return JSON.parse(JSON.stringify({
+      version: this.config.version,
+      exportedAt: new Date().toISOString(),
+      shortcuts: this.config.shortcuts,
+      characters: this.config.characters,
+      priorities: this.config.priorities
+    }));
+  }
+
+  /**
+   * Replace the shortcuts and characters with an exported configuration.
+   * The current file is backed up by the save.
+   * @param {Object} importedConfig - Configuration from exportConfig()
+   * @returns {Promise<boolean>} Whether the configuration was valid and saved
+   */
+  async importConfig(importedConfig) {
+    try {
+      this.validateConfigStructure(importedConfig || {});
+
+      const invalid = [
+        ...Object.values(importedConfig.shortcuts.global),
+        ...Object.values(importedConfig.shortcuts.characters).map(entry => entry && entry.shortcut)
+      ].filter(shortcut => !ShortcutUtils.validateShortcut(shortcut));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid config: ${invalid.length} invalid shortcuts`);
+      }
+
+      this.config.shortcuts = {
+        global: { ...importedConfig.shortcuts.global },
+        characters: JSON.parse(JSON.stringify(importedConfig.shortcuts.characters)),
+        autoKey: { ...this.config.shortcuts.autoKey, ...importedConfig.shortcuts.autoKey }
+      };
+      this.config.characters = JSON.parse(JSON.stringify(importedConfig.characters));
+
+      logger.info('ShortcutConfigManager: Config imported');
+      return await this.queueSave();
+    } catch (error) {
+      logger.error('ShortcutConfigManager: Error importing config', { error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Get statistics about the stored configuration
+   * @returns {Object} Counts and auto key state
+   */
+  getStatistics() {
+    const characterShortcuts = Object.values(this.config.shortcuts.characters);
+
+    return {
+      globalShortcuts: Object.keys(this.config.shortcuts.global).length,
+      characterShortcuts: characterShortcuts.length,
+      autoKeyShortcuts: characterShortcuts.filter(entry => entry.auto).length,
+      knownCharacters: Object.keys(this.config.characters).length,
+      autoKeyEnabled: this.isAutoKeyEnabled(),
+      autoKeyPattern: this.getAutoKeyPattern(),
+      configFile: this.configFile,
+      lastUpdated: this.config.lastUpdated
+    };
+  }
+
+  /**
+   * Move shortcuts kept in electron-store by older releases: global shortcuts
+   * under "globalShortcuts" or "shortcuts", window shortcuts under "shortcuts"
+   * keyed by process-specific window IDs. Shortcuts already in this
+   * configuration win; keys that are neither a window ID nor a known global
+   * shortcut type are skipped. Runs once.
+   * @param {Object} store - electron-store compatible instance
+   * @returns {number} Number of migrated shortcuts
+   */
+  migrateFromElectronStore(store) {
+    if (!store || this.config.electronStoreMigratedAt) {
+      return 0;
+    }
+
+    let migrated = 0;
+    const legacyShortcuts = {
+      ...(store.get('shortcuts', {}) || {}),
+      ...(store.get('globalShortcuts', {}) || {})
+    };
+
+    Object.entries(legacyShortcuts).forEach(([key, shortcut]) => {
+      if (!ShortcutUtils.validateShortcut(shortcut)) {
+        return;
+      }
+
+      const characterKey = getLegacyCharacterKey(key);
+      if (characterKey) {
+        if (!this.config.shortcuts.characters[characterKey]) {
+          const [character, dofusClass] = characterKey.split('_');
+          this.writeCharacterShortcut(characterKey, {
+            shortcut,
+            character,
+            dofusClass,
+            windowId: null,
+            priority: this.config.priorities.WINDOW,
+            auto: false
+          });
+          migrated++;
+        }
+      } else if (!KNOWN_GLOBAL_SHORTCUT_TYPES.has(key)) {
+        logger.warn(`ShortcutConfigManager: Skipped unknown electron-store shortcut "${key}"`);
+      } else if (!this.config.shortcuts.global[key]) {
+        this.config.shortcuts.global[key] = shortcut;
+        migrated++;
+      }
+    });
+
+    this.config.electronStoreMigratedAt = new Date().toISOString();
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Migrated ${migrated} shortcuts from electron-store`);
+    return migrated;
+  }
+
+  /**
+   * Convert shortcuts recorded as key labels by older releases to physical key
+   * codes ("Ctrl+&" on AZERTY becomes "Ctrl+Digit1"). Runs once.
+   * @param {string} layout - Keyboard layout the shortcuts were recorded with
+   * @returns {number} Number of converted shortcuts
+   */
+  migrateToKeyCodes(layout) {
+    if (this.config.keyCodesMigratedAt) {
+      return 0;
+    }
+
+    let migrated = 0;
+    const convert = shortcut => {
+      const converted = KeyboardLayouts.fromLegacyShortcut(shortcut, layout);
+      if (converted !== shortcut) {
+        migrated++;
+      }
+      return converted;
+    };
+
+    Object.keys(this.config.shortcuts.global).forEach(type => {
+      this.config.shortcuts.global[type] = convert(this.config.shortcuts.global[type]);
+    });
+    Object.values(this.config.shortcuts.characters).forEach(entry => {
+      entry.shortcut = convert(entry.shortcut);
+    });
+
+    this.config.keyCodesMigratedAt = new Date().toISOString();
+    this.queueSave();
+
+    logger.info(`ShortcutConfigManager: Converted ${migrated} shortcuts to ${layout} key codes`);
+    return migrated;
+  }
+
   /**
    * Synchronous methods for backward compatibility
    * These should be used only when absolutely necessary
@@ -665,4 +1424,16 @@ class ShortcutConfigManager {
   }
 }
 
+/**
+ * Split a configured shortcut ID ("global:nextWindow", "character:leader_iop")
+ * @param {string} id - Shortcut ID
+ * @returns {Object} { kind, name }
+ */
+function parseShortcutId(id) {
+  const separator = String(id).indexOf(':');
+  return separator === -1
+    ? { kind: null, name: null }
+    : { kind: id.slice(0, separator), name: id.slice(separator + 1) };
+}
+
 module.exports = ShortcutConfigManager;
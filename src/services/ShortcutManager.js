@@ -1,4 +1,6 @@
 const { globalShortcut } = require('electron');
+const KeyboardLayouts = require('../utils/KeyboardLayouts');
+const { KEYBOARD } = require('../utils/Constants');
 
 class ShortcutManager {
   constructor() {
@@ -11,6 +13,20 @@ class ShortcutManager {
       WINDOW: 1
     };
     this.shortcutPriorities = new Map(); // Track shortcut priorities
+    this.keyboardLayout = KEYBOARD.DEFAULT_LAYOUT;
+    this.temporaryAccelerators = new Set(); // Follow-up keys of leader key mode
+    this.suspendedShortcuts = new Map(); // Window shortcuts sharing keys with them
+    this.guardShortcuts = new Map(); // Emergency stops by owner, kept across unregisterAll
+    this.guardAccelerators = new Set(); // Accelerators registered for them
+  }
+
+  /**
+   * Set the keyboard layout key codes are registered with. Shortcuts already
+   * registered keep their keys until they are registered again.
+   * @param {string} layout - One of KEYBOARD.LAYOUTS
+   */
+  setKeyboardLayout(layout) {
+    this.keyboardLayout = KeyboardLayouts.resolveLayout(layout);
   }
 
   setWindowShortcut(windowId, shortcut, callback, priority = this.priority.WINDOW) {
@@ -84,6 +100,160 @@ class ShortcutManager {
     return false;
   }
 
+  /**
+   * Register shortcuts until releaseTemporaryShortcuts() is called. Window
+   * shortcuts on the same keys are suspended meanwhile; keys held elsewhere are skipped.
+   * @param {Array<string>} shortcuts - Shortcuts to register
+   * @param {Function} callback - Called with the shortcut pressed
+   * @returns {Array<string>} Shortcuts actually registered
+   */
+  registerTemporaryShortcuts(shortcuts, callback) {
+    this.releaseTemporaryShortcuts();
+
+    const registered = [];
+    shortcuts.forEach(shortcut => {
+      try {
+        const accelerator = this.convertShortcutToAccelerator(shortcut);
+        if (!accelerator || this.temporaryAccelerators.has(accelerator)) return;
+
+        const holder = Array.from(this.shortcuts.entries()).find(([, info]) => info.accelerator === accelerator);
+        if (holder) {
+          globalShortcut.unregister(accelerator);
+        }
+
+        const success = globalShortcut.register(accelerator, () => {
+          try {
+            callback(shortcut);
+          } catch (error) {
+            console.error('Error executing temporary shortcut callback:', error);
+          }
+        });
+
+        if (success) {
+          this.temporaryAccelerators.add(accelerator);
+          registered.push(shortcut);
+          if (holder) {
+            this.suspendedShortcuts.set(holder[0], holder[1]);
+          }
+        } else if (holder) {
+          this.setWindowShortcut(holder[0], holder[1].original, holder[1].callback, holder[1].priority);
+        }
+      } catch (error) {
+        console.error('Error registering temporary shortcut:', error);
+      }
+    });
+
+    console.log(`ShortcutManager: Registered ${registered.length} temporary shortcuts`);
+    return registered;
+  }
+
+  /**
+   * Unregister temporary shortcuts and restore the window shortcuts they suspended
+   */
+  releaseTemporaryShortcuts() {
+    this.temporaryAccelerators.forEach(accelerator => {
+      try {
+        globalShortcut.unregister(accelerator);
+      } catch (error) {
+        console.error('Error unregistering temporary shortcut:', error);
+      }
+    });
+    this.temporaryAccelerators.clear();
+
+    const suspended = Array.from(this.suspendedShortcuts.entries());
+    this.suspendedShortcuts.clear();
+    suspended.forEach(([windowId, info]) => {
+      this.setWindowShortcut(windowId, info.original, info.callback, info.priority);
+    });
+  }
+
+  /**
+   * Keep a safety shortcut, such as the emergency stop of a running auto key,
+   * registered until releaseGuardShortcut() is called: reloading, turning off
+   * or cleaning up the other shortcuts registers it again. Owners may share a key.
+   * @param {string} owner - Who holds the shortcut
+   * @param {string} shortcut - Shortcut
+   * @param {Function} callback - Called when pressed
+   * @returns {boolean} Whether the shortcut is registered
+   */
+  holdGuardShortcut(owner, shortcut, callback) {
+    const accelerator = this.convertShortcutToAccelerator(shortcut);
+    if (!accelerator) return false;
+
+    const previous = this.guardShortcuts.get(owner);
+    this.guardShortcuts.set(owner, { accelerator, callback });
+    if (previous && previous.accelerator !== accelerator) {
+      this.registerGuardAccelerator(previous.accelerator);
+    }
+    return this.registerGuardAccelerator(accelerator);
+  }
+
+  /**
+   * Stop holding a safety shortcut, unregistering it when no other owner holds it
+   * @param {string} owner - Who holds the shortcut
+   */
+  releaseGuardShortcut(owner) {
+    const guard = this.guardShortcuts.get(owner);
+    if (!guard) return;
+
+    this.guardShortcuts.delete(owner);
+    this.registerGuardAccelerator(guard.accelerator);
+  }
+
+  /**
+   * Register an accelerator for every owner holding it, or unregister it when none is left
+   * @param {string} accelerator - Accelerator
+   * @returns {boolean} Whether the accelerator is registered
+   * @private
+   */
+  registerGuardAccelerator(accelerator) {
+    const callbacks = Array.from(this.guardShortcuts.values())
+      .filter(guard => guard.accelerator === accelerator)
+      .map(guard => guard.callback);
+
+    try {
+      if (this.guardAccelerators.delete(accelerator)) {
+        globalShortcut.unregister(accelerator);
+      }
+      if (callbacks.length === 0) return false;
+
+      // Keys taken by another shortcut are left to it
+      if (globalShortcut.isRegistered(accelerator)) {
+        console.warn(`ShortcutManager: Guard shortcut ${accelerator} is already in use`);
+        return false;
+      }
+
+      const success = globalShortcut.register(accelerator, () => {
+        callbacks.forEach(callback => {
+          try {
+            callback();
+          } catch (error) {
+            console.error('Error executing guard shortcut callback:', error);
+          }
+        });
+      });
+      if (success) {
+        this.guardAccelerators.add(accelerator);
+      } else {
+        console.warn(`ShortcutManager: Failed to register guard shortcut ${accelerator}`);
+      }
+      return success;
+    } catch (error) {
+      console.error('Error registering guard shortcut:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Register the safety shortcuts again after unregisterAll
+   * @private
+   */
+  restoreGuardShortcuts() {
+    this.guardAccelerators.clear();
+    new Set(Array.from(this.guardShortcuts.values()).map(guard => guard.accelerator))
+      .forEach(accelerator => this.registerGuardAccelerator(accelerator));
+  }
+
   unregisterShortcutByAccelerator(accelerator) {
     try {
       globalShortcut.unregister(accelerator);
@@ -111,8 +281,8 @@ class ShortcutManager {
     
     console.log(`ShortcutManager: Converting shortcut "${shortcut}" to accelerator`);
     
-    // Clean up the shortcut string
-    let accelerator = shortcut.trim();
+    // Resolve physical key codes to the keys of the current layout
+    let accelerator = KeyboardLayouts.toAccelerator(shortcut.trim(), this.keyboardLayout);
     
     // Handle different separator formats
     accelerator = accelerator.replace(/\s*\+\s*/g, '+');
@@ -238,6 +408,9 @@ class ShortcutManager {
       globalShortcut.unregisterAll();
       this.registeredAccelerators.clear();
       this.shortcutPriorities.clear();
+      this.temporaryAccelerators.clear();
+      this.suspendedShortcuts.clear();
+      this.restoreGuardShortcuts();
       console.log('ShortcutManager: Deactivated all shortcuts');
     } catch (error) {
       console.error('Error deactivating shortcuts:', error);
@@ -250,6 +423,9 @@ class ShortcutManager {
       this.shortcuts.clear();
       this.registeredAccelerators.clear();
       this.shortcutPriorities.clear();
+      this.temporaryAccelerators.clear();
+      this.suspendedShortcuts.clear();
+      this.restoreGuardShortcuts();
       console.log('ShortcutManager: Cleaned up all shortcuts');
     } catch (error) {
       console.error('Error cleaning up shortcuts:', error);
@@ -1,124 +1,215 @@
 /**
- * WindowActivator - Fonction factice pour remplacer la logique de mise au premier plan
- * Cette fonction sert de placeholder uniforme pour tous les appels de mise au premier plan
+ * WindowActivator - Brings Dofus windows to the foreground through an activation backend
+ *
+ * Windows are targeted by the native handle captured during detection, so
+ * duplicate or changing titles no longer matter. The backend is pluggable:
+ * a long-lived PowerShell helper on Windows, an in-memory mock in tests.
  */
 
-const { spawn } = require('child_process');
-const path = require('path');
-const { app } = require('electron');
+const { getErrorHandler } = require('./ErrorHandler');
+const { createActivationBackend, MockActivationBackend } = require('./WindowManagerWindows/ActivationBackend');
+const WindowCycling = require('../utils/WindowCycling');
 
 class WindowActivator {
-  constructor() {
-    console.log('WindowActivator: Initialized (using Python script)');
-    this.scriptPath = app.isPackaged
-      ? path.join(process.resourcesPath, 'script', 'afficher_fenetre.py')
-      : path.join(__dirname, '..', 'script', 'afficher_fenetre.py');
+  /**
+   * @param {Object} options - { backend } to override the activation backend
+   */
+  constructor(options = {}) {
+    this.errorHandler = getErrorHandler();
+    this.backend = options.backend || createActivationBackend();
+
+    this.stats = {
+      activations: 0,
+      successes: 0,
+      failures: 0,
+      totalTime: 0,
+      lastError: null,
+      operations: {}
+    };
+
+    // Handles of focused windows, most recent first
+    this.focusHistory = [];
+
+    console.log(`WindowActivator: Initialized (using ${this.backend.name})`);
   }
 
   /**
-     * Fonction factice pour la mise au premier plan des fenêtres
-     * @param {string} windowId - ID de la fenêtre (ignoré)
-     * @returns {boolean} - Toujours true pour maintenir la compatibilité
-     */
-  bringWindowToFront(windowTitle = null) {
-    if (!windowTitle) {
-      console.log('WindowActivator: bringWindowToFront called with no title');
-      return false;
+   * Replace the activation backend
+   * @param {Object} backend - ActivationBackend implementation
+   */
+  setBackend(backend) {
+    if (!backend || typeof backend.focusWindow !== 'function') {
+      throw new Error('Activation backend must implement focusWindow(handle)');
     }
-    return this.runPythonScript(windowTitle);
+    this.backend.cleanup();
+    this.backend = backend;
   }
 
   /**
-     * Fonction factice pour l'activation des fenêtres
-     * @param {string} windowId - ID de la fenêtre (ignoré)
-     * @returns {Promise<boolean>} - Toujours true pour maintenir la compatibilité
-     */
-  async activateWindow(windowTitle) {
-    if (!windowTitle) {
-      console.log('WindowActivator: activateWindow called with no title');
-      return false;
+   * Bring a window to the foreground, restoring it if minimized
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async activateWindow(target) {
+    const success = await this.run('focus', target, handle => this.backend.focusWindow(handle));
+    if (success) {
+      this.recordFocus(target && typeof target === 'object' ? target.handle : target);
     }
-    return this.runPythonScript(windowTitle);
+    return success;
+  }
+
+  /**
+   * Remember a window as focused, including windows focused outside Dorganize
+   * @param {number|string} handle - Native window handle
+   */
+  recordFocus(handle) {
+    this.focusHistory = WindowCycling.recordFocus(this.focusHistory, handle);
+  }
+
+  /**
+   * Get the handle of the window focused last
+   * @returns {number|string|null} Handle or null
+   */
+  getFocusedHandle() {
+    return this.focusHistory.length > 0 ? this.focusHistory[0] : null;
+  }
+
+  /**
+   * Alias of activateWindow
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async bringWindowToFront(target) {
+    return this.activateWindow(target);
+  }
+
+  /**
+   * Alias of activateWindow
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async focusWindow(target) {
+    return this.activateWindow(target);
+  }
+
+  /**
+   * Restore a minimized window without focusing it
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async restoreWindow(target) {
+    return this.run('restore', target, handle => this.backend.restoreWindow(handle));
+  }
+
+  /**
+   * Move and resize a window
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @param {Object} bounds - Target rectangle { x, y, width, height }
+   * @returns {Promise<boolean>} Success status
+   */
+  async moveWindow(target, bounds) {
+    return this.run('move', target, handle => this.backend.moveWindow(handle, bounds));
   }
 
   /**
-     * Fonction factice pour le focus des fenêtres
-     * @param {string} windowId - ID de la fenêtre (ignoré)
-     * @returns {boolean} - Toujours true pour maintenir la compatibilité
-     */
-  focusWindow(windowTitle = null) {
-    if (!windowTitle) {
-      console.log('WindowActivator: focusWindow called with no title');
+   * Minimize a window
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async minimizeWindow(target) {
+    return this.run('minimize', target, handle => this.backend.minimizeWindow(handle));
+  }
+
+  /**
+   * Run a backend operation and record its outcome
+   * @param {string} operation - Operation name
+   * @param {Object|number|string} target - Window object with a handle, or a handle
+   * @param {Function} action - Receives the handle, resolves to a boolean
+   * @returns {Promise<boolean>} Success status
+   */
+  async run(operation, target, action) {
+    const handle = target && typeof target === 'object' ? target.handle : target;
+    if (handle === undefined || handle === null || handle === '') {
+      console.log(`WindowActivator: ${operation} called without a window handle`);
       return false;
     }
-    return this.runPythonScript(windowTitle);
+
+    const startTime = Date.now();
+    let success = false;
+
+    try {
+      success = (await action(handle)) === true;
+      if (!success) {
+        console.warn(`WindowActivator: ${operation} failed for handle ${handle}`);
+      }
+    } catch (error) {
+      this.stats.lastError = error.message;
+      this.errorHandler.error(error, `WindowActivator.${operation}: ${handle}`);
+    }
+
+    this.recordOperation(operation, success, Date.now() - startTime);
+    return success;
   }
 
-  runPythonScript(title) {
-    return new Promise((resolve) => {
-      const scriptPath = this.scriptPath;
-      const proc = spawn('python', [scriptPath, title]);
-
-      let resolved = false;
-      const finish = (code) => {
-        if (!resolved) {
-          resolved = true;
-          resolve(code === 0);
-        }
-      };
-
-      proc.on('error', () => {
-        const proc3 = spawn('python3', [scriptPath, title]);
-        proc3.on('close', finish);
-        proc3.on('error', () => finish(1));
-      });
-
-      proc.on('close', finish);
-    });
+  /**
+   * Update statistics for an operation
+   * @param {string} operation - Operation name
+   * @param {boolean} success - Whether it succeeded
+   * @param {number} duration - Duration in milliseconds
+   */
+  recordOperation(operation, success, duration) {
+    const counters = this.stats.operations[operation] || { count: 0, failures: 0 };
+    counters.count++;
+    if (!success) {
+      counters.failures++;
+    }
+    this.stats.operations[operation] = counters;
+
+    if (operation !== 'focus') {
+      return;
+    }
+
+    this.stats.activations++;
+    this.stats.totalTime += duration;
+    if (success) {
+      this.stats.successes++;
+    } else {
+      this.stats.failures++;
+    }
   }
 
   /**
-     * Fonction factice pour obtenir les statistiques
-     * @returns {Object} - Statistiques factices
-     */
+   * Get activation statistics
+   * @returns {Object} Statistics
+   */
   getStats() {
+    const { activations, successes, failures, totalTime, lastError, operations } = this.stats;
+
     return {
-      activations: 0,
-      successes: 0,
-      failures: 0,
-      successRate: 100,
-      avgTime: 0,
-      nativeAvailable: false,
-      method: 'Dummy (no activation)'
+      activations,
+      successes,
+      failures,
+      successRate: activations > 0 ? Math.round((successes / activations) * 100) : 0,
+      avgTime: activations > 0 ? Math.round(totalTime / activations) : 0,
+      lastError,
+      operations: JSON.parse(JSON.stringify(operations)),
+      nativeAvailable: !(this.backend instanceof MockActivationBackend),
+      method: this.backend.name
     };
   }
 
   /**
-     * Fonction factice de nettoyage
-     */
+   * Release the backend (stops the helper session)
+   */
   cleanup() {
-    console.log('WindowActivator: Cleanup completed (no resources to clean)');
+    try {
+      this.backend.cleanup();
+      console.log('WindowActivator: Cleanup completed');
+    } catch (error) {
+      this.errorHandler.error(error, 'WindowActivator.cleanup');
+    }
   }
 }
 
-// Export des fonctions pour compatibilité
-function bringWindowToFront(windowTitle = null) {
-  const activator = new WindowActivator();
-  return activator.bringWindowToFront(windowTitle);
-}
-
-function activateWindow(windowTitle) {
-  const activator = new WindowActivator();
-  return activator.activateWindow(windowTitle);
-}
-
-function focusWindow(windowTitle = null) {
-  const activator = new WindowActivator();
-  return activator.focusWindow(windowTitle);
-}
-
 module.exports = WindowActivator;
 module.exports.WindowActivator = WindowActivator;
-module.exports.bringWindowToFront = bringWindowToFront;
-module.exports.activateWindow = activateWindow;
-module.exports.focusWindow = focusWindow;
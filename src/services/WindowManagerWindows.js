@@ -3,6 +3,12 @@ const { WindowActivator } = require('./WindowActivator');
 const WindowDetector = require('./WindowManagerWindows/WindowDetector');
 const WindowParser = require('./WindowManagerWindows/WindowParser');
 const WindowStateManager = require('./WindowManagerWindows/WindowStateManager');
+const LayoutEngine = require('./WindowManagerWindows/LayoutEngine');
+const LayoutTemplateManager = require('./WindowManagerWindows/LayoutTemplateManager');
+const { createActivationBackend } = require('./WindowManagerWindows/ActivationBackend');
+const { createInputBackend } = require('./WindowManagerWindows/InputBackend');
+const { createWindowEventSource } = require('./WindowManagerWindows/WindowEventSource');
+const { LAYOUT, WINDOW_EVENTS } = require('../utils/Constants');
 
 /**
  * WindowManagerWindows - Refactored main window manager with modular architecture
@@ -11,12 +17,24 @@ const WindowStateManager = require('./WindowManagerWindows/WindowStateManager');
  * using specialized modules for better maintainability and testability.
  */
 class WindowManagerWindows {
-  constructor() {
+  /**
+   * @param {Object} options - { activationBackend, inputBackend, moveBackend, eventSource, store } to override implementations
+   */
+  constructor(options = {}) {
     this.errorHandler = getErrorHandler();
-    this.windowActivator = new WindowActivator();
+    this.activationBackend = options.activationBackend || createActivationBackend();
+    this.windowActivator = new WindowActivator({ backend: this.activationBackend });
+    this.inputBackend = options.inputBackend || createInputBackend();
     this.windowDetector = new WindowDetector();
     this.windowParser = new WindowParser();
     this.windowStateManager = new WindowStateManager();
+    this.moveBackend = options.moveBackend || this.activationBackend;
+    this.eventSource = options.eventSource !== undefined ? options.eventSource : createWindowEventSource();
+    this.eventListeners = null;
+    this.layoutTemplates = new LayoutTemplateManager(
+      options.store || this.windowStateManager.store,
+      this.windowStateManager.storageKeys.windowPositions
+    );
     
     // State tracking
     this.lastDetectionTime = 0;
@@ -112,6 +130,150 @@ class WindowManagerWindows {
     }
   }
 
+  /**
+   * Re-read persisted per-character state (initiative, enabled, ...) for the known windows
+   * @returns {Array} Updated windows
+   */
+  reloadWindowStates() {
+    try {
+      this.invalidateCache();
+      return this.windowStateManager.reloadStoredState();
+    } catch (error) {
+      this.errorHandler.error(error, 'WindowManagerWindows.reloadWindowStates');
+      return this.getLastKnownWindows();
+    }
+  }
+
+  /**
+   * Check whether incremental window events are available
+   * @returns {boolean} True if an event source exists
+   */
+  supportsWindowEvents() {
+    return Boolean(this.eventSource);
+  }
+
+  /**
+   * Start consuming window events
+   * @param {Object} handlers - { onChange(event), onReady(), onUnavailable(error) }
+   *   onChange is called after an event changed the known windows
+   * @returns {boolean} True if tracking started
+   */
+  startEventTracking(handlers = {}) {
+    if (!this.eventSource) {
+      return false;
+    }
+
+    this.stopEventTracking();
+
+    const onWindowEvent = (event) => {
+      if (this.applyWindowEvent(event) && handlers.onChange) {
+        handlers.onChange(event);
+      }
+    };
+
+    this.eventListeners = {
+      ...Object.values(WINDOW_EVENTS.TYPES).reduce((listeners, type) => ({ ...listeners, [type]: onWindowEvent }), {}),
+      [WINDOW_EVENTS.READY]: () => handlers.onReady && handlers.onReady(),
+      [WINDOW_EVENTS.UNAVAILABLE]: (error) => {
+        console.warn(`WindowManagerWindows: Window events unavailable: ${error ? error.message : 'unknown reason'}`);
+        if (handlers.onUnavailable) {
+          handlers.onUnavailable(error);
+        }
+      }
+    };
+
+    Object.entries(this.eventListeners).forEach(([type, listener]) => this.eventSource.on(type, listener));
+
+    try {
+      this.eventSource.start();
+      console.log('WindowManagerWindows: Window event tracking started');
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, 'WindowManagerWindows.startEventTracking');
+      this.stopEventTracking();
+      return false;
+    }
+  }
+
+  /**
+   * Stop consuming window events
+   */
+  stopEventTracking() {
+    if (!this.eventSource || !this.eventListeners) {
+      return;
+    }
+
+    Object.entries(this.eventListeners).forEach(([type, listener]) => this.eventSource.removeListener(type, listener));
+    this.eventListeners = null;
+
+    try {
+      this.eventSource.stop();
+    } catch (error) {
+      this.errorHandler.error(error, 'WindowManagerWindows.stopEventTracking');
+    }
+  }
+
+  /**
+   * Apply one window event to the known windows without re-enumerating
+   * @param {Object} event - Window event ({ type, handle, title, processId })
+   * @returns {boolean} True if the known windows changed
+   */
+  applyWindowEvent(event) {
+    try {
+      const stateManager = this.windowStateManager;
+      const knownId = stateManager.findWindowIdByHandle(event.handle);
+
+      switch (event.type) {
+        case WINDOW_EVENTS.TYPES.CREATED:
+        case WINDOW_EVENTS.TYPES.TITLE_CHANGED: {
+          const title = event.title || '';
+          const lowerTitle = title.toLowerCase();
+          const known = knownId ? stateManager.getWindow(knownId) : null;
+          const processed = lowerTitle.includes('organizer') || lowerTitle.includes('configuration')
+            ? null
+            : stateManager.processWindow({
+              Handle: event.handle,
+              Title: title,
+              ProcessId: event.processId || (known ? known.pid : 0),
+              ClassName: known ? known.className : 'Unknown',
+              IsActive: known ? known.isActive : false,
+              Bounds: known ? known.bounds : undefined,
+              detectionMethod: 'event'
+            });
+
+          // A title change can rename the character or leave the character screen
+          if (knownId && (!processed || processed.id !== knownId)) {
+            stateManager.removeWindow(knownId);
+          }
+
+          if (processed) {
+            stateManager.lastStateUpdate = Date.now();
+            stateManager.notifyStateChange(stateManager.getAllWindows());
+          }
+          return Boolean(processed) || Boolean(knownId);
+        }
+
+        case WINDOW_EVENTS.TYPES.DESTROYED:
+          return knownId ? stateManager.removeWindow(knownId) : false;
+
+        case WINDOW_EVENTS.TYPES.FOREGROUND_CHANGED: {
+          const activeWindow = stateManager.getAllWindows().find(window => window.isActive);
+          if ((activeWindow ? activeWindow.id : null) === knownId) {
+            return false;
+          }
+          stateManager.updateActiveState(knownId);
+          return true;
+        }
+
+        default:
+          return false;
+      }
+    } catch (error) {
+      this.errorHandler.error(error, 'WindowManagerWindows.applyWindowEvent');
+      return false;
+    }
+  }
+
   /**
    * Activate a window by its ID
    * @param {string} windowId - Stable window ID
@@ -128,8 +290,7 @@ class WindowManagerWindows {
         return false;
       }
 
-      // Use WindowActivator with window title
-      const result = await this.windowActivator.activateWindow(windowInfo.title);
+      const result = await this.windowActivator.activateWindow(windowInfo);
 
       if (result) {
         // Update active state
@@ -166,9 +327,14 @@ class WindowManagerWindows {
         return false;
       }
 
-      // Using WindowActivator as placeholder for move operations
-      console.log(`WindowManagerWindows: Move window ${windowId} - using placeholder activator`);
-      return this.windowActivator.bringWindowToFront(windowInfo.title);
+      // Keep the current size when width/height are not provided
+      const currentBounds = windowInfo.bounds || {};
+      return await this.moveBackend.moveWindow(windowInfo.handle, {
+        x,
+        y,
+        width: width > 0 ? width : currentBounds.Width,
+        height: height > 0 ? height : currentBounds.Height
+      });
 
     } catch (error) {
       this.errorHandler.error(error, `WindowManagerWindows.moveWindow: ${windowId}`);
@@ -176,15 +342,34 @@ class WindowManagerWindows {
     }
   }
 
+  /**
+   * Set the backend used to move and resize windows
+   * @param {Object} backend - Object implementing moveWindow(handle, bounds)
+   */
+  setMoveBackend(backend) {
+    if (!backend || typeof backend.moveWindow !== 'function') {
+      throw new Error('Move backend must implement moveWindow(handle, bounds)');
+    }
+    this.moveBackend = backend;
+  }
+
   /**
    * Organize windows in specified layout
-   * @param {string} layout - Layout type (grid, horizontal, vertical)
+   * @param {string} layout - Layout type (grid, horizontal, vertical) or template name
+   * @param {Object} options - { workArea, displays, spreadDisplays, windows, includeDisabled, gap, columns, moveDelay }
+   *   workArea: target work area; spreadDisplays: displays to spread built-in layouts across;
+   *   displays: connected displays, used to resolve template slots bound to a display
    * @returns {boolean} Success status
    */
-  async organizeWindows(layout = 'grid') {
+  async organizeWindows(layout = LAYOUT.DEFAULT, options = {}) {
     try {
-      const enabledWindows = this.windowStateManager.getEnabledWindows()
-        .sort((a, b) => b.initiative - a.initiative);
+      const sourceWindows = Array.isArray(options.windows)
+        ? options.windows
+        : this.windowStateManager.getEnabledWindows();
+
+      const enabledWindows = LayoutEngine.sortByInitiative(
+        options.includeDisabled ? sourceWindows : sourceWindows.filter(window => window.enabled !== false)
+      );
 
       if (enabledWindows.length === 0) {
         console.log('WindowManagerWindows: No enabled windows to organize');
@@ -193,21 +378,48 @@ class WindowManagerWindows {
 
       console.log(`WindowManagerWindows: Organizing ${enabledWindows.length} windows in ${layout} layout`);
 
-      // Using WindowActivator for organization placeholder
-      this.windowActivator.bringWindowToFront('organize-windows-request');
+      let rects;
+      const layoutOptions = { gap: options.gap, columns: options.columns };
+      if (LayoutEngine.isSupportedLayout(layout)) {
+        rects = Array.isArray(options.spreadDisplays) && options.spreadDisplays.length > 0
+          ? LayoutEngine.computeMultiDisplayLayout(enabledWindows, options.spreadDisplays, layout, layoutOptions)
+          : LayoutEngine.computeLayout(enabledWindows, options.workArea, layout, layoutOptions);
+      } else {
+        const template = this.layoutTemplates.getTemplate(layout);
+        if (!template) {
+          throw new Error(`Unknown layout or template: ${layout}`);
+        }
+        rects = LayoutEngine.computeTemplateLayout(enabledWindows, options.workArea, template, {
+          displays: options.displays
+        });
+      }
+
+      if (rects.length === 0) {
+        console.log(`WindowManagerWindows: No window matches layout ${layout}`);
+        return false;
+      }
+
+      const moveDelay = options.moveDelay !== undefined ? options.moveDelay : LAYOUT.MOVE_DELAY_MS;
+      let movedCount = 0;
+
+      for (let i = 0; i < rects.length; i++) {
+        const { handle, x, y, width, height } = rects[i];
+        const moved = await this.moveBackend.moveWindow(handle, { x, y, width, height });
+
+        if (moved) {
+          movedCount++;
+        } else {
+          console.warn(`WindowManagerWindows: Failed to move window ${rects[i].windowId}`);
+        }
 
-      // Simulate organization for each window
-      for (let i = 0; i < enabledWindows.length; i++) {
-        const windowInfo = enabledWindows[i];
-        console.log(`WindowManagerWindows: Organizing window ${i + 1}/${enabledWindows.length}: ${windowInfo.character}`);
-        await this.windowActivator.activateWindow(windowInfo.title);
-        
         // Add small delay to prevent overwhelming the system
-        await new Promise(resolve => setTimeout(resolve, 100));
+        if (moveDelay > 0 && i < rects.length - 1) {
+          await new Promise(resolve => setTimeout(resolve, moveDelay));
+        }
       }
 
-      console.log('WindowManagerWindows: Window organization complete');
-      return true;
+      console.log(`WindowManagerWindows: Window organization complete - ${movedCount}/${rects.length} moved`);
+      return movedCount === rects.length;
 
     } catch (error) {
       this.errorHandler.error(error, `WindowManagerWindows.organizeWindows: ${layout}`);
@@ -215,6 +427,97 @@ class WindowManagerWindows {
     }
   }
 
+  /**
+   * Capture the current window arrangement into a named layout
+   * @param {string} name - Layout name
+   * @param {Object} options - { windows, displays }
+   * @returns {Object} { success, count }
+   */
+  captureLayout(name, options = {}) {
+    try {
+      const windows = Array.isArray(options.windows) ? options.windows : this.getLastKnownWindows();
+      const slots = LayoutEngine.captureSlots(windows, options.displays);
+      const count = Object.keys(slots).length;
+
+      if (count === 0) {
+        console.log('WindowManagerWindows: No window bounds to capture');
+        return { success: false, count: 0 };
+      }
+
+      this.layoutTemplates.saveTemplate(name, slots);
+      console.log(`WindowManagerWindows: Captured ${count} windows into layout "${name}"`);
+      return { success: true, count };
+
+    } catch (error) {
+      this.errorHandler.error(error, `WindowManagerWindows.captureLayout: ${name}`);
+      return { success: false, count: 0 };
+    }
+  }
+
+  /**
+   * Restore a captured layout, matching windows by character
+   * @param {string} name - Layout name
+   * @param {Object} options - Same options as organizeWindows
+   * @returns {boolean} Success status
+   */
+  async restoreLayout(name, options = {}) {
+    if (!this.layoutTemplates.hasTemplate(name)) {
+      console.warn(`WindowManagerWindows: Layout not found: ${name}`);
+      return false;
+    }
+
+    return this.organizeWindows(name, { ...options, includeDisabled: true });
+  }
+
+  /**
+   * Get available layouts: built-in layouts and user templates
+   * @returns {Object} { builtIn, templates }
+   */
+  getLayouts() {
+    return {
+      builtIn: LayoutEngine.getSupportedLayouts(),
+      templates: this.layoutTemplates.getTemplateNames()
+    };
+  }
+
+  /**
+   * Get all layout templates
+   * @returns {Object} Templates keyed by name
+   */
+  getLayoutTemplates() {
+    return this.layoutTemplates.getTemplates();
+  }
+
+  /**
+   * Save a layout template
+   * @param {string} name - Template name
+   * @param {Object} slots - Slots keyed by character key
+   * @returns {boolean} Success status
+   */
+  saveLayoutTemplate(name, slots) {
+    try {
+      this.layoutTemplates.saveTemplate(name, slots);
+      return true;
+    } catch (error) {
+      this.errorHandler.error(error, `WindowManagerWindows.saveLayoutTemplate: ${name}`);
+      return false;
+    }
+  }
+
+  /**
+   * Delete a layout template
+   * @param {string} name - Template name
+   * @returns {boolean} Success status
+   */
+  deleteLayoutTemplate(name) {
+    try {
+      return this.layoutTemplates.deleteTemplate(name);
+    } catch (error) {
+      this.errorHandler.error(error, `WindowManagerWindows.deleteLayoutTemplate: ${name}`);
+      return false;
+    }
+  }
+
   /**
    * Update window character name
    * @param {string} windowId - Window ID
@@ -411,6 +714,12 @@ class WindowManagerWindows {
         // Window activation stats
         activation: activatorStats,
 
+        // Window event tracking
+        events: {
+          available: this.supportsWindowEvents(),
+          tracking: Boolean(this.eventListeners) && this.eventSource.isRunning()
+        },
+
         // Memory usage
         memory: {
           modules: {
@@ -515,6 +824,9 @@ class WindowManagerWindows {
     try {
       console.log('WindowManagerWindows: Starting cleanup...');
 
+      this.stopEventTracking();
+      this.inputBackend.cleanup();
+
       // Cleanup all modules
       await Promise.all([
         this.windowDetector.cleanup(),
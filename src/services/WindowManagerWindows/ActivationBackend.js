@@ -0,0 +1,347 @@
+const PowerShellSession = require('./PowerShellSession');
+
+/**
+ * ActivationBackend - Interface for acting on native windows by handle
+ *
+ * Implementations resolve to a boolean for every operation. Handles are the
+ * native window handles captured by detection (stored as strings by
+ * WindowStateManager) and are normalized to positive integers.
+ */
+class ActivationBackend {
+  /**
+   * Backend name reported in statistics
+   * @returns {string} Backend name
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Restore (if minimized) and bring a window to the foreground
+   * @param {number|string} handle - Native window handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async focusWindow(handle) {
+    throw new Error(`${this.name}.focusWindow is not implemented (handle ${handle})`);
+  }
+
+  /**
+   * Restore a minimized window without focusing it
+   * @param {number|string} handle - Native window handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async restoreWindow(handle) {
+    throw new Error(`${this.name}.restoreWindow is not implemented (handle ${handle})`);
+  }
+
+  /**
+   * Move and resize a window
+   * @param {number|string} handle - Native window handle
+   * @param {Object} bounds - Target rectangle { x, y, width, height }
+   * @returns {Promise<boolean>} Success status
+   */
+  async moveWindow(handle, bounds) {
+    throw new Error(`${this.name}.moveWindow is not implemented (handle ${handle}, ${JSON.stringify(bounds)})`);
+  }
+
+  /**
+   * Minimize a window
+   * @param {number|string} handle - Native window handle
+   * @returns {Promise<boolean>} Success status
+   */
+  async minimizeWindow(handle) {
+    throw new Error(`${this.name}.minimizeWindow is not implemented (handle ${handle})`);
+  }
+
+  /**
+   * Release backend resources
+   */
+  cleanup() {}
+
+  /**
+   * Normalize a window handle
+   * @param {number|string} handle - Native window handle
+   * @returns {number} Handle as a positive integer
+   */
+  static normalizeHandle(handle) {
+    const value = Number(handle);
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid window handle: ${handle}`);
+    }
+    return value;
+  }
+
+  /**
+   * Validate and round a target rectangle
+   * @param {Object} bounds - { x, y, width, height }
+   * @returns {Object} Integer rectangle
+   */
+  static normalizeBounds(bounds) {
+    const values = bounds ? [bounds.x, bounds.y, bounds.width, bounds.height] : [];
+    if (values.length !== 4 || !values.every(Number.isFinite) || bounds.width <= 0 || bounds.height <= 0) {
+      throw new Error(`Invalid window bounds: ${JSON.stringify(bounds)}`);
+    }
+
+    return {
+      x: Math.round(bounds.x),
+      y: Math.round(bounds.y),
+      width: Math.round(bounds.width),
+      height: Math.round(bounds.height)
+    };
+  }
+}
+
+/**
+ * PowerShellActivationBackend - Acts on windows through a long-lived PowerShell
+ * helper, so the WindowsAPI C# block is compiled once instead of per call
+ */
+class PowerShellActivationBackend extends ActivationBackend {
+  /**
+   * @param {Object} options - { session } to inject a session (tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.session = options.session || new PowerShellSession({
+      name: 'activation',
+      script: PowerShellActivationBackend.generateHelperScript()
+    });
+  }
+
+  async focusWindow(handle) {
+    return this.send('focus', { handle: ActivationBackend.normalizeHandle(handle) });
+  }
+
+  async restoreWindow(handle) {
+    return this.send('restore', { handle: ActivationBackend.normalizeHandle(handle) });
+  }
+
+  async moveWindow(handle, bounds) {
+    return this.send('move', {
+      handle: ActivationBackend.normalizeHandle(handle),
+      ...ActivationBackend.normalizeBounds(bounds)
+    });
+  }
+
+  async minimizeWindow(handle) {
+    return this.send('minimize', { handle: ActivationBackend.normalizeHandle(handle) });
+  }
+
+  /**
+   * Send a command to the helper
+   * @param {string} command - Helper command
+   * @param {Object} args - Command arguments
+   * @returns {Promise<boolean>} Success reported by the helper
+   */
+  async send(command, args) {
+    const result = await this.session.request(command, args);
+    return Boolean(result && result.success);
+  }
+
+  cleanup() {
+    this.session.stop();
+  }
+
+  /**
+   * Generate the helper script run by the PowerShell session
+   * @returns {string} PowerShell script
+   */
+  static generateHelperScript() {
+    return `
+# Dorganize Windows Activation Helper - line-delimited JSON over stdin/stdout
+Add-Type -TypeDefinition @"
+using System;
+using System.Runtime.InteropServices;
+
+public class ActivationAPI {
+    [DllImport("user32.dll")]
+    public static extern bool IsWindow(IntPtr hWnd);
+
+    [DllImport("user32.dll")]
+    public static extern bool IsIconic(IntPtr hWnd);
+
+    [DllImport("user32.dll")]
+    public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow);
+
+    [DllImport("user32.dll")]
+    public static extern bool SetForegroundWindow(IntPtr hWnd);
+
+    [DllImport("user32.dll")]
+    public static extern IntPtr GetForegroundWindow();
+
+    [DllImport("user32.dll")]
+    public static extern bool SetWindowPos(IntPtr hWnd, IntPtr hWndInsertAfter, int X, int Y, int cx, int cy, uint uFlags);
+
+    [DllImport("user32.dll")]
+    public static extern void keybd_event(byte bVk, byte bScan, uint dwFlags, UIntPtr dwExtraInfo);
+}
+"@
+
+function Invoke-HelperCommand($request) {
+    $hwnd = [IntPtr][Int64]$request.args.handle
+    if (-not [ActivationAPI]::IsWindow($hwnd)) {
+        return @{ success = $false; reason = "window-not-found" }
+    }
+
+    switch ($request.command) {
+        "focus" {
+            # SW_RESTORE = 9
+            if ([ActivationAPI]::IsIconic($hwnd)) {
+                [ActivationAPI]::ShowWindow($hwnd, 9) | Out-Null
+            }
+            # A synthetic ALT press lifts the foreground lock for background processes
+            [ActivationAPI]::keybd_event(0x12, 0, 0, [UIntPtr]::Zero)
+            [ActivationAPI]::keybd_event(0x12, 0, 2, [UIntPtr]::Zero)
+            [ActivationAPI]::SetForegroundWindow($hwnd) | Out-Null
+            return @{ success = ([ActivationAPI]::GetForegroundWindow() -eq $hwnd) }
+        }
+        "restore" {
+            [ActivationAPI]::ShowWindow($hwnd, 9) | Out-Null
+            return @{ success = -not [ActivationAPI]::IsIconic($hwnd) }
+        }
+        "move" {
+            if ([ActivationAPI]::IsIconic($hwnd)) {
+                [ActivationAPI]::ShowWindow($hwnd, 9) | Out-Null
+            }
+            # SWP_NOZORDER (0x0004) | SWP_NOACTIVATE (0x0010)
+            $a = $request.args
+            return @{ success = [ActivationAPI]::SetWindowPos($hwnd, [IntPtr]::Zero, [int]$a.x, [int]$a.y, [int]$a.width, [int]$a.height, 0x0014) }
+        }
+        "minimize" {
+            # SW_MINIMIZE = 6
+            [ActivationAPI]::ShowWindow($hwnd, 6) | Out-Null
+            return @{ success = [ActivationAPI]::IsIconic($hwnd) }
+        }
+        default {
+            throw "Unknown command: $($request.command)"
+        }
+    }
+}
+${PowerShellSession.generateRequestLoop('Invoke-HelperCommand')}`;
+  }
+}
+
+/**
+ * MockActivationBackend - In-memory backend for tests and non-Windows platforms
+ *
+ * Tracks known windows, the foreground handle and every call made.
+ */
+class MockActivationBackend extends ActivationBackend {
+  /**
+   * @param {Array} windows - Initial windows ({ handle, bounds, minimized })
+   */
+  constructor(windows = []) {
+    super();
+    this.windows = new Map();
+    this.foregroundHandle = null;
+    this.calls = [];
+    windows.forEach(window => this.addWindow(window.handle, window));
+  }
+
+  /**
+   * Register a window the mock can act on
+   * @param {number|string} handle - Native window handle
+   * @param {Object} state - { bounds, minimized }
+   */
+  addWindow(handle, state = {}) {
+    this.windows.set(ActivationBackend.normalizeHandle(handle), {
+      bounds: state.bounds ? { ...state.bounds } : { x: 0, y: 0, width: 800, height: 600 },
+      minimized: Boolean(state.minimized)
+    });
+  }
+
+  /**
+   * Forget a window, as if it had been closed
+   * @param {number|string} handle - Native window handle
+   */
+  removeWindow(handle) {
+    const value = ActivationBackend.normalizeHandle(handle);
+    this.windows.delete(value);
+    if (this.foregroundHandle === value) {
+      this.foregroundHandle = null;
+    }
+  }
+
+  /**
+   * Get the recorded state of a window
+   * @param {number|string} handle - Native window handle
+   * @returns {Object|null} { bounds, minimized } or null
+   */
+  getWindow(handle) {
+    return this.windows.get(ActivationBackend.normalizeHandle(handle)) || null;
+  }
+
+  async focusWindow(handle) {
+    const window = this.record('focus', handle);
+    if (!window) {
+      return false;
+    }
+    window.minimized = false;
+    this.foregroundHandle = ActivationBackend.normalizeHandle(handle);
+    return true;
+  }
+
+  async restoreWindow(handle) {
+    const window = this.record('restore', handle);
+    if (!window) {
+      return false;
+    }
+    window.minimized = false;
+    return true;
+  }
+
+  async moveWindow(handle, bounds) {
+    const window = this.record('move', handle, ActivationBackend.normalizeBounds(bounds));
+    if (!window) {
+      return false;
+    }
+    window.minimized = false;
+    window.bounds = ActivationBackend.normalizeBounds(bounds);
+    return true;
+  }
+
+  async minimizeWindow(handle) {
+    const window = this.record('minimize', handle);
+    if (!window) {
+      return false;
+    }
+    window.minimized = true;
+    if (this.foregroundHandle === ActivationBackend.normalizeHandle(handle)) {
+      this.foregroundHandle = null;
+    }
+    return true;
+  }
+
+  /**
+   * Record a call and look up its window
+   * @param {string} command - Command name
+   * @param {number|string} handle - Native window handle
+   * @param {Object} bounds - Target rectangle (move only)
+   * @returns {Object|null} Window state or null when unknown
+   */
+  record(command, handle, bounds = null) {
+    const value = ActivationBackend.normalizeHandle(handle);
+    this.calls.push(bounds ? { command, handle: value, bounds } : { command, handle: value });
+    return this.windows.get(value) || null;
+  }
+}
+
+/**
+ * Create the activation backend for the current platform
+ * @param {Object} options - Backend options
+ * @returns {ActivationBackend} PowerShell backend on Windows, mock elsewhere
+ */
+function createActivationBackend(options = {}) {
+  if (process.platform === 'win32') {
+    return new PowerShellActivationBackend(options);
+  }
+
+  console.warn('ActivationBackend: Native activation is only available on Windows, using mock backend');
+  return new MockActivationBackend();
+}
+
+module.exports = {
+  ActivationBackend,
+  PowerShellActivationBackend,
+  MockActivationBackend,
+  createActivationBackend
+};
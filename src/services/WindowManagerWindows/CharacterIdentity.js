@@ -0,0 +1,157 @@
+const { CHARACTER_IDENTITY, CHARACTER_SERVERS } = require('../../utils/Constants');
+
+/**
+ * Character identity helpers.
+ *
+ * A window has two identifiers:
+ * - the window ID ("leader_iop_1234"), which includes the game process ID and
+ *   only lives as long as the client runs;
+ * - the character identity ("leader_iop", or "leader_iop@draconiros" when the
+ *   title tells the server), used as the key of all persisted per-character state.
+ */
+
+// Window IDs written by older releases: "character_class_pid"
+const LEGACY_ID_PATTERN = /^([^_]+)_([^_]+)_(\d+)$/;
+
+/**
+ * Normalize one part of an identity (lowercase, letters and digits only)
+ * @param {string} value - Character, class or server name
+ * @returns {string} Normalized value
+ */
+function normalizeIdentityPart(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Clean a server name entered by hand
+ * @param {string} value - Server name as typed
+ * @returns {string|null} Trimmed name, null when empty
+ */
+function normalizeServerName(value) {
+  const name = String(value || '').trim().replace(/\s+/g, ' ').slice(0, CHARACTER_SERVERS.MAX_LENGTH);
+  return name || null;
+}
+
+/**
+ * Generate the character key, without server
+ * @param {string} character - Character name
+ * @param {string} dofusClass - Class key
+ * @returns {string|null} "character_class" or null
+ */
+function generateCharacterKey(character, dofusClass) {
+  const cleanCharacter = normalizeIdentityPart(character);
+  const cleanClass = normalizeIdentityPart(dofusClass);
+  if (!cleanCharacter || !cleanClass) {
+    return null;
+  }
+
+  return `${cleanCharacter}_${cleanClass}`;
+}
+
+/**
+ * Generate the character identity used to persist per-character state
+ * @param {string} character - Character name
+ * @param {string} dofusClass - Class key
+ * @param {string|null} server - Server name, when known
+ * @returns {string|null} Character identity or null
+ */
+function generateCharacterId(character, dofusClass, server = null) {
+  const characterKey = generateCharacterKey(character, dofusClass);
+  const cleanServer = normalizeIdentityPart(server);
+  if (!characterKey || !cleanServer) {
+    return characterKey;
+  }
+
+  return `${characterKey}${CHARACTER_IDENTITY.SERVER_SEPARATOR}${cleanServer}`;
+}
+
+/**
+ * Generate the runtime window ID of a game client
+ * @param {string} character - Character name
+ * @param {string} dofusClass - Class key
+ * @param {number|string} processId - Game process ID
+ * @returns {string|null} "character_class_pid" or null
+ */
+function generateWindowId(character, dofusClass, processId) {
+  const characterKey = generateCharacterKey(character, dofusClass);
+  if (!characterKey) {
+    return null;
+  }
+
+  return `${characterKey}_${processId || 0}`;
+}
+
+/**
+ * Get the character key of a window ID written by an older release
+ * @param {string} storedId - Key found in a per-character store
+ * @returns {string|null} Character key, or null when the key is not a legacy window ID
+ */
+function getLegacyCharacterKey(storedId) {
+  const match = LEGACY_ID_PATTERN.exec(storedId);
+  if (!match) {
+    return null;
+  }
+
+  return generateCharacterKey(match[1], match[2]);
+}
+
+/**
+ * Move per-character entries saved under process-specific window IDs to their
+ * character key. Entries already saved under the character key win; among
+ * several legacy entries of the same character, the one created last wins:
+ * stores keep their keys in creation order, and updating an entry does not
+ * move it, so a more recent write to an older entry does not count.
+ * @param {Object} store - Store exposing get(key, default) and set(key, value)
+ * @param {Array<string>} storeNames - Stores to migrate
+ * @returns {Object} { migrated, dropped } entry counts
+ */
+function migrateLegacyEntries(store, storeNames = CHARACTER_IDENTITY.STORES) {
+  const result = { migrated: 0, dropped: 0 };
+
+  storeNames.forEach(storeName => {
+    const entries = store.get(storeName, {});
+    if (!entries || typeof entries !== 'object') {
+      return;
+    }
+
+    const legacyIds = Object.keys(entries).filter(storedId => getLegacyCharacterKey(storedId));
+    if (legacyIds.length === 0) {
+      return;
+    }
+
+    const migrated = { ...entries };
+    const migratedKeys = new Set();
+
+    legacyIds.forEach(legacyId => {
+      const characterKey = getLegacyCharacterKey(legacyId);
+      const keptByUser = Object.prototype.hasOwnProperty.call(entries, characterKey);
+
+      if (keptByUser) {
+        result.dropped++;
+      } else {
+        if (migratedKeys.has(characterKey)) {
+          result.dropped++;
+        } else {
+          result.migrated++;
+        }
+        migrated[characterKey] = entries[legacyId];
+        migratedKeys.add(characterKey);
+      }
+      delete migrated[legacyId];
+    });
+
+    store.set(storeName, migrated);
+  });
+
+  return result;
+}
+
+module.exports = {
+  normalizeIdentityPart,
+  normalizeServerName,
+  generateCharacterKey,
+  generateCharacterId,
+  generateWindowId,
+  getLegacyCharacterKey,
+  migrateLegacyEntries
+};
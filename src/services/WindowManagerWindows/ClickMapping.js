@@ -0,0 +1,121 @@
+const { CLICK_SYNC, LAYOUT } = require('../../utils/Constants');
+
+/**
+ * ClickMapping - Pure computation of where a click is replayed in other windows
+ *
+ * A click is taken relative to the client area of the clicked window (0 to 1
+ * on each axis) and placed at the same relative position in each target's
+ * client area, so windows of different sizes get the click on the same spot
+ * of the game. Target client areas are derived from the window bounds collected
+ * by detection, minus the frame measured on the clicked window.
+ */
+class ClickMapping {
+  /**
+   * Read a rectangle from window bounds ({ X, Y, Width, Height }) or a rectangle
+   * @param {Object} bounds - Bounds in either casing
+   * @returns {Object|null} { x, y, width, height }, null when empty or minimized
+   */
+  static toRect(bounds) {
+    if (!bounds) return null;
+
+    const rect = {
+      x: bounds.x !== undefined ? bounds.x : bounds.X,
+      y: bounds.y !== undefined ? bounds.y : bounds.Y,
+      width: bounds.width !== undefined ? bounds.width : bounds.Width,
+      height: bounds.height !== undefined ? bounds.height : bounds.Height
+    };
+
+    const valid = [rect.x, rect.y, rect.width, rect.height].every(Number.isFinite) &&
+      rect.width > 0 && rect.height > 0 &&
+      rect.x > LAYOUT.MINIMIZED_POSITION && rect.y > LAYOUT.MINIMIZED_POSITION;
+    return valid ? rect : null;
+  }
+
+  /**
+   * Measure the frame around a client area
+   * @param {Object} windowRect - Window rectangle
+   * @param {Object} clientRect - Client area rectangle, in screen coordinates
+   * @returns {Object} { left, top, right, bottom } in pixels
+   */
+  static getFrame(windowRect, clientRect) {
+    return {
+      left: Math.max(0, clientRect.x - windowRect.x),
+      top: Math.max(0, clientRect.y - windowRect.y),
+      right: Math.max(0, (windowRect.x + windowRect.width) - (clientRect.x + clientRect.width)),
+      bottom: Math.max(0, (windowRect.y + windowRect.height) - (clientRect.y + clientRect.height))
+    };
+  }
+
+  /**
+   * Get the client area of a window from its bounds
+   * @param {Object} bounds - Window bounds
+   * @param {Object} frame - { left, top, right, bottom }
+   * @returns {Object|null} Client rectangle, null when the window has no usable area
+   */
+  static getClientRect(bounds, frame = CLICK_SYNC.DEFAULT_FRAME) {
+    const rect = ClickMapping.toRect(bounds);
+    if (!rect) return null;
+
+    const client = {
+      x: rect.x + frame.left,
+      y: rect.y + frame.top,
+      width: rect.width - frame.left - frame.right,
+      height: rect.height - frame.top - frame.bottom
+    };
+    return client.width > 0 && client.height > 0 ? client : null;
+  }
+
+  /**
+   * Get the position of a point relative to a client area
+   * @param {Object} point - Screen point { x, y }
+   * @param {Object} clientRect - Client rectangle
+   * @returns {Object|null} { x, y } between 0 and 1, null when the point is outside
+   */
+  static toRelative(point, clientRect) {
+    const x = (point.x - clientRect.x) / clientRect.width;
+    const y = (point.y - clientRect.y) / clientRect.height;
+    return x >= 0 && x < 1 && y >= 0 && y < 1 ? { x, y } : null;
+  }
+
+  /**
+   * Get the screen point at a relative position of a client area
+   * @param {Object} relative - { x, y } between 0 and 1
+   * @param {Object} clientRect - Client rectangle
+   * @returns {Object} Screen point { x, y }, inside the client area
+   */
+  static fromRelative(relative, clientRect) {
+    return {
+      x: clientRect.x + Math.min(clientRect.width - 1, Math.floor(relative.x * clientRect.width)),
+      y: clientRect.y + Math.min(clientRect.height - 1, Math.floor(relative.y * clientRect.height))
+    };
+  }
+
+  /**
+   * Map a click to the windows it is replayed on
+   * @param {Object} click - { x, y, client } with client the clicked window's client
+   *   area in screen coordinates, when known
+   * @param {Object} source - Clicked window ({ bounds })
+   * @param {Array} targets - Windows the click is replayed on ({ bounds })
+   * @returns {Array} [{ window, x, y }] in target order; targets without usable
+   *   bounds are left out, and every target when the click is outside the client area
+   */
+  static mapClick(click, source, targets) {
+    const sourceRect = ClickMapping.toRect(source.bounds);
+    const clickedClient = ClickMapping.toRect(click.client);
+
+    // The clicked window's frame is measured when possible: all game windows share it
+    const frame = sourceRect && clickedClient ? ClickMapping.getFrame(sourceRect, clickedClient) : CLICK_SYNC.DEFAULT_FRAME;
+    const sourceClient = clickedClient || ClickMapping.getClientRect(source.bounds, frame);
+    if (!sourceClient) return [];
+
+    const relative = ClickMapping.toRelative(click, sourceClient);
+    if (!relative) return [];
+
+    return targets
+      .map(window => ({ window, client: ClickMapping.getClientRect(window.bounds, frame) }))
+      .filter(target => target.client)
+      .map(target => ({ window: target.window, ...ClickMapping.fromRelative(relative, target.client) }));
+  }
+}
+
+module.exports = ClickMapping;
@@ -0,0 +1,290 @@
+const { EventEmitter } = require('events');
+const PowerShellSession = require('./PowerShellSession');
+const { CLICK_SYNC } = require('../../utils/Constants');
+
+/**
+ * ClickSource - Emits the clicks made while a modifier key is held
+ *
+ * 'click' events carry { button, x, y, handle, modifiers, client, timestamp }:
+ * the screen point, the top-level window under it, the modifiers held
+ * (CLICK_SYNC.MODIFIERS values) and that window's client area in screen
+ * coordinates (null when unknown). Clicks without any modifier are not reported.
+ */
+class ClickSource extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+  }
+
+  /**
+   * Start emitting clicks
+   */
+  start() {
+    this.running = true;
+  }
+
+  /**
+   * Stop emitting clicks
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Check whether the source is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Emit a click with a normalized payload
+   * @param {Object} data - { button, x, y, handle, modifiers, client }
+   */
+  emitClick(data) {
+    const modifiers = (data.modifiers || []).filter(modifier => CLICK_SYNC.MODIFIERS.includes(modifier));
+    if (!this.running || !CLICK_SYNC.BUTTONS.includes(data.button) || modifiers.length === 0) {
+      return;
+    }
+
+    this.emit('click', {
+      button: data.button,
+      x: data.x,
+      y: data.y,
+      handle: String(data.handle),
+      modifiers,
+      client: data.client ? { ...data.client } : null,
+      timestamp: Date.now()
+    });
+  }
+}
+
+/**
+ * MouseHookClickSource - Windows click source backed by a low-level mouse hook
+ *
+ * The helper runs in a PowerShell session and pushes one JSON line per click.
+ * Injected clicks, such as the replayed ones, are ignored so a replay never
+ * triggers another.
+ */
+class MouseHookClickSource extends ClickSource {
+  /**
+   * @param {Object} options - { session } to inject a session (tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.session = options.session || new PowerShellSession({
+      name: 'click-events',
+      script: MouseHookClickSource.generateHelperScript(),
+      onMessage: (message) => this.handleMessage(message),
+      onGiveUp: () => this.handleGiveUp()
+    });
+  }
+
+  start() {
+    super.start();
+    this.session.start().catch(error => {
+      console.warn(`MouseHookClickSource: Failed to start mouse hook: ${error.message}`);
+    });
+  }
+
+  stop() {
+    super.stop();
+    this.session.stop();
+  }
+
+  /**
+   * Translate a helper line into a click
+   * @param {Object} message - { event, button, x, y, handle, modifiers, client }
+   */
+  handleMessage(message) {
+    if (!message || message.event !== 'click' || !message.handle) {
+      return;
+    }
+    this.emitClick(message);
+  }
+
+  /**
+   * The helper kept crashing: clicks are no longer replayed
+   */
+  handleGiveUp() {
+    this.running = false;
+    this.emit('unavailable', new Error('Mouse hook stopped after repeated crashes'));
+  }
+
+  /**
+   * Generate the helper script installing the mouse hook
+   * @returns {string} PowerShell script
+   */
+  static generateHelperScript() {
+    return `
+# Dorganize Click Events Helper - pushes modifier clicks as JSON lines
+Add-Type -TypeDefinition @"
+using System;
+using System.Collections.Generic;
+using System.Runtime.InteropServices;
+
+public class MouseWatcher {
+    delegate IntPtr LowLevelMouseProc(int nCode, IntPtr wParam, IntPtr lParam);
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct POINT {
+        public int x;
+        public int y;
+    }
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct MSLLHOOKSTRUCT {
+        public POINT pt;
+        public uint mouseData;
+        public uint flags;
+        public uint time;
+        public IntPtr dwExtraInfo;
+    }
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct RECT {
+        public int Left;
+        public int Top;
+        public int Right;
+        public int Bottom;
+    }
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct MSG {
+        public IntPtr hwnd;
+        public uint message;
+        public IntPtr wParam;
+        public IntPtr lParam;
+        public uint time;
+        public int ptX;
+        public int ptY;
+    }
+
+    [DllImport("user32.dll")]
+    static extern IntPtr SetWindowsHookEx(int idHook, LowLevelMouseProc lpfn, IntPtr hMod, uint dwThreadId);
+
+    [DllImport("user32.dll")]
+    static extern IntPtr CallNextHookEx(IntPtr hhk, int nCode, IntPtr wParam, IntPtr lParam);
+
+    [DllImport("kernel32.dll")]
+    static extern IntPtr GetModuleHandle(string lpModuleName);
+
+    [DllImport("user32.dll")]
+    static extern short GetAsyncKeyState(int vKey);
+
+    [DllImport("user32.dll")]
+    static extern IntPtr WindowFromPoint(POINT point);
+
+    [DllImport("user32.dll")]
+    static extern IntPtr GetAncestor(IntPtr hWnd, uint gaFlags);
+
+    [DllImport("user32.dll")]
+    static extern bool GetClientRect(IntPtr hWnd, out RECT lpRect);
+
+    [DllImport("user32.dll")]
+    static extern bool ClientToScreen(IntPtr hWnd, ref POINT lpPoint);
+
+    [DllImport("user32.dll")]
+    static extern int GetMessage(out MSG lpMsg, IntPtr hWnd, uint wMsgFilterMin, uint wMsgFilterMax);
+
+    [DllImport("user32.dll")]
+    static extern bool TranslateMessage(ref MSG lpMsg);
+
+    [DllImport("user32.dll")]
+    static extern IntPtr DispatchMessage(ref MSG lpMsg);
+
+    const int WH_MOUSE_LL = 14;
+    const int WM_LBUTTONDOWN = 0x0201;
+    const int WM_RBUTTONDOWN = 0x0204;
+    const uint LLMHF_INJECTED = 0x01;
+    const uint GA_ROOT = 2;
+
+    // Keep the delegate referenced so the GC does not collect it while hooked
+    static LowLevelMouseProc callback = OnMouse;
+    static IntPtr hook = IntPtr.Zero;
+
+    public static void Run() {
+        hook = SetWindowsHookEx(WH_MOUSE_LL, callback, GetModuleHandle(null), 0);
+
+        MSG msg;
+        while (GetMessage(out msg, IntPtr.Zero, 0, 0) > 0) {
+            TranslateMessage(ref msg);
+            DispatchMessage(ref msg);
+        }
+    }
+
+    static IntPtr OnMouse(int nCode, IntPtr wParam, IntPtr lParam) {
+        int message = wParam.ToInt32();
+        if (nCode >= 0 && (message == WM_LBUTTONDOWN || message == WM_RBUTTONDOWN)) {
+            MSLLHOOKSTRUCT info = (MSLLHOOKSTRUCT)Marshal.PtrToStructure(lParam, typeof(MSLLHOOKSTRUCT));
+            if ((info.flags & LLMHF_INJECTED) == 0) {
+                Report(message == WM_LBUTTONDOWN ? "left" : "right", info.pt);
+            }
+        }
+        return CallNextHookEx(hook, nCode, wParam, lParam);
+    }
+
+    static void Report(string button, POINT pt) {
+        // VK_CONTROL, VK_MENU, VK_SHIFT
+        List<string> modifiers = new List<string>();
+        if ((GetAsyncKeyState(0x11) & 0x8000) != 0) modifiers.Add("\\"Ctrl\\"");
+        if ((GetAsyncKeyState(0x12) & 0x8000) != 0) modifiers.Add("\\"Alt\\"");
+        if ((GetAsyncKeyState(0x10) & 0x8000) != 0) modifiers.Add("\\"Shift\\"");
+        if (modifiers.Count == 0) {
+            return;
+        }
+
+        IntPtr hwnd = GetAncestor(WindowFromPoint(pt), GA_ROOT);
+        RECT client;
+        POINT origin = new POINT();
+        string clientJson = "null";
+        if (GetClientRect(hwnd, out client) && ClientToScreen(hwnd, ref origin)) {
+            clientJson = "{\\"x\\":" + origin.x + ",\\"y\\":" + origin.y + ",\\"width\\":" + client.Right + ",\\"height\\":" + client.Bottom + "}";
+        }
+
+        Console.Out.WriteLine("{\\"event\\":\\"click\\",\\"button\\":\\"" + button + "\\",\\"x\\":" + pt.x + ",\\"y\\":" + pt.y +
+            ",\\"handle\\":" + hwnd.ToInt64() + ",\\"modifiers\\":[" + string.Join(",", modifiers.ToArray()) + "],\\"client\\":" + clientJson + "}");
+        Console.Out.Flush();
+    }
+}
+"@
+
+[Console]::Out.WriteLine('{"ready":true}')
+[Console]::Out.Flush()
+
+[MouseWatcher]::Run()
+`;
+  }
+}
+
+/**
+ * SimulatedClickSource - Click source driven by code, for tests
+ */
+class SimulatedClickSource extends ClickSource {
+  /**
+   * Simulate a click
+   * @param {Object} data - { button, x, y, handle, modifiers, client }
+   */
+  click(data) {
+    this.emitClick({ button: 'left', modifiers: [], ...data });
+  }
+}
+
+/**
+ * Create the click source for the current platform
+ * @returns {ClickSource|null} Mouse hook source on Windows, null elsewhere (no click sync)
+ */
+function createClickSource() {
+  if (process.platform !== 'win32') {
+    return null;
+  }
+  return new MouseHookClickSource();
+}
+
+module.exports = {
+  ClickSource,
+  MouseHookClickSource,
+  SimulatedClickSource,
+  createClickSource
+};
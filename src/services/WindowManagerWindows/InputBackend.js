@@ -0,0 +1,320 @@
+const PowerShellSession = require('./PowerShellSession');
+const { ActivationBackend } = require('./ActivationBackend');
+
+/**
+ * InputBackend - Interface for sending key presses and clicks to native windows by handle
+ *
+ * A window only receives synthetic input while it is in the foreground, so
+ * sending focuses the window first. Keys are Windows virtual-key codes
+ * ({ modifiers, key }, see KeyboardLayouts.toVirtualKeys); click points are
+ * screen coordinates.
+ */
+class InputBackend {
+  /**
+   * Backend name reported in logs
+   * @returns {string} Backend name
+   */
+  get name() {
+    return this.constructor.name;
+  }
+
+  /**
+   * Focus a window and press a sequence of keys in it
+   * @param {number|string} handle - Native window handle
+   * @param {Array<Object>} keys - Keys to press in order: { modifiers, key }
+   * @param {Object} options - { releaseModifiers: virtual-key codes of modifiers held by
+   *   the player, released first so the window gets the keys alone }
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendKeys(handle, keys, options = {}) {
+    throw new Error(`${this.name}.sendKeys is not implemented (handle ${handle}, ${keys.length} keys, releasing ${(options.releaseModifiers || []).length} modifiers)`);
+  }
+
+  /**
+   * Focus a window and click in it; the mouse cursor goes back where it was
+   * @param {number|string} handle - Native window handle
+   * @param {Object} point - Screen point { x, y }
+   * @param {Object} options - { button: 'left' | 'right', releaseModifiers: virtual-key codes of
+   *   modifiers held by the player, released first so the window gets a plain click }
+   * @returns {Promise<boolean>} Success status
+   */
+  async sendClick(handle, point, options = {}) {
+    throw new Error(`${this.name}.sendClick is not implemented (handle ${handle}, ${JSON.stringify(point)}, ${options.button})`);
+  }
+
+  /**
+   * Release backend resources
+   */
+  cleanup() {}
+
+  /**
+   * Validate a key sequence
+   * @param {Array<Object>} keys - Keys: { modifiers, key }
+   * @returns {Array<Object>} Keys with integer virtual-key codes
+   */
+  static normalizeKeys(keys) {
+    const isCode = code => Number.isInteger(code) && code > 0 && code < 0xFF;
+    const valid = Array.isArray(keys) && keys.length > 0 && keys.every(entry =>
+      entry && isCode(entry.key) && (entry.modifiers || []).every(isCode));
+    if (!valid) {
+      throw new Error(`Invalid key sequence: ${JSON.stringify(keys)}`);
+    }
+
+    return keys.map(entry => ({ modifiers: [...(entry.modifiers || [])], key: entry.key }));
+  }
+
+  /**
+   * Validate the modifiers to release before sending
+   * @param {Array<number>} releaseModifiers - Virtual-key codes
+   * @returns {Array<number>} Copy of the codes
+   */
+  static normalizeReleaseModifiers(releaseModifiers = []) {
+    const valid = Array.isArray(releaseModifiers) &&
+      releaseModifiers.every(code => Number.isInteger(code) && code > 0 && code < 0xFF);
+    if (!valid) {
+      throw new Error(`Invalid modifiers to release: ${JSON.stringify(releaseModifiers)}`);
+    }
+    return [...releaseModifiers];
+  }
+
+  /**
+   * Validate a click
+   * @param {Object} point - Screen point { x, y }
+   * @param {Object} options - { button, releaseModifiers }
+   * @returns {Object} { x, y, button, releaseModifiers } with integer coordinates
+   */
+  static normalizeClick(point, options = {}) {
+    const button = options.button || 'left';
+    const valid = point && Number.isFinite(point.x) && Number.isFinite(point.y) && ['left', 'right'].includes(button);
+    if (!valid) {
+      throw new Error(`Invalid click: ${JSON.stringify({ point, ...options })}`);
+    }
+
+    const releaseModifiers = InputBackend.normalizeReleaseModifiers(options.releaseModifiers);
+    return { x: Math.round(point.x), y: Math.round(point.y), button, releaseModifiers };
+  }
+}
+
+/**
+ * PowerShellInputBackend - Presses keys and clicks through a long-lived PowerShell helper
+ */
+class PowerShellInputBackend extends InputBackend {
+  /**
+   * @param {Object} options - { session } to inject a session (tests), { keyDelay } pause between keys in ms
+   */
+  constructor(options = {}) {
+    super();
+    this.keyDelay = options.keyDelay || 50;
+    this.session = options.session || new PowerShellSession({
+      name: 'input',
+      script: PowerShellInputBackend.generateHelperScript()
+    });
+  }
+
+  async sendKeys(handle, keys, options = {}) {
+    const result = await this.session.request('send', {
+      handle: ActivationBackend.normalizeHandle(handle),
+      keys: InputBackend.normalizeKeys(keys),
+      releaseModifiers: InputBackend.normalizeReleaseModifiers(options.releaseModifiers),
+      keyDelay: this.keyDelay
+    });
+    return Boolean(result && result.success);
+  }
+
+  async sendClick(handle, point, options = {}) {
+    const result = await this.session.request('click', {
+      handle: ActivationBackend.normalizeHandle(handle),
+      ...InputBackend.normalizeClick(point, options)
+    });
+    return Boolean(result && result.success);
+  }
+
+  cleanup() {
+    this.session.stop();
+  }
+
+  /**
+   * Generate the helper script run by the PowerShell session
+   * @returns {string} PowerShell script
+   */
+  static generateHelperScript() {
+    return `
+# Dorganize Windows Input Helper - line-delimited JSON over stdin/stdout
+Add-Type -TypeDefinition @"
+using System;
+using System.Runtime.InteropServices;
+
+public class InputAPI {
+    [DllImport("user32.dll")]
+    public static extern bool IsWindow(IntPtr hWnd);
+
+    [DllImport("user32.dll")]
+    public static extern bool IsIconic(IntPtr hWnd);
+
+    [DllImport("user32.dll")]
+    public static extern bool ShowWindow(IntPtr hWnd, int nCmdShow);
+
+    [DllImport("user32.dll")]
+    public static extern bool SetForegroundWindow(IntPtr hWnd);
+
+    [DllImport("user32.dll")]
+    public static extern IntPtr GetForegroundWindow();
+
+    [DllImport("user32.dll")]
+    public static extern void keybd_event(byte bVk, byte bScan, uint dwFlags, UIntPtr dwExtraInfo);
+
+    [DllImport("user32.dll")]
+    public static extern void mouse_event(uint dwFlags, int dx, int dy, uint dwData, UIntPtr dwExtraInfo);
+
+    [DllImport("user32.dll")]
+    public static extern bool SetCursorPos(int X, int Y);
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct POINT {
+        public int X;
+        public int Y;
+    }
+
+    [DllImport("user32.dll")]
+    public static extern bool GetCursorPos(out POINT lpPoint);
+}
+"@
+
+function Set-HelperForeground($hwnd) {
+    # SW_RESTORE = 9, then the ALT press lifting the foreground lock
+    if ([InputAPI]::IsIconic($hwnd)) {
+        [InputAPI]::ShowWindow($hwnd, 9) | Out-Null
+    }
+    [InputAPI]::keybd_event(0x12, 0, 0, [UIntPtr]::Zero)
+    [InputAPI]::keybd_event(0x12, 0, 2, [UIntPtr]::Zero)
+    [InputAPI]::SetForegroundWindow($hwnd) | Out-Null
+    return ([InputAPI]::GetForegroundWindow() -eq $hwnd)
+}
+
+function Invoke-HelperCommand($request) {
+    $hwnd = [IntPtr][Int64]$request.args.handle
+    if (-not [InputAPI]::IsWindow($hwnd)) {
+        return @{ success = $false; reason = "window-not-found" }
+    }
+
+    switch ($request.command) {
+        "send" {
+            if (-not (Set-HelperForeground $hwnd)) {
+                return @{ success = $false; reason = "focus-failed" }
+            }
+
+            # KEYEVENTF_KEYUP = 2; the player's modifiers first, then each key's in reverse order
+            foreach ($modifier in $request.args.releaseModifiers) {
+                [InputAPI]::keybd_event([byte]$modifier, 0, 2, [UIntPtr]::Zero)
+            }
+            foreach ($entry in $request.args.keys) {
+                foreach ($modifier in $entry.modifiers) {
+                    [InputAPI]::keybd_event([byte]$modifier, 0, 0, [UIntPtr]::Zero)
+                }
+                [InputAPI]::keybd_event([byte]$entry.key, 0, 0, [UIntPtr]::Zero)
+                [InputAPI]::keybd_event([byte]$entry.key, 0, 2, [UIntPtr]::Zero)
+                for ($i = $entry.modifiers.Count - 1; $i -ge 0; $i--) {
+                    [InputAPI]::keybd_event([byte]$entry.modifiers[$i], 0, 2, [UIntPtr]::Zero)
+                }
+                Start-Sleep -Milliseconds ([int]$request.args.keyDelay)
+            }
+            return @{ success = $true }
+        }
+        "click" {
+            if (-not (Set-HelperForeground $hwnd)) {
+                return @{ success = $false; reason = "focus-failed" }
+            }
+
+            foreach ($modifier in $request.args.releaseModifiers) {
+                [InputAPI]::keybd_event([byte]$modifier, 0, 2, [UIntPtr]::Zero)
+            }
+
+            # MOUSEEVENTF_LEFTDOWN/UP = 0x02/0x04, MOUSEEVENTF_RIGHTDOWN/UP = 0x08/0x10
+            $flags = if ($request.args.button -eq "right") { @(0x08, 0x10) } else { @(0x02, 0x04) }
+            $cursor = New-Object InputAPI+POINT
+            [InputAPI]::GetCursorPos([ref]$cursor) | Out-Null
+            [InputAPI]::SetCursorPos([int]$request.args.x, [int]$request.args.y) | Out-Null
+            [InputAPI]::mouse_event($flags[0], 0, 0, 0, [UIntPtr]::Zero)
+            [InputAPI]::mouse_event($flags[1], 0, 0, 0, [UIntPtr]::Zero)
+            [InputAPI]::SetCursorPos($cursor.X, $cursor.Y) | Out-Null
+            return @{ success = $true }
+        }
+        default {
+            throw "Unknown command: $($request.command)"
+        }
+    }
+}
+${PowerShellSession.generateRequestLoop('Invoke-HelperCommand')}`;
+  }
+}
+
+/**
+ * MockInputBackend - In-memory backend for tests and non-Windows platforms
+ *
+ * Records every key sequence and click sent; sending to an unknown window fails.
+ */
+class MockInputBackend extends InputBackend {
+  /**
+   * @param {Array} handles - Handles of the windows that accept keys
+   */
+  constructor(handles = []) {
+    super();
+    this.handles = new Set();
+    this.calls = [];
+    handles.forEach(handle => this.addWindow(handle));
+  }
+
+  /**
+   * Register a window the mock can send keys to
+   * @param {number|string} handle - Native window handle
+   */
+  addWindow(handle) {
+    this.handles.add(ActivationBackend.normalizeHandle(handle));
+  }
+
+  /**
+   * Forget a window, as if it had been closed
+   * @param {number|string} handle - Native window handle
+   */
+  removeWindow(handle) {
+    this.handles.delete(ActivationBackend.normalizeHandle(handle));
+  }
+
+  async sendKeys(handle, keys, options = {}) {
+    const value = ActivationBackend.normalizeHandle(handle);
+    this.calls.push({
+      command: 'send',
+      handle: value,
+      keys: InputBackend.normalizeKeys(keys),
+      releaseModifiers: InputBackend.normalizeReleaseModifiers(options.releaseModifiers)
+    });
+    return this.handles.has(value);
+  }
+
+  async sendClick(handle, point, options = {}) {
+    const value = ActivationBackend.normalizeHandle(handle);
+    this.calls.push({ command: 'click', handle: value, ...InputBackend.normalizeClick(point, options) });
+    return this.handles.has(value);
+  }
+}
+
+/**
+ * Create the input backend for the current platform
+ * @param {Object} options - Backend options
+ * @returns {InputBackend} PowerShell backend on Windows, mock elsewhere
+ */
+function createInputBackend(options = {}) {
+  if (process.platform === 'win32') {
+    return new PowerShellInputBackend(options);
+  }
+
+  console.warn('InputBackend: Sending keys and clicks is only available on Windows, using mock backend');
+  return new MockInputBackend();
+}
+
+module.exports = {
+  InputBackend,
+  PowerShellInputBackend,
+  MockInputBackend,
+  createInputBackend
+};
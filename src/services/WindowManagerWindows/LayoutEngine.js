@@ -0,0 +1,425 @@
+const { LAYOUT } = require('../../utils/Constants');
+
+/**
+ * LayoutEngine - Pure computation of window rectangles for a display work area
+ *
+ * No side effects: takes windows in the order they should be placed and returns
+ * one rectangle per window. Applying the rectangles is the job of a move backend.
+ */
+class LayoutEngine {
+  /**
+   * Get the list of supported layout names
+   * @returns {Array<string>} Layout names
+   */
+  static getSupportedLayouts() {
+    return Object.values(LAYOUT.TYPES);
+  }
+
+  /**
+   * Check whether a layout name is supported
+   * @param {string} layout - Layout name
+   * @returns {boolean} Whether the layout is supported
+   */
+  static isSupportedLayout(layout) {
+    return LayoutEngine.getSupportedLayouts().includes(layout);
+  }
+
+  /**
+   * Sort windows by initiative (descending), then by character name
+   * @param {Array} windows - Window objects
+   * @returns {Array} New sorted array
+   */
+  static sortByInitiative(windows) {
+    return [...windows].sort((a, b) => {
+      const initiativeDiff = (b.initiative || 0) - (a.initiative || 0);
+      if (initiativeDiff !== 0) {
+        return initiativeDiff;
+      }
+      return (a.character || '').localeCompare(b.character || '');
+    });
+  }
+
+  /**
+   * Compute grid dimensions for a number of windows
+   * @param {number} count - Number of windows
+   * @param {number} columns - Forced column count (optional)
+   * @returns {Object} { columns, rows }
+   */
+  static getGridDimensions(count, columns = null) {
+    if (count <= 0) {
+      return { columns: 0, rows: 0 };
+    }
+
+    const cols = columns && columns > 0
+      ? Math.min(Math.floor(columns), count)
+      : Math.ceil(Math.sqrt(count));
+
+    return {
+      columns: cols,
+      rows: Math.ceil(count / cols)
+    };
+  }
+
+  /**
+   * Compute rectangles for windows in a work area
+   * @param {Array} windows - Windows in placement order (must have id and handle)
+   * @param {Object} workArea - Display work area { x, y, width, height }
+   * @param {string} layout - Layout name (grid, horizontal, vertical)
+   * @param {Object} options - { gap, columns }
+   * @returns {Array} Array of { windowId, handle, x, y, width, height }
+   */
+  static computeLayout(windows, workArea, layout = LAYOUT.DEFAULT, options = {}) {
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return [];
+    }
+
+    if (!LayoutEngine.isSupportedLayout(layout)) {
+      throw new Error(`Unsupported layout: ${layout}`);
+    }
+
+    LayoutEngine.validateWorkArea(workArea);
+
+    const gap = Math.max(0, Math.floor(options.gap !== undefined ? options.gap : LAYOUT.DEFAULT_GAP_PX));
+    const count = windows.length;
+
+    let columns;
+    let rows;
+    switch (layout) {
+      case LAYOUT.TYPES.HORIZONTAL:
+        columns = count;
+        rows = 1;
+        break;
+      case LAYOUT.TYPES.VERTICAL:
+        columns = 1;
+        rows = count;
+        break;
+      default:
+        ({ columns, rows } = LayoutEngine.getGridDimensions(count, options.columns));
+    }
+
+    const columnEdges = LayoutEngine.splitSpan(workArea.x, workArea.width, columns, gap);
+    const rowEdges = LayoutEngine.splitSpan(workArea.y, workArea.height, rows, gap);
+
+    return windows.map((window, index) => {
+      const column = columnEdges[index % columns];
+      const row = rowEdges[Math.floor(index / columns)];
+
+      return {
+        windowId: window.id,
+        handle: window.handle,
+        x: column.start,
+        y: row.start,
+        width: column.size,
+        height: row.size
+      };
+    });
+  }
+
+  /**
+   * Compute rectangles spreading windows across several displays.
+   * Displays are filled left to right; each gets a share of the windows
+   * proportional to its work area and is laid out independently.
+   * @param {Array} windows - Windows in placement order
+   * @param {Array} displays - Displays ({ id, bounds, workArea })
+   * @param {string} layout - Layout name (grid, horizontal, vertical)
+   * @param {Object} options - { gap, columns }
+   * @returns {Array} Array of { windowId, handle, x, y, width, height, displayId }
+   */
+  static computeMultiDisplayLayout(windows, displays, layout = LAYOUT.DEFAULT, options = {}) {
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return [];
+    }
+
+    if (!Array.isArray(displays) || displays.length === 0) {
+      throw new Error('No display available');
+    }
+
+    const orderedDisplays = LayoutEngine.sortDisplays(displays);
+    const counts = LayoutEngine.distributeWindows(
+      windows.length,
+      orderedDisplays.map(display => display.workArea.width * display.workArea.height)
+    );
+
+    const rects = [];
+    let offset = 0;
+    orderedDisplays.forEach((display, index) => {
+      const displayWindows = windows.slice(offset, offset + counts[index]);
+      offset += counts[index];
+
+      LayoutEngine.computeLayout(displayWindows, display.workArea, layout, options).forEach(rect => {
+        rects.push({ ...rect, displayId: display.id });
+      });
+    });
+
+    return rects;
+  }
+
+  /**
+   * Split a window count across weights using the largest remainder method
+   * @param {number} count - Number of windows
+   * @param {Array<number>} weights - One weight per display
+   * @returns {Array<number>} Window count per display
+   */
+  static distributeWindows(count, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (totalWeight <= 0) {
+      return weights.map((weight, index) => (index === 0 ? count : 0));
+    }
+
+    const exact = weights.map(weight => (count * weight) / totalWeight);
+    const counts = exact.map(Math.floor);
+    let remaining = count - counts.reduce((sum, value) => sum + value, 0);
+
+    exact
+      .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+      .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+      .forEach(({ index }) => {
+        if (remaining > 0) {
+          counts[index]++;
+          remaining--;
+        }
+      });
+
+    return counts;
+  }
+
+  /**
+   * Sort displays left to right, then top to bottom
+   * @param {Array} displays - Displays ({ bounds })
+   * @returns {Array} New sorted array
+   */
+  static sortDisplays(displays) {
+    return [...displays].sort((a, b) => (a.bounds.x - b.bounds.x) || (a.bounds.y - b.bounds.y));
+  }
+
+  /**
+   * Get the character key of a window (stable ID without the PID)
+   * @param {Object} window - Window object
+   * @returns {string} Character key
+   */
+  static getCharacterKey(window) {
+    if (window.characterKey) {
+      return window.characterKey;
+    }
+    return String(window.id || '').replace(/_\d+$/, '');
+  }
+
+  /**
+   * Compute rectangles for windows from a layout template.
+   * Windows whose character has no slot in the template are left out.
+   * Slots with a displayId use that display's work area when it is connected.
+   * @param {Array} windows - Windows to place
+   * @param {Object} workArea - Default display work area { x, y, width, height }
+   * @param {Object} template - Template with a slots map keyed by character key
+   * @param {Object} options - { displays } connected displays ({ id, workArea })
+   * @returns {Array} Array of { windowId, handle, x, y, width, height }
+   */
+  static computeTemplateLayout(windows, workArea, template, options = {}) {
+    if (!Array.isArray(windows) || windows.length === 0) {
+      return [];
+    }
+
+    if (!template || !template.slots) {
+      throw new Error('Invalid layout template');
+    }
+
+    LayoutEngine.validateWorkArea(workArea);
+
+    const rects = [];
+    for (const window of windows) {
+      const slot = template.slots[LayoutEngine.getCharacterKey(window)];
+      if (!slot) {
+        continue;
+      }
+
+      const slotDisplay = slot.displayId !== undefined && Array.isArray(options.displays)
+        ? options.displays.find(display => display.id === slot.displayId)
+        : null;
+
+      rects.push({
+        windowId: window.id,
+        handle: window.handle,
+        ...LayoutEngine.resolveSlot(slot, slotDisplay ? slotDisplay.workArea : workArea)
+      });
+    }
+
+    return rects;
+  }
+
+  /**
+   * Convert a template slot to an absolute rectangle
+   * @param {Object} slot - { unit, x, y, width, height }
+   * @param {Object} workArea - Display work area { x, y, width, height }
+   * @returns {Object} { x, y, width, height }
+   */
+  static resolveSlot(slot, workArea) {
+    if (slot.unit === LAYOUT.SLOT_UNITS.FRACTION) {
+      const left = Math.round(workArea.x + slot.x * workArea.width);
+      const top = Math.round(workArea.y + slot.y * workArea.height);
+      const right = Math.round(workArea.x + (slot.x + slot.width) * workArea.width);
+      const bottom = Math.round(workArea.y + (slot.y + slot.height) * workArea.height);
+
+      return { x: left, y: top, width: right - left, height: bottom - top };
+    }
+
+    return {
+      x: workArea.x + Math.round(slot.x),
+      y: workArea.y + Math.round(slot.y),
+      width: Math.round(slot.width),
+      height: Math.round(slot.height)
+    };
+  }
+
+  /**
+   * Capture the current window bounds as template slots keyed by character key.
+   * Rectangles are stored relative to the work area of the display holding the window.
+   * Minimized windows (parked at -32000 by Windows) are skipped.
+   * @param {Array} windows - Processed windows with bounds { X, Y, Width, Height }
+   * @param {Array} displays - Connected displays ({ id, bounds, workArea })
+   * @returns {Object} Slots keyed by character key
+   */
+  static captureSlots(windows, displays = []) {
+    const slots = {};
+
+    for (const window of windows || []) {
+      const characterKey = LayoutEngine.getCharacterKey(window);
+      const bounds = window.bounds;
+
+      if (!characterKey || !bounds || !(bounds.Width > 0) || !(bounds.Height > 0)) {
+        continue;
+      }
+
+      if (bounds.X <= LAYOUT.MINIMIZED_POSITION || bounds.Y <= LAYOUT.MINIMIZED_POSITION) {
+        continue;
+      }
+
+      const rect = { x: bounds.X, y: bounds.Y, width: bounds.Width, height: bounds.Height };
+      const display = LayoutEngine.findDisplayForRect(rect, displays);
+      const origin = display ? display.workArea : { x: 0, y: 0 };
+
+      slots[characterKey] = {
+        unit: LAYOUT.SLOT_UNITS.PIXELS,
+        x: rect.x - origin.x,
+        y: rect.y - origin.y,
+        width: rect.width,
+        height: rect.height,
+        ...(display ? { displayId: display.id } : {})
+      };
+    }
+
+    return slots;
+  }
+
+  /**
+   * Find the display holding a rectangle: the one containing its center,
+   * otherwise the one it overlaps most, otherwise the first display
+   * @param {Object} rect - { x, y, width, height }
+   * @param {Array} displays - Displays ({ id, bounds, workArea })
+   * @returns {Object|null} Display or null when the list is empty
+   */
+  static findDisplayForRect(rect, displays = []) {
+    if (!Array.isArray(displays) || displays.length === 0) {
+      return null;
+    }
+
+    const centerX = rect.x + rect.width / 2;
+    const centerY = rect.y + rect.height / 2;
+
+    const containing = displays.find(({ bounds }) =>
+      centerX >= bounds.x && centerX < bounds.x + bounds.width &&
+      centerY >= bounds.y && centerY < bounds.y + bounds.height
+    );
+    if (containing) {
+      return containing;
+    }
+
+    let best = displays[0];
+    let bestOverlap = 0;
+    displays.forEach(display => {
+      const { bounds } = display;
+      const overlapWidth = Math.min(rect.x + rect.width, bounds.x + bounds.width) - Math.max(rect.x, bounds.x);
+      const overlapHeight = Math.min(rect.y + rect.height, bounds.y + bounds.height) - Math.max(rect.y, bounds.y);
+      const overlap = Math.max(0, overlapWidth) * Math.max(0, overlapHeight);
+      if (overlap > bestOverlap) {
+        best = display;
+        bestOverlap = overlap;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Validate a template slot
+   * @param {Object} slot - { unit, x, y, width, height, displayId }
+   * @returns {boolean} Whether the slot is valid
+   */
+  static isValidSlot(slot) {
+    if (!slot || !Object.values(LAYOUT.SLOT_UNITS).includes(slot.unit)) {
+      return false;
+    }
+
+    const values = ['x', 'y', 'width', 'height'].map(key => slot[key]);
+    if (!values.every(Number.isFinite) || slot.width <= 0 || slot.height <= 0) {
+      return false;
+    }
+
+    if (slot.displayId !== undefined && !Number.isFinite(slot.displayId)) {
+      return false;
+    }
+
+    if (slot.unit === LAYOUT.SLOT_UNITS.FRACTION) {
+      // Small tolerance for fractions such as 1/3 + 2/3
+      const limit = 1 + 1e-6;
+      return slot.x >= 0 && slot.y >= 0 && slot.x + slot.width <= limit && slot.y + slot.height <= limit;
+    }
+
+    return true;
+  }
+
+  /**
+   * Split a span into equal integer segments separated by a gap.
+   * Leftover pixels go to the first segments so the span is fully covered.
+   * @param {number} origin - Span start
+   * @param {number} length - Span length
+   * @param {number} parts - Number of segments
+   * @param {number} gap - Gap between segments
+   * @returns {Array} Array of { start, size }
+   */
+  static splitSpan(origin, length, parts, gap) {
+    const usable = length - gap * (parts - 1);
+    if (usable < parts * LAYOUT.MIN_WINDOW_SIZE_PX) {
+      throw new Error(`Work area too small for ${parts} windows`);
+    }
+
+    const baseSize = Math.floor(usable / parts);
+    const remainder = usable - baseSize * parts;
+    const segments = [];
+    let position = origin;
+
+    for (let i = 0; i < parts; i++) {
+      const size = baseSize + (i < remainder ? 1 : 0);
+      segments.push({ start: position, size });
+      position += size + gap;
+    }
+
+    return segments;
+  }
+
+  /**
+   * Validate a work area rectangle
+   * @param {Object} workArea - { x, y, width, height }
+   */
+  static validateWorkArea(workArea) {
+    const valid = workArea &&
+      ['x', 'y', 'width', 'height'].every(key => Number.isFinite(workArea[key])) &&
+      workArea.width > 0 &&
+      workArea.height > 0;
+
+    if (!valid) {
+      throw new Error('Invalid work area');
+    }
+  }
+}
+
+module.exports = LayoutEngine;
@@ -0,0 +1,154 @@
+const { getErrorHandler } = require('../ErrorHandler');
+const LayoutEngine = require('./LayoutEngine');
+const { LAYOUT } = require('../../utils/Constants');
+
+/**
+ * LayoutTemplateManager - Stores named layout templates
+ *
+ * A template maps character keys (e.g. "leader_iop") to slots. A slot is either a
+ * fraction of the work area or a pixel rectangle relative to the work area origin:
+ * { unit: 'fraction' | 'px', x, y, width, height }
+ *
+ * Templates are persisted under the windowPositions storage key:
+ * windowPositions.templates[name] = { name, slots, createdAt, updatedAt }
+ */
+class LayoutTemplateManager {
+  /**
+   * @param {Object} store - electron-store compatible instance (get/set)
+   * @param {string} storageKey - Root storage key
+   */
+  constructor(store, storageKey = 'windowPositions') {
+    this.errorHandler = getErrorHandler();
+    this.store = store;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Get all templates
+   * @returns {Object} Templates keyed by name
+   */
+  getTemplates() {
+    try {
+      const positions = this.store.get(this.storageKey, {}) || {};
+      return { ...(positions.templates || {}) };
+    } catch (error) {
+      this.errorHandler.error(error, 'LayoutTemplateManager.getTemplates');
+      return {};
+    }
+  }
+
+  /**
+   * Get template names sorted alphabetically
+   * @returns {Array<string>} Template names
+   */
+  getTemplateNames() {
+    return Object.keys(this.getTemplates()).sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Get a template by name
+   * @param {string} name - Template name
+   * @returns {Object|null} Template or null
+   */
+  getTemplate(name) {
+    return this.getTemplates()[name] || null;
+  }
+
+  /**
+   * Check if a template exists
+   * @param {string} name - Template name
+   * @returns {boolean} Whether the template exists
+   */
+  hasTemplate(name) {
+    return this.getTemplate(name) !== null;
+  }
+
+  /**
+   * Create or replace a template
+   * @param {string} name - Template name
+   * @param {Object} slots - Slots keyed by character key
+   * @returns {Object} Saved template
+   */
+  saveTemplate(name, slots) {
+    const validation = this.validateTemplate(name, slots);
+    if (!validation.isValid) {
+      throw new Error(`Invalid layout template: ${validation.errors.join(', ')}`);
+    }
+
+    const trimmedName = name.trim();
+    const templates = this.getTemplates();
+    const now = new Date().toISOString();
+
+    const template = {
+      name: trimmedName,
+      slots: { ...slots },
+      createdAt: templates[trimmedName] ? templates[trimmedName].createdAt : now,
+      updatedAt: now
+    };
+
+    templates[trimmedName] = template;
+    this.writeTemplates(templates);
+
+    console.log(`LayoutTemplateManager: Saved template "${trimmedName}" with ${Object.keys(slots).length} slots`);
+    return template;
+  }
+
+  /**
+   * Delete a template
+   * @param {string} name - Template name
+   * @returns {boolean} Whether a template was deleted
+   */
+  deleteTemplate(name) {
+    const templates = this.getTemplates();
+    if (!templates[name]) {
+      return false;
+    }
+
+    delete templates[name];
+    this.writeTemplates(templates);
+
+    console.log(`LayoutTemplateManager: Deleted template "${name}"`);
+    return true;
+  }
+
+  /**
+   * Validate a template name and its slots
+   * @param {string} name - Template name
+   * @param {Object} slots - Slots keyed by character key
+   * @returns {Object} { isValid, errors }
+   */
+  validateTemplate(name, slots) {
+    const errors = [];
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      errors.push('name is required');
+    } else if (name.trim().length > LAYOUT.MAX_TEMPLATE_NAME_LENGTH) {
+      errors.push('name is too long');
+    } else if (LayoutEngine.isSupportedLayout(name.trim())) {
+      errors.push(`name "${name.trim()}" is reserved`);
+    }
+
+    if (!slots || typeof slots !== 'object' || Array.isArray(slots) || Object.keys(slots).length === 0) {
+      errors.push('at least one slot is required');
+    } else {
+      Object.entries(slots).forEach(([characterKey, slot]) => {
+        if (!LayoutEngine.isValidSlot(slot)) {
+          errors.push(`invalid slot for ${characterKey}`);
+        }
+      });
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Persist templates, keeping other windowPositions data untouched
+   * @param {Object} templates - Templates keyed by name
+   */
+  writeTemplates(templates) {
+    const positions = this.store.get(this.storageKey, {}) || {};
+    this.store.set(this.storageKey, { ...positions, templates });
+  }
+}
+
+module.exports = LayoutTemplateManager;
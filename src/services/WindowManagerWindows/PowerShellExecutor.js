@@ -6,6 +6,8 @@ const { getSecurityUtils } = require('../../utils/SecurityUtils');
 const os = require('os');
 const fs = require('fs').promises;
 const path = require('path');
+const PowerShellSession = require('./PowerShellSession');
+const { DOFUS } = require('../../utils/Constants');
 
 /**
  * PowerShellExecutor - Handles secure PowerShell command execution with configurable timeouts and availability checking
@@ -38,6 +40,8 @@ class PowerShellExecutor {
       enableFallbackMethods: options.enableFallbackMethods !== false,
       enableRetryOnFailure: options.enableRetryOnFailure !== false,
       strictValidation: options.strictValidation !== false,
+      // Keep one PowerShell process alive for detection instead of one per poll
+      usePersistentSession: options.usePersistentSession !== false,
 
       // Environment settings
       executionPolicy: options.executionPolicy || 'Bypass',
@@ -57,6 +61,9 @@ class PowerShellExecutor {
       }
     };
 
+    // Long-running detection session (created on first use)
+    this.session = options.session || null;
+
     // Operation tracking
     this.activeOperations = new Map();
     this.operationIdCounter = 0;
@@ -302,6 +309,16 @@ class PowerShellExecutor {
       console.log('PowerShellExecutor: Starting window detection with timeout', this.timeouts.default);
       const startTime = Date.now();
 
+      if (this.config.usePersistentSession && this.isPowerShellAvailable !== false) {
+        try {
+          const windows = await this.getWindowsFromSession();
+          console.log(`PowerShellExecutor: Session detection completed in ${Date.now() - startTime}ms, found ${windows.length} windows`);
+          return windows;
+        } catch (sessionError) {
+          console.warn('PowerShellExecutor: Persistent session failed, using one-shot script:', sessionError.message);
+        }
+      }
+
       if (!this.isReady || !this.scriptPath) {
         console.log('PowerShellExecutor: Not ready, initializing...');
         try {
@@ -344,6 +361,33 @@ class PowerShellExecutor {
     }
   }
 
+  /**
+   * Get Dofus windows through the long-running PowerShell session
+   * @returns {Promise<Array>} Raw window objects
+   */
+  async getWindowsFromSession() {
+    if (!this.session) {
+      this.session = new PowerShellSession({
+        name: 'detection',
+        script: this.generateSessionScript(),
+        requestTimeout: this.config.defaultTimeout
+      });
+    }
+
+    const startTime = Date.now();
+    try {
+      const result = await this.session.request('get-windows', {}, { timeout: this.config.defaultTimeout });
+      this.updateStats(true, Date.now() - startTime);
+
+      // EnumWindows' own return value can leak into the function output
+      const items = Array.isArray(result) ? result : [result];
+      return items.filter(item => item && typeof item === 'object');
+    } catch (error) {
+      this.updateStats(false, Date.now() - startTime);
+      throw error;
+    }
+  }
+
   /**
    * Fallback method with configurable timeout
    */  async getWindowsAlternative() {
@@ -655,6 +699,7 @@ class PowerShellExecutor {
       isReady: this.isReady,
       powershellAvailability: this.powershellAvailability,
       activeOperations: this.activeOperations.size,
+      session: this.session ? this.session.getStatistics() : null,
       configuration: {
         timeouts: {
           default: this.config.defaultTimeout,
@@ -667,7 +712,8 @@ class PowerShellExecutor {
           availabilityCheck: this.config.enableAvailabilityCheck,
           fallbackMethods: this.config.enableFallbackMethods,
           retryOnFailure: this.config.enableRetryOnFailure,
-          strictValidation: this.config.strictValidation
+          strictValidation: this.config.strictValidation,
+          persistentSession: this.config.usePersistentSession
         }
       }
     };
@@ -680,7 +726,8 @@ class PowerShellExecutor {
     const allowedUpdates = [
       'defaultTimeout', 'initTimeout', 'testTimeout', 'fallbackTimeout', 'availabilityTimeout',
       'maxRetries', 'retryDelayBase', 'maxRetryDelay', 'maxBufferSize', 'maxCommandLength',
-      'enableAvailabilityCheck', 'enableFallbackMethods', 'enableRetryOnFailure', 'strictValidation'
+      'enableAvailabilityCheck', 'enableFallbackMethods', 'enableRetryOnFailure', 'strictValidation',
+      'usePersistentSession'
     ];
 
     for (const [key, value] of Object.entries(newConfig)) {
@@ -709,6 +756,30 @@ class PowerShellExecutor {
     this.activeOperations.clear();
   }
 
+  /**
+   * Stop the detection session and remove the temporary script
+   */
+  async cleanup() {
+    try {
+      this.cancelAllOperations();
+
+      if (this.session) {
+        this.session.stop();
+        this.session = null;
+      }
+
+      if (this.scriptPath) {
+        await fs.unlink(this.scriptPath).catch(() => {});
+        this.scriptPath = null;
+      }
+
+      this.isReady = false;
+      console.log('PowerShellExecutor: Cleanup completed');
+    } catch (error) {
+      this.errorHandler.error(error, 'PowerShellExecutor.cleanup');
+    }
+  }
+
   /**
    * Get system information for debugging
    */
@@ -832,6 +903,84 @@ class PowerShellExecutor {
    * Generate PowerShell script for window detection
    */
   generateWindowDetectionScript() {
+    return `${this.generateDetectionFunctions()}
+# Main command dispatcher
+try {
+    switch ($args[0]) {
+        "get-windows" { 
+            $result = Get-DofusWindows
+            if ($result.Count -gt 0) {
+                $result | ConvertTo-Json -Depth 3
+            } else {
+                "[]"
+            }
+        }
+        "debug-windows" {
+            $allWindows = @()
+            
+            $callback = {
+                param($hwnd, $lparam)
+                
+                try {
+                    if ([WindowsAPI]::IsWindowVisible($hwnd)) {
+                        $length = [WindowsAPI]::GetWindowTextLength($hwnd)
+                        if ($length -gt 0) {
+                            $titleBuilder = New-Object System.Text.StringBuilder($length + 1)
+                            [WindowsAPI]::GetWindowText($hwnd, $titleBuilder, $titleBuilder.Capacity)
+                            $title = $titleBuilder.ToString()
+                            
+                            $classBuilder = New-Object System.Text.StringBuilder(256)
+                            [WindowsAPI]::GetClassName($hwnd, $classBuilder, $classBuilder.Capacity)
+                            $className = $classBuilder.ToString()
+                            
+                            $processId = 0
+                            [WindowsAPI]::GetWindowThreadProcessId($hwnd, [ref]$processId)
+                            
+                            try {
+                                $process = Get-Process -Id $processId -ErrorAction SilentlyContinue
+                                $processName = if ($process) { $process.ProcessName } else { "Unknown" }
+                                
+                                $window = @{
+                                    Handle = $hwnd.ToInt64()
+                                    Title = $title
+                                    ClassName = $className
+                                    ProcessId = $processId
+                                    ProcessName = $processName
+                                }
+                                
+                                $script:allWindows += $window
+                            } catch {
+                                # Ignorer les erreurs de processus
+                            }
+                        }
+                    }
+                    
+                    return $true
+                } catch {
+                    # Ignorer les erreurs pour cette fenêtre
+                    return $true
+                }
+            }
+            
+            $script:allWindows = @()
+            [WindowsAPI]::EnumWindows($callback, [IntPtr]::Zero)
+            $script:allWindows | ConvertTo-Json -Depth 3
+        }
+        default { 
+            Write-Host "Usage: script.ps1 [get-windows|debug-windows]" 
+        }
+    }
+} catch {
+    Write-Error "Script execution failed: $_"
+    exit 1
+}
+`;
+  }
+
+  /**
+   * Generate the WindowsAPI type and Get-DofusWindows function shared by all detection scripts
+   */
+  generateDetectionFunctions() {
     return `
 # Dorganize Windows Management Script - Detection Only
 Add-Type -TypeDefinition @"
@@ -880,7 +1029,7 @@ function Get-DofusWindows {
     $windows = @()
     
     # Élargie la détection pour inclure plus de processus potentiels
-    $targetProcesses = @("Dofus", "Dofus.exe", "DofusRetro", "DofusRetro.exe", "java", "java.exe")
+    $targetProcesses = @(${DOFUS.TARGET_PROCESSES.map(name => `"${name}"`).join(', ')})
     
     $callback = {
         param($hwnd, $lparam)
@@ -920,7 +1069,7 @@ function Get-DofusWindows {
                             ($titleLower -match "dofus|ankama|retro|steamer|boulonix") -or
                             ($classNameLower -match "dofus|ankama") -or
                             ($targetProcesses -contains $processName) -or
-                            ($processNameLower -match "dofus|ankama")
+                            ($processNameLower -match "${DOFUS.PROCESS_NAME_FRAGMENTS.join('|')}")
                             
                         $isExcluded =
                             ($titleLower -match "organizer|configuration|launcher|updater")
@@ -973,77 +1122,22 @@ function Get-DofusWindows {
     }
 }
 
-# Main command dispatcher
-try {
-    switch ($args[0]) {
-        "get-windows" { 
-            $result = Get-DofusWindows
-            if ($result.Count -gt 0) {
-                $result | ConvertTo-Json -Depth 3
-            } else {
-                "[]"
-            }
-        }
-        "debug-windows" {
-            $allWindows = @()
-            
-            $callback = {
-                param($hwnd, $lparam)
-                
-                try {
-                    if ([WindowsAPI]::IsWindowVisible($hwnd)) {
-                        $length = [WindowsAPI]::GetWindowTextLength($hwnd)
-                        if ($length -gt 0) {
-                            $titleBuilder = New-Object System.Text.StringBuilder($length + 1)
-                            [WindowsAPI]::GetWindowText($hwnd, $titleBuilder, $titleBuilder.Capacity)
-                            $title = $titleBuilder.ToString()
-                            
-                            $classBuilder = New-Object System.Text.StringBuilder(256)
-                            [WindowsAPI]::GetClassName($hwnd, $classBuilder, $classBuilder.Capacity)
-                            $className = $classBuilder.ToString()
-                            
-                            $processId = 0
-                            [WindowsAPI]::GetWindowThreadProcessId($hwnd, [ref]$processId)
-                            
-                            try {
-                                $process = Get-Process -Id $processId -ErrorAction SilentlyContinue
-                                $processName = if ($process) { $process.ProcessName } else { "Unknown" }
-                                
-                                $window = @{
-                                    Handle = $hwnd.ToInt64()
-                                    Title = $title
-                                    ClassName = $className
-                                    ProcessId = $processId
-                                    ProcessName = $processName
-                                }
-                                
-                                $script:allWindows += $window
-                            } catch {
-                                # Ignorer les erreurs de processus
-                            }
-                        }
-                    }
-                    
-                    return $true
-                } catch {
-                    # Ignorer les erreurs pour cette fenêtre
-                    return $true
-                }
-            }
-            
-            $script:allWindows = @()
-            [WindowsAPI]::EnumWindows($callback, [IntPtr]::Zero)
-            $script:allWindows | ConvertTo-Json -Depth 3
-        }
-        default { 
-            Write-Host "Usage: script.ps1 [get-windows|debug-windows]" 
-        }
+`;
+  }
+
+  /**
+   * Generate the helper script for the long-running detection session
+   */
+  generateSessionScript() {
+    return `${this.generateDetectionFunctions()}
+function Invoke-DetectionCommand($request) {
+    switch ($request.command) {
+        "get-windows" { return ,@(Get-DofusWindows) }
+        "ping" { return @{ pong = $true } }
+        default { throw "Unknown command: $($request.command)" }
     }
-} catch {
-    Write-Error "Script execution failed: $_"
-    exit 1
 }
-`;
+${PowerShellSession.generateRequestLoop('Invoke-DetectionCommand')}`;
   }
 }
 
@@ -0,0 +1,459 @@
+const { spawn } = require('child_process');
+const os = require('os');
+const fs = require('fs').promises;
+const path = require('path');
+const { getErrorHandler } = require('../ErrorHandler');
+const { POWERSHELL } = require('../../utils/Constants');
+
+/**
+ * PowerShellSession - Keeps one PowerShell process alive and exchanges
+ * line-delimited JSON with it over stdin/stdout.
+ *
+ * The helper script must print {"ready":true} once initialized, then answer
+ * each request line { id, command, args } with { id, ok, result | error }
+ * (see generateRequestLoop). A crashed process is restarted automatically up
+ * to maxRestarts times; a request that times out kills the stuck process so
+ * the next request gets a fresh one.
+ */
+class PowerShellSession {
+  /**
+   * @param {Object} options - { name, script, spawn, startTimeout, requestTimeout, maxRestarts, restartDelay,
+   *   stableUptime, onMessage, onReady, onGiveUp }
+   *   spawn: child_process.spawn compatible function (tests pass a fake child process)
+   *   stableUptime: ms a process must stay up for its crashes to be forgotten, so sessions
+   *   that never send requests (event hooks) do not give up over the app's lifetime
+   *   onMessage: receives unsolicited lines (no request id), e.g. pushed events
+   *   onReady: called each time a process becomes ready, including after restarts
+   *   onGiveUp: called when the session stops restarting
+   */
+  constructor(options = {}) {
+    this.errorHandler = getErrorHandler();
+    this.name = options.name || 'helper';
+    this.script = options.script;
+    this.spawnProcess = options.spawn || spawn;
+    this.startTimeout = options.startTimeout || POWERSHELL.SESSION_START_TIMEOUT_MS;
+    this.requestTimeout = options.requestTimeout || POWERSHELL.SESSION_REQUEST_TIMEOUT_MS;
+    this.maxRestarts = options.maxRestarts !== undefined ? options.maxRestarts : POWERSHELL.SESSION_MAX_RESTARTS;
+    this.restartDelay = options.restartDelay !== undefined ? options.restartDelay : POWERSHELL.SESSION_RESTART_DELAY_MS;
+    this.stableUptime = options.stableUptime !== undefined ? options.stableUptime : POWERSHELL.SESSION_STABLE_UPTIME_MS;
+    this.onMessage = options.onMessage || null;
+    this.onReady = options.onReady || null;
+    this.onGiveUp = options.onGiveUp || null;
+
+    this.child = null;
+    this.scriptPath = null;
+    this.startPromise = null;
+    this.readyHandler = null;
+    this.restartTimer = null;
+    this.stableTimer = null;
+    this.buffer = '';
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.restartCount = 0;
+    this.stopped = false;
+
+    this.stats = {
+      starts: 0,
+      restarts: 0,
+      requests: 0,
+      failures: 0,
+      timeouts: 0
+    };
+  }
+
+  /**
+   * Check whether the PowerShell process is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.child !== null;
+  }
+
+  /**
+   * Check whether the session gave up after too many crashes
+   * @returns {boolean} Failed status
+   */
+  hasFailed() {
+    return this.restartCount > this.maxRestarts;
+  }
+
+  /**
+   * Start the session if it is not running yet
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.hasFailed()) {
+      throw new Error(`PowerShellSession(${this.name}): Gave up after ${this.maxRestarts} restarts`);
+    }
+
+    if (this.child && !this.startPromise) {
+      return;
+    }
+
+    this.stopped = false;
+
+    if (!this.startPromise) {
+      this.startPromise = this.launch().finally(() => {
+        this.startPromise = null;
+      });
+    }
+
+    return this.startPromise;
+  }
+
+  /**
+   * Spawn PowerShell and wait for the ready line
+   */
+  async launch() {
+    if (!this.script) {
+      throw new Error(`PowerShellSession(${this.name}): No helper script provided`);
+    }
+
+    if (!this.scriptPath) {
+      this.scriptPath = await this.writeScript(this.script);
+    }
+
+    console.log(`PowerShellSession: Starting ${this.name} session`);
+    this.stats.starts++;
+
+    const child = this.spawnProcess('powershell.exe', [
+      '-NoProfile', '-NoLogo', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-File', this.scriptPath
+    ], { windowsHide: true });
+
+    this.child = child;
+    this.buffer = '';
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (chunk) => this.handleData(chunk));
+    child.stderr.on('data', (chunk) => {
+      console.warn(`PowerShellSession(${this.name}): ${String(chunk).trim()}`);
+    });
+    child.on('error', (error) => this.handleExit(child, error.message));
+    child.on('exit', (code) => this.handleExit(child, `exit code ${code}`));
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.readyHandler = null;
+        this.terminate(child);
+        reject(new Error(`PowerShellSession(${this.name}): Start timed out after ${this.startTimeout}ms`));
+      }, this.startTimeout);
+
+      this.readyHandler = (error) => {
+        clearTimeout(timer);
+        this.readyHandler = null;
+        if (error) {
+          reject(error);
+        } else {
+          console.log(`PowerShellSession: ${this.name} session ready`);
+          this.watchUptime(child);
+          resolve();
+          if (this.onReady) {
+            this.onReady();
+          }
+        }
+      };
+    });
+  }
+
+  /**
+   * Send a request and wait for its response
+   * @param {string} command - Helper command name
+   * @param {Object} args - Command arguments
+   * @param {Object} options - { timeout } overriding the session request timeout
+   * @returns {Promise<*>} Command result
+   */
+  async request(command, args = {}, options = {}) {
+    await this.start();
+
+    const id = this.nextRequestId++;
+    const timeout = options.timeout || this.requestTimeout;
+    const child = this.child;
+    this.stats.requests++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        this.stats.timeouts++;
+        this.stats.failures++;
+        reject(new Error(`PowerShellSession(${this.name}): ${command} timed out after ${timeout}ms`));
+
+        // The helper answers in order, so a stuck request blocks every later one
+        console.warn(`PowerShellSession: ${this.name} session stuck on ${command}, restarting`);
+        this.terminate(child);
+      }, timeout);
+
+      this.pending.set(id, { resolve, reject, timer });
+
+      try {
+        child.stdin.write(`${JSON.stringify({ id, command, args })}\n`);
+      } catch (error) {
+        clearTimeout(timer);
+        this.pending.delete(id);
+        this.stats.failures++;
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Split stdout into lines and dispatch complete ones
+   * @param {string} chunk - Raw stdout data
+   */
+  handleData(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex = this.buffer.indexOf('\n');
+    while (newlineIndex !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).trim();
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+      if (line) {
+        this.handleLine(line);
+      }
+      newlineIndex = this.buffer.indexOf('\n');
+    }
+  }
+
+  /**
+   * Handle one JSON line from the helper
+   * @param {string} line - JSON line
+   */
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.warn(`PowerShellSession(${this.name}): Ignoring non-JSON output: ${line}`);
+      return;
+    }
+
+    if (message.ready) {
+      if (this.readyHandler) {
+        this.readyHandler(null);
+      }
+      return;
+    }
+
+    if (message.id === undefined) {
+      if (this.onMessage) {
+        this.onMessage(message);
+      }
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) {
+      return;
+    }
+
+    clearTimeout(request.timer);
+    this.pending.delete(message.id);
+
+    if (message.ok) {
+      this.restartCount = 0;
+      request.resolve(message.result);
+    } else {
+      this.stats.failures++;
+      request.reject(new Error(message.error || 'Unknown helper error'));
+    }
+  }
+
+  /**
+   * Clear the restart count once a process has stayed up for stableUptime
+   * @param {Object} child - Process that became ready
+   * @private
+   */
+  watchUptime(child) {
+    clearTimeout(this.stableTimer);
+    this.stableTimer = setTimeout(() => {
+      this.stableTimer = null;
+      if (this.child === child) {
+        this.restartCount = 0;
+      }
+    }, this.stableUptime);
+  }
+
+  /**
+   * Forget an exited process, fail its pending requests and schedule a restart
+   * @param {Object} child - Process that exited
+   * @param {string} reason - Exit reason
+   */
+  handleExit(child, reason) {
+    if (this.child !== child) {
+      return;
+    }
+
+    console.warn(`PowerShellSession: ${this.name} session ended (${reason})`);
+    this.child = null;
+    clearTimeout(this.stableTimer);
+    this.stableTimer = null;
+
+    const error = new Error(`PowerShellSession(${this.name}): Session ended (${reason})`);
+    if (this.readyHandler) {
+      this.readyHandler(error);
+    }
+    this.rejectPending(error);
+
+    if (!this.stopped) {
+      this.scheduleRestart();
+    }
+  }
+
+  /**
+   * Restart the process after a crash, with linear backoff
+   */
+  scheduleRestart() {
+    this.restartCount++;
+
+    if (this.hasFailed()) {
+      console.error(`PowerShellSession: ${this.name} session crashed ${this.restartCount} times, giving up`);
+      if (this.onGiveUp) {
+        this.onGiveUp();
+      }
+      return;
+    }
+
+    const delay = this.restartDelay * this.restartCount;
+    console.log(`PowerShellSession: Restarting ${this.name} session in ${delay}ms (attempt ${this.restartCount}/${this.maxRestarts})`);
+
+    clearTimeout(this.restartTimer);
+    this.restartTimer = setTimeout(() => {
+      this.restartTimer = null;
+      if (this.stopped || this.child) {
+        return;
+      }
+      this.stats.restarts++;
+      this.start().catch(error => {
+        console.warn(`PowerShellSession: ${this.name} restart failed: ${error.message}`);
+      });
+    }, delay);
+  }
+
+  /**
+   * Kill a process; its exit event triggers the normal crash handling
+   * @param {Object} child - Process to kill
+   */
+  terminate(child) {
+    if (!child) {
+      return;
+    }
+
+    try {
+      child.kill();
+    } catch (error) {
+      this.errorHandler.error(error, 'PowerShellSession.terminate');
+    }
+  }
+
+  /**
+   * Reject all pending requests
+   * @param {Error} error - Rejection reason
+   */
+  rejectPending(error) {
+    this.pending.forEach(request => {
+      clearTimeout(request.timer);
+      this.stats.failures++;
+      request.reject(error);
+    });
+    this.pending.clear();
+  }
+
+  /**
+   * Allow a session that gave up to start again
+   */
+  reset() {
+    this.restartCount = 0;
+  }
+
+  /**
+   * Get session statistics
+   * @returns {Object} Statistics
+   */
+  getStatistics() {
+    return {
+      ...this.stats,
+      running: this.isRunning(),
+      failed: this.hasFailed(),
+      pending: this.pending.size
+    };
+  }
+
+  /**
+   * Write the helper script to a temporary file
+   * @param {string} script - Script content
+   * @returns {Promise<string>} Script path
+   */
+  async writeScript(script) {
+    const scriptName = `dorganize-${this.name}-${Date.now()}-${Math.random().toString(36).substring(7)}.ps1`;
+    const scriptPath = path.join(os.tmpdir(), scriptName);
+
+    // Normalize line endings for Windows
+    const normalizedScript = script.replace(/\r\n/g, '\n').replace(/\n/g, '\r\n');
+    await fs.writeFile(scriptPath, normalizedScript, { encoding: 'utf8', mode: 0o600 });
+
+    return scriptPath;
+  }
+
+  /**
+   * Stop the PowerShell process and remove the helper script
+   */
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.restartTimer);
+    this.restartTimer = null;
+    clearTimeout(this.stableTimer);
+    this.stableTimer = null;
+
+    const child = this.child;
+    this.child = null;
+
+    if (child) {
+      try {
+        child.stdin.end();
+        child.kill();
+      } catch (error) {
+        this.errorHandler.error(error, 'PowerShellSession.stop');
+      }
+    }
+
+    this.rejectPending(new Error(`PowerShellSession(${this.name}): Session stopped`));
+
+    if (this.scriptPath) {
+      fs.unlink(this.scriptPath).catch(() => {});
+      this.scriptPath = null;
+    }
+  }
+
+  /**
+   * Generate the request loop appended to helper scripts.
+   * The script must define a function taking the parsed request and returning its result.
+   * @param {string} handlerName - PowerShell function handling one request
+   * @returns {string} PowerShell script fragment
+   */
+  static generateRequestLoop(handlerName) {
+    return `
+[Console]::Out.WriteLine('{"ready":true}')
+[Console]::Out.Flush()
+
+while ($true) {
+    $line = [Console]::In.ReadLine()
+    if ($line -eq $null) { break }
+    if ($line.Trim() -eq "") { continue }
+
+    $id = $null
+    try {
+        $request = $line | ConvertFrom-Json
+        $id = $request.id
+        $result = ${handlerName} $request
+        $response = @{ id = $id; ok = $true; result = $result }
+    } catch {
+        $response = @{ id = $id; ok = $false; error = $_.Exception.Message }
+    }
+
+    [Console]::Out.WriteLine(($response | ConvertTo-Json -Compress -Depth 5))
+    [Console]::Out.Flush()
+}
+`;
+  }
+}
+
+module.exports = PowerShellSession;
@@ -0,0 +1,328 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TITLE_PARSING } = require('../../utils/Constants');
+
+/**
+ * Default title rules, one ordered rule list per game variant.
+ *
+ * Variants are tried in order, then rules within a variant; the first rule
+ * whose match yields a character (and a known class when the rule captures
+ * one) wins. A rule is either:
+ * - { template: '{character} - {class} - {version} - Release' } where
+ *   placeholders may carry their own pattern: '{version:3(?:\\.\\d+)+}'
+ * - { pattern: '^(?<character>.+?) - ...$', flags: 'i' } using named groups
+ * Both can extract character, class, server and version.
+ */
+const DEFAULT_TITLE_RULES = {
+  version: TITLE_PARSING.RULES_VERSION,
+  variants: [
+    {
+      id: TITLE_PARSING.VARIANTS.RETRO,
+      name: 'Dofus Retro',
+      rules: [
+        { id: 'retro-version', template: '{character} - Dofus Retro v{version}' },
+        { id: 'retro', template: '{character} - Dofus Retro' }
+      ]
+    },
+    {
+      id: TITLE_PARSING.VARIANTS.DOFUS3,
+      name: 'Dofus 3 (Unity)',
+      rules: [
+        { id: 'dofus3-release', template: '{character} - {class} - {version:3(?:\\.\\d+)+} - Release' },
+        { id: 'dofus3-beta', pattern: '^(?<character>.+?) - (?<class>[^-]+?) - (?<version>3(?:\\.\\d+)+) - Beta$' }
+      ]
+    },
+    {
+      id: TITLE_PARSING.VARIANTS.DOFUS2,
+      name: 'Dofus 2',
+      rules: [
+        { id: 'dofus2-release', template: '{character} - {class} - {version:2(?:\\.\\d+)+} - Release' },
+        { id: 'dofus2-beta', pattern: '^(?<character>.+?) - (?<class>[^-]+?) - (?<version>2(?:\\.\\d+)+) - Beta$' },
+        // Older clients and unknown suffixes: "Character - Class[ - anything]"
+        { id: 'dofus2-generic', pattern: '^(?<character>.+?) - (?<class>[^-]+?)(?: - .*)?$' }
+      ]
+    }
+  ]
+};
+
+const DEFAULT_FIELD_PATTERNS = {
+  character: '.+?',
+  class: '[^-]+?',
+  server: '[^-]+?',
+  version: '\\d+(?:\\.\\d+)*'
+};
+
+/**
+ * TitleRuleEngine - Compiles title rules and matches window titles against them
+ */
+class TitleRuleEngine {
+  /**
+   * @param {Object} ruleSet - { version, variants: [{ id, name, rules }] }
+   * @throws {Error} When the rule set or one of its rules is invalid
+   */
+  constructor(ruleSet = DEFAULT_TITLE_RULES) {
+    this.ruleSet = ruleSet;
+    this.variants = TitleRuleEngine.compile(ruleSet);
+  }
+
+  /**
+   * Match a title against the rules
+   * @param {string} title - Window title
+   * @param {Function} resolveClass - Maps a captured class to a class key, or null when unknown
+   * @returns {Object|null} { character, dofusClass, server, version, gameVariant, rule } or null
+   */
+  match(title, resolveClass) {
+    if (!title || typeof title !== 'string') {
+      return null;
+    }
+
+    const trimmedTitle = title.trim();
+
+    for (const variant of this.variants) {
+      for (const rule of variant.rules) {
+        const match = rule.regex.exec(trimmedTitle);
+        const groups = match && match.groups ? match.groups : null;
+        const character = groups && groups.character ? groups.character.trim() : '';
+        if (!character) {
+          continue;
+        }
+
+        let dofusClass = TITLE_PARSING.UNKNOWN_CLASS;
+        if (rule.capturesClass) {
+          dofusClass = groups.class ? resolveClass(groups.class.trim()) : null;
+          if (!dofusClass) {
+            continue;
+          }
+        }
+
+        return {
+          character,
+          dofusClass,
+          server: groups.server ? groups.server.trim() : null,
+          version: groups.version ? groups.version.trim() : null,
+          gameVariant: variant.id,
+          rule: rule.id
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Run a corpus of sample titles through the rules
+   * @param {Array} corpus - [{ title, expected }] where expected is null (no match)
+   *   or a subset of the match result
+   * @param {Function} resolveClass - Class resolver passed to match()
+   * @returns {Object} { total, passed, failures: [{ title, expected, actual }] }
+   */
+  evaluate(corpus, resolveClass) {
+    const failures = [];
+
+    corpus.forEach(({ title, expected }) => {
+      const actual = this.match(title, resolveClass);
+      const passed = expected === null
+        ? actual === null
+        : actual !== null && Object.keys(expected).every(key => actual[key] === expected[key]);
+
+      if (!passed) {
+        failures.push({ title, expected, actual });
+      }
+    });
+
+    return {
+      total: corpus.length,
+      passed: corpus.length - failures.length,
+      failures
+    };
+  }
+
+  /**
+   * Validate and compile a rule set
+   * @param {Object} ruleSet - Rule set
+   * @returns {Array} Compiled variants [{ id, name, rules: [{ id, regex, capturesClass }] }]
+   */
+  static compile(ruleSet) {
+    if (!ruleSet || !Array.isArray(ruleSet.variants) || ruleSet.variants.length === 0) {
+      throw new Error('Title rules must define at least one variant');
+    }
+
+    return ruleSet.variants.map((variant, variantIndex) => {
+      if (!variant || typeof variant.id !== 'string' || !variant.id || !Array.isArray(variant.rules)) {
+        throw new Error(`Title rule variant ${variantIndex} needs an id and a rules array`);
+      }
+
+      return {
+        id: variant.id,
+        name: variant.name || variant.id,
+        rules: variant.rules.map((rule, ruleIndex) => {
+          const ruleId = (rule && rule.id) || `${variant.id}-${ruleIndex}`;
+          const regex = TitleRuleEngine.compileRule(rule, ruleId);
+          const groups = TitleRuleEngine.getGroupNames(regex);
+
+          if (!groups.includes('character')) {
+            throw new Error(`Title rule ${ruleId} does not capture a character`);
+          }
+
+          return { id: ruleId, regex, capturesClass: groups.includes('class') };
+        })
+      };
+    });
+  }
+
+  /**
+   * Build the regular expression of one rule
+   * @param {Object} rule - { template } or { pattern, flags }
+   * @param {string} ruleId - Rule id for error messages
+   * @returns {RegExp} Compiled expression
+   */
+  static compileRule(rule, ruleId) {
+    if (rule && typeof rule.template === 'string') {
+      return new RegExp(TitleRuleEngine.templateToPattern(rule.template, ruleId), rule.flags || '');
+    }
+
+    if (rule && typeof rule.pattern === 'string') {
+      try {
+        return new RegExp(rule.pattern, rule.flags || '');
+      } catch (error) {
+        throw new Error(`Title rule ${ruleId} has an invalid pattern: ${error.message}`);
+      }
+    }
+
+    throw new Error(`Title rule ${ruleId} needs a template or a pattern`);
+  }
+
+  /**
+   * Convert a template to an anchored pattern with named groups
+   * @param {string} template - e.g. '{character} - {class} - {version:3(?:\\.\\d+)+} - Release'
+   * @param {string} ruleId - Rule id for error messages
+   * @returns {string} Regular expression source
+   */
+  static templateToPattern(template, ruleId) {
+    const placeholder = /\{(\w+)(?::((?:[^{}]|\{[^{}]*\})+))?\}/g;
+    const seen = new Set();
+    let source = '';
+    let lastIndex = 0;
+    let match;
+
+    while ((match = placeholder.exec(template)) !== null) {
+      const [token, field, fieldPattern] = match;
+      if (!TITLE_PARSING.FIELDS.includes(field)) {
+        throw new Error(`Title rule ${ruleId} uses unknown field {${field}}`);
+      }
+      if (seen.has(field)) {
+        throw new Error(`Title rule ${ruleId} uses {${field}} twice`);
+      }
+      seen.add(field);
+
+      source += escapeRegExp(template.slice(lastIndex, match.index));
+      source += `(?<${field}>${fieldPattern || DEFAULT_FIELD_PATTERNS[field]})`;
+      lastIndex = match.index + token.length;
+    }
+
+    source += escapeRegExp(template.slice(lastIndex));
+
+    try {
+      new RegExp(source);
+    } catch (error) {
+      throw new Error(`Title rule ${ruleId} has an invalid template: ${error.message}`);
+    }
+
+    return `^${source}$`;
+  }
+
+  /**
+   * List the named groups of a regular expression
+   * @param {RegExp} regex - Expression
+   * @returns {Array<string>} Group names
+   */
+  static getGroupNames(regex) {
+    const names = [];
+    const groupName = /\(\?<([A-Za-z_$][\w$]*)>/g;
+    let match;
+    while ((match = groupName.exec(regex.source)) !== null) {
+      names.push(match[1]);
+    }
+    return names;
+  }
+}
+
+/**
+ * Escape a literal string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the path of the user-editable rules file
+ * @returns {string} Rules file path
+ */
+function getTitleRulesPath() {
+  let configDir;
+  try {
+    const { app } = require('electron');
+    configDir = path.join(app.getPath('userData'), 'config');
+  } catch (error) {
+    configDir = path.join(os.homedir(), '.dorganize');
+  }
+  return path.join(configDir, TITLE_PARSING.RULES_FILE);
+}
+
+let sharedEngine = null;
+
+/**
+ * Load the title rules, preferring the user's rules file over the defaults.
+ * A missing rules file is created from the defaults when the configuration
+ * directory exists; an invalid one is reported and ignored.
+ * @param {string} rulesPath - Rules file path (defaults to the configuration directory)
+ * @returns {TitleRuleEngine} Rule engine
+ */
+function loadTitleRules(rulesPath = getTitleRulesPath()) {
+  try {
+    if (fs.existsSync(rulesPath)) {
+      const engine = new TitleRuleEngine(JSON.parse(fs.readFileSync(rulesPath, 'utf8')));
+      console.log(`TitleRules: Loaded title rules from ${rulesPath}`);
+      return engine;
+    }
+
+    if (fs.existsSync(path.dirname(rulesPath))) {
+      fs.writeFileSync(rulesPath, JSON.stringify(DEFAULT_TITLE_RULES, null, 2), 'utf8');
+      console.log(`TitleRules: Wrote default title rules to ${rulesPath}`);
+    }
+  } catch (error) {
+    console.warn(`TitleRules: Ignoring title rules from ${rulesPath}: ${error.message}`);
+  }
+
+  return new TitleRuleEngine(DEFAULT_TITLE_RULES);
+}
+
+/**
+ * Get the rule engine shared by all parsers, loading it on first use
+ * @returns {TitleRuleEngine} Rule engine
+ */
+function getTitleRuleEngine() {
+  if (!sharedEngine) {
+    sharedEngine = loadTitleRules();
+  }
+  return sharedEngine;
+}
+
+/**
+ * Forget the shared rule engine so the next parse reloads the rules file
+ */
+function reloadTitleRules() {
+  sharedEngine = null;
+}
+
+module.exports = {
+  DEFAULT_TITLE_RULES,
+  TitleRuleEngine,
+  getTitleRulesPath,
+  loadTitleRules,
+  getTitleRuleEngine,
+  reloadTitleRules
+};
@@ -0,0 +1,375 @@
+const { EventEmitter } = require('events');
+const PowerShellSession = require('./PowerShellSession');
+const { WINDOW_EVENTS, DOFUS } = require('../../utils/Constants');
+
+/**
+ * WindowEventSource - Emits window change events instead of re-enumerating windows
+ *
+ * Events (see WINDOW_EVENTS.TYPES) carry { type, handle, title, processId, timestamp }:
+ * - window-created: a game window appeared (title may not identify a character yet)
+ * - window-destroyed: a window closed (title and processId are null)
+ * - title-changed: a window title changed, e.g. after character selection
+ * - foreground-changed: another window got the focus (any window, not only game ones)
+ *
+ * Lifecycle events: 'ready' whenever tracking (re)starts, so consumers can
+ * resynchronize, and 'unavailable' when tracking stops for good, so they can
+ * fall back to polling.
+ */
+class WindowEventSource extends EventEmitter {
+  constructor() {
+    super();
+    this.running = false;
+  }
+
+  /**
+   * Start emitting events
+   */
+  start() {
+    this.running = true;
+  }
+
+  /**
+   * Stop emitting events
+   */
+  stop() {
+    this.running = false;
+  }
+
+  /**
+   * Check whether the source is running
+   * @returns {boolean} Running status
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Emit a window event with a normalized payload
+   * @param {string} type - Event type (WINDOW_EVENTS.TYPES value)
+   * @param {Object} data - { handle, title, processId }
+   */
+  emitWindowEvent(type, data) {
+    if (!this.running || !Object.values(WINDOW_EVENTS.TYPES).includes(type)) {
+      return;
+    }
+
+    this.emit(type, {
+      type,
+      handle: String(data.handle),
+      title: data.title !== undefined ? data.title : null,
+      processId: data.processId !== undefined ? data.processId : null,
+      timestamp: Date.now()
+    });
+  }
+}
+
+/**
+ * WinEventHookSource - Windows event source backed by a SetWinEventHook helper
+ *
+ * The helper runs in a PowerShell session and pushes one JSON line per event.
+ * Titles are base64 encoded to keep the C# side free of JSON escaping.
+ */
+class WinEventHookSource extends WindowEventSource {
+  /**
+   * @param {Object} options - { session } to inject a session (tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.session = options.session || new PowerShellSession({
+      name: 'window-events',
+      script: WinEventHookSource.generateHelperScript(),
+      onMessage: (message) => this.handleMessage(message),
+      onReady: () => this.emit(WINDOW_EVENTS.READY),
+      onGiveUp: () => this.handleGiveUp()
+    });
+  }
+
+  start() {
+    super.start();
+    this.session.start().catch(error => {
+      console.warn(`WinEventHookSource: Failed to start window event hook: ${error.message}`);
+    });
+  }
+
+  stop() {
+    super.stop();
+    this.session.stop();
+  }
+
+  /**
+   * Translate a helper line into a window event
+   * @param {Object} message - { event, handle, title, processId }
+   */
+  handleMessage(message) {
+    if (!message || !message.event || !message.handle) {
+      return;
+    }
+
+    this.emitWindowEvent(message.event, {
+      handle: message.handle,
+      title: message.title ? Buffer.from(message.title, 'base64').toString('utf8') : null,
+      processId: message.processId || null
+    });
+  }
+
+  /**
+   * The helper kept crashing: report that events are no longer available
+   */
+  handleGiveUp() {
+    this.running = false;
+    this.emit(WINDOW_EVENTS.UNAVAILABLE, new Error('Window event hook stopped after repeated crashes'));
+  }
+
+  /**
+   * Generate the helper script installing the WinEvent hooks
+   * @returns {string} PowerShell script
+   */
+  static generateHelperScript() {
+    // Same processes as window detection (DOFUS.TARGET_PROCESSES); ProcessName has no extension
+    const quote = values => values.map(value => `"${value}"`).join(', ');
+    const processNames = quote([...new Set(DOFUS.TARGET_PROCESSES.map(name => name.toLowerCase().replace(/\.exe$/, '')))]);
+    const processMatch = quote(DOFUS.PROCESS_NAME_FRAGMENTS);
+
+    return `
+# Dorganize Window Events Helper - pushes WinEvent hook events as JSON lines
+Add-Type -TypeDefinition @"
+using System;
+using System.Collections.Generic;
+using System.Diagnostics;
+using System.Runtime.InteropServices;
+using System.Text;
+
+public class WinEventWatcher {
+    delegate void WinEventProc(IntPtr hWinEventHook, uint eventType, IntPtr hwnd, int idObject, int idChild, uint dwEventThread, uint dwmsEventTime);
+    delegate bool EnumWindowsProc(IntPtr hWnd, IntPtr lParam);
+
+    [StructLayout(LayoutKind.Sequential)]
+    public struct MSG {
+        public IntPtr hwnd;
+        public uint message;
+        public IntPtr wParam;
+        public IntPtr lParam;
+        public uint time;
+        public int ptX;
+        public int ptY;
+    }
+
+    [DllImport("user32.dll")]
+    static extern IntPtr SetWinEventHook(uint eventMin, uint eventMax, IntPtr hmodWinEventProc, WinEventProc lpfnWinEventProc, uint idProcess, uint idThread, uint dwFlags);
+
+    [DllImport("user32.dll")]
+    static extern int GetMessage(out MSG lpMsg, IntPtr hWnd, uint wMsgFilterMin, uint wMsgFilterMax);
+
+    [DllImport("user32.dll")]
+    static extern bool TranslateMessage(ref MSG lpMsg);
+
+    [DllImport("user32.dll")]
+    static extern IntPtr DispatchMessage(ref MSG lpMsg);
+
+    [DllImport("user32.dll")]
+    static extern bool EnumWindows(EnumWindowsProc enumProc, IntPtr lParam);
+
+    [DllImport("user32.dll")]
+    static extern IntPtr GetAncestor(IntPtr hWnd, uint gaFlags);
+
+    [DllImport("user32.dll", CharSet = CharSet.Unicode)]
+    static extern int GetWindowText(IntPtr hWnd, StringBuilder lpString, int nMaxCount);
+
+    [DllImport("user32.dll")]
+    static extern uint GetWindowThreadProcessId(IntPtr hWnd, out uint processId);
+
+    const uint EVENT_SYSTEM_FOREGROUND = 0x0003;
+    const uint EVENT_OBJECT_CREATE = 0x8000;
+    const uint EVENT_OBJECT_DESTROY = 0x8001;
+    const uint EVENT_OBJECT_SHOW = 0x8002;
+    const uint EVENT_OBJECT_NAMECHANGE = 0x800C;
+    const uint WINEVENT_OUTOFCONTEXT = 0x0000;
+    const uint WINEVENT_SKIPOWNPROCESS = 0x0002;
+    const uint GA_ROOT = 2;
+
+    // Keep delegates referenced so the GC does not collect them while hooked
+    static WinEventProc callback = OnEvent;
+    static EnumWindowsProc enumCallback = OnEnumWindow;
+
+    static HashSet<IntPtr> knownWindows = new HashSet<IntPtr>();
+    static Dictionary<uint, bool> gameProcesses = new Dictionary<uint, bool>();
+    public static string[] ProcessNames = new string[0];
+    public static string[] ProcessMatch = new string[0];
+
+    public static void Run() {
+        // Windows open before the hook was installed still need destroy events
+        EnumWindows(enumCallback, IntPtr.Zero);
+
+        uint flags = WINEVENT_OUTOFCONTEXT | WINEVENT_SKIPOWNPROCESS;
+        SetWinEventHook(EVENT_SYSTEM_FOREGROUND, EVENT_SYSTEM_FOREGROUND, IntPtr.Zero, callback, 0, 0, flags);
+        SetWinEventHook(EVENT_OBJECT_CREATE, EVENT_OBJECT_SHOW, IntPtr.Zero, callback, 0, 0, flags);
+        SetWinEventHook(EVENT_OBJECT_NAMECHANGE, EVENT_OBJECT_NAMECHANGE, IntPtr.Zero, callback, 0, 0, flags);
+
+        MSG msg;
+        while (GetMessage(out msg, IntPtr.Zero, 0, 0) > 0) {
+            TranslateMessage(ref msg);
+            DispatchMessage(ref msg);
+        }
+    }
+
+    static bool OnEnumWindow(IntPtr hWnd, IntPtr lParam) {
+        uint processId;
+        GetWindowThreadProcessId(hWnd, out processId);
+        if (IsGameProcess(processId)) {
+            knownWindows.Add(hWnd);
+        }
+        return true;
+    }
+
+    static void OnEvent(IntPtr hWinEventHook, uint eventType, IntPtr hwnd, int idObject, int idChild, uint dwEventThread, uint dwmsEventTime) {
+        // OBJID_WINDOW / CHILDID_SELF only: ignore controls, carets, menus...
+        if (hwnd == IntPtr.Zero || idObject != 0 || idChild != 0) {
+            return;
+        }
+
+        if (eventType == EVENT_OBJECT_DESTROY) {
+            if (knownWindows.Remove(hwnd)) {
+                Write("window-destroyed", hwnd, null, 0);
+            }
+            return;
+        }
+
+        if (GetAncestor(hwnd, GA_ROOT) != hwnd) {
+            return;
+        }
+
+        uint processId;
+        GetWindowThreadProcessId(hwnd, out processId);
+        string title = GetTitle(hwnd);
+
+        if (eventType == EVENT_SYSTEM_FOREGROUND) {
+            Write("foreground-changed", hwnd, title, processId);
+            return;
+        }
+
+        if (!IsGameProcess(processId) || title.Length == 0) {
+            return;
+        }
+
+        if (eventType == EVENT_OBJECT_NAMECHANGE && knownWindows.Contains(hwnd)) {
+            Write("title-changed", hwnd, title, processId);
+        } else if (knownWindows.Add(hwnd) || eventType == EVENT_OBJECT_NAMECHANGE) {
+            Write("window-created", hwnd, title, processId);
+        }
+    }
+
+    static bool IsGameProcess(uint processId) {
+        bool isGame;
+        if (gameProcesses.TryGetValue(processId, out isGame)) {
+            return isGame;
+        }
+
+        isGame = false;
+        try {
+            string name = Process.GetProcessById((int)processId).ProcessName.ToLowerInvariant();
+            isGame = Array.IndexOf(ProcessNames, name) >= 0;
+            foreach (string fragment in ProcessMatch) {
+                if (name.Contains(fragment)) {
+                    isGame = true;
+                }
+            }
+        } catch {
+            // Process already gone
+        }
+
+        gameProcesses[processId] = isGame;
+        return isGame;
+    }
+
+    static string GetTitle(IntPtr hwnd) {
+        StringBuilder builder = new StringBuilder(512);
+        GetWindowText(hwnd, builder, builder.Capacity);
+        return builder.ToString();
+    }
+
+    static void Write(string eventName, IntPtr hwnd, string title, uint processId) {
+        string encodedTitle = title == null ? "null" : "\\"" + Convert.ToBase64String(Encoding.UTF8.GetBytes(title)) + "\\"";
+        Console.Out.WriteLine("{\\"event\\":\\"" + eventName + "\\",\\"handle\\":" + hwnd.ToInt64() + ",\\"title\\":" + encodedTitle + ",\\"processId\\":" + processId + "}");
+        Console.Out.Flush();
+    }
+}
+"@
+
+[WinEventWatcher]::ProcessNames = @(${processNames})
+[WinEventWatcher]::ProcessMatch = @(${processMatch})
+
+[Console]::Out.WriteLine('{"ready":true}')
+[Console]::Out.Flush()
+
+[WinEventWatcher]::Run()
+`;
+  }
+}
+
+/**
+ * SimulatedWindowEventSource - Event source driven by code, for tests
+ */
+class SimulatedWindowEventSource extends WindowEventSource {
+  start() {
+    super.start();
+    this.emit(WINDOW_EVENTS.READY);
+  }
+
+  /**
+   * Simulate a game window opening
+   * @param {Object} window - { handle, title, processId }
+   */
+  createWindow(window) {
+    this.emitWindowEvent(WINDOW_EVENTS.TYPES.CREATED, window);
+  }
+
+  /**
+   * Simulate a window closing
+   * @param {number|string} handle - Native window handle
+   */
+  destroyWindow(handle) {
+    this.emitWindowEvent(WINDOW_EVENTS.TYPES.DESTROYED, { handle });
+  }
+
+  /**
+   * Simulate a title change
+   * @param {Object} window - { handle, title, processId }
+   */
+  changeTitle(window) {
+    this.emitWindowEvent(WINDOW_EVENTS.TYPES.TITLE_CHANGED, window);
+  }
+
+  /**
+   * Simulate a focus change
+   * @param {number|string} handle - Native window handle
+   */
+  focusWindow(handle) {
+    this.emitWindowEvent(WINDOW_EVENTS.TYPES.FOREGROUND_CHANGED, { handle });
+  }
+
+  /**
+   * Simulate the source failing for good
+   */
+  fail() {
+    this.running = false;
+    this.emit(WINDOW_EVENTS.UNAVAILABLE, new Error('Simulated event source failure'));
+  }
+}
+
+/**
+ * Create the window event source for the current platform
+ * @returns {WindowEventSource|null} WinEvent hook source on Windows, null elsewhere (polling only)
+ */
+function createWindowEventSource() {
+  if (process.platform !== 'win32') {
+    return null;
+  }
+  return new WinEventHookSource();
+}
+
+module.exports = {
+  WindowEventSource,
+  WinEventHookSource,
+  SimulatedWindowEventSource,
+  createWindowEventSource
+};
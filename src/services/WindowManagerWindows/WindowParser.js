@@ -1,11 +1,18 @@
 const { getErrorHandler } = require('../ErrorHandler');
+const { TitleRuleEngine, getTitleRuleEngine } = require('./TitleRules');
+const { TITLE_PARSING } = require('../../utils/Constants');
+const { generateWindowId } = require('./CharacterIdentity');
 
 /**
  * WindowParser - Handles parsing of window titles and character information with safe JSON handling
  */
 class WindowParser {
-  constructor() {
+  /**
+   * @param {Object} options - { titleRules } rule set overriding the shared title rules
+   */
+  constructor(options = {}) {
     this.errorHandler = getErrorHandler();
+    this.titleRules = options.titleRules ? new TitleRuleEngine(options.titleRules) : getTitleRuleEngine();
 
     // Define available classes and their corresponding avatars
     this.dofusClasses = {
@@ -760,93 +767,92 @@ class WindowParser {
   /**
    * Parse window title to extract character and class information
    * @param {string} title - Window title to parse
-   * @returns {Object} - {character, dofusClass, isValid}
+   * @returns {Object} - {character, dofusClass, server, version, gameVariant, isValid}
    */
   parseWindowTitle(title) {
+    const invalid = { character: null, dofusClass: null, server: null, version: null, gameVariant: null, isValid: false };
+
     try {
       if (!title || typeof title !== 'string') {
-        return { character: null, dofusClass: null, isValid: false };
+        return invalid;
       }
 
-      // Try primary format first
-      const primaryResult = this.parsePrimaryFormat(title);
-      if (primaryResult.isValid) {
-        return primaryResult;
+      // Classes must match exactly: "Iopette" is a character, not an Iop
+      const result = this.titleRules.match(title, (classRaw) => this.lookupClassName(classRaw));
+      if (!result) {
+        console.log(`WindowParser: Failed to parse title: "${title}"`);
+        return invalid;
       }
 
-      // Try fallback format
-      const fallbackResult = this.parseFallbackFormat(title);
-      if (fallbackResult.isValid) {
-        return fallbackResult;
-      }
-
-      console.log(`WindowParser: Failed to parse title: "${title}"`);
-      return { character: null, dofusClass: null, isValid: false };
+      const { character, dofusClass, server, version, gameVariant } = result;
+      console.log(`WindowParser: ${gameVariant} title (rule ${result.rule}) - Character: "${character}", Class: "${dofusClass}"`);
+      return { character, dofusClass, server, version, gameVariant, isValid: true };
     } catch (error) {
       this.errorHandler.error(error, `WindowParser.parseWindowTitle: ${title}`);
-      return { character: null, dofusClass: null, isValid: false };
+      return invalid;
     }
   }
 
   /**
-   * Parse primary format: "Character - Class - Version - Release"
+   * Decide which game variant a window belongs to
+   * The process name and window class are checked first: Retro runs in its own
+   * process and Dofus 3 is a Unity window, whatever the title looks like.
+   * @param {string|null} titleVariant - Variant found by the title rules
+   * @param {Object} rawWindow - Raw window ({ ProcessName, ClassName })
+   * @returns {string|null} Variant id (TITLE_PARSING.VARIANTS) or null
    */
-  parsePrimaryFormat(title) {
-    const parts = title.split(' - ');
-
-    if (parts.length >= 2) {
-      const character = parts[0].trim();
-      const classRaw = parts[1].trim();
-
-      // Normalize class name
-      const dofusClass = this.normalizeClassName(classRaw);
-
-      console.log(`WindowParser: Primary format - Character: "${character}", Class: "${classRaw}" -> "${dofusClass}"`);
+  resolveGameVariant(titleVariant, rawWindow = {}) {
+    const processName = (rawWindow.ProcessName || '').toLowerCase();
+    if (processName.includes(TITLE_PARSING.RETRO_PROCESS_MATCH)) {
+      return TITLE_PARSING.VARIANTS.RETRO;
+    }
 
-      if (character && dofusClass && this.isValidClass(dofusClass)) {
-        return { character, dofusClass, isValid: true };
-      }
+    if (rawWindow.ClassName === TITLE_PARSING.UNITY_WINDOW_CLASS) {
+      return TITLE_PARSING.VARIANTS.DOFUS3;
     }
 
-    return { character: null, dofusClass: null, isValid: false };
+    return titleVariant || null;
   }
 
   /**
-   * Parse fallback format: search for known classes in title
+   * Resolve a class name exactly (accents and case ignored), without partial matches
+   * @param {string} className - Class name as found in a title
+   * @returns {string|null} Class key or null
    */
-  parseFallbackFormat(title) {
-    const normalizedTitle = title.toLowerCase();
-    const parts = title.split(' - ');
-
-    for (const className of this.knownClasses) {
-      if (normalizedTitle.includes(className)) {
-        const character = parts[0]?.trim() || 'Unknown';
-        console.log(`WindowParser: Fallback detection - Character: "${character}", Class: "${className}"`);
-        return { character, dofusClass: className, isValid: true };
-      }
-    }
+  lookupClassName(className) {
+    if (!className) return null;
 
-    return { character: null, dofusClass: null, isValid: false };
+    const normalized = this.stripAccents(className.toLowerCase()).trim();
+    return this.classNameMappings[normalized] || null;
   }
 
   /**
-   * Normalize class name to standard format
+   * Replace accented letters by their base letter
+   * @param {string} text - Lowercase text
+   * @returns {string} Text without accents
    */
-  normalizeClassName(className) {
-    if (!className) return null;
-
-    const normalized = className.toLowerCase()
+  stripAccents(text) {
+    return text
       .replace(/[àáâãäå]/g, 'a')
       .replace(/[èéêë]/g, 'e')
       .replace(/[ìíîï]/g, 'i')
       .replace(/[òóôõö]/g, 'o')
       .replace(/[ùúûü]/g, 'u')
-      .replace(/[ç]/g, 'c')
-      .trim();
+      .replace(/[ç]/g, 'c');
+  }
+
+  /**
+   * Normalize class name to standard format
+   */
+  normalizeClassName(className) {
+    if (!className) return null;
+
+    const normalized = this.stripAccents(className.toLowerCase()).trim();
 
     // Check direct mappings first
-    if (this.classNameMappings[normalized]) {
-      return this.classNameMappings[normalized];
+    const exact = this.lookupClassName(className);
+    if (exact) {
+      return exact;
     }
 
     // Check partial matches
@@ -948,12 +954,11 @@ class WindowParser {
   }
 
   /**
-   * Generate stable window ID
+   * Generate the runtime window ID (character key and game process ID).
+   * Persisted state is keyed by the character identity instead, see CharacterIdentity.
    */
   generateStableWindowId(character, dofusClass, processId) {
-    const normalizedCharacter = character ? character.toLowerCase().replace(/\s+/g, '') : 'unknown';
-    const normalizedClass = dofusClass || 'unknown';
-    return `${normalizedCharacter}_${normalizedClass}_${processId}`;
+    return generateWindowId(character || 'unknown', dofusClass || 'unknown', processId);
   }
 
   /**
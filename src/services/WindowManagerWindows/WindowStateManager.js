@@ -1,6 +1,8 @@
 const Store = require('electron-store');
 const { getErrorHandler } = require('../ErrorHandler');
 const crypto = require('crypto');
+const CharacterIdentity = require('./CharacterIdentity');
+const CharacterTags = require('../../utils/CharacterTags');
 
 /**
  * WindowStateManager - Manages window state, storage, and persistence
@@ -21,6 +23,8 @@ class WindowStateManager {
             classes: 'classes',
             shortcuts: 'shortcuts',
             enabledWindows: 'enabledWindows',
+            tags: 'tags',
+            servers: 'servers',
             windowPositions: 'windowPositions',
             windowStates: 'windowStates'
         };
@@ -40,6 +44,12 @@ class WindowStateManager {
                 }
             });
 
+            // State saved by older releases is keyed by window IDs that include the process ID
+            const { migrated, dropped } = CharacterIdentity.migrateLegacyEntries(this.store);
+            if (migrated > 0 || dropped > 0) {
+                console.log(`WindowStateManager: Migrated ${migrated} per-character entries to character identities (${dropped} superseded)`);
+            }
+
             console.log('WindowStateManager: Storage initialized');
         } catch (error) {
             this.errorHandler.error(error, 'WindowStateManager.initializeStorage');
@@ -138,7 +148,7 @@ class WindowStateManager {
             // Parse character info from window parser
             const WindowParser = require('./WindowParser');
             const parser = new WindowParser();
-            const { character, dofusClass, isValid } = parser.parseWindowTitle(rawWindow.Title);
+            const { character, dofusClass, server, version, gameVariant, isValid } = parser.parseWindowTitle(rawWindow.Title);
 
             if (!isValid) {
                 console.log(`WindowStateManager: Skipping window with invalid character info: ${rawWindow.Title}`);
@@ -155,23 +165,35 @@ class WindowStateManager {
             // Map the stable ID to current window handle
             this.windowIdMapping.set(stableId, windowHandle);
 
-            // Load stored state data
-            const storedState = this.loadWindowState(stableId);
+            // Load stored state data, kept per character rather than per game process
+            const characterKey = this.generateCharacterKey(character, dofusClass);
+            const characterId = CharacterIdentity.generateCharacterId(character, dofusClass, server);
+            const storedState = this.loadWindowState(characterId, characterKey);
 
             // Create processed window object
             const processedWindow = {
                 // Core identification
                 id: stableId,
+                characterKey,
+                characterId,
                 handle: windowHandle,
                 title: rawWindow.Title,
                 processName: this.extractProcessName(rawWindow.ClassName),
                 className: rawWindow.ClassName || 'Unknown',
                 pid: (rawWindow.ProcessId || 0).toString(),
 
+                // Game variant and server (Retro and Dofus 3 can run side by side);
+                // a server read from the title wins over the one entered by hand
+                gameVariant: parser.resolveGameVariant(gameVariant, rawWindow),
+                server: server || storedState.server,
+                serverFromTitle: Boolean(server),
+                gameVersion: version || null,
+
                 // Character information
                 character: character,
                 dofusClass: storedState.dofusClass || dofusClass,
                 customName: storedState.customName,
+                tags: storedState.tags,
 
                 // Game state
                 initiative: storedState.initiative,
@@ -218,39 +240,56 @@ class WindowStateManager {
     }
 
     /**
-     * Generate stable window ID
+     * Generate the runtime window ID (character key and game process ID)
      */
     generateStableWindowId(character, dofusClass, processId) {
-        if (!character || !dofusClass) {
-            return null;
-        }
+        return CharacterIdentity.generateWindowId(character, dofusClass, processId);
+    }
 
-        const cleanCharacter = character.toLowerCase().replace(/[^a-z0-9]/g, '');
-        const cleanClass = dofusClass.toLowerCase().replace(/[^a-z0-9]/g, '');
-        return `${cleanCharacter}_${cleanClass}_${processId}`;
+    /**
+     * Generate character key (stable window ID without the PID)
+     */
+    generateCharacterKey(character, dofusClass) {
+        return CharacterIdentity.generateCharacterKey(character, dofusClass);
     }
 
     /**
-     * Load window state from storage
+     * Load per-character state from storage
+     * @param {string} characterId - Character identity
+     * @param {string} fallbackId - Identity to read when nothing is stored under characterId,
+     *   e.g. the character key saved before the server was known
      */
-    loadWindowState(windowId) {
+    loadWindowState(characterId, fallbackId = characterId) {
         try {
+            const ids = characterId === fallbackId ? [characterId] : [characterId, fallbackId];
+            const read = (storageKey, defaultValue = null) => {
+                for (const id of ids) {
+                    const value = this.getStoredValue(storageKey, id);
+                    if (value !== null) return value;
+                }
+                return defaultValue;
+            };
+
             return {
-                customName: this.getStoredValue(this.storageKeys.customNames, windowId),
-                initiative: this.getStoredValue(this.storageKeys.initiatives, windowId, 0),
-                dofusClass: this.getStoredValue(this.storageKeys.classes, windowId),
-                shortcut: this.getStoredValue(this.storageKeys.shortcuts, windowId),
-                enabled: this.getStoredValue(this.storageKeys.enabledWindows, windowId, true),
-                position: this.getStoredValue(this.storageKeys.windowPositions, windowId)
+                customName: read(this.storageKeys.customNames),
+                initiative: read(this.storageKeys.initiatives, 0),
+                dofusClass: read(this.storageKeys.classes),
+                shortcut: read(this.storageKeys.shortcuts),
+                enabled: read(this.storageKeys.enabledWindows, true),
+                tags: CharacterTags.parseTags(read(this.storageKeys.tags, [])),
+                server: CharacterIdentity.normalizeServerName(read(this.storageKeys.servers)),
+                position: read(this.storageKeys.windowPositions)
             };
         } catch (error) {
-            this.errorHandler.error(error, `WindowStateManager.loadWindowState: ${windowId}`);
+            this.errorHandler.error(error, `WindowStateManager.loadWindowState: ${characterId}`);
             return {
                 customName: null,
                 initiative: 0,
                 dofusClass: null,
                 shortcut: null,
                 enabled: true,
+                tags: [],
+                server: null,
                 position: null
             };
         }
@@ -274,11 +313,14 @@ class WindowStateManager {
     saveWindowState(windowId, stateData) {
         try {
             const promises = [];
+            const windowData = this.windows.get(windowId);
+            const storageId = this.getStorageId(windowId);
 
             // Save each piece of state data
             Object.entries(stateData).forEach(([key, value]) => {
-                if (this.storageKeys[key] && value !== undefined) {
-                    promises.push(this.saveToStorage(this.storageKeys[key], windowId, value));
+                const storageKey = this.getStorageKeyForField(key);
+                if (storageKey && value !== undefined) {
+                    promises.push(this.saveToStorage(storageKey, storageId, value));
                 }
             });
 
@@ -288,7 +330,6 @@ class WindowStateManager {
             });
 
             // Update in-memory state
-            const windowData = this.windows.get(windowId);
             if (windowData) {
                 Object.assign(windowData.info, stateData);
                 windowData.lastUpdate = Date.now();
@@ -304,6 +345,69 @@ class WindowStateManager {
         }
     }
 
+    /**
+     * Re-read the persisted state of every known window, e.g. after a profile switch
+     * @returns {Array} Updated windows
+     */
+    reloadStoredState() {
+        try {
+            for (const windowData of this.windows.values()) {
+                const info = windowData.info;
+                const storedState = this.loadWindowState(info.characterId || info.id, info.characterKey || info.id);
+
+                Object.assign(info, {
+                    customName: storedState.customName,
+                    initiative: storedState.initiative,
+                    enabled: storedState.enabled,
+                    shortcut: storedState.shortcut,
+                    tags: storedState.tags,
+                    server: info.serverFromTitle ? info.server : storedState.server
+                });
+                windowData.lastUpdate = Date.now();
+                windowData.stateHash = this.generateStateHash(info);
+            }
+
+            const windows = this.getAllWindows();
+            this.lastStateUpdate = Date.now();
+            this.notifyStateChange(windows);
+            return windows;
+        } catch (error) {
+            this.errorHandler.error(error, 'WindowStateManager.reloadStoredState');
+            return this.getAllWindows();
+        }
+    }
+
+    /**
+     * Get the key under which a window's state is persisted: its character
+     * identity, so the state outlives the game process
+     * @param {string} windowId - Runtime window ID
+     * @returns {string} Character identity, or the window ID when unknown
+     */
+    getStorageId(windowId) {
+        const windowData = this.windows.get(windowId);
+        return (windowData && windowData.info.characterId) || windowId;
+    }
+
+    /**
+     * Map a window state field to its storage key
+     * @param {string} field - Field name (customName, initiative, dofusClass, enabled, ...)
+     * @returns {string|null} Storage key or null
+     */
+    getStorageKeyForField(field) {
+        const fieldStorageKeys = {
+            customName: this.storageKeys.customNames,
+            initiative: this.storageKeys.initiatives,
+            dofusClass: this.storageKeys.classes,
+            shortcut: this.storageKeys.shortcuts,
+            enabled: this.storageKeys.enabledWindows,
+            tags: this.storageKeys.tags,
+            server: this.storageKeys.servers,
+            position: this.storageKeys.windowPositions
+        };
+
+        return fieldStorageKeys[field] || this.storageKeys[field] || null;
+    }
+
     /**
      * Save to specific storage key
      */
@@ -367,6 +471,28 @@ class WindowStateManager {
         return this.saveWindowState(windowId, { shortcut });
     }
 
+    /**
+     * Update window tags
+     * @param {string} windowId - Window ID
+     * @param {string|Array<string>} tags - Tags, as typed ("team A, mules") or as a list
+     */
+    async updateTags(windowId, tags) {
+        return this.saveWindowState(windowId, { tags: CharacterTags.parseTags(tags) });
+    }
+
+    /**
+     * Update the server entered for a window whose title does not show it
+     * @param {string} windowId - Window ID
+     * @param {string} server - Server name, empty to clear it
+     */
+    async updateServer(windowId, server) {
+        const windowData = this.windows.get(windowId);
+        if (windowData && windowData.info.serverFromTitle) {
+            return false;
+        }
+        return this.saveWindowState(windowId, { server: CharacterIdentity.normalizeServerName(server) });
+    }
+
     /**
      * Update window active state
      */
@@ -419,6 +545,37 @@ class WindowStateManager {
         return this.windowIdMapping.get(windowId);
     }
 
+    /**
+     * Find the stable ID currently mapped to a window handle
+     * @param {number|string} handle - Native window handle
+     * @returns {string|null} Stable window ID or null
+     */
+    findWindowIdByHandle(handle) {
+        const windowHandle = String(handle);
+        for (const [windowId, mappedHandle] of this.windowIdMapping) {
+            if (mappedHandle === windowHandle && this.windows.has(windowId)) {
+                return windowId;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Forget a single window, e.g. when it was closed
+     * @param {string} windowId - Stable window ID
+     * @returns {boolean} True if the window was known
+     */
+    removeWindow(windowId) {
+        const existed = this.windows.delete(windowId);
+        this.windowIdMapping.delete(windowId);
+
+        if (existed) {
+            this.lastStateUpdate = Date.now();
+            this.notifyStateChange(this.getAllWindows());
+        }
+        return existed;
+    }
+
     /**
      * Clean up stale windows that are no longer detected
      */
@@ -450,10 +607,13 @@ class WindowStateManager {
         const stateString = JSON.stringify({
             character: windowInfo.character,
             dofusClass: windowInfo.dofusClass,
+            gameVariant: windowInfo.gameVariant,
+            server: windowInfo.server,
             customName: windowInfo.customName,
             initiative: windowInfo.initiative,
             enabled: windowInfo.enabled,
             shortcut: windowInfo.shortcut,
+            tags: windowInfo.tags,
             isActive: windowInfo.isActive
         });
 
@@ -566,6 +726,9 @@ class WindowStateManager {
                 }
             });
 
+            // Exports from older releases are keyed by process-specific window IDs
+            CharacterIdentity.migrateLegacyEntries(this.store);
+
             console.log(`WindowStateManager: Imported ${importCount} state categories`);
             return true;
 
@@ -0,0 +1,133 @@
+/**
+ * AutoKeyPatterns - Generates one shortcut per window from initiative order
+ * Shared by ShortcutConfigManager (applied shortcuts) and the Auto Key preview.
+ * Shortcuts are physical key codes (see KeyboardLayouts).
+ */
+const ShortcutUtils = require('./ShortcutUtils');
+const KeyboardLayouts = require('./KeyboardLayouts');
+const { AUTO_KEY } = require('./Constants');
+
+// Number row and numpad keys, in the order players count them
+const NUMBERS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'];
+const NUMBER_KEYS = NUMBERS.map(number => `Digit${number}`);
+const NUMPAD_KEYS = NUMBERS.slice(0, AUTO_KEY.MAX_NUMPAD_KEYS).map(number => `Numpad${number}`);
+const FUNCTION_KEYS = Array.from({ length: AUTO_KEY.MAX_FUNCTION_KEYS }, (_, i) => `F${i + 1}`);
+
+class AutoKeyPatterns {
+  /**
+   * Get the shortcuts a pattern gives out, in order
+   * @param {string} pattern - One of AUTO_KEY.PATTERNS
+   * @param {string} customPattern - Template for the custom pattern
+   * @returns {Array<string>} - Shortcuts
+   */
+  static getKeySequence(pattern, customPattern = AUTO_KEY.DEFAULT_CUSTOM_PATTERN) {
+    switch (pattern) {
+    case AUTO_KEY.PATTERNS.NUMBERS:
+      return [...NUMBER_KEYS];
+    case AUTO_KEY.PATTERNS.FUNCTION:
+      return [...FUNCTION_KEYS];
+    case AUTO_KEY.PATTERNS.NUMPAD:
+      return [...NUMPAD_KEYS];
+    case AUTO_KEY.PATTERNS.AZERTYUI:
+      return [...AUTO_KEY.AZERTYUI_CODES];
+    case AUTO_KEY.PATTERNS.CUSTOM:
+      return this.expandTemplate(customPattern);
+    default:
+      return [];
+    }
+  }
+
+  /**
+   * Expand a template into shortcuts. {n} counts 1 to 9 then 0, or up to the
+   * last function key after "F" ("Alt+F{n}"), or numpad keys after "num";
+   * {letter} walks the AZERTYUI keys ("Shift+{letter}"). Digits, numpad keys
+   * and letters come out as key codes ("Ctrl+Alt+Digit1").
+   * @param {string} template - Template such as "Ctrl+Alt+{n}"
+   * @returns {Array<string>} - Shortcuts, empty when the template is invalid
+   */
+  static expandTemplate(template) {
+    if (!this.validateTemplate(template).isValid) return [];
+
+    if (template.includes('{letter}')) {
+      return AUTO_KEY.AZERTYUI_CODES.map(code => template.replace('{letter}', code));
+    }
+
+    if (/F\{n\}/.test(template)) {
+      return FUNCTION_KEYS.map(key => template.replace('F{n}', key));
+    }
+    if (/num\{n\}/i.test(template)) {
+      return NUMPAD_KEYS.map(key => template.replace(/num\{n\}/i, key));
+    }
+
+    return NUMBER_KEYS.map(key => template.replace('{n}', key));
+  }
+
+  /**
+   * Validate a custom template
+   * @param {string} template - Template such as "Ctrl+Alt+{n}"
+   * @returns {Object} - { isValid, errors }
+   */
+  static validateTemplate(template) {
+    const errors = [];
+
+    if (typeof template !== 'string' || template.trim().length === 0) {
+      errors.push('template is required');
+    } else {
+      const placeholders = (template.match(/\{(n|letter)\}/g) || []).length;
+      if (placeholders !== 1) {
+        errors.push('template must contain exactly one {n} or {letter} placeholder');
+      } else if (!ShortcutUtils.validateShortcut(template.replace(/\{(n|letter)\}/, '1'))) {
+        errors.push('template does not produce a valid shortcut');
+      }
+    }
+
+    return { isValid: errors.length === 0, errors };
+  }
+
+  /**
+   * Order windows by initiative, highest first; equal initiatives keep their order
+   * @param {Array} windows - Windows with an initiative
+   * @returns {Array} - Sorted copy
+   */
+  static sortByInitiative(windows) {
+    return windows
+      .map((window, index) => ({ window, index }))
+      .sort((a, b) => ((b.window.initiative || 0) - (a.window.initiative || 0)) || (a.index - b.index))
+      .map(({ window }) => window);
+  }
+
+  /**
+   * Give each window a shortcut in initiative order. Shortcuts already taken
+   * (global shortcuts, shortcuts set by hand) are skipped and the window gets
+   * the next key; windows past the last key overflow and get none.
+   * @param {Array} windows - Windows to give shortcuts to
+   * @param {Object} options - { pattern, customPattern, reserved: shortcuts already taken,
+   *   layout: keyboard layout reserved shortcuts without key codes were recorded with }
+   * @returns {Object} - { assignments: [{ window, position, shortcut, overflow }], overflowCount, collisions }
+   */
+  static generate(windows, options = {}) {
+    const keys = this.getKeySequence(options.pattern, options.customPattern);
+    const reserved = new Set((options.reserved || [])
+      .map(shortcut => ShortcutUtils.normalizeShortcut(KeyboardLayouts.fromLegacyShortcut(shortcut, options.layout))));
+    const collisions = [];
+    let keyIndex = 0;
+
+    const assignments = this.sortByInitiative(windows).map((window, index) => {
+      while (keyIndex < keys.length && reserved.has(ShortcutUtils.normalizeShortcut(keys[keyIndex]))) {
+        collisions.push(keys[keyIndex]);
+        keyIndex++;
+      }
+
+      const shortcut = keyIndex < keys.length ? keys[keyIndex++] : null;
+      return { window, position: index + 1, shortcut, overflow: shortcut === null };
+    });
+
+    return {
+      assignments,
+      overflowCount: assignments.filter(assignment => assignment.overflow).length,
+      collisions
+    };
+  }
+}
+
+module.exports = AutoKeyPatterns;
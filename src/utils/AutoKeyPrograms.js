@@ -0,0 +1,121 @@
+/**
+ * AutoKeyPrograms - Per-window key sequences for the auto key scheduler
+ * Shared by ShortcutConfigManager (stored programs), AutoKeyScheduler (run)
+ * and the Auto Key window (editor and preview).
+ *
+ * A program is { steps: [{ key, delayMs }], jitterMs, enabled }: keys are
+ * shortcuts with physical key codes (see KeyboardLayouts). Programs run
+ * round-robin: each turn presses the next step of the next window, then waits
+ * that step's delay plus a random jitter of up to jitterMs before the
+ * following window's turn.
+ */
+const ShortcutUtils = require('./ShortcutUtils');
+const KeyboardLayouts = require('./KeyboardLayouts');
+const { AUTO_KEY } = require('./Constants');
+
+class AutoKeyPrograms {
+  /**
+   * Validate a program
+   * @param {Object} program - { steps: [{ key, delayMs }], jitterMs, enabled }
+   * @returns {Object} - { isValid, errors, program } with program normalized (integer delays, enabled flag)
+   */
+  static validateProgram(program) {
+    const errors = [];
+    const steps = program && Array.isArray(program.steps) ? program.steps : [];
+
+    if (steps.length === 0) {
+      errors.push('program needs at least one step');
+    } else if (steps.length > AUTO_KEY.PROGRAMS.MAX_STEPS) {
+      errors.push(`program has more than ${AUTO_KEY.PROGRAMS.MAX_STEPS} steps`);
+    }
+
+    const normalizedSteps = steps.map((step, index) => {
+      const key = step && typeof step.key === 'string' ? step.key.trim() : '';
+      if (!ShortcutUtils.validateShortcut(key) || !KeyboardLayouts.toVirtualKeys(key)) {
+        errors.push(`step ${index + 1}: invalid key "${key}"`);
+      }
+
+      const delayMs = this.parseDelay(step && step.delayMs);
+      if (delayMs === null || delayMs < AUTO_KEY.MIN_INTERVAL_MS || delayMs > AUTO_KEY.MAX_INTERVAL_MS) {
+        errors.push(`step ${index + 1}: delay must be between ${AUTO_KEY.MIN_INTERVAL_MS} and ${AUTO_KEY.MAX_INTERVAL_MS} ms`);
+      }
+
+      return { key, delayMs };
+    });
+
+    const jitterMs = program && program.jitterMs !== undefined && program.jitterMs !== '' ? this.parseDelay(program.jitterMs) : 0;
+    if (jitterMs === null || jitterMs < 0 || jitterMs > AUTO_KEY.PROGRAMS.MAX_JITTER_MS) {
+      errors.push(`jitter must be between 0 and ${AUTO_KEY.PROGRAMS.MAX_JITTER_MS} ms`);
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      program: {
+        steps: normalizedSteps,
+        jitterMs: jitterMs || 0,
+        enabled: !program || program.enabled !== false
+      }
+    };
+  }
+
+  /**
+   * @param {*} value - Delay in ms, as a number or a string
+   * @returns {number|null} - Integer delay, null when not a number
+   * @private
+   */
+  static parseDelay(value) {
+    const delay = Number(value);
+    return value !== null && value !== '' && Number.isFinite(delay) ? Math.round(delay) : null;
+  }
+
+  /**
+   * Pause after a step, jitter included
+   * @param {Object} step - { delayMs }
+   * @param {number} jitterMs - Random extra delay, at most
+   * @param {Function} random - Returns a number in [0, 1)
+   * @returns {number} - Delay in ms
+   */
+  static getDelay(step, jitterMs = 0, random = Math.random) {
+    return step.delayMs + Math.round(random() * jitterMs);
+  }
+
+  /**
+   * List the first key presses of a round-robin run, without jitter
+   * @param {Array} entries - Windows in turn order: [{ windowId, name, program }]
+   * @param {number} count - Key presses to list
+   * @returns {Array} - [{ order, windowId, name, step, stepCount, key, delayMs, maxDelayMs, atMs }],
+   *   atMs being when the key is pressed at the earliest
+   */
+  static preview(entries, count = AUTO_KEY.PROGRAMS.PREVIEW_PRESSES) {
+    const runnable = entries.filter(entry => entry.program && entry.program.steps.length > 0);
+    const cursors = runnable.map(() => 0);
+    const presses = [];
+    let atMs = 0;
+
+    for (let order = 0; order < count && runnable.length > 0; order++) {
+      const turn = order % runnable.length;
+      const { windowId, name, program } = runnable[turn];
+      const step = program.steps[cursors[turn]];
+
+      presses.push({
+        order: order + 1,
+        windowId,
+        name,
+        step: cursors[turn] + 1,
+        stepCount: program.steps.length,
+        key: step.key,
+        delayMs: step.delayMs,
+        maxDelayMs: step.delayMs + (program.jitterMs || 0),
+        atMs
+      });
+
+      atMs += step.delayMs;
+      cursors[turn] = (cursors[turn] + 1) % program.steps.length;
+    }
+
+    return presses;
+  }
+}
+
+module.exports = AutoKeyPrograms;
@@ -0,0 +1,84 @@
+/**
+ * CharacterTags - User-defined tags of a character ("team A", "mules", "healers")
+ *
+ * Tags are stored per character identity as arrays of names. They are compared
+ * without case, and the first spelling met is the one shown.
+ */
+const { CHARACTER_TAGS } = require('./Constants');
+
+/**
+ * Clean a tag name: single spaces, no separator, limited length
+ * @param {string} tag - Tag as typed
+ * @returns {string} Tag name, empty when nothing is left
+ */
+function normalizeTag(tag) {
+  return String(tag || '')
+    .split(CHARACTER_TAGS.SEPARATOR).join(' ')
+    .replace(/[<>"'`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, CHARACTER_TAGS.MAX_LENGTH)
+    .trim();
+}
+
+/**
+ * Parse tags typed as "team A, mules" or given as an array
+ * @param {string|Array<string>} input - Tags
+ * @returns {Array<string>} Distinct tag names, in order
+ */
+function parseTags(input) {
+  const parts = Array.isArray(input) ? input : String(input || '').split(CHARACTER_TAGS.SEPARATOR);
+
+  const tags = [];
+  parts.map(normalizeTag).filter(Boolean).forEach(tag => {
+    if (!includesTag(tags, tag)) {
+      tags.push(tag);
+    }
+  });
+  return tags.slice(0, CHARACTER_TAGS.MAX_PER_CHARACTER);
+}
+
+/**
+ * Format tags for a text field
+ * @param {Array<string>} tags - Tags
+ * @returns {string} "team A, mules"
+ */
+function formatTags(tags) {
+  return (Array.isArray(tags) ? tags : []).join(`${CHARACTER_TAGS.SEPARATOR} `);
+}
+
+/**
+ * Check whether a tag list contains a tag
+ * @param {Array<string>} tags - Tags
+ * @param {string} tag - Tag to look for
+ * @returns {boolean} True when present, whatever its case
+ */
+function includesTag(tags, tag) {
+  const wanted = normalizeTag(tag).toLowerCase();
+  return Boolean(wanted) && (Array.isArray(tags) ? tags : []).some(t => normalizeTag(t).toLowerCase() === wanted);
+}
+
+/**
+ * List every tag used in several tag lists
+ * @param {Array<Array<string>>} tagLists - Tags of each character
+ * @returns {Array<string>} Distinct tags sorted by name
+ */
+function getAllTags(tagLists) {
+  const tags = [];
+  tagLists.filter(Array.isArray).forEach(list => {
+    list.map(normalizeTag).filter(Boolean).forEach(tag => {
+      if (!includesTag(tags, tag)) {
+        tags.push(tag);
+      }
+    });
+  });
+  return tags.sort((a, b) => a.localeCompare(b));
+}
+
+module.exports = {
+  normalizeTag,
+  parseTags,
+  formatTags,
+  includesTag,
+  getAllTags
+};
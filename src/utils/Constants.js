@@ -91,8 +91,43 @@ const AUTO_KEY = {
 
     // Function key mapping
     AZERTYUI_KEYS: ['A', 'Z', 'E', 'R', 'T', 'Y', 'U', 'I'],
+    // Physical keys of AZERTYUI (the AZERTY top letter row)
+    AZERTYUI_CODES: ['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI'],
     MAX_FUNCTION_KEYS: 12,
-    MAX_NUMPAD_KEYS: 10
+    MAX_NUMPAD_KEYS: 10,
+
+    // Key repeat run by the main process (AutoKeyScheduler)
+    SCHEDULER: {
+        SETTINGS_KEY: 'autoKeyRepeat',
+        MODES: {
+            // One key in one window
+            REPEAT: 'repeat',
+            // The program of every window that has one, round-robin
+            PROGRAMS: 'programs'
+        },
+        DEFAULTS: {
+            mode: 'repeat',
+            // Stored shortcut, such as "F1" or "Ctrl+KeyQ"
+            key: '',
+            intervalMs: 1000,
+            // Window pressed in, empty for the focused game window
+            windowId: ''
+        },
+        // Keys the window refused in a row before the repeat stops
+        MAX_FAILURES: 3,
+
+        // Sent to the config window and the dock on every start, stop and key press
+        STATUS_EVENT: 'auto-key-status-updated'
+    },
+
+    // Per-window key sequences (AutoKeyPrograms), stored in the shortcut config file
+    PROGRAMS: {
+        MAX_STEPS: 20,
+        DEFAULT_STEP_DELAY_MS: 1000,
+        MAX_JITTER_MS: 5000,
+        // Key presses listed in the Auto Key window preview
+        PREVIEW_PRESSES: 12
+    }
 };
 
 /**
@@ -137,6 +172,30 @@ const SHORTCUTS = {
         EMERGENCY_STOP: 'Ctrl+Shift+X'
     },
 
+    // Global shortcut type turning every shortcut on or off
+    SHORTCUT_TYPES: {
+        TOGGLE_SHORTCUTS: 'toggleShortcuts'
+    },
+
+    // Conflict analysis: state of a configured shortcut
+    CONFLICT_STATUSES: {
+        REGISTERED: 'registered',
+        INACTIVE: 'inactive',
+        SHADOWED: 'shadowed',
+        REFUSED: 'refused',
+        DUPLICATED: 'duplicated'
+    },
+
+    // Conflict analysis: one-click fixes
+    CONFLICT_FIXES: {
+        REASSIGN: 'reassign',
+        SWAP: 'swap',
+        DROP: 'drop'
+    },
+
+    // Free shortcuts offered when reassigning, in order
+    REASSIGN_TEMPLATES: ['Ctrl+Alt+{n}', 'Ctrl+Alt+F{n}', 'Ctrl+Shift+{n}'],
+
     // Validation limits
     MAX_SHORTCUT_LENGTH: 30,
     MAX_CHARACTER_NAME_LENGTH: 50
@@ -271,7 +330,12 @@ const DOFUS = {
 
     // Process detection
     PROCESS_NAMES: ['Dofus.exe', 'DofusInvoker.exe'],
-    WINDOW_TITLE_PATTERNS: ['Dofus', 'DOFUS']
+    WINDOW_TITLE_PATTERNS: ['Dofus', 'DOFUS'],
+
+    // Processes window detection and window events look at: these names (Retro
+    // clients may run under java), or any name containing one of the fragments
+    TARGET_PROCESSES: ['Dofus', 'Dofus.exe', 'DofusRetro', 'DofusRetro.exe', 'java', 'java.exe'],
+    PROCESS_NAME_FRAGMENTS: ['dofus', 'ankama']
 };
 
 /**
@@ -302,6 +366,313 @@ const DOCK = {
     MARGIN_PX: 10
 };
 
+/**
+ * Window Layout Configuration
+ */
+const LAYOUT = {
+    // Layout names accepted by the layout engine
+    TYPES: {
+        GRID: 'grid',
+        HORIZONTAL: 'horizontal',
+        VERTICAL: 'vertical'
+    },
+
+    DEFAULT: 'grid',
+
+    // Display targets for organization (a display id is also accepted)
+    TARGETS: {
+        PRIMARY: 'primary',
+        ALL: 'all'
+    },
+
+    DEFAULT_TARGET: 'primary',
+
+    // Organize settings in the store: display target and the layout applied last
+    SETTINGS_KEY: 'organize',
+    TARGET_KEY: 'organize.target',
+    LAST_LAYOUT_KEY: 'organize.lastLayout',
+
+    // Units of a template slot: fraction of the work area or pixels from its origin
+    SLOT_UNITS: {
+        FRACTION: 'fraction',
+        PIXELS: 'px'
+    },
+
+    MAX_TEMPLATE_NAME_LENGTH: 50,
+
+    // Windows parks minimized windows at this position
+    MINIMIZED_POSITION: -32000,
+
+    // Geometry
+    DEFAULT_GAP_PX: 0,
+    MIN_WINDOW_SIZE_PX: 100,
+
+    // Delay between two window moves
+    MOVE_DELAY_MS: 50
+};
+
+/**
+ * Window Change Events
+ */
+const WINDOW_EVENTS = {
+    // Events emitted by window event sources
+    TYPES: {
+        CREATED: 'window-created',
+        DESTROYED: 'window-destroyed',
+        TITLE_CHANGED: 'title-changed',
+        FOREGROUND_CHANGED: 'foreground-changed'
+    },
+
+    // Event source lifecycle
+    READY: 'ready',
+    UNAVAILABLE: 'unavailable',
+
+    // Bursts of events within this delay produce one UI update
+    DEBOUNCE_MS: 100,
+
+    // Reconciliation poll while events drive updates
+    FALLBACK_POLL_INTERVAL_MS: 60000
+};
+
+/**
+ * Window Title Parsing
+ */
+const TITLE_PARSING = {
+    // Game variants recognized by the title rules
+    VARIANTS: {
+        RETRO: 'retro',
+        DOFUS2: 'dofus2',
+        DOFUS3: 'dofus3'
+    },
+
+    // Class reported for titles that do not contain one (e.g. Retro)
+    UNKNOWN_CLASS: 'unknown',
+
+    // User-editable rules, in the configuration directory
+    RULES_FILE: 'title-rules.json',
+    RULES_VERSION: 1,
+
+    // Fields a rule can extract
+    FIELDS: ['character', 'class', 'server', 'version'],
+
+    VARIANT_LABELS: {
+        retro: 'Dofus Retro',
+        dofus2: 'Dofus 2',
+        dofus3: 'Dofus 3'
+    },
+
+    // Process and window class hints, more reliable than titles when available
+    RETRO_PROCESS_MATCH: 'retro',
+    UNITY_WINDOW_CLASS: 'UnityWndClass'
+};
+
+/**
+ * Window List View (filter, sort and group options)
+ */
+const WINDOW_VIEW = {
+    ALL: 'all',
+    SORT_OPTIONS: ['initiative', 'name', 'variant', 'server'],
+    GROUP_OPTIONS: ['none', 'variant', 'server'],
+
+    DEFAULTS: {
+        variant: 'all',
+        server: 'all',
+        tag: 'all',
+        sortBy: 'initiative',
+        groupBy: 'none'
+    },
+
+    // Label for windows whose server is not known
+    UNKNOWN_SERVER_LABEL: 'Unknown server'
+};
+
+/**
+ * Character Identity (persisted per-character state, independent of the game process)
+ */
+const CHARACTER_IDENTITY = {
+    // Identity is "character_class", or "character_class@server" when the server is known
+    SERVER_SEPARATOR: '@',
+
+    // Stores keyed by character identity; older releases keyed them by "character_class_pid"
+    STORES: ['initiatives', 'customNames', 'classes', 'enabledWindows']
+};
+
+/**
+ * Character Tags (user-defined groups such as "team A" or "mules")
+ */
+const CHARACTER_TAGS = {
+    // Store keyed by character identity: { [characterId]: ['team A', 'mules'] }
+    STORAGE_KEY: 'tags',
+    SEPARATOR: ',',
+    MAX_LENGTH: 30,
+    MAX_PER_CHARACTER: 10
+};
+
+/**
+ * Character Servers (entered by hand, as the stock window titles do not show the server)
+ */
+const CHARACTER_SERVERS = {
+    // Store keyed by character identity: { [characterId]: 'Draconiros' }
+    STORAGE_KEY: 'servers',
+    MAX_LENGTH: 30
+};
+
+/**
+ * Team Profiles (named multibox configurations)
+ */
+const PROFILES = {
+    STORAGE_KEY: 'profiles',
+    MAX_NAME_LENGTH: 50,
+
+    // Global shortcut type cycling through profiles
+    NEXT_PROFILE_SHORTCUT: 'nextProfile',
+
+    // Automatic selection from the detected characters. minimumMatch is the share
+    // of characters a profile roster and the detected windows must have in common
+    AUTO_SELECT_KEY: 'profileAutoSelect',
+    AUTO_SELECT_DEFAULTS: {
+        enabled: true,
+        minimumMatch: 0.75
+    }
+};
+
+/**
+ * Window Cycling (global shortcuts moving between windows)
+ */
+const WINDOW_CYCLING = {
+    // Global shortcut types of the navigation actions
+    SHORTCUT_TYPES: {
+        NEXT_WINDOW: 'nextWindow',
+        PREVIOUS_WINDOW: 'previousWindow',
+        INITIATIVE_LEADER: 'initiativeLeader',
+        LAST_WINDOW: 'lastWindow'
+    },
+
+    // Global shortcut type cycling through a group: "cycleGroup:healers"
+    GROUP_SHORTCUT_PREFIX: 'cycleGroup:',
+
+    // Named groups by class role
+    CLASS_GROUPS: {
+        healers: ['eniripsa', 'osamodas'],
+        damage: ['iop', 'cra', 'sram', 'ecaflip', 'sacrieur', 'roublard', 'ouginak', 'forgelance', 'huppermage', 'eliotrope'],
+        support: ['feca', 'xelor', 'enutrof', 'sadida', 'pandawa', 'zobal', 'steamer']
+    },
+
+    // Window handles remembered for "last focused window"
+    FOCUS_HISTORY_SIZE: 10
+};
+
+/**
+ * Leader Key Mode (a leader shortcut followed by a single key)
+ */
+const LEADER_KEY = {
+    // Global shortcut type arming leader mode
+    SHORTCUT_TYPE: 'leaderKey',
+
+    // How long the follow-up key is awaited after the leader
+    TIMEOUT_MS: 1500,
+
+    STATES: {
+        IDLE: 'idle',
+        ARMED: 'armed'
+    },
+
+    // Follow-up keys: digits select a window by initiative order, letters by
+    // class initial. Action keys are letters no class name starts with.
+    MAX_INDEX: 9,
+    ACTIONS: {
+        ORGANIZE: 'organize',
+        REFRESH: 'refresh',
+        TOGGLE_DOCK: 'toggleDock'
+    },
+    ACTION_KEYS: {
+        KeyL: 'organize',
+        KeyU: 'refresh',
+        KeyD: 'toggleDock'
+    },
+    CANCEL_KEY: 'Escape'
+};
+
+/**
+ * Fight Mode (turns follow the initiative order)
+ */
+const FIGHT_MODE = {
+    SHORTCUT_TYPES: {
+        TOGGLE: 'toggleFightMode',
+        END_TURN: 'endTurn'
+    },
+
+    // Sent to the dock whenever the fight, the turn or a dead flag changes
+    STATE_EVENT: 'fight-state-updated'
+};
+
+/**
+ * Fight Tracker (rounds, turn timers and end-of-fight summary)
+ */
+const FIGHT_TRACKER = {
+    SETTINGS_KEY: 'fightTracker',
+    SUMMARY_KEY: 'lastFightSummary',
+    DEFAULTS: {
+        warningEnabled: true,
+        // Dofus turn length and how long before its end to warn
+        turnSeconds: 30,
+        warningSeconds: 10
+    },
+    MIN_TURN_SECONDS: 5,
+    MAX_TURN_SECONDS: 300,
+
+    // Sent to the dock when the player's turn is about to run out
+    WARNING_EVENT: 'fight-turn-warning',
+
+    // Characters listed in the end-of-fight tray balloon, slowest first
+    BALLOON_LINES: 4
+};
+
+/**
+ * Key Broadcast (same keys sent to several windows)
+ */
+const BROADCAST = {
+    SHORTCUT_TYPES: {
+        SEND: 'broadcastKeys'
+    },
+    SETTINGS_KEY: 'broadcast',
+    DEFAULTS: {
+        // Stored shortcuts pressed in order, such as ["Enter"] or ["Ctrl+KeyQ", "Escape"]
+        keys: [],
+        // Window group (tag or class group), empty for every enabled window
+        group: '',
+        delayMs: 150
+    },
+    MAX_KEYS: 10,
+    MAX_DELAY_MS: 5000,
+
+    // Registered only while a broadcast runs, like the Auto Key emergency stop
+    EMERGENCY_STOP_SHORTCUT: 'Ctrl+Shift+KeyX'
+};
+
+/**
+ * Click Sync (clicks on one window replayed on the others)
+ */
+const CLICK_SYNC = {
+    SETTINGS_KEY: 'clickSync',
+    DEFAULTS: {
+        enabled: false,
+        // Clicks made while holding this modifier, and only it, are replayed
+        modifier: 'Alt',
+        // Window group (tag or class group), empty for every enabled window
+        group: ''
+    },
+    MODIFIERS: ['Ctrl', 'Alt', 'Shift'],
+    BUTTONS: ['left', 'right'],
+
+    // Pause between two replayed clicks
+    WINDOW_DELAY_MS: 80,
+
+    // Window frame around the client area (Windows 10 at 100% scaling), used
+    // when the clicked window's client area is unknown
+    DEFAULT_FRAME: { left: 8, top: 31, right: 8, bottom: 8 }
+};
+
 /**
  * PowerShell Executor Constants
  */
@@ -325,6 +696,13 @@ const POWERSHELL = {
     RETRY_DELAY_MS: 1000,
     BACKOFF_MULTIPLIER: 2,
 
+    // Long-lived helper session (Add-Type compilation happens once at start)
+    SESSION_START_TIMEOUT_MS: 20000,
+    SESSION_REQUEST_TIMEOUT_MS: 5000,
+    SESSION_MAX_RESTARTS: 3,
+    SESSION_RESTART_DELAY_MS: 1000,
+    SESSION_STABLE_UPTIME_MS: 60000, // A process up this long clears the crash count
+
     // PowerShell executable names
     EXECUTABLE_NAMES: ['powershell.exe', 'pwsh.exe'],
 
@@ -518,6 +896,16 @@ const KEYBOARD = {
     // Modifier combinations
     MODIFIERS: ['Ctrl', 'Alt', 'Shift', 'Meta'],
 
+    // Keyboard layouts used to label physical key codes
+    LAYOUTS: {
+        AZERTY: 'AZERTY',
+        QWERTY: 'QWERTY',
+        QWERTZ: 'QWERTZ'
+    },
+
+    DEFAULT_LAYOUT: 'AZERTY',
+    LAYOUT_STORAGE_KEY: 'keyboardLayout',
+
     // Input validation
     MAX_SHORTCUT_COMPONENTS: 4,
     VALID_SEPARATORS: ['+', '-']
@@ -539,6 +927,20 @@ module.exports = {
     LANGUAGE,
     DOFUS,
     DOCK,
+    LAYOUT,
+    WINDOW_EVENTS,
+    TITLE_PARSING,
+    WINDOW_VIEW,
+    CHARACTER_IDENTITY,
+    CHARACTER_TAGS,
+    CHARACTER_SERVERS,
+    PROFILES,
+    WINDOW_CYCLING,
+    LEADER_KEY,
+    FIGHT_MODE,
+    FIGHT_TRACKER,
+    BROADCAST,
+    CLICK_SYNC,
     POWERSHELL,
     ERRORS,
     NETWORK,
@@ -0,0 +1,296 @@
+/**
+ * KeyboardLayouts - Physical key codes for shortcuts, displayed per keyboard layout
+ *
+ * Shortcuts are stored with KeyboardEvent.code key names ("Ctrl+Digit1",
+ * "Alt+KeyQ"), which name a key by its position and do not change with the
+ * layout. Labels and Electron accelerators are derived from the selected layout:
+ * "KeyQ" shows and registers as "A" on AZERTY and as "Q" on QWERTY.
+ */
+const { KEYBOARD } = require('./Constants');
+
+const MODIFIER_NAMES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  commandorcontrol: 'Ctrl',
+  cmd: 'Ctrl',
+  command: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift',
+  meta: 'Meta',
+  super: 'Meta',
+  win: 'Meta'
+};
+
+// Characters of the punctuation keys on a US keyboard, also used in accelerators
+const PUNCTUATION_KEYS = {
+  Minus: '-',
+  Equal: '=',
+  BracketLeft: '[',
+  BracketRight: ']',
+  Backslash: '\\',
+  Semicolon: ';',
+  Quote: '\'',
+  Backquote: '`',
+  Comma: ',',
+  Period: '.',
+  Slash: '/'
+};
+
+// Named keys: code -> accelerator key name
+const NAMED_KEYS = {
+  Space: 'Space',
+  Enter: 'Return',
+  Escape: 'Escape',
+  Tab: 'Tab',
+  Backspace: 'Backspace',
+  Delete: 'Delete',
+  Insert: 'Insert',
+  Home: 'Home',
+  End: 'End',
+  PageUp: 'PageUp',
+  PageDown: 'PageDown',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+  NumpadAdd: 'numadd',
+  NumpadSubtract: 'numsub',
+  NumpadMultiply: 'nummult',
+  NumpadDivide: 'numdiv',
+  NumpadDecimal: 'numdec',
+  NumpadEnter: 'Return'
+};
+
+// Keys whose label differs from QWERTY, per layout
+const LAYOUT_LABELS = {
+  [KEYBOARD.LAYOUTS.QWERTY]: {},
+  [KEYBOARD.LAYOUTS.AZERTY]: {
+    KeyQ: 'A', KeyA: 'Q', KeyW: 'Z', KeyZ: 'W', Semicolon: 'M', KeyM: ',',
+    Minus: ')', BracketLeft: '^', BracketRight: '$', Backslash: '*', Quote: 'Ù',
+    Backquote: '²', Comma: ';', Period: ':', Slash: '!'
+  },
+  [KEYBOARD.LAYOUTS.QWERTZ]: {
+    KeyY: 'Z', KeyZ: 'Y', Minus: 'ß', Equal: '´', BracketLeft: 'Ü', BracketRight: '+',
+    Semicolon: 'Ö', Quote: 'Ä', Backquote: '^', Backslash: '#', Slash: '-'
+  }
+};
+
+// Unshifted characters of the digit row, recorded by older releases instead of digits
+const DIGIT_ROW_CHARACTERS = {
+  [KEYBOARD.LAYOUTS.AZERTY]: ['À', '&', 'É', '"', '\'', '(', '-', 'È', '_', 'Ç']
+};
+
+// Windows virtual-key codes of the modifiers and of the keys not derived from their name
+const MODIFIER_VIRTUAL_KEYS = { Ctrl: 0x11, Alt: 0x12, Shift: 0x10, Meta: 0x5B };
+const VIRTUAL_KEYS = {
+  Space: 0x20, Enter: 0x0D, NumpadEnter: 0x0D, Escape: 0x1B, Tab: 0x09, Backspace: 0x08,
+  Delete: 0x2E, Insert: 0x2D, Home: 0x24, End: 0x23, PageUp: 0x21, PageDown: 0x22,
+  ArrowLeft: 0x25, ArrowUp: 0x26, ArrowRight: 0x27, ArrowDown: 0x28,
+  NumpadMultiply: 0x6A, NumpadAdd: 0x6B, NumpadSubtract: 0x6D, NumpadDecimal: 0x6E, NumpadDivide: 0x6F,
+  Semicolon: 0xBA, Equal: 0xBB, Comma: 0xBC, Minus: 0xBD, Period: 0xBE, Slash: 0xBF,
+  Backquote: 0xC0, BracketLeft: 0xDB, Backslash: 0xDC, BracketRight: 0xDD, Quote: 0xDE
+};
+
+const CODE_PATTERN = /^(Key[A-Z]|Digit[0-9]|Numpad[0-9]|F([1-9]|1[0-9]|2[0-4]))$/;
+
+/**
+ * Resolve a layout name, falling back to the default layout
+ * @param {string} layout - Layout name
+ * @returns {string} Known layout name
+ */
+function resolveLayout(layout) {
+  return Object.values(KEYBOARD.LAYOUTS).includes(layout) ? layout : KEYBOARD.DEFAULT_LAYOUT;
+}
+
+/**
+ * Check whether a key name is a physical key code
+ * @param {string} key - Key part of a shortcut
+ * @returns {boolean} Whether it is a KeyboardEvent.code value
+ */
+function isKeyCode(key) {
+  return CODE_PATTERN.test(key) || Object.prototype.hasOwnProperty.call(NAMED_KEYS, key) ||
+    Object.prototype.hasOwnProperty.call(PUNCTUATION_KEYS, key);
+}
+
+/**
+ * Split a shortcut into normalized modifiers and its key
+ * @param {string} shortcut - Shortcut such as "Ctrl+Alt+Digit1"
+ * @returns {Object} { modifiers, key }
+ */
+function splitShortcut(shortcut) {
+  const parts = String(shortcut || '').split('+').map(part => part.trim()).filter(Boolean);
+  const key = parts.length > 0 && !MODIFIER_NAMES[parts[parts.length - 1].toLowerCase()] ? parts.pop() : '';
+  return { modifiers: parts.map(part => MODIFIER_NAMES[part.toLowerCase()] || part), key };
+}
+
+/**
+ * Label a physical key for a layout
+ * @param {string} code - Key code
+ * @param {string} layout - Layout name
+ * @returns {string} Key label ("A", "1", "Num1", "F1", "Up"...)
+ */
+function getKeyLabel(code, layout) {
+  const labels = LAYOUT_LABELS[resolveLayout(layout)];
+  if (labels[code]) return labels[code];
+  if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+  if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+  if (/^Numpad[0-9]$/.test(code)) return `Num${code.slice(6)}`;
+  if (PUNCTUATION_KEYS[code]) return PUNCTUATION_KEYS[code];
+  if (NAMED_KEYS[code]) return code.startsWith('Numpad') ? `Num${NAMED_KEYS[code].slice(3)}` : NAMED_KEYS[code];
+  return code;
+}
+
+/**
+ * Get the accelerator key Electron registers for a physical key.
+ * Letters register by label, so they follow the layout; digits and other keys
+ * register by position.
+ * @param {string} code - Key code
+ * @param {string} layout - Layout name
+ * @returns {string} Accelerator key name
+ */
+function getAcceleratorKey(code, layout) {
+  const label = getKeyLabel(code, layout);
+  if (/^[A-Z]$/.test(label)) return label;
+  if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+  if (/^Numpad[0-9]$/.test(code)) return `num${code.slice(6)}`;
+  if (PUNCTUATION_KEYS[code]) return PUNCTUATION_KEYS[code];
+  if (NAMED_KEYS[code]) return NAMED_KEYS[code];
+  return code;
+}
+
+/**
+ * Build the stored shortcut of a key press
+ * @param {KeyboardEvent} event - keydown event
+ * @returns {string} Shortcut such as "Ctrl+Digit1", or modifiers only while a modifier is held
+ */
+function fromKeyboardEvent(event) {
+  const parts = [];
+  if (event.ctrlKey) parts.push('Ctrl');
+  if (event.altKey) parts.push('Alt');
+  if (event.shiftKey) parts.push('Shift');
+  if (event.metaKey) parts.push('Meta');
+
+  if (event.code && !/^(Control|Alt|Shift|Meta|OS)(Left|Right)?$/.test(event.code)) {
+    parts.push(event.code);
+  }
+  return parts.join('+');
+}
+
+/**
+ * Label a stored shortcut for a layout
+ * @param {string} shortcut - Stored shortcut
+ * @param {string} layout - Layout name
+ * @returns {string} Shortcut as printed on the keyboard ("Ctrl+A" for "Ctrl+KeyQ" on AZERTY)
+ */
+function toDisplay(shortcut, layout) {
+  if (!shortcut) return '';
+
+  const { modifiers, key } = splitShortcut(shortcut);
+  return [...modifiers, isKeyCode(key) ? getKeyLabel(key, layout) : key].filter(Boolean).join('+');
+}
+
+/**
+ * Convert a stored shortcut to accelerator key names for a layout. Shortcuts
+ * from older releases, which are not key codes, are returned unchanged.
+ * @param {string} shortcut - Stored shortcut
+ * @param {string} layout - Layout name
+ * @returns {string} Shortcut with accelerator key names
+ */
+function toAccelerator(shortcut, layout) {
+  if (!shortcut) return '';
+
+  const { modifiers, key } = splitShortcut(shortcut);
+  return [...modifiers, isKeyCode(key) ? getAcceleratorKey(key, layout) : key].filter(Boolean).join('+');
+}
+
+/**
+ * Convert a stored shortcut to the Windows virtual-key codes to press.
+ * Like accelerators, letters follow the layout and other keys their position.
+ * @param {string} shortcut - Stored shortcut such as "Ctrl+KeyQ"
+ * @param {string} layout - Layout name
+ * @returns {Object|null} { modifiers, key } codes, null when the key is not a known key code
+ */
+function toVirtualKeys(shortcut, layout) {
+  const { modifiers, key } = splitShortcut(shortcut);
+  if (!isKeyCode(key) || modifiers.some(modifier => !MODIFIER_VIRTUAL_KEYS[modifier])) return null;
+
+  const label = getKeyLabel(key, layout);
+  let code = VIRTUAL_KEYS[key];
+  if (/^[A-Z]$/.test(label)) code = label.charCodeAt(0);
+  // A letter key printing punctuation ("KeyM" is "," on AZERTY) sends that punctuation key
+  else if (/^Key[A-Z]$/.test(key)) code = VIRTUAL_KEYS[Object.keys(PUNCTUATION_KEYS).find(name => PUNCTUATION_KEYS[name] === label)];
+  else if (/^Digit[0-9]$/.test(key)) code = 0x30 + Number(key.slice(5));
+  else if (/^Numpad[0-9]$/.test(key)) code = 0x60 + Number(key.slice(6));
+  else if (/^F[0-9]+$/.test(key)) code = 0x6F + Number(key.slice(1));
+
+  return code ? { modifiers: modifiers.map(modifier => MODIFIER_VIRTUAL_KEYS[modifier]), key: code } : null;
+}
+
+/**
+ * Get the Windows virtual-key code of a modifier
+ * @param {string} modifier - Modifier name ("Ctrl", "Control", "Alt"...)
+ * @returns {number|null} Virtual-key code, null when unknown
+ */
+function getModifierVirtualKey(modifier) {
+  return MODIFIER_VIRTUAL_KEYS[MODIFIER_NAMES[String(modifier).toLowerCase()]] || null;
+}
+
+/**
+ * Convert a shortcut recorded by an older release (key labels read from
+ * KeyboardEvent.key on the given layout) to key codes
+ * @param {string} shortcut - Stored shortcut
+ * @param {string} layout - Layout the shortcut was recorded with
+ * @returns {string} Shortcut with a key code, unchanged when already migrated or unknown
+ */
+function fromLegacyShortcut(shortcut, layout) {
+  if (!shortcut) return shortcut;
+
+  const { modifiers, key } = splitShortcut(shortcut);
+  if (!key || isKeyCode(key)) {
+    return [...modifiers, key].filter(Boolean).join('+');
+  }
+
+  const code = findCodeForLabel(key, resolveLayout(layout));
+  return [...modifiers, code || key].join('+');
+}
+
+/**
+ * Find the physical key a legacy key name was recorded from
+ * @param {string} key - Legacy key name
+ * @param {string} layout - Layout name
+ * @returns {string|null} Key code or null
+ * @private
+ */
+function findCodeForLabel(key, layout) {
+  const upper = key.toUpperCase();
+
+  const digitRowIndex = (DIGIT_ROW_CHARACTERS[layout] || []).indexOf(upper);
+  if (digitRowIndex !== -1) return `Digit${digitRowIndex}`;
+  if (/^[0-9]$/.test(key)) return `Digit${key}`;
+  if (/^NUM[0-9]$/.test(upper)) return `Numpad${upper.slice(3)}`;
+  if (/^F([1-9]|1[0-9]|2[0-4])$/.test(upper)) return upper;
+
+  const named = Object.keys(NAMED_KEYS).find(code => NAMED_KEYS[code].toUpperCase() === upper || code.toUpperCase() === upper);
+  if (named) return named;
+
+  const labels = LAYOUT_LABELS[layout];
+  const relabeled = Object.keys(labels).find(code => labels[code].toUpperCase() === upper);
+  if (relabeled) return relabeled;
+
+  if (/^[A-Z]$/.test(upper) && !labels[`Key${upper}`]) return `Key${upper}`;
+  return Object.keys(PUNCTUATION_KEYS).find(code => PUNCTUATION_KEYS[code] === key && !labels[code]) || null;
+}
+
+module.exports = {
+  resolveLayout,
+  isKeyCode,
+  getKeyLabel,
+  getAcceleratorKey,
+  fromKeyboardEvent,
+  toDisplay,
+  toAccelerator,
+  toVirtualKeys,
+  getModifierVirtualKey,
+  fromLegacyShortcut
+};
@@ -0,0 +1,165 @@
+/**
+ * ShortcutConflicts - Reports the state of every configured shortcut and plans fixes
+ *
+ * A configured shortcut is:
+ * - registered: Dorganize holds its keys
+ * - inactive: it is not meant to be registered now (character not detected, shortcuts disabled)
+ * - shadowed: another Dorganize shortcut holds its keys
+ * - refused: nothing in Dorganize holds its keys, yet registering failed (another
+ *   application or the system owns them)
+ * - duplicated: another character is configured with the same keys
+ *
+ * Shortcuts are compared by the keys they register with on the selected layout,
+ * so "Ctrl+KeyQ" and a legacy "Ctrl+A" are the same shortcut on AZERTY.
+ */
+const ShortcutUtils = require('./ShortcutUtils');
+const KeyboardLayouts = require('./KeyboardLayouts');
+const AutoKeyPatterns = require('./AutoKeyPatterns');
+const { SHORTCUTS } = require('./Constants');
+
+const { CONFLICT_STATUSES: STATUSES, CONFLICT_FIXES: FIXES } = SHORTCUTS;
+
+class ShortcutConflicts {
+  /**
+   * Get the key a shortcut is compared by
+   * @param {string} shortcut - Stored shortcut or registered accelerator
+   * @param {string} layout - Keyboard layout
+   * @returns {string} Comparison key, empty without shortcut
+   */
+  static getComparisonKey(shortcut, layout) {
+    if (!shortcut) return '';
+
+    const accelerator = KeyboardLayouts.toAccelerator(shortcut, layout);
+    return ShortcutUtils.normalizeShortcut(accelerator) || accelerator.toLowerCase();
+  }
+
+  /**
+   * Analyze configured shortcuts against what is registered
+   * @param {Array} entries - [{ id, kind: 'global'|'character', name, label, shortcut, active }]
+   * @param {Array} registered - [{ id, accelerator }] shortcuts Dorganize holds
+   * @param {Object} options - { layout, candidates: shortcuts offered when reassigning }
+   * @returns {Object} { entries: [{ ...entry, status, conflictsWith, fixes, suggestion }], counts, conflictCount }
+   */
+  static analyze(entries = [], registered = [], options = {}) {
+    const keyOf = shortcut => this.getComparisonKey(shortcut, options.layout);
+
+    const holders = new Map();
+    registered.forEach(({ id, accelerator }) => {
+      const key = keyOf(accelerator);
+      if (key && !holders.has(key)) {
+        holders.set(key, id);
+      }
+    });
+
+    const keyed = entries
+      .filter(entry => entry.shortcut)
+      .map(entry => ({ ...entry, key: keyOf(entry.shortcut) }));
+
+    const analyzed = keyed.map(entry => {
+      const holder = holders.get(entry.key);
+      const duplicates = entry.kind === 'character'
+        ? keyed.filter(other => other.kind === 'character' && other.id !== entry.id && other.key === entry.key)
+        : [];
+
+      let status;
+      let conflictsWith = [];
+      if (duplicates.length > 0) {
+        status = STATUSES.DUPLICATED;
+        conflictsWith = duplicates.map(other => other.id);
+      } else if (holder === entry.id) {
+        status = STATUSES.REGISTERED;
+      } else if (!entry.active) {
+        status = STATUSES.INACTIVE;
+      } else if (holder) {
+        status = STATUSES.SHADOWED;
+        conflictsWith = [holder];
+      } else {
+        status = STATUSES.REFUSED;
+      }
+
+      return { ...entry, status, conflictsWith };
+    });
+
+    this.addSuggestions(analyzed, options.candidates || this.getDefaultCandidates(), keyOf);
+
+    const counts = {};
+    Object.values(STATUSES).forEach(status => {
+      counts[status] = analyzed.filter(entry => entry.status === status).length;
+    });
+
+    analyzed.forEach(entry => delete entry.key);
+
+    return {
+      entries: analyzed,
+      counts,
+      conflictCount: counts[STATUSES.SHADOWED] + counts[STATUSES.REFUSED] + counts[STATUSES.DUPLICATED]
+    };
+  }
+
+  /**
+   * Give each conflicting shortcut a free shortcut and list the fixes it offers
+   * @param {Array} analyzed - Analyzed entries, with their comparison key
+   * @param {Array<string>} candidates - Shortcuts that may be offered, in order
+   * @param {Function} keyOf - Comparison key of a shortcut
+   * @private
+   */
+  static addSuggestions(analyzed, candidates, keyOf) {
+    const conflicting = [STATUSES.SHADOWED, STATUSES.REFUSED, STATUSES.DUPLICATED];
+    const taken = new Set(analyzed.map(entry => entry.key));
+    const free = candidates.filter(candidate => !taken.has(keyOf(candidate)));
+
+    analyzed.forEach(entry => {
+      entry.fixes = [];
+      entry.suggestion = null;
+      if (!conflicting.includes(entry.status)) return;
+
+      entry.suggestion = free.shift() || null;
+      if (entry.suggestion) {
+        entry.fixes.push(FIXES.REASSIGN);
+      }
+      // The other shortcut moves to the free keys; the refused one has nobody to swap with
+      if (entry.suggestion && entry.conflictsWith.length === 1) {
+        entry.fixes.push(FIXES.SWAP);
+      }
+      entry.fixes.push(FIXES.DROP);
+    });
+  }
+
+  /**
+   * Get the shortcuts offered when reassigning
+   * @returns {Array<string>} Shortcuts
+   */
+  static getDefaultCandidates() {
+    return SHORTCUTS.REASSIGN_TEMPLATES.reduce((candidates, template) =>
+      candidates.concat(AutoKeyPatterns.expandTemplate(template)), []);
+  }
+
+  /**
+   * Plan the changes a fix makes
+   * @param {Object} analysis - Result of analyze()
+   * @param {string} id - Entry to fix
+   * @param {string} fix - One of SHORTCUTS.CONFLICT_FIXES
+   * @returns {Array} [{ id, shortcut }] new shortcut of each changed entry, null to remove it
+   */
+  static planFix(analysis, id, fix) {
+    const entry = (analysis.entries || []).find(candidate => candidate.id === id);
+    if (!entry) {
+      throw new Error(`Unknown shortcut: ${id}`);
+    }
+    if (!entry.fixes.includes(fix)) {
+      throw new Error(`Fix "${fix}" is not available for ${id}`);
+    }
+
+    switch (fix) {
+    case FIXES.REASSIGN:
+      return [{ id, shortcut: entry.suggestion }];
+    case FIXES.SWAP:
+      // This shortcut keeps its keys, the one holding them takes the free keys
+      return [{ id: entry.conflictsWith[0], shortcut: entry.suggestion }];
+    default:
+      return [{ id, shortcut: null }];
+    }
+  }
+}
+
+module.exports = ShortcutConflicts;
@@ -73,6 +73,25 @@ class ShortcutUtils {
         }
     }
 
+    /**
+     * Normalize a shortcut for comparison: lowercase, modifier aliases resolved
+     * and modifiers sorted, so "Alt+Ctrl+1" and "Control+Alt+1" compare equal
+     * @param {string} shortcut - The shortcut to normalize
+     * @returns {string} - Normalized shortcut, or an empty string when invalid
+     */
+    static normalizeShortcut(shortcut) {
+        if (typeof shortcut !== 'string') return '';
+
+        const aliases = { control: 'ctrl', commandorcontrol: 'ctrl', option: 'alt' };
+        const parts = shortcut.split('+')
+            .map(part => part.trim().toLowerCase())
+            .map(part => aliases[part] || part);
+
+        const key = parts.pop();
+        const normalized = [...parts.sort(), key].join('+');
+        return this.validateShortcut(normalized) ? normalized : '';
+    }
+
     /**
      * Parse a shortcut string into its components
      * @param {string} shortcut - The shortcut to parse
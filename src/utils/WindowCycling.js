@@ -0,0 +1,106 @@
+/**
+ * WindowCycling - Picks the window a navigation shortcut moves to
+ *
+ * Every function takes the enabled windows in initiative order and the handle
+ * of the focused window, so it works on plain window objects and is easy to test.
+ * Groups are named lists of classes (WINDOW_CYCLING.CLASS_GROUPS by default)
+ * and character tags.
+ */
+const { WINDOW_CYCLING } = require('./Constants');
+const CharacterTags = require('./CharacterTags');
+
+/**
+ * Find the position of the focused window
+ * @param {Array} windows - Enabled windows in initiative order
+ * @param {*} activeHandle - Handle of the focused window
+ * @returns {number} Index, -1 when no listed window is focused
+ */
+function getActiveIndex(windows, activeHandle) {
+  const byHandle = windows.findIndex(w => activeHandle !== undefined && activeHandle !== null && w.handle === activeHandle);
+  return byHandle !== -1 ? byHandle : windows.findIndex(w => w.isActive);
+}
+
+/**
+ * Get the window before or after the focused one, wrapping around
+ * @param {Array} windows - Enabled windows in initiative order
+ * @param {*} activeHandle - Handle of the focused window
+ * @param {number} step - 1 for the next window, -1 for the previous one
+ * @returns {Object|null} Window to focus
+ */
+function getAdjacentWindow(windows, activeHandle, step = 1) {
+  if (windows.length === 0) return null;
+
+  const activeIndex = getActiveIndex(windows, activeHandle);
+  // Without a focused window, next starts at the first window and previous at the last
+  const start = activeIndex === -1 ? (step > 0 ? -1 : 0) : activeIndex;
+  return windows[(start + step + windows.length) % windows.length];
+}
+
+/**
+ * Get the window with the highest initiative
+ * @param {Array} windows - Enabled windows
+ * @returns {Object|null} Initiative leader, the first one on a tie
+ */
+function getInitiativeLeader(windows) {
+  return windows.reduce((leader, window) =>
+    (!leader || (window.initiative || 0) > (leader.initiative || 0) ? window : leader), null);
+}
+
+/**
+ * Get the windows of a named group, keeping their order
+ * A window belongs to a group through its class or through a tag of the same name.
+ * @param {Array} windows - Enabled windows in initiative order
+ * @param {string} groupName - Group name
+ * @param {Object} groups - { [name]: classes }
+ * @returns {Array} Windows of the group
+ */
+function getGroupWindows(windows, groupName, groups = WINDOW_CYCLING.CLASS_GROUPS) {
+  const classes = groups[groupName] || [];
+  return windows.filter(w => classes.includes(String(w.dofusClass || '').toLowerCase()) ||
+    CharacterTags.includesTag(w.tags, groupName));
+}
+
+/**
+ * Get the next window of a group, starting over after the last one
+ * @param {Array} windows - Enabled windows in initiative order
+ * @param {*} activeHandle - Handle of the focused window
+ * @param {string} groupName - Group name
+ * @param {Object} groups - { [name]: classes }
+ * @returns {Object|null} Window to focus
+ */
+function getNextGroupWindow(windows, activeHandle, groupName, groups = WINDOW_CYCLING.CLASS_GROUPS) {
+  return getAdjacentWindow(getGroupWindows(windows, groupName, groups), activeHandle, 1);
+}
+
+/**
+ * Put a handle first in a focus history
+ * @param {Array} history - Handles, most recently focused first
+ * @param {*} handle - Handle of the window focused now
+ * @param {number} size - Maximum number of handles kept
+ * @returns {Array} New history
+ */
+function recordFocus(history, handle, size = WINDOW_CYCLING.FOCUS_HISTORY_SIZE) {
+  if (handle === undefined || handle === null || handle === '') return history;
+  return [handle, ...history.filter(h => h !== handle)].slice(0, size);
+}
+
+/**
+ * Get the window focused before the current one (alt-tab style)
+ * @param {Array} windows - Enabled windows
+ * @param {Array} history - Handles, most recently focused first
+ * @returns {Object|null} Window to focus
+ */
+function getLastFocusedWindow(windows, history) {
+  const previous = history.slice(1).find(handle => windows.some(w => w.handle === handle));
+  return windows.find(w => w.handle === previous) || null;
+}
+
+module.exports = {
+  getActiveIndex,
+  getAdjacentWindow,
+  getInitiativeLeader,
+  getGroupWindows,
+  getNextGroupWindow,
+  recordFocus,
+  getLastFocusedWindow
+};
@@ -0,0 +1,71 @@
+/**
+ * Tests for the auto key pattern generator
+ */
+jest.mock('../src/utils/Logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const AutoKeyPatterns = require('../src/utils/AutoKeyPatterns');
+
+const createWindows = count => Array.from({ length: count }, (_, i) => ({
+    id: `character${i}_iop_${i}`,
+    initiative: i * 10
+}));
+
+describe('AutoKeyPatterns', () => {
+    test('should give out the keys of each preset', () => {
+        expect(AutoKeyPatterns.getKeySequence('numbers')).toEqual(['Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0']);
+        expect(AutoKeyPatterns.getKeySequence('function')).toHaveLength(12);
+        expect(AutoKeyPatterns.getKeySequence('numpad').slice(0, 2)).toEqual(['Numpad1', 'Numpad2']);
+        expect(AutoKeyPatterns.getKeySequence('azertyui')).toEqual(['KeyQ', 'KeyW', 'KeyE', 'KeyR', 'KeyT', 'KeyY', 'KeyU', 'KeyI']);
+        expect(AutoKeyPatterns.getKeySequence('qwerty')).toEqual([]);
+    });
+
+    test('should expand number, function key and letter templates', () => {
+        expect(AutoKeyPatterns.getKeySequence('custom', 'Ctrl+Alt+{n}').slice(8)).toEqual(['Ctrl+Alt+Digit9', 'Ctrl+Alt+Digit0']);
+        expect(AutoKeyPatterns.expandTemplate('Alt+F{n}')).toHaveLength(12);
+        expect(AutoKeyPatterns.expandTemplate('Alt+F{n}')[11]).toBe('Alt+F12');
+        expect(AutoKeyPatterns.expandTemplate('Alt+num{n}')[0]).toBe('Alt+Numpad1');
+        expect(AutoKeyPatterns.expandTemplate('Shift+{letter}').slice(0, 3)).toEqual(['Shift+KeyQ', 'Shift+KeyW', 'Shift+KeyE']);
+    });
+
+    test('should reject templates without exactly one placeholder or without modifier', () => {
+        expect(AutoKeyPatterns.validateTemplate('Ctrl+Alt+{n}').isValid).toBe(true);
+        expect(AutoKeyPatterns.validateTemplate('Ctrl+Alt').errors).toEqual(['template must contain exactly one {n} or {letter} placeholder']);
+        expect(AutoKeyPatterns.validateTemplate('{n}+{letter}').isValid).toBe(false);
+        expect(AutoKeyPatterns.validateTemplate('Q+{n}').errors).toEqual(['template does not produce a valid shortcut']);
+        expect(AutoKeyPatterns.expandTemplate('Ctrl+Alt')).toEqual([]);
+    });
+
+    test('should assign keys in initiative order and report overflow', () => {
+        const result = AutoKeyPatterns.generate(createWindows(10), { pattern: 'azertyui' });
+
+        expect(result.assignments[0]).toMatchObject({ window: { initiative: 90 }, position: 1, shortcut: 'KeyQ', overflow: false });
+        expect(result.assignments[7].shortcut).toBe('KeyI');
+        expect(result.assignments.slice(8).map(assignment => assignment.shortcut)).toEqual([null, null]);
+        expect(result.overflowCount).toBe(2);
+    });
+
+    test('should skip keys already taken by global shortcuts', () => {
+        const result = AutoKeyPatterns.generate(createWindows(3), {
+            pattern: 'custom',
+            customPattern: 'Ctrl+{n}',
+            reserved: ['Control+2', 'Ctrl+Tab']
+        });
+
+        expect(result.assignments.map(assignment => assignment.shortcut)).toEqual(['Ctrl+Digit1', 'Ctrl+Digit3', 'Ctrl+Digit4']);
+        expect(result.collisions).toEqual(['Ctrl+Digit2']);
+        expect(result.overflowCount).toBe(0);
+    });
+
+    test('should keep the detection order of windows with equal initiative', () => {
+        const windows = [{ id: 'a', initiative: 5 }, { id: 'b', initiative: 5 }, { id: 'c', initiative: 7 }];
+
+        expect(AutoKeyPatterns.sortByInitiative(windows).map(window => window.id)).toEqual(['c', 'a', 'b']);
+    });
+});
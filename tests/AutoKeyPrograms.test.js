@@ -0,0 +1,62 @@
+/**
+ * Tests for the per-window auto key programs
+ */
+jest.mock('../src/utils/Logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const AutoKeyPrograms = require('../src/utils/AutoKeyPrograms');
+
+describe('AutoKeyPrograms', () => {
+    test('should normalize valid programs', () => {
+        expect(AutoKeyPrograms.validateProgram({ steps: [{ key: ' F1 ', delayMs: '1000.4' }, { key: 'Shift+KeyQ', delayMs: 100 }] })).toEqual({
+            isValid: true,
+            errors: [],
+            program: { steps: [{ key: 'F1', delayMs: 1000 }, { key: 'Shift+KeyQ', delayMs: 100 }], jitterMs: 0, enabled: true }
+        });
+        expect(AutoKeyPrograms.validateProgram({ steps: [{ key: 'Space', delayMs: 60000 }], jitterMs: 5000, enabled: false }).program)
+            .toEqual({ steps: [{ key: 'Space', delayMs: 60000 }], jitterMs: 5000, enabled: false });
+    });
+
+    test('should report every invalid step, delay and jitter', () => {
+        expect(AutoKeyPrograms.validateProgram(null).errors).toEqual(['program needs at least one step']);
+        expect(AutoKeyPrograms.validateProgram({ steps: [{ key: '', delayMs: 1000 }, { key: 'Tab+KeyQ', delayMs: 'soon' }], jitterMs: -1 }).errors).toEqual([
+            'step 1: invalid key ""',
+            'step 2: invalid key "Tab+KeyQ"',
+            'step 2: delay must be between 100 and 60000 ms',
+            'jitter must be between 0 and 5000 ms'
+        ]);
+
+        const steps = Array.from({ length: 21 }, () => ({ key: 'F1', delayMs: 1000 }));
+        expect(AutoKeyPrograms.validateProgram({ steps }).errors).toEqual(['program has more than 20 steps']);
+    });
+
+    test('should add up to the jitter to the step delay', () => {
+        expect(AutoKeyPrograms.getDelay({ delayMs: 1000 })).toBe(1000);
+        expect(AutoKeyPrograms.getDelay({ delayMs: 1000 }, 300, () => 0)).toBe(1000);
+        expect(AutoKeyPrograms.getDelay({ delayMs: 1000 }, 300, () => 0.5)).toBe(1150);
+    });
+
+    test('should preview programs taking turns across windows', () => {
+        const preview = AutoKeyPrograms.preview([
+            { windowId: 'a', name: 'Leader', program: { steps: [{ key: 'F1', delayMs: 500 }, { key: 'F2', delayMs: 1000 }], jitterMs: 200 } },
+            { windowId: 'b', name: 'Empty', program: { steps: [] } },
+            { windowId: 'c', name: 'Healer', program: { steps: [{ key: 'Space', delayMs: 300 }], jitterMs: 0 } }
+        ], 5);
+
+        expect(preview.map(press => [press.name, press.key, press.atMs])).toEqual([
+            ['Leader', 'F1', 0],
+            ['Healer', 'Space', 500],
+            ['Leader', 'F2', 800],
+            ['Healer', 'Space', 1800],
+            ['Leader', 'F1', 2100]
+        ]);
+        expect(preview[0]).toEqual(expect.objectContaining({ order: 1, step: 1, stepCount: 2, delayMs: 500, maxDelayMs: 700 }));
+        expect(AutoKeyPrograms.preview([])).toEqual([]);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for the main-process auto key repeat, window programs and their safety stops
+ */
+const AutoKeyScheduler = require('../src/services/AutoKeyScheduler');
+const InputSafetyMonitor = require('../src/services/InputSafetyMonitor');
+const { MockInputBackend } = require('../src/services/WindowManagerWindows/InputBackend');
+
+describe('AutoKeyScheduler', () => {
+    let backend;
+    let windows;
+    let onChange;
+
+    const createScheduler = (safetyMonitor, random) => new AutoKeyScheduler({
+        backend,
+        safetyMonitor,
+        onChange,
+        random,
+        getWindows: () => windows
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        backend = new MockInputBackend(['101', '102']);
+        windows = [
+            { id: 'leader_iop_1', handle: '101', character: 'Leader', enabled: true },
+            { id: 'healer_eniripsa_2', handle: '102', character: 'Healer', customName: 'Heals', enabled: true },
+            { id: 'mule_enutrof_3', handle: '103', character: 'Mule', enabled: false }
+        ];
+        onChange = jest.fn();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should press the key in the window at each interval until stopped', async () => {
+        const scheduler = createScheduler();
+
+        const result = scheduler.start({ key: 'F1', intervalMs: 500, windowId: 'healer_eniripsa_2' }, 'AZERTY');
+        expect(result).toEqual(expect.objectContaining({ success: true, error: null }));
+        expect(result.status).toEqual(expect.objectContaining({ running: true, key: 'F1', intervalMs: 500, windowName: 'Heals', keyCount: 0 }));
+
+        await jest.advanceTimersByTimeAsync(1600);
+        expect(backend.calls).toHaveLength(3);
+        expect(backend.calls[0]).toEqual({ command: 'send', handle: 102, keys: [{ modifiers: [], key: 0x70 }], releaseModifiers: [] });
+
+        expect(scheduler.stop()).toEqual(expect.objectContaining({ running: false, keyCount: 3, stoppedReason: 'stopped' }));
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(backend.calls).toHaveLength(3);
+        expect(onChange).toHaveBeenCalledTimes(5);
+    });
+
+    test('should refuse invalid keys, intervals and windows', () => {
+        const scheduler = createScheduler();
+        const start = options => scheduler.start({ key: 'Enter', intervalMs: 1000, windowId: 'leader_iop_1', ...options }, 'QWERTY');
+
+        expect(start({ key: '' }).error).toBe('Invalid key: none');
+        expect(start({ key: 'KeyQ+KeyW' }).success).toBe(false);
+        expect(start({ intervalMs: 50 }).error).toBe('Interval must be between 100 and 60000 ms');
+        expect(start({ windowId: 'mule_enutrof_3' }).error).toBe('No enabled window to send the key to');
+        expect(scheduler.isRunning()).toBe(false);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('should stop when the window is gone or keeps refusing keys', async () => {
+        const scheduler = createScheduler();
+
+        scheduler.start({ key: 'Space', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY');
+        await jest.advanceTimersByTimeAsync(100);
+        windows = windows.slice(1);
+        await jest.advanceTimersByTimeAsync(100);
+        expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: false, keyCount: 1, stoppedReason: 'window-lost' }));
+
+        backend.removeWindow('102');
+        scheduler.start({ key: 'Space', intervalMs: 100, windowId: 'healer_eniripsa_2' }, 'QWERTY');
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: false, failedCount: 3, stoppedReason: 'send-failed' }));
+        expect(backend.calls).toHaveLength(4);
+    });
+
+    test('should stop at the shared rate limit and on the emergency stop', async () => {
+        const safetyMonitor = new InputSafetyMonitor({ maxKeysPerMinute: 2, resetDelay: 5000 });
+        const scheduler = createScheduler(safetyMonitor);
+
+        scheduler.start({ key: 'F2', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY');
+        await jest.advanceTimersByTimeAsync(500);
+        expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: false, keyCount: 2, stoppedReason: 'rate-limit' }));
+
+        jest.advanceTimersByTime(60000);
+        scheduler.start({ key: 'F2', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY');
+        expect(scheduler.emergencyStop()).toEqual(expect.objectContaining({ running: false, stoppedReason: 'emergency-stop' }));
+        expect(scheduler.start({ key: 'F2', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY').error).toBe('Emergency stop is active');
+
+        jest.advanceTimersByTime(5000);
+        expect(scheduler.start({ key: 'F2', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY').success).toBe(true);
+        scheduler.cleanup();
+        safetyMonitor.cleanup();
+    });
+
+    test('should run window programs round-robin with their delays and jitter', async () => {
+        const scheduler = createScheduler(undefined, () => 0.5);
+
+        const result = scheduler.startPrograms([
+            { windowId: 'leader_iop_1', steps: [{ key: 'F1', delayMs: 500 }, { key: 'F2', delayMs: 500 }], jitterMs: 200 },
+            { windowId: 'mule_enutrof_3', steps: [{ key: 'F3', delayMs: 100 }] },
+            { windowId: 'healer_eniripsa_2', steps: [{ key: 'Space', delayMs: 'later' }] },
+            { windowId: 'healer_eniripsa_2', steps: [{ key: 'Space', delayMs: 300 }] }
+        ], 'QWERTY');
+        expect(result.status).toEqual(expect.objectContaining({ running: true, mode: 'programs', windowIds: ['leader_iop_1', 'healer_eniripsa_2'] }));
+
+        // Leader at 0 waits 500 + 100 jitter, Healer at 600 waits 300, Leader again at 900
+        await jest.advanceTimersByTimeAsync(0);
+        await jest.advanceTimersByTimeAsync(900);
+        expect(backend.calls.map(call => [call.handle, call.keys[0].key])).toEqual([[101, 0x70], [102, 0x20], [101, 0x71]]);
+        expect(scheduler.getStatus().targets).toEqual([
+            { windowId: 'leader_iop_1', windowName: 'Leader', step: 1, stepCount: 2 },
+            { windowId: 'healer_eniripsa_2', windowName: 'Heals', step: 1, stepCount: 1 }
+        ]);
+
+        // The others keep their turns once a window is gone
+        windows = windows.slice(1);
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: true, windowIds: ['healer_eniripsa_2'], keyCount: 5 }));
+        scheduler.stop();
+
+        expect(scheduler.startPrograms([{ windowId: 'mule_enutrof_3', steps: [{ key: 'F3', delayMs: 100 }] }], 'QWERTY').error)
+            .toBe('No enabled window has a program to run');
+    });
+
+    test('should not schedule twice when restarted while a key is being sent', async () => {
+        const scheduler = createScheduler();
+        let release;
+        backend.sendKeys = jest.fn(() => new Promise(resolve => { release = resolve; }));
+
+        scheduler.start({ key: 'F1', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY');
+        await jest.advanceTimersByTimeAsync(100);
+        scheduler.start({ key: 'F3', intervalMs: 100, windowId: 'leader_iop_1' }, 'QWERTY');
+        release(true);
+        await jest.advanceTimersByTimeAsync(0);
+
+        expect(scheduler.getStatus()).toEqual(expect.objectContaining({ running: true, key: 'F3', keyCount: 0 }));
+        expect(jest.getTimerCount()).toBe(1);
+        scheduler.cleanup();
+    });
+});
@@ -0,0 +1,178 @@
+/**
+ * Tests for character identities and the migration of process-specific state
+ */
+const {
+    generateCharacterId,
+    generateWindowId,
+    getLegacyCharacterKey,
+    migrateLegacyEntries
+} = require('../src/services/WindowManagerWindows/CharacterIdentity');
+const WindowParser = require('../src/services/WindowManagerWindows/WindowParser');
+const WindowStateManager = require('../src/services/WindowManagerWindows/WindowStateManager');
+
+const createStore = (data = {}) => {
+    const values = JSON.parse(JSON.stringify(data));
+    return {
+        values,
+        has: key => values[key] !== undefined,
+        get: jest.fn((key, defaultValue) => (values[key] !== undefined ? values[key] : defaultValue)),
+        set: jest.fn((key, value) => { values[key] = value; })
+    };
+};
+
+describe('CharacterIdentity', () => {
+    test('should key characters by name and class, and server when known', () => {
+        expect(generateCharacterId('Mélusine', 'eniripsa')).toBe('mlusine_eniripsa');
+        expect(generateCharacterId('Leader', 'iop', 'Draconiros')).toBe('leader_iop@draconiros');
+        expect(generateCharacterId('', 'iop')).toBeNull();
+        expect(generateWindowId('Leader', 'iop', 1234)).toBe('leader_iop_1234');
+    });
+
+    test('should only recognize process-specific window IDs as legacy keys', () => {
+        expect(getLegacyCharacterKey('leader_iop_1234')).toBe('leader_iop');
+        expect(getLegacyCharacterKey('leader_iop')).toBeNull();
+        expect(getLegacyCharacterKey('leader_iop@draconiros')).toBeNull();
+        expect(getLegacyCharacterKey('nextWindow')).toBeNull();
+    });
+
+    test('should move legacy entries to their character key', () => {
+        const store = createStore({
+            initiatives: { leader_iop_1234: 120, leader_iop_5678: 150, healer_eniripsa_42: 90 },
+            customNames: { leader_iop_1234: 'Old name', leader_iop: 'Kept name' },
+            classes: {},
+            enabledWindows: { healer_eniripsa_42: false }
+        });
+
+        const result = migrateLegacyEntries(store);
+
+        expect(store.values.initiatives).toEqual({ leader_iop: 150, healer_eniripsa: 90 });
+        expect(store.values.customNames).toEqual({ leader_iop: 'Kept name' });
+        expect(store.values.enabledWindows).toEqual({ healer_eniripsa: false });
+        expect(result).toEqual({ migrated: 3, dropped: 2 });
+        expect(store.set).not.toHaveBeenCalledWith('classes', expect.anything());
+    });
+
+    test('should keep the legacy entry created last, whatever its process ID', () => {
+        const store = createStore({ initiatives: { leader_iop_5678: 150, leader_iop_1234: 120 } });
+
+        migrateLegacyEntries(store);
+
+        expect(store.values.initiatives).toEqual({ leader_iop: 120 });
+    });
+
+    test('should leave migrated stores untouched', () => {
+        const store = createStore({ initiatives: { leader_iop: 150 } });
+
+        expect(migrateLegacyEntries(store)).toEqual({ migrated: 0, dropped: 0 });
+        expect(store.set).not.toHaveBeenCalled();
+    });
+});
+
+describe('WindowStateManager character state', () => {
+    let logSpy;
+    let stateManager;
+
+    const rawWindow = (processId, title = 'Leader - Iop - 3.0.1 - Release') => ({
+        Handle: processId * 10,
+        Title: title,
+        ProcessId: processId,
+        ClassName: 'UnityWndClass'
+    });
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        stateManager = new WindowStateManager();
+        const values = {
+            initiatives: { leader_iop_1234: 150 },
+            customNames: { leader_iop_1234: 'Chef' },
+            classes: {},
+            enabledWindows: { leader_iop_1234: false }
+        };
+        stateManager.store = createStore(values);
+        stateManager.initializeStorage();
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    test('should restore migrated state for a restarted client', () => {
+        const window = stateManager.processWindow(rawWindow(9999));
+
+        expect(window).toMatchObject({
+            id: 'leader_iop_9999',
+            characterId: 'leader_iop',
+            initiative: 150,
+            customName: 'Chef',
+            enabled: false
+        });
+    });
+
+    test('should save state under the character identity', () => {
+        const window = stateManager.processWindow(rawWindow(1));
+        stateManager.saveWindowState(window.id, { initiative: 200, customName: 'Boss' });
+
+        expect(stateManager.store.values.initiatives).toEqual({ leader_iop: 200 });
+        expect(stateManager.store.values.customNames).toEqual({ leader_iop: 'Boss' });
+        expect(stateManager.processWindow(rawWindow(2)).initiative).toBe(200);
+    });
+
+    test('should persist tags with the other character state', () => {
+        const window = stateManager.processWindow(rawWindow(1));
+        expect(window.tags).toEqual([]);
+
+        stateManager.updateTags(window.id, 'team A, mules, Team a');
+        expect(stateManager.store.values.tags).toEqual({ leader_iop: ['team A', 'mules'] });
+        expect(stateManager.processWindow(rawWindow(2)).tags).toEqual(['team A', 'mules']);
+
+        stateManager.store.values.tags.leader_iop = ['healers'];
+        expect(stateManager.reloadStoredState()[0].tags).toEqual(['healers']);
+    });
+
+    test('should use the server entered for a character unless the title tells it', () => {
+        const window = stateManager.processWindow(rawWindow(1));
+        expect(window).toMatchObject({ server: null, serverFromTitle: false });
+
+        stateManager.updateServer(window.id, '  Draconiros ');
+        expect(stateManager.store.values.servers).toEqual({ leader_iop: 'Draconiros' });
+        expect(stateManager.processWindow(rawWindow(2)).server).toBe('Draconiros');
+
+        stateManager.store.values.servers.leader_iop = 'Imagiro';
+        expect(stateManager.reloadStoredState()[0].server).toBe('Imagiro');
+
+        const parseSpy = jest.spyOn(WindowParser.prototype, 'parseWindowTitle').mockReturnValue({
+            character: 'Leader',
+            dofusClass: 'iop',
+            server: 'Tylezia',
+            version: null,
+            gameVariant: 'dofus3',
+            isValid: true
+        });
+        const titled = stateManager.processWindow(rawWindow(3));
+        parseSpy.mockRestore();
+
+        expect(titled).toMatchObject({ server: 'Tylezia', serverFromTitle: true });
+        expect(stateManager.updateServer(titled.id, 'Imagiro')).resolves.toBe(false);
+        expect(stateManager.reloadStoredState().find(w => w.id === titled.id).server).toBe('Tylezia');
+    });
+
+    test('should fall back to the character key when the server becomes known', () => {
+        const parseSpy = jest.spyOn(WindowParser.prototype, 'parseWindowTitle').mockReturnValue({
+            character: 'Leader',
+            dofusClass: 'iop',
+            server: 'Draconiros',
+            version: null,
+            gameVariant: 'dofus3',
+            isValid: true
+        });
+
+        try {
+            expect(stateManager.processWindow(rawWindow(3))).toMatchObject({
+                characterId: 'leader_iop@draconiros',
+                initiative: 150
+            });
+        } finally {
+            parseSpy.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,31 @@
+/**
+ * Tests for character tags
+ */
+const CharacterTags = require('../src/utils/CharacterTags');
+const { CHARACTER_TAGS } = require('../src/utils/Constants');
+
+describe('CharacterTags', () => {
+    test('should parse typed tags into distinct clean names', () => {
+        expect(CharacterTags.parseTags(' team   A, mules,,Team a , "healers" ')).toEqual(['team A', 'mules', 'healers']);
+        expect(CharacterTags.parseTags(['mules', 'a,b'])).toEqual(['mules', 'a b']);
+        expect(CharacterTags.parseTags('')).toEqual([]);
+        expect(CharacterTags.parseTags(null)).toEqual([]);
+    });
+
+    test('should limit tag length and count', () => {
+        expect(CharacterTags.normalizeTag('x'.repeat(CHARACTER_TAGS.MAX_LENGTH + 5))).toHaveLength(CHARACTER_TAGS.MAX_LENGTH);
+
+        const many = Array.from({ length: CHARACTER_TAGS.MAX_PER_CHARACTER + 3 }, (_, i) => `tag ${i}`);
+        expect(CharacterTags.parseTags(many)).toHaveLength(CHARACTER_TAGS.MAX_PER_CHARACTER);
+    });
+
+    test('should match tags whatever their case and list them once', () => {
+        expect(CharacterTags.includesTag(['Team A'], 'team a')).toBe(true);
+        expect(CharacterTags.includesTag(['Team A'], '')).toBe(false);
+        expect(CharacterTags.includesTag(undefined, 'mules')).toBe(false);
+
+        expect(CharacterTags.getAllTags([['mules', 'Team A'], ['team a'], null, []])).toEqual(['mules', 'Team A']);
+        expect(CharacterTags.formatTags(['team A', 'mules'])).toBe('team A, mules');
+        expect(CharacterTags.formatTags(undefined)).toBe('');
+    });
+});
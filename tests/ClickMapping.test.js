@@ -0,0 +1,58 @@
+/**
+ * Tests for mapping a click on one window to the same spot of other windows
+ */
+const ClickMapping = require('../src/services/WindowManagerWindows/ClickMapping');
+
+// 1000x800 client areas under an 8px frame and a 31px title bar
+const leader = { id: 'leader', bounds: { X: 0, Y: 0, Width: 1016, Height: 839 } };
+const sameSize = { id: 'same', bounds: { X: 1016, Y: 0, Width: 1016, Height: 839 } };
+const halfSize = { id: 'half', bounds: { X: 0, Y: 839, Width: 516, Height: 439 } };
+const minimized = { id: 'minimized', bounds: { X: -32000, Y: -32000, Width: 160, Height: 28 } };
+const leaderClient = { x: 8, y: 31, width: 1000, height: 800 };
+
+describe('ClickMapping', () => {
+    test('should read window bounds and skip minimized or empty windows', () => {
+        expect(ClickMapping.toRect(leader.bounds)).toEqual({ x: 0, y: 0, width: 1016, height: 839 });
+        expect(ClickMapping.toRect({ x: 5, y: 6, width: 7, height: 8 })).toEqual({ x: 5, y: 6, width: 7, height: 8 });
+        expect(ClickMapping.toRect(minimized.bounds)).toBeNull();
+        expect(ClickMapping.toRect({ X: 0, Y: 0, Width: 0, Height: 600 })).toBeNull();
+        expect(ClickMapping.toRect(null)).toBeNull();
+    });
+
+    test('should measure the frame and derive client areas from bounds', () => {
+        const frame = ClickMapping.getFrame(ClickMapping.toRect(leader.bounds), leaderClient);
+
+        expect(frame).toEqual({ left: 8, top: 31, right: 8, bottom: 8 });
+        expect(ClickMapping.getClientRect(halfSize.bounds, frame)).toEqual({ x: 8, y: 870, width: 500, height: 400 });
+        expect(ClickMapping.getClientRect({ X: 0, Y: 0, Width: 10, Height: 10 }, frame)).toBeNull();
+    });
+
+    test('should convert between screen points and relative positions', () => {
+        expect(ClickMapping.toRelative({ x: 508, y: 231 }, leaderClient)).toEqual({ x: 0.5, y: 0.25 });
+        expect(ClickMapping.toRelative({ x: 4, y: 100 }, leaderClient)).toBeNull();
+        expect(ClickMapping.toRelative({ x: 1008, y: 100 }, leaderClient)).toBeNull();
+
+        expect(ClickMapping.fromRelative({ x: 0.5, y: 0.25 }, leaderClient)).toEqual({ x: 508, y: 231 });
+        expect(ClickMapping.fromRelative({ x: 0.99999, y: 0 }, leaderClient)).toEqual({ x: 1007, y: 31 });
+    });
+
+    test('should replay a click on the same relative spot of each target, scaled to its size', () => {
+        const click = { x: 508, y: 231, client: leaderClient };
+
+        expect(ClickMapping.mapClick(click, leader, [sameSize, halfSize, minimized])).toEqual([
+            { window: sameSize, x: 1524, y: 231 },
+            { window: halfSize, x: 258, y: 970 }
+        ]);
+    });
+
+    test('should fall back to the default frame when the client area is unknown', () => {
+        expect(ClickMapping.mapClick({ x: 508, y: 231 }, leader, [halfSize])).toEqual([
+            { window: halfSize, x: 258, y: 970 }
+        ]);
+    });
+
+    test('should not replay clicks on the title bar or the frame', () => {
+        expect(ClickMapping.mapClick({ x: 300, y: 10, client: leaderClient }, leader, [sameSize])).toEqual([]);
+        expect(ClickMapping.mapClick({ x: 300, y: 10 }, minimized, [sameSize])).toEqual([]);
+    });
+});
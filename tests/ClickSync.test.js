@@ -0,0 +1,92 @@
+/**
+ * Tests for replaying modifier clicks on the other game windows
+ */
+const ClickSync = require('../src/services/ClickSync');
+const InputSafetyMonitor = require('../src/services/InputSafetyMonitor');
+const { MockInputBackend } = require('../src/services/WindowManagerWindows/InputBackend');
+const { SimulatedClickSource } = require('../src/services/WindowManagerWindows/ClickSource');
+
+// 1000x800 client areas under an 8px frame and a 31px title bar
+const bounds = (X, Y, Width = 1016, Height = 839) => ({ X, Y, Width, Height });
+const windows = [
+    { id: 'leader_iop_1', handle: '101', character: 'Leader', dofusClass: 'iop', enabled: true, tags: ['team a'], bounds: bounds(0, 0) },
+    { id: 'healer_eniripsa_2', handle: '102', character: 'Healer', dofusClass: 'eniripsa', enabled: true, tags: [], bounds: bounds(1016, 0) },
+    { id: 'mule_enutrof_3', handle: '103', character: 'Mule', dofusClass: 'enutrof', enabled: false, tags: ['team a'], bounds: bounds(0, 839) },
+    { id: 'sacri_sacrieur_4', handle: '104', character: 'Sacri', dofusClass: 'sacrieur', enabled: true, tags: ['Team A'], bounds: bounds(1016, 839, 516, 439) }
+];
+const leaderClick = { button: 'left', x: 508, y: 231, handle: '101', modifiers: ['Alt'], client: { x: 8, y: 31, width: 1000, height: 800 } };
+
+describe('ClickSync', () => {
+    let backend;
+    let wait;
+
+    const createClickSync = (settings, safetyMonitor) => new ClickSync({ backend, wait, safetyMonitor, settings: { enabled: true, ...settings } });
+
+    beforeEach(() => {
+        backend = new MockInputBackend(['101', '102', '103', '104']);
+        wait = jest.fn(() => Promise.resolve());
+    });
+
+    test('should replay a click on the other enabled windows, scaled and without the modifier', async () => {
+        const clickSync = createClickSync();
+
+        const result = await clickSync.replay(leaderClick, windows, {});
+
+        expect(result).toEqual({ source: windows[0], replayed: 2, failed: 0, stopped: null });
+        expect(backend.calls).toEqual([
+            { command: 'click', handle: 102, x: 1524, y: 231, button: 'left', releaseModifiers: [0x12] },
+            { command: 'click', handle: 104, x: 1274, y: 970, button: 'left', releaseModifiers: [0x12] }
+        ]);
+        expect(wait).toHaveBeenCalledTimes(1);
+    });
+
+    test('should only replay on the windows of the selected tag', async () => {
+        const clickSync = createClickSync({ group: 'team a' });
+
+        await clickSync.replay({ ...leaderClick, button: 'right' }, windows, {});
+
+        expect(backend.calls.map(call => [call.handle, call.button])).toEqual([[104, 'right']]);
+    });
+
+    test('should ignore clicks without the modifier alone, when off or outside game windows', async () => {
+        expect(await createClickSync().replay({ ...leaderClick, modifiers: ['Ctrl'] }, windows, {})).toBeNull();
+        expect(await createClickSync().replay({ ...leaderClick, modifiers: ['Alt', 'Shift'] }, windows, {})).toBeNull();
+        expect(await createClickSync({ enabled: false }).replay(leaderClick, windows, {})).toBeNull();
+        expect(await createClickSync().replay({ ...leaderClick, handle: '999' }, windows, {})).toBeNull();
+        expect(await createClickSync().replay({ ...leaderClick, handle: '103' }, windows, {})).toBeNull();
+        expect(backend.calls).toHaveLength(0);
+    });
+
+    test('should not replay a click made in a window other than the initiative leader', async () => {
+        const ranked = windows.map((window, index) => ({ ...window, initiative: 400 - index * 100 }));
+        const clickSync = createClickSync();
+
+        expect(await clickSync.replay({ ...leaderClick, handle: '102' }, ranked, {})).toBeNull();
+        expect(await clickSync.replay({ ...leaderClick, handle: '104' }, ranked, {})).toBeNull();
+        expect(backend.calls).toHaveLength(0);
+
+        expect((await clickSync.replay(leaderClick, ranked, {})).source).toBe(ranked[0]);
+    });
+
+    test('should stop at the rate limit shared with key broadcast', async () => {
+        const safetyMonitor = new InputSafetyMonitor({ maxKeysPerMinute: 1 });
+        const clickSync = createClickSync({}, safetyMonitor);
+
+        expect(await clickSync.replay(leaderClick, windows, {})).toEqual({ source: windows[0], replayed: 1, failed: 0, stopped: 'rate-limit' });
+    });
+
+    test('should report modifier clicks only', () => {
+        const source = new SimulatedClickSource();
+        const onClick = jest.fn();
+        source.on('click', onClick);
+
+        source.click(leaderClick);
+        source.start();
+        source.click({ ...leaderClick, modifiers: [] });
+        source.click({ ...leaderClick, button: 'middle' });
+        source.click({ ...leaderClick, modifiers: ['Alt', 'Meta'] });
+
+        expect(onClick).toHaveBeenCalledTimes(1);
+        expect(onClick.mock.calls[0][0]).toEqual(expect.objectContaining({ handle: '101', modifiers: ['Alt'], x: 508, y: 231 }));
+    });
+});
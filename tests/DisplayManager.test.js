@@ -0,0 +1,140 @@
+/**
+ * Tests for DisplayManager and multi-display layouts with a stubbed display list
+ */
+const DisplayManager = require('../src/services/DisplayManager');
+const LayoutEngine = require('../src/services/WindowManagerWindows/LayoutEngine');
+
+const stubDisplays = [
+    {
+        id: 2,
+        bounds: { x: 1920, y: 0, width: 2560, height: 1440 },
+        workArea: { x: 1920, y: 0, width: 2560, height: 1400 }
+    },
+    {
+        id: 1,
+        bounds: { x: 0, y: 0, width: 1920, height: 1080 },
+        workArea: { x: 0, y: 0, width: 1920, height: 1040 }
+    },
+    {
+        id: 3,
+        bounds: { x: -1280, y: 0, width: 1280, height: 1024 },
+        workArea: { x: -1280, y: 0, width: 1280, height: 984 }
+    }
+];
+
+const createScreen = (displays = stubDisplays, primaryId = 1) => ({
+    getAllDisplays: jest.fn(() => displays),
+    getPrimaryDisplay: jest.fn(() => displays.find(display => display.id === primaryId))
+});
+
+const createWindows = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `char${i}_iop_${1000 + i}`,
+    handle: 5000 + i
+}));
+
+describe('DisplayManager', () => {
+    let displayManager;
+
+    beforeEach(() => {
+        displayManager = new DisplayManager(createScreen());
+    });
+
+    test('should list displays left to right and flag the primary one', () => {
+        const displays = displayManager.getDisplays();
+
+        expect(displays.map(display => display.id)).toEqual([3, 1, 2]);
+        expect(displays.find(display => display.primary).id).toBe(1);
+    });
+
+    test('should resolve organization targets', () => {
+        expect(displayManager.resolveTargetDisplays('primary').map(d => d.id)).toEqual([1]);
+        expect(displayManager.resolveTargetDisplays('all').map(d => d.id)).toEqual([3, 1, 2]);
+        expect(displayManager.resolveTargetDisplays(2).map(d => d.id)).toEqual([2]);
+        expect(displayManager.resolveTargetDisplays('2').map(d => d.id)).toEqual([2]);
+    });
+
+    test('should fall back to the primary display for a disconnected target', () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(displayManager.resolveTargetDisplays(99).map(d => d.id)).toEqual([1]);
+        warnSpy.mockRestore();
+    });
+
+    test('should compute dock corners inside the work area of a secondary display', () => {
+        const { workArea } = displayManager.getDisplay(2);
+        const size = { width: 200, height: 70 };
+
+        expect(displayManager.computeDockPosition('NW', size, workArea)).toEqual({ x: 1930, y: 10 });
+        expect(displayManager.computeDockPosition('SE', size, workArea)).toEqual({ x: 4270, y: 1320 });
+        expect(displayManager.computeDockPosition('N', size, workArea)).toEqual({ x: 3100, y: 10 });
+        expect(displayManager.computeDockPosition('unknown', size, workArea)).toEqual({ x: 4270, y: 1320 });
+    });
+
+    test('should reuse a saved dock point on the remembered display', () => {
+        const position = displayManager.resolveDockPosition(
+            { position: 'SE', x: 2500, y: 600, displayId: 2 },
+            { width: 200, height: 70 }
+        );
+
+        expect(position).toEqual({ x: 2500, y: 600, displayId: 2 });
+    });
+
+    test('should use the named corner of the remembered display when no point is saved', () => {
+        const position = displayManager.resolveDockPosition(
+            { position: 'NW', x: null, y: null, displayId: 3 },
+            { width: 200, height: 70 }
+        );
+
+        expect(position).toEqual({ x: -1270, y: 10, displayId: 3 });
+    });
+
+    test('should move the dock to the primary display when its display is disconnected', () => {
+        const singleScreen = new DisplayManager(createScreen([stubDisplays[1]], 1));
+        const position = singleScreen.resolveDockPosition(
+            { position: 'SE', x: 2500, y: 600, displayId: 2 },
+            { width: 200, height: 70 }
+        );
+
+        expect(position).toEqual({ x: 1710, y: 960, displayId: 1 });
+    });
+});
+
+describe('LayoutEngine.computeMultiDisplayLayout', () => {
+    const displays = new DisplayManager(createScreen()).getDisplays();
+
+    test('should distribute windows proportionally to display area', () => {
+        expect(LayoutEngine.distributeWindows(8, [1, 1])).toEqual([4, 4]);
+        expect(LayoutEngine.distributeWindows(8, [1, 3])).toEqual([2, 6]);
+        expect(LayoutEngine.distributeWindows(3, [1, 1, 1, 1])).toEqual([1, 1, 1, 0]);
+        expect(LayoutEngine.distributeWindows(2, [0, 0])).toEqual([2, 0]);
+    });
+
+    test('should spread windows across displays from left to right', () => {
+        const rects = LayoutEngine.computeMultiDisplayLayout(createWindows(8), displays, 'vertical');
+        const perDisplay = rects.reduce((acc, rect) => {
+            acc[rect.displayId] = (acc[rect.displayId] || 0) + 1;
+            return acc;
+        }, {});
+
+        // Areas: 1280x984, 1920x1040, 2560x1400 -> 1.47 + 2.34 + 4.19 of 8 windows
+        expect(perDisplay).toEqual({ 3: 2, 1: 2, 2: 4 });
+        expect(rects[0]).toMatchObject({ displayId: 3, x: -1280, y: 0, width: 1280, height: 492 });
+        expect(rects[2]).toMatchObject({ displayId: 1, x: 0, y: 0, width: 1920, height: 520 });
+        expect(rects[4]).toMatchObject({ displayId: 2, x: 1920, y: 0, width: 2560, height: 350 });
+    });
+
+    test('should keep every rectangle inside its display work area', () => {
+        const rects = LayoutEngine.computeMultiDisplayLayout(createWindows(8), displays, 'grid');
+
+        rects.forEach(rect => {
+            const { workArea } = displays.find(display => display.id === rect.displayId);
+            expect(rect.x).toBeGreaterThanOrEqual(workArea.x);
+            expect(rect.y).toBeGreaterThanOrEqual(workArea.y);
+            expect(rect.x + rect.width).toBeLessThanOrEqual(workArea.x + workArea.width);
+            expect(rect.y + rect.height).toBeLessThanOrEqual(workArea.y + workArea.height);
+        });
+    });
+
+    test('should throw without displays', () => {
+        expect(() => LayoutEngine.computeMultiDisplayLayout(createWindows(2), [], 'grid')).toThrow('No display available');
+    });
+});
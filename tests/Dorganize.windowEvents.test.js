@@ -0,0 +1,104 @@
+/**
+ * Tests for the event-driven window updates of the main process
+ */
+jest.mock('electron', () => ({
+    app: {
+        getPath: jest.fn(() => 'mock-user-data-path'),
+        isReady: jest.fn(() => false),
+        // Never ready: the tests drive the window event path by hand
+        whenReady: jest.fn(() => new Promise(() => {})),
+        on: jest.fn(),
+        quit: jest.fn()
+    },
+    BrowserWindow: { getAllWindows: jest.fn(() => []) },
+    Tray: jest.fn(),
+    Menu: { buildFromTemplate: jest.fn() },
+    ipcMain: { on: jest.fn(), handle: jest.fn() },
+    globalShortcut: {
+        register: jest.fn(() => true),
+        unregister: jest.fn(),
+        unregisterAll: jest.fn(),
+        isRegistered: jest.fn(() => false)
+    },
+    screen: {
+        getPrimaryDisplay: jest.fn(() => ({ id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, workArea: { x: 0, y: 0, width: 1920, height: 1040 } })),
+        getAllDisplays: jest.fn(() => [])
+    },
+    dialog: { showMessageBox: jest.fn() }
+}));
+
+jest.mock('electron-store', () => jest.fn().mockImplementation(() => ({
+    get: jest.fn((key, fallback) => fallback),
+    set: jest.fn(),
+    delete: jest.fn()
+})));
+
+jest.mock('../src/services/ShortcutConfigManager');
+
+jest.mock('../src/services/WindowManagerWindows', () => jest.fn().mockImplementation(() => ({
+    windowActivator: { recordFocus: jest.fn(), getFocusedHandle: jest.fn(() => null) },
+    inputBackend: {},
+    windows: [],
+    handlers: null,
+    supportsWindowEvents: jest.fn(() => true),
+    startEventTracking(handlers) {
+        this.handlers = handlers;
+        return true;
+    },
+    getLastKnownWindows() {
+        return this.windows;
+    },
+    cleanup: jest.fn()
+})));
+
+const ShortcutConfigManager = require('../src/services/ShortcutConfigManager');
+const { WINDOW_EVENTS } = require('../src/utils/Constants');
+
+describe('Dorganize window events', () => {
+    let Dorganize;
+    let dorganize;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        ShortcutConfigManager.prototype.getAllGlobalShortcuts.mockReturnValue({});
+        Dorganize = require('../src/main');
+    });
+
+    afterAll(() => {
+        jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        dorganize = new Dorganize();
+        dorganize.tray = { setToolTip: jest.fn(), setContextMenu: jest.fn(), setImage: jest.fn(), displayBalloon: jest.fn() };
+        dorganize.startWindowEventTracking();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should select the profile of a team detected through window events', async () => {
+        const findBestProfile = jest.spyOn(dorganize.profileManager, 'findBestProfile').mockReturnValue({ name: 'Team', match: 1 });
+        const switchProfile = jest.spyOn(dorganize, 'switchProfile').mockResolvedValue(true);
+
+        dorganize.windowManager.windows = [
+            { id: 'leader_iop_1', characterId: 'leader_iop', character: 'Leader', dofusClass: 'iop', handle: '1', title: 'Leader - Iop', initiative: 200, enabled: true },
+            { id: 'healer_eniripsa_2', characterId: 'healer_eniripsa', character: 'Healer', dofusClass: 'eniripsa', handle: '2', title: 'Healer - Eniripsa', initiative: 100, enabled: true }
+        ];
+        dorganize.windowManager.handlers.onChange();
+        await jest.advanceTimersByTimeAsync(WINDOW_EVENTS.DEBOUNCE_MS);
+
+        expect(dorganize.dofusWindows.map(window => window.id)).toEqual(['leader_iop_1', 'healer_eniripsa_2']);
+        expect(switchProfile).toHaveBeenCalledWith('Team');
+        expect(dorganize.tray.displayBalloon).toHaveBeenCalledTimes(1);
+
+        // The same characters again: the profile is not applied a second time
+        dorganize.windowManager.handlers.onChange();
+        await jest.advanceTimersByTimeAsync(WINDOW_EVENTS.DEBOUNCE_MS);
+
+        expect(findBestProfile).toHaveBeenCalledTimes(1);
+        expect(switchProfile).toHaveBeenCalledTimes(1);
+    });
+});
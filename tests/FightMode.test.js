@@ -0,0 +1,76 @@
+/**
+ * Tests for the fight turn order
+ */
+const FightMode = require('../src/services/FightMode');
+
+const windows = [
+    { id: 'leader_iop_1', characterId: 'leader_iop', character: 'Leader', initiative: 150, enabled: true },
+    { id: 'healer_eniripsa_2', characterId: 'healer_eniripsa', character: 'Healer', initiative: 120, enabled: true },
+    { id: 'mule_enutrof_3', characterId: 'mule_enutrof', character: 'Mule', initiative: 10, enabled: false },
+    { id: 'archer_cra_4', characterId: 'archer_cra', character: 'Archer', initiative: 5, enabled: true }
+];
+
+const names = (mode, list, count) => Array.from({ length: count }, () => mode.endTurn(list)?.character);
+
+describe('FightMode', () => {
+    let onChange;
+    let mode;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        onChange = jest.fn();
+        mode = new FightMode({ onChange });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should walk the initiative order, skipping disabled characters and wrapping rounds', () => {
+        expect(mode.endTurn(windows)).toBeNull();
+
+        expect(mode.start(windows).character).toBe('Leader');
+        expect(mode.getState()).toEqual({ active: true, round: 1, currentKey: 'leader_iop', dead: [] });
+
+        expect(names(mode, windows, 3)).toEqual(['Healer', 'Archer', 'Leader']);
+        expect(mode.getState().round).toBe(2);
+        expect(onChange).toHaveBeenCalledTimes(4);
+    });
+
+    test('should skip dead characters until they are alive again', () => {
+        mode.start(windows);
+        mode.setDead(windows[1], true);
+        expect(names(mode, windows, 2)).toEqual(['Archer', 'Leader']);
+
+        mode.setDead(windows[1], false);
+        expect(mode.endTurn(windows).character).toBe('Healer');
+
+        windows.forEach(window => mode.setDead(window, true));
+        expect(mode.endTurn(windows)).toBeNull();
+        expect(mode.getCurrent(windows).character).toBe('Healer');
+    });
+
+    test('should remember the turn when windows are refreshed or leave', () => {
+        mode.start(windows);
+        mode.endTurn(windows);
+
+        // A refreshed list holds new objects and IDs for the same characters
+        const refreshed = windows.map(window => ({ ...window, id: `${window.characterId}_9` }));
+        expect(mode.endTurn(refreshed).character).toBe('Archer');
+
+        // The current character's window closed: the one now at its place plays next
+        const withoutArcher = refreshed.filter(window => window.character !== 'Archer');
+        expect(mode.endTurn(withoutArcher).character).toBe('Leader');
+        expect(mode.getState().round).toBe(2);
+    });
+
+    test('should forget the fight when stopped', () => {
+        mode.start(windows);
+        mode.setDead(windows[0], true);
+        mode.stop();
+
+        expect(mode.isActive()).toBe(false);
+        expect(mode.getState()).toEqual({ active: false, round: 0, currentKey: null, dead: [] });
+        expect(mode.endTurn(windows)).toBeNull();
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for fight rounds, turn timers and the end-of-fight summary
+ */
+const FightTracker = require('../src/services/FightTracker');
+
+const leader = { id: 'leader_iop_1', characterId: 'leader_iop', character: 'Leader' };
+const healer = { id: 'healer_eniripsa_2', characterId: 'healer_eniripsa', character: 'Healer', customName: 'Heals' };
+
+describe('FightTracker', () => {
+    let onWarning;
+    let tracker;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        onWarning = jest.fn();
+        tracker = new FightTracker({ onWarning, settings: { turnSeconds: 30, warningSeconds: 10 } });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should time each turn and sum them up per character, slowest first', () => {
+        tracker.start(0);
+        tracker.beginTurn(leader, 1, 0);
+        tracker.beginTurn(healer, 1, 4000);
+        tracker.beginTurn(leader, 2, 24000);
+        tracker.beginTurn(healer, 2, 30000);
+
+        expect(tracker.getStatus(31000)).toEqual({
+            running: true,
+            round: 2,
+            current: { key: 'healer_eniripsa', name: 'Heals', elapsed: 1000 }
+        });
+
+        const summary = tracker.stop(40000);
+        expect(summary).toEqual({
+            rounds: 2,
+            turns: 4,
+            duration: 40000,
+            characters: [
+                { key: 'healer_eniripsa', name: 'Heals', turns: 2, total: 30000, average: 15000, longest: 20000 },
+                { key: 'leader_iop', name: 'Leader', turns: 2, total: 10000, average: 5000, longest: 6000 }
+            ]
+        });
+        expect(FightTracker.formatSummary(summary, 1)).toEqual([
+            '2 round(s), 4 turn(s) in 40s',
+            'Heals: 15s average, 20s longest (2 turn(s))'
+        ]);
+        expect(tracker.isRunning()).toBe(false);
+        expect(tracker.stop()).toBeNull();
+    });
+
+    test('should end the running turn and drop its warning when no one plays next', () => {
+        tracker.start(0);
+        tracker.beginTurn(leader, 1, 0);
+        tracker.endTurn(12000);
+
+        jest.advanceTimersByTime(60000);
+        expect(onWarning).not.toHaveBeenCalled();
+        expect(tracker.getStatus(30000).current).toBeNull();
+        expect(tracker.stop(30000).characters).toEqual([
+            { key: 'leader_iop', name: 'Leader', turns: 1, total: 12000, average: 12000, longest: 12000 }
+        ]);
+    });
+
+    test('should describe the summary in the given language', () => {
+        const french = require('../locales/lang/fr.json');
+        const summary = {
+            rounds: 2,
+            turns: 4,
+            duration: 40000,
+            characters: [{ key: 'healer_eniripsa', name: 'Heals', turns: 2, total: 30000, average: 15000, longest: 20000 }]
+        };
+
+        expect(FightTracker.formatSummary(summary, Infinity, french)).toEqual([
+            '2 manche(s), 4 tour(s) en 40s',
+            'Heals : 15s en moyenne, 20s au plus long (2 tour(s))'
+        ]);
+    });
+
+    test('should warn once before the turn runs out, unless the turn ends first', () => {
+        tracker.start();
+        tracker.beginTurn(leader, 1);
+        jest.advanceTimersByTime(15000);
+        tracker.beginTurn(healer, 1);
+
+        jest.advanceTimersByTime(19999);
+        expect(onWarning).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(onWarning).toHaveBeenCalledWith({ key: 'healer_eniripsa', name: 'Heals', round: 1, remainingSeconds: 10 });
+
+        tracker.stop();
+        jest.advanceTimersByTime(60000);
+        expect(onWarning).toHaveBeenCalledTimes(1);
+    });
+
+    test('should keep settings within the turn length and allow turning the warning off', () => {
+        expect(tracker.configure({ turnSeconds: 2, warningSeconds: 20 })).toEqual({ warningEnabled: true, turnSeconds: 5, warningSeconds: 4 });
+        expect(tracker.configure({ turnSeconds: 'x', warningEnabled: false })).toEqual({ warningEnabled: false, turnSeconds: 5, warningSeconds: 4 });
+
+        tracker.start();
+        tracker.beginTurn(leader, 1);
+        jest.advanceTimersByTime(10000);
+        expect(onWarning).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for broadcasting keys to several windows and its safety checks
+ */
+const KeyBroadcaster = require('../src/services/KeyBroadcaster');
+const InputSafetyMonitor = require('../src/services/InputSafetyMonitor');
+const { MockInputBackend } = require('../src/services/WindowManagerWindows/InputBackend');
+
+const windows = [
+    { id: 'leader_iop_1', handle: '101', character: 'Leader', dofusClass: 'iop', initiative: 900, enabled: true, tags: ['team a'] },
+    { id: 'healer_eniripsa_2', handle: '102', character: 'Healer', dofusClass: 'eniripsa', initiative: 800, enabled: true, tags: [] },
+    { id: 'mule_enutrof_3', handle: '103', character: 'Mule', dofusClass: 'enutrof', initiative: 700, enabled: false, tags: ['team a'] },
+    { id: 'sacri_sacrieur_4', handle: '104', character: 'Sacri', dofusClass: 'sacrieur', initiative: 600, enabled: true, tags: ['Team A'] }
+];
+
+describe('KeyBroadcaster', () => {
+    let backend;
+    let wait;
+
+    const createBroadcaster = (settings, safetyMonitor) => new KeyBroadcaster({ backend, wait, settings, safetyMonitor });
+
+    beforeEach(() => {
+        backend = new MockInputBackend(['101', '102', '103', '104']);
+        wait = jest.fn(() => Promise.resolve());
+    });
+
+    test('should send the key sequence to each window in order, pausing between windows', async () => {
+        const broadcaster = createBroadcaster({ keys: ['Ctrl+KeyQ', 'Enter'], delayMs: 200 });
+        const targets = KeyBroadcaster.getTargets(windows, '');
+
+        const result = await broadcaster.broadcast(targets, 'AZERTY');
+
+        expect(result).toEqual({ sent: 3, failed: 0, stopped: null });
+        expect(backend.calls.map(call => call.handle)).toEqual([101, 102, 104]);
+        expect(backend.calls[0].keys).toEqual([{ modifiers: [0x11], key: 0x41 }, { modifiers: [], key: 0x0D }]);
+        expect(wait).toHaveBeenCalledTimes(2);
+        expect(wait).toHaveBeenCalledWith(200);
+    });
+
+    test('should release the modifiers of the shortcut still held before sending', async () => {
+        const broadcaster = createBroadcaster({ keys: ['Enter'] });
+
+        await broadcaster.broadcast(KeyBroadcaster.getTargets(windows, ''), 'QWERTY', { releaseModifiers: [0x11, 0x10] });
+        expect(backend.calls[0]).toEqual({ command: 'send', handle: 101, keys: [{ modifiers: [], key: 0x0D }], releaseModifiers: [0x11, 0x10] });
+
+        await broadcaster.broadcast([windows[0]], 'QWERTY');
+        expect(backend.calls[3].releaseModifiers).toEqual([]);
+        await expect(backend.sendKeys('101', [{ modifiers: [], key: 0x0D }], { releaseModifiers: ['Ctrl'] })).rejects.toThrow('Invalid modifiers to release');
+    });
+
+    test('should target the enabled windows of a tag or class group', () => {
+        expect(KeyBroadcaster.getTargets(windows, 'team a').map(w => w.id)).toEqual(['leader_iop_1', 'sacri_sacrieur_4']);
+        expect(KeyBroadcaster.getTargets(windows, 'healers', { healers: ['eniripsa'] }).map(w => w.id)).toEqual(['healer_eniripsa_2']);
+    });
+
+    test('should keep valid keys only and clamp the delay', () => {
+        const broadcaster = createBroadcaster();
+
+        expect(broadcaster.configure({ keys: ['Enter', 'KeyQ+KeyW', '', 'F1'], delayMs: 99999, group: 'team a' }))
+            .toEqual({ keys: ['Enter', 'F1'], group: 'team a', delayMs: 5000 });
+        expect(broadcaster.configure({ delayMs: -5 }).delayMs).toBe(0);
+    });
+
+    test('should count windows that could not be reached and go on', async () => {
+        backend.removeWindow('102');
+        const broadcaster = createBroadcaster({ keys: ['Escape'], delayMs: 0 });
+
+        const result = await broadcaster.broadcast(KeyBroadcaster.getTargets(windows, ''), 'QWERTY');
+
+        expect(result).toEqual({ sent: 2, failed: 1, stopped: null });
+        expect(wait).not.toHaveBeenCalled();
+    });
+
+    test('should stop at the rate limit', async () => {
+        const broadcaster = createBroadcaster({ keys: ['Enter', 'Escape'] }, new InputSafetyMonitor({ maxKeysPerMinute: 5 }));
+
+        const result = await broadcaster.broadcast(KeyBroadcaster.getTargets(windows, ''), 'QWERTY');
+
+        expect(result).toEqual({ sent: 2, failed: 0, stopped: 'rate-limit' });
+        expect(backend.calls).toHaveLength(2);
+    });
+
+    test('should stop on the emergency stop and block broadcasts until it resets', async () => {
+        jest.useFakeTimers();
+        try {
+            const safetyMonitor = new InputSafetyMonitor({ resetDelay: 10000 });
+            const broadcaster = createBroadcaster({ keys: ['Enter'] }, safetyMonitor);
+            wait.mockImplementation(() => {
+                broadcaster.emergencyStop();
+                return Promise.resolve();
+            });
+            const targets = KeyBroadcaster.getTargets(windows, '');
+
+            expect(await broadcaster.broadcast(targets, 'QWERTY')).toEqual({ sent: 1, failed: 0, stopped: 'emergency-stop' });
+            expect(broadcaster.isRunning()).toBe(false);
+
+            wait.mockImplementation(() => Promise.resolve());
+            expect(await broadcaster.broadcast(targets, 'QWERTY')).toEqual({ sent: 0, failed: 0, stopped: 'emergency-stop' });
+
+            jest.advanceTimersByTime(10000);
+            expect(await broadcaster.broadcast(targets, 'QWERTY')).toEqual({ sent: 3, failed: 0, stopped: null });
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for physical key code shortcuts and their per-layout labels
+ */
+const KeyboardLayouts = require('../src/utils/KeyboardLayouts');
+
+const keydown = (code, modifiers = {}) => ({
+    code,
+    ctrlKey: false,
+    altKey: false,
+    shiftKey: false,
+    metaKey: false,
+    ...modifiers
+});
+
+describe('KeyboardLayouts', () => {
+    test('should record the physical key of a key press', () => {
+        expect(KeyboardLayouts.fromKeyboardEvent(keydown('Digit1', { ctrlKey: true }))).toBe('Ctrl+Digit1');
+        expect(KeyboardLayouts.fromKeyboardEvent(keydown('KeyQ', { altKey: true, shiftKey: true }))).toBe('Alt+Shift+KeyQ');
+        expect(KeyboardLayouts.fromKeyboardEvent(keydown('ControlLeft', { ctrlKey: true }))).toBe('Ctrl');
+        expect(KeyboardLayouts.fromKeyboardEvent(keydown('Numpad3'))).toBe('Numpad3');
+    });
+
+    test('should label keys with the selected layout', () => {
+        expect(KeyboardLayouts.toDisplay('Ctrl+KeyQ', 'AZERTY')).toBe('Ctrl+A');
+        expect(KeyboardLayouts.toDisplay('Ctrl+KeyQ', 'QWERTY')).toBe('Ctrl+Q');
+        expect(KeyboardLayouts.toDisplay('Alt+KeyY', 'QWERTZ')).toBe('Alt+Z');
+        expect(KeyboardLayouts.toDisplay('Ctrl+Digit1', 'AZERTY')).toBe('Ctrl+1');
+        expect(KeyboardLayouts.toDisplay('Numpad0', 'AZERTY')).toBe('Num0');
+        expect(KeyboardLayouts.toDisplay('Control+ArrowUp', 'unknown')).toBe('Ctrl+Up');
+        expect(KeyboardLayouts.toDisplay('Ctrl+&', 'AZERTY')).toBe('Ctrl+&');
+        expect(KeyboardLayouts.toDisplay(null, 'AZERTY')).toBe('');
+    });
+
+    test('should register letters by label and other keys by position', () => {
+        expect(KeyboardLayouts.toAccelerator('Ctrl+KeyQ', 'AZERTY')).toBe('Ctrl+A');
+        expect(KeyboardLayouts.toAccelerator('Ctrl+KeyQ', 'QWERTY')).toBe('Ctrl+Q');
+        expect(KeyboardLayouts.toAccelerator('Ctrl+Digit1', 'AZERTY')).toBe('Ctrl+1');
+        expect(KeyboardLayouts.toAccelerator('Alt+Numpad5', 'QWERTZ')).toBe('Alt+num5');
+        expect(KeyboardLayouts.toAccelerator('Shift+Enter', 'QWERTY')).toBe('Shift+Return');
+        expect(KeyboardLayouts.toAccelerator('F3', 'AZERTY')).toBe('F3');
+    });
+
+    test('should send letters by label and other keys by position', () => {
+        expect(KeyboardLayouts.toVirtualKeys('Ctrl+KeyQ', 'AZERTY')).toEqual({ modifiers: [0x11], key: 0x41 });
+        expect(KeyboardLayouts.toVirtualKeys('KeyQ', 'QWERTY')).toEqual({ modifiers: [], key: 0x51 });
+        expect(KeyboardLayouts.toVirtualKeys('KeyM', 'AZERTY')).toEqual({ modifiers: [], key: 0xBC });
+        expect(KeyboardLayouts.toVirtualKeys('Alt+Shift+Digit1', 'AZERTY')).toEqual({ modifiers: [0x12, 0x10], key: 0x31 });
+        expect(KeyboardLayouts.toVirtualKeys('Numpad5', 'QWERTZ')).toEqual({ modifiers: [], key: 0x65 });
+        expect(KeyboardLayouts.toVirtualKeys('Enter', 'AZERTY')).toEqual({ modifiers: [], key: 0x0D });
+        expect(KeyboardLayouts.toVirtualKeys('F12', 'AZERTY')).toEqual({ modifiers: [], key: 0x7B });
+        expect(KeyboardLayouts.toVirtualKeys('Ctrl+&', 'AZERTY')).toBeNull();
+        expect(KeyboardLayouts.toVirtualKeys('', 'AZERTY')).toBeNull();
+        expect(KeyboardLayouts.getModifierVirtualKey('Alt')).toBe(0x12);
+        expect(KeyboardLayouts.getModifierVirtualKey('control')).toBe(0x11);
+        expect(KeyboardLayouts.getModifierVirtualKey('Hyper')).toBeNull();
+    });
+
+    test('should convert shortcuts recorded from key labels to key codes', () => {
+        expect(KeyboardLayouts.fromLegacyShortcut('Ctrl+&', 'AZERTY')).toBe('Ctrl+Digit1');
+        expect(KeyboardLayouts.fromLegacyShortcut('Ctrl+À', 'AZERTY')).toBe('Ctrl+Digit0');
+        expect(KeyboardLayouts.fromLegacyShortcut('Alt+A', 'AZERTY')).toBe('Alt+KeyQ');
+        expect(KeyboardLayouts.fromLegacyShortcut('Alt+Q', 'AZERTY')).toBe('Alt+KeyA');
+        expect(KeyboardLayouts.fromLegacyShortcut('Alt+A', 'QWERTY')).toBe('Alt+KeyA');
+        expect(KeyboardLayouts.fromLegacyShortcut('Shift+Z', 'QWERTZ')).toBe('Shift+KeyY');
+        expect(KeyboardLayouts.fromLegacyShortcut('Control+num4', 'AZERTY')).toBe('Ctrl+Numpad4');
+        expect(KeyboardLayouts.fromLegacyShortcut('Ctrl+Up', 'AZERTY')).toBe('Ctrl+ArrowUp');
+        expect(KeyboardLayouts.fromLegacyShortcut('Ctrl+Tab', 'AZERTY')).toBe('Ctrl+Tab');
+        expect(KeyboardLayouts.fromLegacyShortcut('f5', 'AZERTY')).toBe('F5');
+        expect(KeyboardLayouts.fromLegacyShortcut('Ctrl+Digit1', 'AZERTY')).toBe('Ctrl+Digit1');
+        expect(KeyboardLayouts.fromLegacyShortcut('Ctrl+µ', 'AZERTY')).toBe('Ctrl+µ');
+    });
+});
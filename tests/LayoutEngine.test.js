@@ -0,0 +1,188 @@
+/**
+ * Tests for LayoutEngine and WindowManagerWindows.organizeWindows
+ */
+jest.mock('../src/services/WindowManagerWindows/WindowDetector');
+
+const LayoutEngine = require('../src/services/WindowManagerWindows/LayoutEngine');
+const WindowManagerWindows = require('../src/services/WindowManagerWindows');
+
+const createWindows = (count) => Array.from({ length: count }, (_, i) => ({
+    id: `char${i}_iop_${1000 + i}`,
+    handle: 5000 + i,
+    character: `Char${i}`,
+    initiative: (count - i) * 100,
+    enabled: true
+}));
+
+const workArea = { x: 0, y: 0, width: 1920, height: 1040 };
+
+describe('LayoutEngine', () => {
+    describe('computeLayout', () => {
+        test('should tile 8 windows in a 3x3 grid', () => {
+            const rects = LayoutEngine.computeLayout(createWindows(8), workArea, 'grid');
+
+            expect(rects).toHaveLength(8);
+            expect(rects[0]).toEqual({ windowId: 'char0_iop_1000', handle: 5000, x: 0, y: 0, width: 640, height: 347 });
+            expect(rects[3]).toMatchObject({ x: 0, y: 347, width: 640, height: 347 });
+            expect(rects[7]).toMatchObject({ x: 640, y: 694, width: 640, height: 346 });
+        });
+
+        test('should honour a forced column count', () => {
+            const rects = LayoutEngine.computeLayout(createWindows(8), workArea, 'grid', { columns: 4 });
+
+            expect(rects[3]).toMatchObject({ x: 1440, y: 0, width: 480, height: 520 });
+            expect(rects[4]).toMatchObject({ x: 0, y: 520 });
+        });
+
+        test('should place windows side by side for horizontal layout', () => {
+            const rects = LayoutEngine.computeLayout(createWindows(8), workArea, 'horizontal');
+
+            rects.forEach((rect, i) => {
+                expect(rect).toMatchObject({ x: i * 240, y: 0, width: 240, height: 1040 });
+            });
+        });
+
+        test('should stack windows for vertical layout', () => {
+            const rects = LayoutEngine.computeLayout(createWindows(8), workArea, 'vertical');
+
+            rects.forEach((rect, i) => {
+                expect(rect).toMatchObject({ x: 0, y: i * 130, width: 1920, height: 130 });
+            });
+        });
+
+        test('should offset rectangles by the work area origin and apply gaps', () => {
+            const area = { x: 1920, y: 40, width: 1000, height: 500 };
+            const rects = LayoutEngine.computeLayout(createWindows(2), area, 'horizontal', { gap: 10 });
+
+            expect(rects[0]).toMatchObject({ x: 1920, y: 40, width: 495, height: 500 });
+            expect(rects[1]).toMatchObject({ x: 2425, y: 40, width: 495, height: 500 });
+        });
+
+        test('should keep every rectangle inside the work area', () => {
+            const area = { x: 0, y: 0, width: 1001, height: 701 };
+            const rects = LayoutEngine.computeLayout(createWindows(7), area, 'grid');
+            const totalArea = rects.reduce((sum, r) => sum + r.width * r.height, 0);
+
+            // 7 of 9 cells filled
+            expect(totalArea).toBeLessThanOrEqual(area.width * area.height);
+            rects.forEach(rect => {
+                expect(rect.x + rect.width).toBeLessThanOrEqual(area.width);
+                expect(rect.y + rect.height).toBeLessThanOrEqual(area.height);
+            });
+        });
+
+        test('should return an empty array when there are no windows', () => {
+            expect(LayoutEngine.computeLayout([], workArea, 'grid')).toEqual([]);
+        });
+
+        test('should reject unknown layouts and invalid work areas', () => {
+            expect(() => LayoutEngine.computeLayout(createWindows(2), workArea, 'spiral')).toThrow('Unsupported layout');
+            expect(() => LayoutEngine.computeLayout(createWindows(2), { width: 0, height: 10 }, 'grid')).toThrow('Invalid work area');
+        });
+
+        test('should reject work areas too small for the window count', () => {
+            const area = { x: 0, y: 0, width: 300, height: 300 };
+            expect(() => LayoutEngine.computeLayout(createWindows(8), area, 'horizontal')).toThrow('too small');
+        });
+    });
+
+    describe('sortByInitiative', () => {
+        test('should sort by initiative descending then by character name', () => {
+            const sorted = LayoutEngine.sortByInitiative([
+                { character: 'Bravo', initiative: 100 },
+                { character: 'Alpha', initiative: 100 },
+                { character: 'Charlie', initiative: 300 }
+            ]);
+
+            expect(sorted.map(w => w.character)).toEqual(['Charlie', 'Alpha', 'Bravo']);
+        });
+    });
+});
+
+describe('WindowManagerWindows.organizeWindows', () => {
+    let windowManager;
+    let fakeBackend;
+
+    beforeEach(() => {
+        fakeBackend = {
+            moves: [],
+            moveWindow: jest.fn(async function (handle, bounds) {
+                this.moves.push({ handle, ...bounds });
+                return true;
+            })
+        };
+        windowManager = new WindowManagerWindows({ moveBackend: fakeBackend });
+    });
+
+    test('should move enabled windows in initiative order through the backend', async () => {
+        const windows = createWindows(8).reverse();
+        windows.push({ id: 'off_iop_1', handle: 9999, character: 'Off', initiative: 9999, enabled: false });
+
+        const result = await windowManager.organizeWindows('grid', { workArea, windows, moveDelay: 0 });
+
+        expect(result).toBe(true);
+        expect(fakeBackend.moveWindow).toHaveBeenCalledTimes(8);
+        expect(fakeBackend.moves.map(m => m.handle)).toEqual([5000, 5001, 5002, 5003, 5004, 5005, 5006, 5007]);
+        expect(fakeBackend.moves[0]).toEqual({ handle: 5000, x: 0, y: 0, width: 640, height: 347 });
+    });
+
+    test('should report failure when the backend cannot move a window', async () => {
+        fakeBackend.moveWindow.mockResolvedValueOnce(false);
+
+        const result = await windowManager.organizeWindows('vertical', { workArea, windows: createWindows(3), moveDelay: 0 });
+
+        expect(result).toBe(false);
+        expect(fakeBackend.moveWindow).toHaveBeenCalledTimes(3);
+    });
+
+    test('should return false without a valid work area', async () => {
+        const result = await windowManager.organizeWindows('grid', { windows: createWindows(2), moveDelay: 0 });
+
+        expect(result).toBe(false);
+        expect(fakeBackend.moveWindow).not.toHaveBeenCalled();
+    });
+
+    test('should apply a saved template by name', async () => {
+        windowManager.layoutTemplates.store = {
+            get: jest.fn(() => ({
+                templates: {
+                    Duo: {
+                        name: 'Duo',
+                        slots: { char1_iop: { unit: 'fraction', x: 0, y: 0, width: 1, height: 0.5 } }
+                    }
+                }
+            })),
+            set: jest.fn()
+        };
+
+        const result = await windowManager.organizeWindows('Duo', { workArea, windows: createWindows(3), moveDelay: 0 });
+
+        expect(result).toBe(true);
+        expect(fakeBackend.moves).toEqual([{ handle: 5001, x: 0, y: 0, width: 1920, height: 520 }]);
+        expect(await windowManager.organizeWindows('Missing', { workArea, windows: createWindows(3) })).toBe(false);
+    });
+
+    test('should capture and restore a layout including disabled windows', async () => {
+        const data = {};
+        windowManager.layoutTemplates.store = {
+            get: jest.fn((key, defaultValue) => (data[key] !== undefined ? data[key] : defaultValue)),
+            set: jest.fn((key, value) => { data[key] = value; })
+        };
+
+        const captured = windowManager.captureLayout('Snapshot', {
+            windows: [{ id: 'char0_iop_1000', bounds: { X: 10, Y: 20, Width: 800, Height: 600 } }]
+        });
+        expect(captured).toEqual({ success: true, count: 1 });
+
+        const restarted = [{ id: 'char0_iop_4242', handle: 77, enabled: false }];
+        const result = await windowManager.restoreLayout('Snapshot', { workArea, windows: restarted, moveDelay: 0 });
+
+        expect(result).toBe(true);
+        expect(fakeBackend.moves).toEqual([{ handle: 77, x: 10, y: 20, width: 800, height: 600 }]);
+        expect(await windowManager.restoreLayout('Unknown', { workArea, windows: restarted })).toBe(false);
+    });
+
+    test('should reject backends without moveWindow', () => {
+        expect(() => windowManager.setMoveBackend({})).toThrow();
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for LayoutTemplateManager, template based layouts and layout capture
+ */
+const LayoutTemplateManager = require('../src/services/WindowManagerWindows/LayoutTemplateManager');
+const LayoutEngine = require('../src/services/WindowManagerWindows/LayoutEngine');
+
+const createMemoryStore = (initial = {}) => {
+    const data = { ...initial };
+    return {
+        data,
+        get: jest.fn((key, defaultValue) => (data[key] !== undefined ? data[key] : defaultValue)),
+        set: jest.fn((key, value) => {
+            data[key] = value;
+        })
+    };
+};
+
+const leaderLeftSlots = {
+    leader_iop: { unit: 'fraction', x: 0, y: 0, width: 0.5, height: 1 },
+    healer_eniripsa: { unit: 'fraction', x: 0.5, y: 0, width: 0.5, height: 0.5 },
+    tank_feca: { unit: 'px', x: 960, y: 520, width: 960, height: 520 }
+};
+
+describe('LayoutTemplateManager', () => {
+    let store;
+    let manager;
+
+    beforeEach(() => {
+        store = createMemoryStore({ windowPositions: { legacy: true } });
+        manager = new LayoutTemplateManager(store, 'windowPositions');
+    });
+
+    test('should save templates under windowPositions without losing other data', () => {
+        const template = manager.saveTemplate('Leader left', leaderLeftSlots);
+
+        expect(template.name).toBe('Leader left');
+        expect(store.data.windowPositions.legacy).toBe(true);
+        expect(store.data.windowPositions.templates['Leader left'].slots).toEqual(leaderLeftSlots);
+    });
+
+    test('should list, get and delete templates', () => {
+        manager.saveTemplate('Zeta', leaderLeftSlots);
+        manager.saveTemplate('Alpha', leaderLeftSlots);
+
+        expect(manager.getTemplateNames()).toEqual(['Alpha', 'Zeta']);
+        expect(manager.getTemplate('Alpha').slots).toEqual(leaderLeftSlots);
+        expect(manager.deleteTemplate('Alpha')).toBe(true);
+        expect(manager.deleteTemplate('Alpha')).toBe(false);
+        expect(manager.getTemplateNames()).toEqual(['Zeta']);
+    });
+
+    test('should keep the creation date when a template is replaced', () => {
+        const first = manager.saveTemplate('Team', leaderLeftSlots);
+        const second = manager.saveTemplate('Team', { leader_iop: leaderLeftSlots.leader_iop });
+
+        expect(second.createdAt).toBe(first.createdAt);
+        expect(Object.keys(second.slots)).toEqual(['leader_iop']);
+    });
+
+    test('should reject invalid templates', () => {
+        expect(() => manager.saveTemplate('', leaderLeftSlots)).toThrow('name is required');
+        expect(() => manager.saveTemplate('grid', leaderLeftSlots)).toThrow('reserved');
+        expect(() => manager.saveTemplate('Empty', {})).toThrow('at least one slot');
+        expect(() => manager.saveTemplate('Bad', {
+            leader_iop: { unit: 'fraction', x: 0.5, y: 0, width: 0.75, height: 1 }
+        })).toThrow('invalid slot for leader_iop');
+        expect(() => manager.saveTemplate('Bad', {
+            leader_iop: { unit: 'inches', x: 0, y: 0, width: 1, height: 1 }
+        })).toThrow('invalid slot');
+    });
+
+    test('should handle a store without windowPositions', () => {
+        const emptyManager = new LayoutTemplateManager({ get: jest.fn(() => null), set: jest.fn() });
+        expect(emptyManager.getTemplates()).toEqual({});
+        expect(emptyManager.getTemplate('missing')).toBeNull();
+    });
+});
+
+describe('LayoutEngine.computeTemplateLayout', () => {
+    const workArea = { x: 1920, y: 0, width: 1920, height: 1040 };
+
+    test('should resolve fractional and pixel slots by character key', () => {
+        const windows = [
+            { id: 'leader_iop_1234', handle: '1', character: 'Leader' },
+            { id: 'healer_eniripsa_5678', characterKey: 'healer_eniripsa', handle: '2' },
+            { id: 'tank_feca_9012', handle: '3' }
+        ];
+
+        const rects = LayoutEngine.computeTemplateLayout(windows, workArea, { slots: leaderLeftSlots });
+
+        expect(rects).toEqual([
+            { windowId: 'leader_iop_1234', handle: '1', x: 1920, y: 0, width: 960, height: 1040 },
+            { windowId: 'healer_eniripsa_5678', handle: '2', x: 2880, y: 0, width: 960, height: 520 },
+            { windowId: 'tank_feca_9012', handle: '3', x: 2880, y: 520, width: 960, height: 520 }
+        ]);
+    });
+
+    test('should skip windows without a slot', () => {
+        const windows = [{ id: 'stranger_cra_1', handle: '9' }];
+        expect(LayoutEngine.computeTemplateLayout(windows, workArea, { slots: leaderLeftSlots })).toEqual([]);
+    });
+});
+
+describe('Layout capture', () => {
+    const displays = [
+        { id: 1, bounds: { x: 0, y: 0, width: 1920, height: 1080 }, workArea: { x: 0, y: 0, width: 1920, height: 1040 } },
+        { id: 2, bounds: { x: 1920, y: 0, width: 2560, height: 1440 }, workArea: { x: 1920, y: 40, width: 2560, height: 1400 } }
+    ];
+
+    test('should capture bounds relative to the monitor holding each window', () => {
+        const slots = LayoutEngine.captureSlots([
+            { id: 'leader_iop_1', bounds: { X: -8, Y: 0, Width: 976, Height: 1048 } },
+            { id: 'healer_eniripsa_2', characterKey: 'healer_eniripsa', bounds: { X: 2020, Y: 140, Width: 800, Height: 600 } }
+        ], displays);
+
+        expect(slots).toEqual({
+            leader_iop: { unit: 'px', x: -8, y: 0, width: 976, height: 1048, displayId: 1 },
+            healer_eniripsa: { unit: 'px', x: 100, y: 100, width: 800, height: 600, displayId: 2 }
+        });
+    });
+
+    test('should skip minimized windows and windows without bounds', () => {
+        const slots = LayoutEngine.captureSlots([
+            { id: 'leader_iop_1', bounds: { X: -32000, Y: -32000, Width: 160, Height: 28 } },
+            { id: 'tank_feca_2' }
+        ], displays);
+
+        expect(slots).toEqual({});
+    });
+
+    test('should restore a capture on the original monitor after a restart', () => {
+        const slots = LayoutEngine.captureSlots([
+            { id: 'healer_eniripsa_2', bounds: { X: 2020, Y: 140, Width: 800, Height: 600 } }
+        ], displays);
+
+        // Game restarted: new PID, same character
+        const rects = LayoutEngine.computeTemplateLayout(
+            [{ id: 'healer_eniripsa_9876', handle: '42' }],
+            displays[0].workArea,
+            { slots },
+            { displays }
+        );
+
+        expect(rects).toEqual([{ windowId: 'healer_eniripsa_9876', handle: '42', x: 2020, y: 140, width: 800, height: 600 }]);
+    });
+
+    test('should fall back to the default work area when the monitor is gone', () => {
+        const slots = { healer_eniripsa: { unit: 'px', x: 100, y: 100, width: 800, height: 600, displayId: 2 } };
+        const rects = LayoutEngine.computeTemplateLayout(
+            [{ id: 'healer_eniripsa_1', handle: '42' }],
+            displays[0].workArea,
+            { slots },
+            { displays: [displays[0]] }
+        );
+
+        expect(rects[0]).toMatchObject({ x: 100, y: 100 });
+    });
+
+    test('should pick the display with the largest overlap when the center is off screen', () => {
+        const display = LayoutEngine.findDisplayForRect({ x: 1800, y: -900, width: 400, height: 1000 }, displays);
+        expect(display.id).toBe(2);
+    });
+
+    test('should save captures as templates usable by the template manager', () => {
+        const store = createMemoryStore();
+        const manager = new LayoutTemplateManager(store);
+        const slots = LayoutEngine.captureSlots([
+            { id: 'leader_iop_1', bounds: { X: 0, Y: 0, Width: 960, Height: 1040 } }
+        ], displays);
+
+        manager.saveTemplate('Evening', slots);
+        expect(manager.getTemplate('Evening').slots.leader_iop.displayId).toBe(1);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for leader key mode: the state machine and the temporary follow-up keys
+ */
+const { globalShortcut } = require('electron');
+const LeaderKeyMode = require('../src/services/LeaderKeyMode');
+const ShortcutManager = require('../src/services/ShortcutManager');
+
+const windows = [
+    { id: 'leader_iop_1', character: 'Leader', dofusClass: 'iop', isActive: false },
+    { id: 'healer_eniripsa_2', character: 'Healer', dofusClass: 'eniripsa', isActive: true },
+    { id: 'mule_enutrof_3', character: 'Mule', dofusClass: 'enutrof', isActive: false },
+    { id: 'archer_cra_4', character: 'Archer', dofusClass: 'cra', isActive: false }
+];
+
+const createShortcutManager = () => ({
+    registerTemporaryShortcuts: jest.fn(keys => keys),
+    releaseTemporaryShortcuts: jest.fn()
+});
+
+describe('LeaderKeyMode', () => {
+    let shortcutManager;
+    let onSelect;
+    let mode;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        shortcutManager = createShortcutManager();
+        onSelect = jest.fn();
+        mode = new LeaderKeyMode(shortcutManager, { onSelect, timeout: 1000 });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('should register only the follow-up keys the windows need', () => {
+        expect(LeaderKeyMode.getFollowUpKeys(windows.slice(0, 2), 'AZERTY')).toEqual([
+            'Digit1', 'Numpad1', 'Digit2', 'Numpad2', 'KeyI', 'KeyE', 'KeyL', 'KeyU', 'KeyD', 'Escape'
+        ]);
+        expect(LeaderKeyMode.getInitialKey('ouginak', 'AZERTY')).toBe('KeyO');
+        expect(LeaderKeyMode.getInitialKey('zobal', 'AZERTY')).toBe('KeyW');
+        expect(LeaderKeyMode.getInitialKey('zobal', 'QWERTZ')).toBe('KeyY');
+        expect(LeaderKeyMode.getInitialKey('', 'AZERTY')).toBeNull();
+    });
+
+    test('should select a class whose initial is not on a letter key of the layout', () => {
+        const team = [...windows, { id: 'masked_masqueraider_5', character: 'Masked', dofusClass: 'masqueraider', isActive: false }];
+        expect(LeaderKeyMode.getInitialKey('masqueraider', 'AZERTY')).toBe('Semicolon');
+        expect(LeaderKeyMode.getFollowUpKeys(team, 'AZERTY')).toContain('Semicolon');
+
+        mode.trigger({ windows: team, layout: 'AZERTY' });
+        expect(mode.press('Semicolon')).toEqual({ type: 'window', window: team[4] });
+        expect(LeaderKeyMode.resolveKey('KeyM', 'AZERTY')).toBeNull();
+    });
+
+    test('should select windows by index and by class initial, and trigger actions', () => {
+        mode.trigger({ windows, layout: 'AZERTY' });
+        expect(mode.isArmed()).toBe(true);
+        expect(mode.press('Numpad3')).toEqual({ type: 'window', window: windows[2] });
+        expect(onSelect).toHaveBeenLastCalledWith({ type: 'window', window: windows[2] });
+        expect(mode.isArmed()).toBe(false);
+        expect(shortcutManager.releaseTemporaryShortcuts).toHaveBeenCalledTimes(1);
+
+        // The active window is an "e" class, so the next one of them is selected
+        mode.trigger({ windows, layout: 'AZERTY' });
+        expect(mode.press('KeyE').window).toBe(windows[2]);
+
+        mode.trigger({ windows, layout: 'AZERTY' });
+        expect(mode.press('KeyD')).toEqual({ type: 'action', action: 'toggleDock' });
+
+        mode.trigger({ windows, layout: 'AZERTY' });
+        expect(mode.press('Digit9')).toBeNull();
+        expect(onSelect).toHaveBeenCalledTimes(3);
+    });
+
+    test('should cancel on timeout, escape or the leader again', () => {
+        mode.trigger({ windows, layout: 'AZERTY' });
+        jest.advanceTimersByTime(1000);
+        expect(mode.isArmed()).toBe(false);
+        expect(mode.press('Digit1')).toBeNull();
+
+        mode.trigger({ windows, layout: 'AZERTY' });
+        expect(mode.press('Escape')).toBeNull();
+        expect(mode.isArmed()).toBe(false);
+
+        expect(mode.trigger({ windows, layout: 'AZERTY' })).toBe(true);
+        expect(mode.trigger({ windows, layout: 'AZERTY' })).toBe(false);
+        expect(mode.isArmed()).toBe(false);
+
+        expect(shortcutManager.releaseTemporaryShortcuts).toHaveBeenCalledTimes(3);
+        expect(onSelect).not.toHaveBeenCalled();
+    });
+
+    test('should stay idle when no follow-up key can be registered', () => {
+        shortcutManager.registerTemporaryShortcuts.mockReturnValue([]);
+
+        expect(mode.trigger({ windows, layout: 'AZERTY' })).toBe(false);
+        expect(mode.isArmed()).toBe(false);
+        expect(shortcutManager.releaseTemporaryShortcuts).toHaveBeenCalled();
+    });
+});
+
+describe('ShortcutManager temporary shortcuts', () => {
+    let manager;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        globalShortcut.register.mockReset().mockReturnValue(true);
+        globalShortcut.unregister.mockReset();
+        manager = new ShortcutManager();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should suspend window shortcuts on the same keys until released', () => {
+        const windowCallback = jest.fn();
+        manager.setWindowShortcut('leader_iop_1', 'Digit1', windowCallback);
+
+        const onKey = jest.fn();
+        expect(manager.registerTemporaryShortcuts(['Digit1', 'KeyQ'], onKey)).toEqual(['Digit1', 'KeyQ']);
+        expect(globalShortcut.unregister).toHaveBeenCalledWith('1');
+
+        const temporaryCallback = globalShortcut.register.mock.calls.find(([accelerator]) => accelerator === 'A')[1];
+        temporaryCallback();
+        expect(onKey).toHaveBeenCalledWith('KeyQ');
+
+        globalShortcut.register.mockClear();
+        manager.releaseTemporaryShortcuts();
+        expect(globalShortcut.unregister).toHaveBeenCalledWith('A');
+        expect(globalShortcut.register).toHaveBeenCalledTimes(1);
+        expect(globalShortcut.register).toHaveBeenCalledWith('1', expect.any(Function));
+        expect(manager.shortcuts.get('leader_iop_1').original).toBe('Digit1');
+    });
+
+    test('should skip keys held outside the shortcut manager', () => {
+        globalShortcut.register.mockImplementation(accelerator => accelerator !== 'Escape');
+
+        expect(manager.registerTemporaryShortcuts(['Digit1', 'Escape'], jest.fn())).toEqual(['Digit1']);
+        expect(manager.temporaryAccelerators).toEqual(new Set(['1']));
+    });
+});
@@ -0,0 +1,238 @@
+/**
+ * Tests for PowerShellSession protocol handling against a fake child process
+ * and the persistent detection mode of PowerShellExecutor
+ */
+const { EventEmitter } = require('events');
+const PowerShellSession = require('../src/services/WindowManagerWindows/PowerShellSession');
+const PowerShellExecutor = require('../src/services/WindowManagerWindows/PowerShellExecutor');
+
+/**
+ * Fake PowerShell process: answers each request line with the canned response
+ * returned by respond(request), or stays silent when respond returns null.
+ */
+const createFakeChild = (respond, options = {}) => {
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stdout.setEncoding = jest.fn();
+    child.stderr = new EventEmitter();
+    child.killed = false;
+    child.requests = [];
+
+    child.stdin = {
+        write: jest.fn((line) => {
+            const request = JSON.parse(line);
+            child.requests.push(request);
+            const response = respond(request, child);
+            if (response !== null) {
+                setTimeout(() => child.stdout.emit('data', `${JSON.stringify({ id: request.id, ...response })}\n`), 0);
+            }
+        }),
+        end: jest.fn()
+    };
+
+    child.kill = jest.fn(() => {
+        child.killed = true;
+        setTimeout(() => child.emit('exit', null), 0);
+    });
+
+    if (options.ready !== false) {
+        setTimeout(() => child.stdout.emit('data', '{"ready":true}\n'), 0);
+    }
+
+    return child;
+};
+
+const createSession = (respond, options = {}) => {
+    const children = [];
+    const spawn = jest.fn(() => {
+        const child = createFakeChild(respond, options.child);
+        children.push(child);
+        return child;
+    });
+
+    const session = new PowerShellSession({
+        name: 'test',
+        script: '# helper',
+        spawn,
+        startTimeout: 200,
+        requestTimeout: 100,
+        restartDelay: 0,
+        maxRestarts: 2,
+        ...options.session
+    });
+    session.writeScript = jest.fn(async () => 'dorganize-test-helper.ps1');
+
+    return { session, spawn, children };
+};
+
+const waitFor = async (predicate) => {
+    for (let i = 0; i < 50 && !predicate(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('PowerShellSession', () => {
+    let warnSpy;
+    let logSpy;
+
+    beforeEach(() => {
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        warnSpy.mockRestore();
+        logSpy.mockRestore();
+    });
+
+    test('should reuse one process for several requests', async () => {
+        const { session, spawn, children } = createSession(request => ({ ok: true, result: { echo: request.args.value } }));
+
+        expect(await session.request('echo', { value: 1 })).toEqual({ echo: 1 });
+        expect(await session.request('echo', { value: 2 })).toEqual({ echo: 2 });
+
+        expect(spawn).toHaveBeenCalledTimes(1);
+        expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-File', 'dorganize-test-helper.ps1']));
+        expect(children[0].requests.map(r => r.command)).toEqual(['echo', 'echo']);
+        session.stop();
+    });
+
+    test('should match responses to requests by id when lines arrive together', async () => {
+        const { session, children } = createSession(() => null);
+        const first = session.request('a');
+        await waitFor(() => children.length === 1 && children[0].requests.length === 1);
+        const second = session.request('b');
+        await waitFor(() => children[0].requests.length === 2);
+
+        const [reqA, reqB] = children[0].requests;
+        children[0].stdout.emit('data', `${JSON.stringify({ id: reqB.id, ok: true, result: 'B' })}\n{"id":${reqA.id},"ok":`);
+        children[0].stdout.emit('data', 'true,"result":"A"}\n');
+
+        expect(await first).toBe('A');
+        expect(await second).toBe('B');
+        session.stop();
+    });
+
+    test('should surface helper errors and ignore non-JSON output', async () => {
+        const { session, children } = createSession(request => (
+            request.command === 'bad' ? { ok: false, error: 'Unknown command: bad' } : { ok: true, result: 1 }
+        ));
+
+        await expect(session.request('bad')).rejects.toThrow('Unknown command: bad');
+        children[0].stdout.emit('data', 'WARNING: something noisy\n');
+        expect(await session.request('good')).toBe(1);
+        session.stop();
+    });
+
+    test('should time out a stuck request and restart the process', async () => {
+        let hang = true;
+        const { session, spawn, children } = createSession(() => (hang ? null : { ok: true, result: 'ok' }));
+
+        await expect(session.request('slow', {}, { timeout: 20 })).rejects.toThrow('timed out after 20ms');
+        expect(children[0].kill).toHaveBeenCalled();
+
+        hang = false;
+        await waitFor(() => spawn.mock.calls.length === 2 && session.isRunning());
+        expect(await session.request('fast')).toBe('ok');
+        expect(session.getStatistics()).toMatchObject({ timeouts: 1, restarts: 1 });
+        session.stop();
+    });
+
+    test('should fail pending requests and restart when the process crashes', async () => {
+        const { session, spawn, children } = createSession(() => null);
+
+        const pending = session.request('get-windows', {}, { timeout: 1000 });
+        await waitFor(() => children.length === 1 && children[0].requests.length === 1);
+        children[0].emit('exit', 1);
+
+        await expect(pending).rejects.toThrow('Session ended (exit code 1)');
+        await waitFor(() => spawn.mock.calls.length === 2);
+        expect(spawn).toHaveBeenCalledTimes(2);
+        session.stop();
+    });
+
+    test('should give up after too many crashes until reset', async () => {
+        const { session } = createSession(() => null, { child: { ready: false }, session: { startTimeout: 10, maxRestarts: 1 } });
+
+        await expect(session.request('ping')).rejects.toThrow('Start timed out');
+        await waitFor(() => session.hasFailed());
+        expect(session.hasFailed()).toBe(true);
+        await expect(session.request('ping')).rejects.toThrow('Gave up after 1 restarts');
+
+        session.reset();
+        expect(session.hasFailed()).toBe(false);
+        session.stop();
+    });
+
+    test('should forget crashes of a process that stayed up, without any request', async () => {
+        const { session, spawn, children } = createSession(() => null, { session: { maxRestarts: 1, stableUptime: 30 } });
+
+        await session.start();
+        children[0].emit('exit', 1);
+        await waitFor(() => spawn.mock.calls.length === 2 && session.isRunning());
+        expect(session.restartCount).toBe(1);
+
+        await waitFor(() => session.restartCount === 0);
+        expect(session.restartCount).toBe(0);
+        children[1].emit('exit', 1);
+        await waitFor(() => spawn.mock.calls.length === 3 && session.isRunning());
+        expect(session.hasFailed()).toBe(false);
+        session.stop();
+    });
+
+    test('should not restart after stop', async () => {
+        const { session, spawn } = createSession(() => ({ ok: true, result: null }));
+
+        await session.request('ping');
+        session.stop();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        expect(spawn).toHaveBeenCalledTimes(1);
+        expect(session.isRunning()).toBe(false);
+    });
+});
+
+describe('PowerShellExecutor persistent session mode', () => {
+    const rawWindows = [
+        { Handle: 12345, Title: 'Leader - Iop - 3.0 - Release', ProcessId: 1001 },
+        { Handle: 67890, Title: 'Healer - Eniripsa - 3.0 - Release', ProcessId: 1002 }
+    ];
+
+    test('should detect windows through the session', async () => {
+        const session = { request: jest.fn(async () => [...rawWindows, true]), stop: jest.fn(), getStatistics: jest.fn(() => ({})) };
+        const executor = new PowerShellExecutor({ session });
+        executor.initialize = jest.fn();
+
+        const windows = await executor.getDofusWindows();
+
+        expect(windows).toEqual(rawWindows);
+        expect(session.request).toHaveBeenCalledWith('get-windows', {}, { timeout: executor.config.defaultTimeout });
+        expect(executor.initialize).not.toHaveBeenCalled();
+
+        await executor.cleanup();
+        expect(session.stop).toHaveBeenCalled();
+    });
+
+    test('should fall back to one-shot detection when the session fails', async () => {
+        const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const session = { request: jest.fn(async () => { throw new Error('Session ended (exit code 1)'); }), stop: jest.fn() };
+        const executor = new PowerShellExecutor({ session });
+        executor.initialize = jest.fn().mockRejectedValue(new Error('PowerShell is not available'));
+        executor.getWindowsAlternative = jest.fn().mockResolvedValue(rawWindows.slice(0, 1));
+
+        expect(await executor.getDofusWindows()).toEqual(rawWindows.slice(0, 1));
+        expect(executor.getWindowsAlternative).toHaveBeenCalled();
+        warnSpy.mockRestore();
+    });
+
+    test('should generate a session script answering get-windows', () => {
+        const script = new PowerShellExecutor().generateSessionScript();
+
+        expect(script).toContain('function Get-DofusWindows');
+        expect(script).toContain('"get-windows"');
+        expect(script).toContain('$targetProcesses = @("Dofus", "Dofus.exe", "DofusRetro", "DofusRetro.exe", "java", "java.exe")');
+        expect(script).toContain('($processNameLower -match "dofus|ankama")');
+        expect(script).toContain('{"ready":true}');
+        expect(script).not.toContain('switch ($args[0])');
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Tests for team profiles bundling roster, initiatives, shortcuts, dock and layout
+ */
+const ProfileManager = require('../src/services/ProfileManager');
+
+const createMemoryStore = (initial = {}) => {
+    const data = JSON.parse(JSON.stringify(initial));
+    return {
+        data,
+        get: jest.fn((key, defaultValue) => (data[key] !== undefined ? data[key] : defaultValue)),
+        set: jest.fn((key, value) => {
+            data[key] = value;
+        })
+    };
+};
+
+const createShortcutConfig = (shortcuts) => ({
+    config: { shortcuts: JSON.parse(JSON.stringify(shortcuts)) },
+    saveConfig: jest.fn(async () => true)
+});
+
+const teamA = [
+    { id: 'leader_iop_1', characterId: 'leader_iop', character: 'Leader', dofusClass: 'iop', enabled: true },
+    { id: 'healer_eniripsa_2', characterId: 'healer_eniripsa', character: 'Healer', dofusClass: 'eniripsa', enabled: true },
+    { id: 'mule_enutrof_3', characterId: 'mule_enutrof', character: 'Mule', dofusClass: 'enutrof', enabled: false }
+];
+
+describe('ProfileManager', () => {
+    let store;
+    let shortcutConfig;
+    let manager;
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        store = createMemoryStore({
+            initiatives: { leader_iop: 150, healer_eniripsa: 120, mule_enutrof: 10 },
+            enabledWindows: { mule_enutrof: false },
+            dock: { enabled: true, position: 'SE' },
+            'organize.lastLayout': { name: 'grid', restore: false },
+            'organize.target': 'primary'
+        });
+        shortcutConfig = createShortcutConfig({
+            global: { nextWindow: 'Ctrl+Tab' },
+            characters: { leader_iop: { shortcut: 'F1' } },
+            autoKey: { enabled: false, pattern: 'numbers' }
+        });
+        manager = new ProfileManager(store, shortcutConfig);
+    });
+
+    afterEach(() => {
+        logSpy.mockRestore();
+    });
+
+    test('should capture the enabled characters and the whole configuration', () => {
+        const profile = manager.saveProfile('  Dungeon team ', teamA);
+
+        expect(profile).toMatchObject({
+            name: 'Dungeon team',
+            roster: [
+                { characterId: 'leader_iop', character: 'Leader', dofusClass: 'iop' },
+                { characterId: 'healer_eniripsa', character: 'Healer', dofusClass: 'eniripsa' }
+            ],
+            initiatives: { leader_iop: 150, healer_eniripsa: 120 },
+            characterShortcuts: { leader_iop: { shortcut: 'F1' } },
+            globalShortcuts: { nextWindow: 'Ctrl+Tab' },
+            autoKey: { enabled: false, pattern: 'numbers' },
+            dock: { enabled: true, position: 'SE' },
+            layout: { name: 'grid', restore: false, target: 'primary' }
+        });
+        expect(manager.getActiveProfileName()).toBe('Dungeon team');
+    });
+
+    test('should apply every part of a profile', async () => {
+        manager.saveProfile('Dungeon team', teamA);
+
+        // Reconfigure for another team
+        store.data.initiatives = { leader_iop: 1, mule_enutrof: 300 };
+        store.data.dock = { enabled: false };
+        shortcutConfig.config.shortcuts.characters = {};
+        shortcutConfig.config.shortcuts.global = {};
+        shortcutConfig.config.shortcuts.autoKey = { enabled: true, pattern: 'function' };
+        manager.saveProfile('Farm team', [{ ...teamA[2], enabled: true }]);
+
+        await manager.applyProfile('Dungeon team', teamA);
+
+        expect(store.data.enabledWindows).toEqual({ leader_iop: true, healer_eniripsa: true, mule_enutrof: false });
+        expect(store.data.initiatives).toEqual({ leader_iop: 150, healer_eniripsa: 120, mule_enutrof: 300 });
+        expect(store.data.dock).toEqual({ enabled: true, position: 'SE' });
+        expect(store.data['organize.lastLayout']).toEqual({ name: 'grid', restore: false });
+        expect(shortcutConfig.config.shortcuts).toEqual({
+            global: { nextWindow: 'Ctrl+Tab' },
+            characters: { leader_iop: { shortcut: 'F1' } },
+            autoKey: { enabled: false, pattern: 'numbers' }
+        });
+        expect(shortcutConfig.saveConfig).toHaveBeenCalled();
+        expect(manager.getActiveProfileName()).toBe('Dungeon team');
+    });
+
+    test('should restore the previous configuration when saving the shortcuts fails', async () => {
+        manager.saveProfile('Dungeon team', teamA);
+        store.data.initiatives = { leader_iop: 1 };
+        store.data.enabledWindows = { leader_iop: false };
+        shortcutConfig.config.shortcuts.global = { nextWindow: 'Alt+Tab' };
+        manager.saveProfile('Other', []);
+        shortcutConfig.saveConfig.mockResolvedValue(false);
+        jest.spyOn(manager.errorHandler, 'error').mockImplementation(() => {});
+
+        await expect(manager.applyProfile('Dungeon team', teamA)).rejects.toThrow('Failed to save');
+
+        expect(store.data.initiatives).toEqual({ leader_iop: 1 });
+        expect(store.data.enabledWindows).toEqual({ leader_iop: false });
+        expect(shortcutConfig.config.shortcuts.global).toEqual({ nextWindow: 'Alt+Tab' });
+        expect(manager.getActiveProfileName()).toBe('Other');
+    });
+
+    test('should cycle through profiles in name order', () => {
+        expect(manager.getNextProfileName()).toBeNull();
+
+        manager.saveProfile('B', teamA);
+        manager.saveProfile('A', teamA);
+        manager.saveProfile('C', teamA);
+
+        expect(manager.getNextProfileName()).toBe('A');
+        manager.deleteProfile('C');
+        expect(manager.getActiveProfileName()).toBeNull();
+        expect(manager.getNextProfileName()).toBe('A');
+    });
+
+    test('should name new profiles from the localized template and validate names', async () => {
+        manager.saveProfile('Profil n°1', teamA);
+
+        expect(manager.getDefaultProfileName('Profil n°{0}')).toBe('Profil n°2');
+        expect(() => manager.saveProfile('   ', teamA)).toThrow('name is required');
+        expect(() => manager.saveProfile('x'.repeat(51), teamA)).toThrow('at most 50 characters');
+        await expect(manager.applyProfile('Missing', teamA)).rejects.toThrow('Unknown profile');
+    });
+
+    test('should pick the profile sharing the most characters with the detected windows', () => {
+        manager.saveProfile('Duo', teamA);
+        manager.saveProfile('Trio', teamA.map(window => ({ ...window, enabled: true })));
+        manager.saveProfile('Solo', [teamA[2]].map(window => ({ ...window, enabled: true })));
+
+        expect(manager.findBestProfile(teamA.slice(0, 2), 0.5)).toEqual({ name: 'Duo', match: 1, matched: 2 });
+        expect(manager.findBestProfile(teamA, 0.5)).toEqual({ name: 'Trio', match: 1, matched: 3 });
+        expect(manager.findBestProfile([teamA[0]], 0.5)).toEqual({ name: 'Duo', match: 0.5, matched: 1 });
+        expect(manager.findBestProfile([teamA[0]], 0.6)).toBeNull();
+        expect(manager.findBestProfile([{ characterId: 'stranger_sram' }], 0)).toBeNull();
+        expect(manager.findBestProfile([], 0)).toBeNull();
+    });
+
+    test('should undo the last profile switch', async () => {
+        manager.saveProfile('Dungeon team', teamA);
+        store.data.initiatives = { leader_iop: 1 };
+        store.data.enabledWindows = { leader_iop: false };
+        shortcutConfig.config.shortcuts.global = { nextWindow: 'Alt+Tab' };
+        manager.saveProfile('Other', []);
+
+        await manager.applyProfile('Dungeon team', teamA);
+        expect(manager.getUndoInfo()).toEqual({ profile: 'Dungeon team', active: 'Other' });
+
+        await expect(manager.undoLastSwitch(teamA)).resolves.toBe('Other');
+
+        expect(store.data.initiatives).toEqual({ leader_iop: 1 });
+        expect(store.data.enabledWindows).toEqual({ leader_iop: false });
+        expect(shortcutConfig.config.shortcuts.global).toEqual({ nextWindow: 'Alt+Tab' });
+        expect(manager.getActiveProfileName()).toBe('Other');
+        expect(manager.getUndoInfo()).toBeNull();
+        await expect(manager.undoLastSwitch(teamA)).rejects.toThrow('No profile switch to undo');
+    });
+});
@@ -286,4 +286,216 @@ describe('ShortcutConfigManager', () => {
         expect(await configManager.fileExists(testConfigFile)).toBe(true);
         expect(await configManager.fileExists(testConfigFile + '.nonexistent')).toBe(false);
     });
+
+    describe('shortcut API', () => {
+        const readSavedConfig = async () => {
+            await configManager.savePromise;
+            return JSON.parse(await fs.readFile(testConfigFile, 'utf8'));
+        };
+
+        // Let queued saves finish before the next test cleans the config directory
+        afterEach(async () => {
+            await configManager.savePromise;
+        });
+
+        const team = [
+            { id: 'leader_iop_1', character: 'Leader', dofusClass: 'iop', initiative: 100, enabled: true },
+            { id: 'healer_eniripsa_2', character: 'Healer', dofusClass: 'eniripsa', initiative: 300, enabled: true },
+            { id: 'mule_enutrof_3', character: 'Mule', dofusClass: 'enutrof', initiative: 200, enabled: false }
+        ];
+
+        test('should store, persist and remove global shortcuts', async () => {
+            expect(configManager.setGlobalShortcut('nextWindow', 'Ctrl+Tab')).toBe(true);
+            expect(configManager.setGlobalShortcut('toggleShortcuts', 'Tab+Q')).toBe(false);
+            expect(configManager.getGlobalShortcut('nextWindow')).toBe('Ctrl+Tab');
+            expect(configManager.getGlobalShortcut('toggleShortcuts')).toBeNull();
+            expect((await readSavedConfig()).shortcuts.global).toEqual({ nextWindow: 'Ctrl+Tab' });
+
+            expect(configManager.removeGlobalShortcut('nextWindow')).toBe(true);
+            expect(configManager.removeGlobalShortcut('nextWindow')).toBe(false);
+            expect(configManager.getAllGlobalShortcuts()).toEqual({});
+            expect((await readSavedConfig()).shortcuts.global).toEqual({});
+        });
+
+        test('should key window shortcuts by character and follow restarted clients', async () => {
+            expect(configManager.setWindowShortcut('leader_iop_1', 'F1', 'Leader', 'iop')).toBe(true);
+            expect(configManager.setWindowShortcut('x_1', 'F2', '', 'iop')).toBe(false);
+
+            expect(configManager.getCharacterShortcut('Leader', 'iop')).toBe('F1');
+            expect(configManager.linkShortcutToWindow('Leader', 'iop', 'leader_iop_99')).toBe('F1');
+            expect(configManager.linkShortcutToWindow('Healer', 'eniripsa', 'healer_eniripsa_2')).toBeNull();
+            expect(configManager.getShortcutPriority('leader_iop')).toBe(configManager.config.priorities.WINDOW);
+            expect((await readSavedConfig()).shortcuts.characters.leader_iop).toMatchObject({
+                shortcut: 'F1',
+                windowId: 'leader_iop_99',
+                auto: false
+            });
+
+            expect(configManager.removeWindowShortcut('leader_iop_1')).toBe(false);
+            expect(configManager.removeWindowShortcut('leader_iop_99')).toBe(true);
+            configManager.setWindowShortcut('leader_iop_1', 'F1', 'Leader', 'iop');
+            expect(configManager.removeCharacterShortcut('Leader', 'iop')).toBe(true);
+            expect((await readSavedConfig()).shortcuts.characters).toEqual({});
+        });
+
+        test('should assign auto key shortcuts in initiative order and keep manual ones', async () => {
+            configManager.setWindowShortcut('leader_iop_1', 'Ctrl+L', 'Leader', 'iop');
+            expect(configManager.setAutoKeyPattern('function')).toBe(true);
+            expect(configManager.setAutoKeyPattern('custom', 'Ctrl+Alt')).toBe(false);
+            expect(configManager.setAutoKeyPattern('qwerty')).toBe(false);
+            configManager.setAutoKeyEnabled(true);
+
+            expect(configManager.applyAutoKeyConfiguration(team)).toBe(1);
+            expect(configManager.getCharacterShortcut('Healer', 'eniripsa')).toBe('F1');
+            expect(configManager.getCharacterShortcut('Leader', 'iop')).toBe('Ctrl+L');
+            expect(configManager.getCharacterShortcut('Mule', 'enutrof')).toBeNull();
+            expect(configManager.getShortcutPriority('healer_eniripsa')).toBe(configManager.config.priorities.AUTO_KEY);
+
+            configManager.setAutoKeyPattern('custom', 'Alt+{n}');
+            configManager.applyAutoKeyConfiguration(team);
+            expect(configManager.getCharacterShortcut('Healer', 'eniripsa')).toBe('Alt+Digit1');
+
+            configManager.setGlobalShortcut('nextWindow', 'F2');
+            configManager.setAutoKeyPattern('function');
+            expect(configManager.previewAutoKeyConfiguration(team)).toMatchObject({
+                assignments: [
+                    { characterKey: 'healer_eniripsa', shortcut: 'F1', manual: false },
+                    { characterKey: 'leader_iop', shortcut: 'Ctrl+L', manual: true }
+                ],
+                collisions: [],
+                overflowCount: 0
+            });
+            expect(configManager.previewAutoKeyConfiguration(team, 'custom', 'Shift+{letter}').assignments[0].shortcut).toBe('Shift+KeyQ');
+
+            configManager.setAutoKeyEnabled(false);
+            expect(configManager.isAutoKeyEnabled()).toBe(false);
+            expect(Object.keys((await readSavedConfig()).shortcuts.characters)).toEqual(['leader_iop']);
+        });
+
+        test('should validate, persist and target auto key programs by character', async () => {
+            const program = { steps: [{ key: 'F1', delayMs: '800' }, { key: 'KeyQ', delayMs: 1200 }], jitterMs: 200 };
+            expect(configManager.setAutoKeyProgram('Leader', 'iop', program)).toEqual({ isValid: true, errors: [] });
+            expect(configManager.setAutoKeyProgram('Healer', 'eniripsa', { steps: [{ key: 'Ctrl', delayMs: 50 }] })).toEqual({
+                isValid: false,
+                errors: ['step 1: invalid key "Ctrl"', 'step 1: delay must be between 100 and 60000 ms']
+            });
+            configManager.setAutoKeyProgram('Mule', 'enutrof', { steps: [{ key: 'Space', delayMs: 500 }] });
+
+            expect((await readSavedConfig()).shortcuts.autoKey.programs.leader_iop).toMatchObject({
+                steps: [{ key: 'F1', delayMs: 800 }, { key: 'KeyQ', delayMs: 1200 }],
+                jitterMs: 200,
+                enabled: true
+            });
+            expect(configManager.getAutoKeyProgramTargets(team).map(target => target.windowId)).toEqual(['leader_iop_1']);
+
+            configManager.setAutoKeyProgram('Leader', 'iop', { ...program, enabled: false });
+            expect(configManager.getAutoKeyProgramTargets(team)).toEqual([]);
+            expect(configManager.removeAutoKeyProgram('Leader', 'iop')).toBe(true);
+            expect(configManager.removeAutoKeyProgram('Leader', 'iop')).toBe(false);
+            expect(Object.keys((await readSavedConfig()).shortcuts.autoKey.programs)).toEqual(['mule_enutrof']);
+        });
+
+        test('should unlink closed windows and forget old characters without shortcut', () => {
+            configManager.setCharacterProfile('leader_iop_1', 'Leader', 'iop');
+            configManager.setCharacterProfile('mule_enutrof_3', 'Mule', 'enutrof');
+            configManager.setCharacterProfile('healer_eniripsa_2', 'Healer', 'eniripsa');
+            configManager.setWindowShortcut('healer_eniripsa_2', 'F2', 'Healer', 'eniripsa');
+            configManager.config.characters.mule_enutrof.lastSeen = '2020-01-01T00:00:00.000Z';
+            configManager.config.characters.healer_eniripsa.lastSeen = '2020-01-01T00:00:00.000Z';
+
+            expect(configManager.cleanupOldEntries([team[0]])).toBe(3);
+
+            expect(Object.keys(configManager.config.characters).sort()).toEqual(['healer_eniripsa', 'leader_iop']);
+            expect(configManager.config.characters.leader_iop.windowId).toBe('leader_iop_1');
+            expect(configManager.config.shortcuts.characters.healer_eniripsa).toMatchObject({ shortcut: 'F2', windowId: null });
+            expect(configManager.cleanupOldEntries([team[0]])).toBe(0);
+        });
+
+        test('should export and import configurations', async () => {
+            configManager.setGlobalShortcut('nextWindow', 'Ctrl+Tab');
+            configManager.setWindowShortcut('leader_iop_1', 'F1', 'Leader', 'iop');
+            const exported = configManager.exportConfig();
+
+            expect(exported).not.toHaveProperty('paths');
+            configManager.removeGlobalShortcut('nextWindow');
+
+            expect(await configManager.importConfig({ version: '1.0.0' })).toBe(false);
+            expect(await configManager.importConfig({
+                ...exported,
+                shortcuts: { ...exported.shortcuts, global: { nextWindow: 'Tab+Q' } }
+            })).toBe(false);
+            expect(configManager.getGlobalShortcut('nextWindow')).toBeNull();
+
+            expect(await configManager.importConfig(exported)).toBe(true);
+            expect(configManager.getGlobalShortcut('nextWindow')).toBe('Ctrl+Tab');
+            expect(configManager.getStatistics()).toMatchObject({ globalShortcuts: 1, characterShortcuts: 1, autoKeyShortcuts: 0 });
+            expect((await readSavedConfig()).shortcuts.characters.leader_iop.shortcut).toBe('F1');
+        });
+
+        test('should migrate electron-store shortcuts once', () => {
+            const store = {
+                get: jest.fn((key, defaultValue) => ({
+                    shortcuts: { leader_iop_1234: 'F3', nextWindow: 'Ctrl+Tab', healer_eniripsa_5: 'Tab+Q' },
+                    globalShortcuts: { toggleShortcuts: 'Ctrl+Shift+D' }
+                })[key] || defaultValue)
+            };
+            configManager.setWindowShortcut('leader_iop_1', 'F1', 'Leader', 'iop');
+
+            expect(configManager.migrateFromElectronStore(store)).toBe(2);
+            expect(configManager.getCharacterShortcut('Leader', 'iop')).toBe('F1');
+            expect(configManager.getAllGlobalShortcuts()).toEqual({ nextWindow: 'Ctrl+Tab', toggleShortcuts: 'Ctrl+Shift+D' });
+            expect(configManager.migrateFromElectronStore(store)).toBe(0);
+        });
+
+        test('should not migrate unknown electron-store shortcut keys', () => {
+            const store = {
+                get: jest.fn((key, defaultValue) => ({
+                    shortcuts: { nextWindow: 'Ctrl+Tab', windowLocked: 'F9' },
+                    globalShortcuts: { 'cycleGroup:healers': 'F10' }
+                })[key] || defaultValue)
+            };
+
+            expect(configManager.migrateFromElectronStore(store)).toBe(1);
+            expect(configManager.getAllGlobalShortcuts()).toEqual({ nextWindow: 'Ctrl+Tab' });
+        });
+
+        test('should list configured shortcuts and apply conflict fixes in one save', async () => {
+            configManager.setGlobalShortcut('nextWindow', 'Ctrl+Tab');
+            configManager.setWindowShortcut('leader_iop_1', 'Ctrl+Tab', 'Leader', 'iop', configManager.config.priorities.AUTO_KEY);
+
+            expect(configManager.getConfiguredShortcuts()).toEqual([
+                { id: 'global:nextWindow', kind: 'global', name: 'nextWindow', label: 'nextWindow', shortcut: 'Ctrl+Tab', auto: false },
+                { id: 'character:leader_iop', kind: 'character', name: 'leader_iop', label: 'Leader', shortcut: 'Ctrl+Tab', auto: false }
+            ]);
+
+            expect(configManager.applyShortcutChanges([{ id: 'character:healer_eniripsa', shortcut: 'F2' }])).toBe(false);
+            expect(configManager.applyShortcutChanges([{ id: 'global:nextWindow', shortcut: 'Tab+Q' }])).toBe(false);
+            expect(configManager.applyShortcutChanges([
+                { id: 'character:leader_iop', shortcut: 'Ctrl+Alt+Digit1' },
+                { id: 'global:nextWindow', shortcut: null }
+            ])).toBe(true);
+
+            expect(configManager.getAllGlobalShortcuts()).toEqual({});
+            expect((await readSavedConfig()).shortcuts.characters.leader_iop).toMatchObject({
+                shortcut: 'Ctrl+Alt+Digit1',
+                priority: configManager.config.priorities.WINDOW,
+                auto: false
+            });
+        });
+
+        test('should convert shortcuts recorded as key labels to key codes once', () => {
+            configManager.config.shortcuts.global = { nextWindow: 'Ctrl+Tab', toggleShortcuts: 'Ctrl+Shift+Z' };
+            configManager.setWindowShortcut('leader_iop_1', 'Alt+&', 'Leader', 'iop');
+            configManager.setWindowShortcut('healer_eniripsa_2', 'num3', 'Healer', 'eniripsa');
+
+            expect(configManager.migrateToKeyCodes('AZERTY')).toBe(3);
+            expect(configManager.getAllGlobalShortcuts()).toEqual({ nextWindow: 'Ctrl+Tab', toggleShortcuts: 'Ctrl+Shift+KeyW' });
+            expect(configManager.getCharacterShortcut('Leader', 'iop')).toBe('Alt+Digit1');
+            expect(configManager.getCharacterShortcut('Healer', 'eniripsa')).toBe('Numpad3');
+
+            configManager.setWindowShortcut('leader_iop_1', 'Alt+A', 'Leader', 'iop');
+            expect(configManager.migrateToKeyCodes('AZERTY')).toBe(0);
+            expect(configManager.getCharacterShortcut('Leader', 'iop')).toBe('Alt+A');
+        });
+    });
 });
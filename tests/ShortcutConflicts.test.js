@@ -0,0 +1,88 @@
+/**
+ * Tests for the shortcut conflict analysis and its one-click fixes
+ */
+jest.mock('../src/utils/Logger', () => ({
+    logger: {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    }
+}));
+
+const ShortcutConflicts = require('../src/utils/ShortcutConflicts');
+
+const entries = [
+    { id: 'global:nextWindow', kind: 'global', name: 'nextWindow', shortcut: 'Ctrl+Tab', active: true },
+    { id: 'global:toggleShortcuts', kind: 'global', name: 'toggleShortcuts', shortcut: 'Ctrl+Shift+KeyD', active: true },
+    { id: 'character:leader_iop', kind: 'character', name: 'leader_iop', shortcut: 'Ctrl+Tab', active: true },
+    { id: 'character:healer_eniripsa', kind: 'character', name: 'healer_eniripsa', shortcut: 'F1', active: true },
+    { id: 'character:mule_enutrof', kind: 'character', name: 'mule_enutrof', shortcut: 'F1', active: false },
+    { id: 'character:sram_sram', kind: 'character', name: 'sram_sram', shortcut: 'Alt+KeyQ', active: false },
+    { id: 'character:cra_cra', kind: 'character', name: 'cra_cra', shortcut: 'Ctrl+Digit1', active: true }
+];
+
+const registered = [
+    { id: 'character:leader_iop', accelerator: 'CommandOrControl+Tab' },
+    { id: 'character:healer_eniripsa', accelerator: 'F1' },
+    { id: 'global:toggleShortcuts', accelerator: 'CommandOrControl+Shift+D' }
+];
+
+const statusOf = (analysis, id) => analysis.entries.find(entry => entry.id === id);
+
+describe('ShortcutConflicts', () => {
+    test('should report the state of every configured shortcut', () => {
+        const analysis = ShortcutConflicts.analyze(entries, registered, { layout: 'AZERTY' });
+
+        expect(statusOf(analysis, 'character:leader_iop')).toMatchObject({ status: 'registered', fixes: [] });
+        expect(statusOf(analysis, 'global:toggleShortcuts').status).toBe('registered');
+        expect(statusOf(analysis, 'global:nextWindow')).toMatchObject({ status: 'shadowed', conflictsWith: ['character:leader_iop'] });
+        expect(statusOf(analysis, 'character:healer_eniripsa')).toMatchObject({ status: 'duplicated', conflictsWith: ['character:mule_enutrof'] });
+        expect(statusOf(analysis, 'character:mule_enutrof').status).toBe('duplicated');
+        expect(statusOf(analysis, 'character:sram_sram').status).toBe('inactive');
+        expect(statusOf(analysis, 'character:cra_cra')).toMatchObject({ status: 'refused', conflictsWith: [] });
+        expect(analysis.counts).toEqual({ registered: 2, inactive: 1, shadowed: 1, refused: 1, duplicated: 2 });
+        expect(analysis.conflictCount).toBe(4);
+    });
+
+    test('should offer distinct free shortcuts and the fixes that apply', () => {
+        const analysis = ShortcutConflicts.analyze(entries, registered, { layout: 'AZERTY' });
+
+        expect(statusOf(analysis, 'global:nextWindow')).toMatchObject({
+            suggestion: 'Ctrl+Alt+Digit1',
+            fixes: ['reassign', 'swap', 'drop']
+        });
+        expect(statusOf(analysis, 'character:healer_eniripsa').suggestion).toBe('Ctrl+Alt+Digit2');
+        expect(statusOf(analysis, 'character:cra_cra').fixes).toEqual(['reassign', 'drop']);
+
+        const crowded = ShortcutConflicts.analyze(entries, registered, { candidates: ['Ctrl+Tab', 'F1'] });
+        expect(statusOf(crowded, 'global:nextWindow')).toMatchObject({ suggestion: null, fixes: ['drop'] });
+    });
+
+    test('should compare shortcuts by the keys they register on the layout', () => {
+        const layoutEntries = [
+            { id: 'character:a', kind: 'character', name: 'a', shortcut: 'Alt+KeyQ', active: true },
+            { id: 'character:b', kind: 'character', name: 'b', shortcut: 'Alt+A', active: true }
+        ];
+
+        expect(ShortcutConflicts.analyze(layoutEntries, [], { layout: 'AZERTY' }).counts.duplicated).toBe(2);
+        expect(ShortcutConflicts.analyze(layoutEntries, [], { layout: 'QWERTY' }).counts.duplicated).toBe(0);
+    });
+
+    test('should plan reassign, swap and drop fixes', () => {
+        const analysis = ShortcutConflicts.analyze(entries, registered, { layout: 'AZERTY' });
+
+        expect(ShortcutConflicts.planFix(analysis, 'global:nextWindow', 'reassign')).toEqual([
+            { id: 'global:nextWindow', shortcut: 'Ctrl+Alt+Digit1' }
+        ]);
+        expect(ShortcutConflicts.planFix(analysis, 'global:nextWindow', 'swap')).toEqual([
+            { id: 'character:leader_iop', shortcut: 'Ctrl+Alt+Digit1' }
+        ]);
+        expect(ShortcutConflicts.planFix(analysis, 'character:cra_cra', 'drop')).toEqual([
+            { id: 'character:cra_cra', shortcut: null }
+        ]);
+        expect(() => ShortcutConflicts.planFix(analysis, 'character:cra_cra', 'swap')).toThrow('not available');
+        expect(() => ShortcutConflicts.planFix(analysis, 'character:leader_iop', 'drop')).toThrow('not available');
+        expect(() => ShortcutConflicts.planFix(analysis, 'global:missing', 'drop')).toThrow('Unknown shortcut');
+    });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests for the safety shortcuts the shortcut manager keeps across reloads
+ */
+const { globalShortcut } = require('electron');
+const ShortcutManager = require('../src/services/ShortcutManager');
+
+describe('ShortcutManager guard shortcuts', () => {
+    let manager;
+
+    const pressGuard = accelerator => {
+        const calls = globalShortcut.register.mock.calls.filter(([registered]) => registered === accelerator);
+        calls[calls.length - 1][1]();
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        globalShortcut.register.mockReset().mockReturnValue(true);
+        globalShortcut.unregister.mockReset();
+        globalShortcut.unregisterAll.mockReset();
+        manager = new ShortcutManager();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should register the emergency stop again when shortcuts are reloaded or turned off', () => {
+        const emergencyStop = jest.fn();
+        expect(manager.holdGuardShortcut('auto-key', 'Ctrl+Shift+KeyX', emergencyStop)).toBe(true);
+        manager.setWindowShortcut('leader_iop_1', 'Digit1', jest.fn());
+
+        globalShortcut.register.mockClear();
+        manager.cleanup();
+        expect(globalShortcut.unregisterAll).toHaveBeenCalled();
+        expect(globalShortcut.register).toHaveBeenCalledTimes(1);
+        expect(globalShortcut.register).toHaveBeenCalledWith('CommandOrControl+Shift+X', expect.any(Function));
+
+        manager.deactivateAll();
+        pressGuard('CommandOrControl+Shift+X');
+        expect(emergencyStop).toHaveBeenCalledTimes(1);
+    });
+
+    test('should call every owner of a shared key and unregister it with the last one', () => {
+        const stopAutoKey = jest.fn();
+        const stopBroadcast = jest.fn(() => { throw new Error('already stopped'); });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        manager.holdGuardShortcut('auto-key', 'Ctrl+Shift+KeyX', stopAutoKey);
+        manager.holdGuardShortcut('broadcast', 'Ctrl+Shift+KeyX', stopBroadcast);
+
+        pressGuard('CommandOrControl+Shift+X');
+        expect(stopBroadcast).toHaveBeenCalled();
+        expect(stopAutoKey).toHaveBeenCalledTimes(1);
+
+        globalShortcut.register.mockClear();
+        manager.releaseGuardShortcut('broadcast');
+        pressGuard('CommandOrControl+Shift+X');
+        expect(stopAutoKey).toHaveBeenCalledTimes(2);
+        expect(stopBroadcast).toHaveBeenCalledTimes(1);
+
+        globalShortcut.register.mockClear();
+        manager.releaseGuardShortcut('auto-key');
+        manager.cleanup();
+        expect(globalShortcut.unregister).toHaveBeenLastCalledWith('CommandOrControl+Shift+X');
+        expect(globalShortcut.register).not.toHaveBeenCalled();
+    });
+
+    test('should leave keys taken by another shortcut alone', () => {
+        globalShortcut.isRegistered.mockReturnValue(true);
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(manager.holdGuardShortcut('broadcast', 'Ctrl+Shift+KeyX', jest.fn())).toBe(false);
+        manager.releaseGuardShortcut('broadcast');
+        expect(globalShortcut.register).not.toHaveBeenCalled();
+        expect(globalShortcut.unregister).not.toHaveBeenCalled();
+        globalShortcut.isRegistered.mockReset();
+    });
+});
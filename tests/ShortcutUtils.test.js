@@ -89,4 +89,18 @@ describe('ShortcutUtils', () => {
             expect(result.key).toBe('D');
         });
     });
+
+    describe('normalizeShortcut', () => {
+        test('should compare modifier aliases and orders as equal', () => {
+            expect(ShortcutUtils.normalizeShortcut('Alt+Ctrl+1')).toBe('alt+ctrl+1');
+            expect(ShortcutUtils.normalizeShortcut('Control+Alt+1')).toBe('alt+ctrl+1');
+            expect(ShortcutUtils.normalizeShortcut('CommandOrControl+Tab')).toBe('ctrl+tab');
+            expect(ShortcutUtils.normalizeShortcut('F1')).toBe('f1');
+        });
+
+        test('should return an empty string for invalid shortcuts', () => {
+            expect(ShortcutUtils.normalizeShortcut('')).toBe('');
+            expect(ShortcutUtils.normalizeShortcut('A+B')).toBe('');
+        });
+    });
 });
@@ -0,0 +1,136 @@
+/**
+ * Tests for the configurable window title rules, driven by a corpus of sample titles
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WindowParser = require('../src/services/WindowManagerWindows/WindowParser');
+const {
+    DEFAULT_TITLE_RULES,
+    TitleRuleEngine,
+    loadTitleRules
+} = require('../src/services/WindowManagerWindows/TitleRules');
+const corpus = require('./fixtures/window-titles.json');
+
+describe('Title rules corpus', () => {
+    let parser;
+    let logSpy;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        parser = new WindowParser({ titleRules: DEFAULT_TITLE_RULES });
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    test.each(corpus.map(entry => [entry.title, entry.expected]))('%j', (title, expected) => {
+        const result = parser.parseWindowTitle(title);
+
+        if (expected === null) {
+            expect(result.isValid).toBe(false);
+        } else {
+            const { rule, ...fields } = expected;
+            expect(result).toMatchObject({ ...fields, isValid: true });
+            if (rule) {
+                expect(parser.titleRules.match(title, name => parser.lookupClassName(name)).rule).toBe(rule);
+            }
+        }
+    });
+
+    test('should report corpus results through evaluate', () => {
+        const report = parser.titleRules.evaluate(corpus, name => parser.lookupClassName(name));
+
+        expect(report.failures).toEqual([]);
+        expect(report.passed).toBe(corpus.length);
+    });
+});
+
+describe('TitleRuleEngine', () => {
+    const resolveClass = name => ({ iop: 'iop', cra: 'cra' })[name.toLowerCase()] || null;
+
+    test('should extract the server from custom template rules', () => {
+        const engine = new TitleRuleEngine({
+            variants: [{
+                id: 'dofus3',
+                rules: [{ id: 'with-server', template: '{character} ({server}) - {class} - {version} - Release' }]
+            }]
+        });
+
+        expect(engine.match('Leader (Draconiros) - Iop - 3.0.1 - Release', resolveClass)).toEqual({
+            character: 'Leader',
+            dofusClass: 'iop',
+            server: 'Draconiros',
+            version: '3.0.1',
+            gameVariant: 'dofus3',
+            rule: 'with-server'
+        });
+    });
+
+    test('should fall through to the next rule when the class is unknown', () => {
+        const engine = new TitleRuleEngine({
+            variants: [
+                { id: 'first', rules: [{ pattern: '^(?<character>\\w+) (?<class>\\w+)$' }] },
+                { id: 'second', rules: [{ pattern: '^(?<character>\\w+) \\w+$' }] }
+            ]
+        });
+
+        expect(engine.match('Leader Iop', resolveClass).gameVariant).toBe('first');
+        expect(engine.match('Leader Nobody', resolveClass)).toMatchObject({ gameVariant: 'second', rule: 'second-0', dofusClass: 'unknown' });
+    });
+
+    test('should reject invalid rule sets', () => {
+        expect(() => new TitleRuleEngine({ variants: [] })).toThrow('at least one variant');
+        expect(() => new TitleRuleEngine({ variants: [{ id: 'x', rules: [{ template: '{name} - {class}' }] }] }))
+            .toThrow('unknown field {name}');
+        expect(() => new TitleRuleEngine({ variants: [{ id: 'x', rules: [{ pattern: '^(?<class>\\w+)$' }] }] }))
+            .toThrow('does not capture a character');
+        expect(() => new TitleRuleEngine({ variants: [{ id: 'x', rules: [{ pattern: '^(?<character>[$' }] }] }))
+            .toThrow('invalid pattern');
+    });
+});
+
+describe('Title rules file', () => {
+    let tempDir;
+    let warnSpy;
+    let logSpy;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dorganize-title-rules-'));
+        warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        warnSpy.mockRestore();
+        logSpy.mockRestore();
+    });
+
+    test('should write the defaults when the rules file is missing', () => {
+        const rulesPath = path.join(tempDir, 'title-rules.json');
+
+        loadTitleRules(rulesPath);
+
+        expect(JSON.parse(fs.readFileSync(rulesPath, 'utf8'))).toEqual(DEFAULT_TITLE_RULES);
+    });
+
+    test('should use user rules and ignore invalid ones', () => {
+        const rulesPath = path.join(tempDir, 'title-rules.json');
+        fs.writeFileSync(rulesPath, JSON.stringify({
+            version: 1,
+            variants: [{ id: 'custom', rules: [{ template: '[{server}] {character}' }] }]
+        }));
+
+        expect(loadTitleRules(rulesPath).match('[Ilyzaelle] Leader', () => null)).toMatchObject({
+            character: 'Leader',
+            server: 'Ilyzaelle',
+            gameVariant: 'custom'
+        });
+
+        fs.writeFileSync(rulesPath, '{ not json');
+        expect(loadTitleRules(rulesPath).ruleSet).toBe(DEFAULT_TITLE_RULES);
+        expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('Ignoring title rules'));
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests for WindowActivator and the activation backends
+ */
+jest.mock('../src/services/WindowManagerWindows/WindowDetector');
+
+const WindowActivator = require('../src/services/WindowActivator');
+const WindowManagerWindows = require('../src/services/WindowManagerWindows');
+const {
+    ActivationBackend,
+    PowerShellActivationBackend,
+    MockActivationBackend
+} = require('../src/services/WindowManagerWindows/ActivationBackend');
+
+describe('MockActivationBackend', () => {
+    let backend;
+
+    beforeEach(() => {
+        backend = new MockActivationBackend([
+            { handle: 100, minimized: true },
+            { handle: '200', bounds: { x: 10, y: 10, width: 800, height: 600 } }
+        ]);
+    });
+
+    test('should focus and restore windows by handle', async () => {
+        expect(await backend.focusWindow('100')).toBe(true);
+        expect(backend.foregroundHandle).toBe(100);
+        expect(backend.getWindow(100).minimized).toBe(false);
+    });
+
+    test('should move, minimize and restore windows', async () => {
+        expect(await backend.moveWindow(200, { x: 0, y: 0, width: 960.4, height: 520 })).toBe(true);
+        expect(backend.getWindow(200).bounds).toEqual({ x: 0, y: 0, width: 960, height: 520 });
+
+        expect(await backend.minimizeWindow(200)).toBe(true);
+        expect(backend.getWindow(200).minimized).toBe(true);
+        expect(await backend.restoreWindow(200)).toBe(true);
+        expect(backend.getWindow(200).minimized).toBe(false);
+
+        expect(backend.calls.map(call => call.command)).toEqual(['move', 'minimize', 'restore']);
+    });
+
+    test('should fail for unknown or closed windows', async () => {
+        backend.removeWindow(100);
+        expect(await backend.focusWindow(100)).toBe(false);
+        expect(await backend.focusWindow(999)).toBe(false);
+    });
+
+    test('should reject invalid handles and bounds', async () => {
+        await expect(backend.focusWindow('abc')).rejects.toThrow('Invalid window handle');
+        await expect(backend.moveWindow(200, { x: 0, y: 0, width: 0, height: 10 })).rejects.toThrow('Invalid window bounds');
+    });
+});
+
+describe('PowerShellActivationBackend', () => {
+    test('should send handle-keyed commands to the helper session', async () => {
+        const session = {
+            request: jest.fn(async () => ({ success: true })),
+            stop: jest.fn()
+        };
+        const backend = new PowerShellActivationBackend({ session });
+
+        expect(await backend.focusWindow('4242')).toBe(true);
+        expect(await backend.moveWindow(4242, { x: 1, y: 2, width: 300, height: 200 })).toBe(true);
+        expect(await backend.minimizeWindow(4242)).toBe(true);
+        backend.cleanup();
+
+        expect(session.request.mock.calls).toEqual([
+            ['focus', { handle: 4242 }],
+            ['move', { handle: 4242, x: 1, y: 2, width: 300, height: 200 }],
+            ['minimize', { handle: 4242 }]
+        ]);
+        expect(session.stop).toHaveBeenCalled();
+    });
+
+    test('should report helper failures as false', async () => {
+        const session = { request: jest.fn(async () => ({ success: false, reason: 'window-not-found' })), stop: jest.fn() };
+        const backend = new PowerShellActivationBackend({ session });
+
+        expect(await backend.restoreWindow(1)).toBe(false);
+    });
+
+    test('should generate a helper script that answers with JSON lines', () => {
+        const script = PowerShellActivationBackend.generateHelperScript();
+
+        expect(script).toContain('{"ready":true}');
+        expect(script).toContain('SetForegroundWindow');
+        expect(script).toContain('SetWindowPos');
+        expect(script).not.toContain('FindWindow');
+    });
+});
+
+describe('WindowActivator', () => {
+    let backend;
+    let activator;
+
+    beforeEach(() => {
+        backend = new MockActivationBackend([{ handle: 100 }, { handle: 200 }]);
+        activator = new WindowActivator({ backend });
+    });
+
+    test('should activate a window object by its handle, not its title', async () => {
+        const result = await activator.activateWindow({ handle: '200', title: 'Same title - Dofus' });
+
+        expect(result).toBe(true);
+        expect(backend.calls).toEqual([{ command: 'focus', handle: 200 }]);
+    });
+
+    test('should return false without a handle', async () => {
+        expect(await activator.activateWindow(null)).toBe(false);
+        expect(await activator.activateWindow({ title: 'No handle' })).toBe(false);
+        expect(backend.calls).toEqual([]);
+    });
+
+    test('should report real activation statistics', async () => {
+        const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await activator.activateWindow(100);
+        await activator.activateWindow(200);
+        await activator.activateWindow(999);
+        await activator.activateWindow('not-a-handle');
+        await activator.minimizeWindow(100);
+
+        const stats = activator.getStats();
+        expect(stats).toMatchObject({
+            activations: 4,
+            successes: 2,
+            failures: 2,
+            successRate: 50,
+            nativeAvailable: false,
+            method: 'MockActivationBackend'
+        });
+        expect(stats.lastError).toContain('Invalid window handle');
+        expect(stats.operations).toEqual({
+            focus: { count: 4, failures: 2 },
+            minimize: { count: 1, failures: 0 }
+        });
+
+        errorSpy.mockRestore();
+    });
+
+    test('should remember focused windows, most recent first', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        await activator.activateWindow({ handle: 100 });
+        await activator.activateWindow(200);
+        await activator.activateWindow({ handle: 999 });
+        activator.recordFocus(100);
+
+        expect(activator.focusHistory).toEqual([100, 200]);
+        expect(activator.getFocusedHandle()).toBe(100);
+        console.warn.mockRestore();
+    });
+
+    test('should stop the backend on cleanup', () => {
+        const cleanupSpy = jest.spyOn(backend, 'cleanup');
+        activator.cleanup();
+        expect(cleanupSpy).toHaveBeenCalled();
+    });
+
+    test('should reject backends without focusWindow', () => {
+        expect(() => activator.setBackend({})).toThrow();
+        expect(() => activator.setBackend(new ActivationBackend())).not.toThrow();
+    });
+});
+
+describe('WindowManagerWindows activation', () => {
+    test('should activate and move detected windows through the shared backend', async () => {
+        const backend = new MockActivationBackend([{ handle: 5000 }]);
+        const windowManager = new WindowManagerWindows({ activationBackend: backend });
+        windowManager.windowStateManager.getWindow = jest.fn(() => ({
+            id: 'leader_iop_1234',
+            handle: '5000',
+            title: 'Leader - Iop - 3.0 - Release',
+            bounds: { X: 0, Y: 0, Width: 1024, Height: 768 }
+        }));
+        windowManager.windowStateManager.updateActiveState = jest.fn();
+
+        expect(await windowManager.activateWindow('leader_iop_1234')).toBe(true);
+        expect(windowManager.windowStateManager.updateActiveState).toHaveBeenCalledWith('leader_iop_1234');
+
+        expect(await windowManager.moveWindow('leader_iop_1234', 100, 50)).toBe(true);
+        expect(backend.getWindow(5000).bounds).toEqual({ x: 100, y: 50, width: 1024, height: 768 });
+    });
+});
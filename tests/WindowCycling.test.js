@@ -0,0 +1,65 @@
+/**
+ * Tests for the windows picked by navigation shortcuts
+ */
+const WindowCycling = require('../src/utils/WindowCycling');
+
+const windows = [
+    { handle: 100, character: 'Leader', dofusClass: 'iop', initiative: 150, isActive: false },
+    { handle: 200, character: 'Healer', dofusClass: 'eniripsa', initiative: 120, isActive: true },
+    { handle: 300, character: 'Mule', dofusClass: 'enutrof', initiative: 10, isActive: false },
+    { handle: 400, character: 'Summoner', dofusClass: 'osamodas', initiative: 90, isActive: false }
+];
+
+describe('WindowCycling', () => {
+    test('should move forward and backward from the focused window, wrapping around', () => {
+        expect(WindowCycling.getAdjacentWindow(windows, 200, 1).handle).toBe(300);
+        expect(WindowCycling.getAdjacentWindow(windows, 200, -1).handle).toBe(100);
+        expect(WindowCycling.getAdjacentWindow(windows, 400, 1).handle).toBe(100);
+        expect(WindowCycling.getAdjacentWindow(windows, 100, -1).handle).toBe(400);
+
+        // Falls back to the window detected as active, then to either end
+        expect(WindowCycling.getAdjacentWindow(windows, null, 1).handle).toBe(300);
+        const unfocused = windows.map(w => ({ ...w, isActive: false }));
+        expect(WindowCycling.getAdjacentWindow(unfocused, null, 1).handle).toBe(100);
+        expect(WindowCycling.getAdjacentWindow(unfocused, null, -1).handle).toBe(400);
+        expect(WindowCycling.getAdjacentWindow([], 100, 1)).toBeNull();
+    });
+
+    test('should find the initiative leader', () => {
+        expect(WindowCycling.getInitiativeLeader([...windows].reverse()).handle).toBe(100);
+        expect(WindowCycling.getInitiativeLeader([])).toBeNull();
+    });
+
+    test('should cycle within a named group', () => {
+        expect(WindowCycling.getGroupWindows(windows, 'healers').map(w => w.handle)).toEqual([200, 400]);
+        expect(WindowCycling.getNextGroupWindow(windows, 200, 'healers').handle).toBe(400);
+        expect(WindowCycling.getNextGroupWindow(windows, 400, 'healers').handle).toBe(200);
+        expect(WindowCycling.getNextGroupWindow(windows, 200, 'bankers', { bankers: ['enutrof'] }).handle).toBe(300);
+        expect(WindowCycling.getNextGroupWindow(windows, 200, 'unknown')).toBeNull();
+    });
+
+    test('should cycle through the windows carrying a tag', () => {
+        const tagged = windows.map(w => (w.handle === 300 ? { ...w, tags: ['Mules'] } : { ...w, tags: w.handle === 100 ? ['team A'] : [] }));
+
+        expect(WindowCycling.getGroupWindows(tagged, 'mules', {}).map(w => w.handle)).toEqual([300]);
+        // A tag named like a class group adds its windows to the group
+        tagged[0].tags = ['healers'];
+        expect(WindowCycling.getGroupWindows(tagged, 'healers').map(w => w.handle)).toEqual([100, 200, 400]);
+        expect(WindowCycling.getNextGroupWindow(tagged, 400, 'healers').handle).toBe(100);
+    });
+
+    test('should go back to the window focused before the current one', () => {
+        let history = [];
+        [100, 200, 300, 200].forEach(handle => {
+            history = WindowCycling.recordFocus(history, handle);
+        });
+
+        expect(history).toEqual([200, 300, 100]);
+        expect(WindowCycling.getLastFocusedWindow(windows, history).handle).toBe(300);
+
+        // Windows no longer enabled are skipped
+        expect(WindowCycling.getLastFocusedWindow(windows.filter(w => w.handle !== 300), history).handle).toBe(100);
+        expect(WindowCycling.getLastFocusedWindow(windows, [200])).toBeNull();
+        expect(WindowCycling.recordFocus([1, 2, 3], 4, 3)).toEqual([4, 1, 2]);
+    });
+});
@@ -0,0 +1,185 @@
+/**
+ * Tests for window event sources and incremental window updates
+ */
+jest.mock('../src/services/WindowManagerWindows/WindowDetector');
+
+const WindowManagerWindows = require('../src/services/WindowManagerWindows');
+const { MockActivationBackend } = require('../src/services/WindowManagerWindows/ActivationBackend');
+const {
+    SimulatedWindowEventSource,
+    WinEventHookSource
+} = require('../src/services/WindowManagerWindows/WindowEventSource');
+const { WINDOW_EVENTS } = require('../src/utils/Constants');
+
+describe('SimulatedWindowEventSource', () => {
+    test('should emit normalized events only while running', () => {
+        const source = new SimulatedWindowEventSource();
+        const created = jest.fn();
+        const ready = jest.fn();
+        source.on(WINDOW_EVENTS.TYPES.CREATED, created);
+        source.on(WINDOW_EVENTS.READY, ready);
+
+        source.createWindow({ handle: 1, title: 'Ignored - Iop - 3.0 - Release' });
+        expect(created).not.toHaveBeenCalled();
+
+        source.start();
+        source.createWindow({ handle: 1, title: 'Leader - Iop - 3.0 - Release', processId: 10 });
+
+        expect(ready).toHaveBeenCalledTimes(1);
+        expect(created).toHaveBeenCalledWith(expect.objectContaining({
+            type: WINDOW_EVENTS.TYPES.CREATED,
+            handle: '1',
+            title: 'Leader - Iop - 3.0 - Release',
+            processId: 10
+        }));
+
+        source.stop();
+        source.destroyWindow(1);
+        expect(source.isRunning()).toBe(false);
+    });
+});
+
+describe('WinEventHookSource', () => {
+    const createSource = () => {
+        const session = { start: jest.fn(async () => {}), stop: jest.fn() };
+        return { source: new WinEventHookSource({ session }), session };
+    };
+
+    test('should decode helper lines into window events', () => {
+        const { source, session } = createSource();
+        const titleChanged = jest.fn();
+        source.on(WINDOW_EVENTS.TYPES.TITLE_CHANGED, titleChanged);
+        source.start();
+
+        source.handleMessage({
+            event: 'title-changed',
+            handle: 4242,
+            title: Buffer.from('Mélusine - Eniripsa - 3.0 - Release').toString('base64'),
+            processId: 77
+        });
+        source.handleMessage({ event: 'unknown-event', handle: 4242 });
+
+        expect(session.start).toHaveBeenCalled();
+        expect(titleChanged).toHaveBeenCalledTimes(1);
+        expect(titleChanged.mock.calls[0][0]).toMatchObject({ handle: '4242', title: 'Mélusine - Eniripsa - 3.0 - Release', processId: 77 });
+
+        source.stop();
+        expect(session.stop).toHaveBeenCalled();
+    });
+
+    test('should report unavailability when the helper gives up', () => {
+        const { source } = createSource();
+        const unavailable = jest.fn();
+        source.on(WINDOW_EVENTS.UNAVAILABLE, unavailable);
+        source.start();
+
+        source.handleGiveUp();
+
+        expect(unavailable).toHaveBeenCalledWith(expect.any(Error));
+        expect(source.isRunning()).toBe(false);
+    });
+
+    test('should generate a helper script hooking window events', () => {
+        const script = WinEventHookSource.generateHelperScript();
+
+        expect(script).toContain('SetWinEventHook');
+        expect(script).toContain('EVENT_OBJECT_NAMECHANGE');
+        expect(script).toContain('[WinEventWatcher]::ProcessNames = @("dofus", "dofusretro", "java")');
+        expect(script).toContain('[WinEventWatcher]::ProcessMatch = @("dofus", "ankama")');
+        expect(script).toContain('{"ready":true}');
+    });
+});
+
+describe('WindowManagerWindows event tracking', () => {
+    let source;
+    let windowManager;
+    let handlers;
+    let logSpy;
+
+    beforeEach(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        source = new SimulatedWindowEventSource();
+        windowManager = new WindowManagerWindows({
+            activationBackend: new MockActivationBackend(),
+            eventSource: source
+        });
+        handlers = { onChange: jest.fn(), onReady: jest.fn(), onUnavailable: jest.fn() };
+        windowManager.startEventTracking(handlers);
+    });
+
+    afterEach(async () => {
+        await windowManager.cleanup();
+        logSpy.mockRestore();
+    });
+
+    const characters = () => windowManager.getLastKnownWindows().map(window => window.character).sort();
+
+    test('should signal readiness when tracking starts', () => {
+        expect(handlers.onReady).toHaveBeenCalledTimes(1);
+        expect(windowManager.getStatistics().events).toEqual({ available: true, tracking: true });
+    });
+
+    test('should add and remove windows without detection', () => {
+        source.createWindow({ handle: 100, title: 'Leader - Iop - 3.0 - Release', processId: 1 });
+        source.createWindow({ handle: 200, title: 'Healer - Eniripsa - 3.0 - Release', processId: 2 });
+
+        expect(characters()).toEqual(['Healer', 'Leader']);
+        expect(handlers.onChange).toHaveBeenCalledTimes(2);
+
+        source.destroyWindow(100);
+
+        expect(characters()).toEqual(['Healer']);
+        expect(handlers.onChange).toHaveBeenCalledTimes(3);
+        expect(windowManager.windowDetector.detectWindows).not.toHaveBeenCalled();
+    });
+
+    test('should ignore windows that do not identify a character', () => {
+        source.createWindow({ handle: 300, title: 'Dofus', processId: 3 });
+        source.destroyWindow(999);
+
+        expect(characters()).toEqual([]);
+        expect(handlers.onChange).not.toHaveBeenCalled();
+    });
+
+    test('should follow title changes on the same handle', () => {
+        source.createWindow({ handle: 100, title: 'Dofus', processId: 1 });
+        source.changeTitle({ handle: 100, title: 'Leader - Iop - 3.0 - Release', processId: 1 });
+        expect(characters()).toEqual(['Leader']);
+
+        source.changeTitle({ handle: 100, title: 'Reroll - Cra - 3.0 - Release', processId: 1 });
+        expect(characters()).toEqual(['Reroll']);
+        expect(windowManager.windowStateManager.findWindowIdByHandle(100)).toBe('reroll_cra_1');
+
+        // Back to the character selection screen
+        source.changeTitle({ handle: 100, title: 'Dofus', processId: 1 });
+        expect(characters()).toEqual([]);
+    });
+
+    test('should track the foreground window', () => {
+        source.createWindow({ handle: 100, title: 'Leader - Iop - 3.0 - Release', processId: 1 });
+        source.createWindow({ handle: 200, title: 'Healer - Eniripsa - 3.0 - Release', processId: 2 });
+        handlers.onChange.mockClear();
+
+        source.focusWindow(200);
+        const active = () => windowManager.getLastKnownWindows().filter(window => window.isActive).map(window => window.character);
+        expect(active()).toEqual(['Healer']);
+
+        // Focus moving to another application
+        source.focusWindow(555);
+        expect(active()).toEqual([]);
+
+        // Still on another application: nothing changed
+        source.focusWindow(556);
+        expect(handlers.onChange).toHaveBeenCalledTimes(2);
+    });
+
+    test('should report unavailability and stop listening after cleanup', async () => {
+        source.fail();
+        expect(handlers.onUnavailable).toHaveBeenCalledWith(expect.any(Error));
+
+        await windowManager.cleanup();
+        source.start();
+        source.createWindow({ handle: 100, title: 'Leader - Iop - 3.0 - Release', processId: 1 });
+        expect(handlers.onChange).not.toHaveBeenCalled();
+    });
+});
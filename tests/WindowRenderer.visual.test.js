@@ -273,4 +273,53 @@ describe('WindowRenderer Visual Tests', () => {
         expect(avatarImage).not.toBeNull();
         expect(avatarImage.src).toContain('5.jpg');
     });
+
+    test('should let the server be entered unless the window title tells it', async () => {
+        // Arrange
+        await windowRenderer.initialize();
+        mockConfigRenderer.settingsManager = { updateServer: jest.fn() };
+        mockConfigRenderer.windows = [
+            createTestWindow('1', { server: null, serverFromTitle: false }),
+            createTestWindow('2', { server: 'Draconiros', serverFromTitle: true })
+        ];
+
+        // Act
+        await windowRenderer.renderWindows();
+        const [typed, titled] = Array.from(domElements.windowsList.querySelectorAll('.window-server'));
+        typed.value = 'Imagiro';
+        typed.dispatchEvent(new Event('change'));
+
+        // Assert
+        expect(typed.disabled).toBe(false);
+        expect(titled.disabled).toBe(true);
+        expect(titled.value).toBe('Draconiros');
+        expect(mockConfigRenderer.settingsManager.updateServer).toHaveBeenCalledWith('1', 'Imagiro');
+        delete mockConfigRenderer.settingsManager;
+    });
+
+    test('should hide the server filter, sort and grouping until a window has a server', async () => {
+        // Arrange
+        document.body.insertAdjacentHTML('beforeend', `
+            <label for="view-server">Server<select id="view-server"><option value="all">All</option></select></label>
+            <select id="view-sort"><option value="initiative">Initiative</option><option value="server">Server</option></select>
+            <select id="view-group"><option value="none">None</option><option value="server">Server</option></select>`);
+        await windowRenderer.initialize();
+        const serverLabel = document.querySelector('label[for="view-server"]');
+        const serverOptions = () => Array.from(document.querySelectorAll('#view-sort option[value="server"], #view-group option[value="server"]'));
+        mockConfigRenderer.windows = [createTestWindow('1'), createTestWindow('2', { server: null })];
+
+        // Act
+        await windowRenderer.renderWindows();
+
+        // Assert
+        expect(serverLabel.hidden).toBe(true);
+        expect(serverOptions().every(option => option.hidden)).toBe(true);
+
+        mockConfigRenderer.windows = [createTestWindow('1', { server: 'Draconiros' })];
+        await windowRenderer.renderWindows();
+
+        expect(serverLabel.hidden).toBe(false);
+        expect(serverOptions().some(option => option.hidden)).toBe(false);
+        expect(Array.from(document.querySelectorAll('#view-server option')).map(option => option.value)).toEqual(['all', 'Draconiros']);
+    });
 });
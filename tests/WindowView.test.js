@@ -0,0 +1,114 @@
+/**
+ * Tests for game variant detection and the window filter, sort and group view
+ */
+const WindowView = require('../src/renderer/modules/WindowView');
+const WindowParser = require('../src/services/WindowManagerWindows/WindowParser');
+const WindowStateManager = require('../src/services/WindowManagerWindows/WindowStateManager');
+const { DEFAULT_TITLE_RULES } = require('../src/services/WindowManagerWindows/TitleRules');
+
+const windows = [
+    { id: 'a', character: 'Zed', gameVariant: 'dofus3', server: 'Draconiros', tags: ['Team A'] },
+    { id: 'b', character: 'Amy', gameVariant: 'retro', server: 'Boune', tags: ['mules', 'team a'] },
+    { id: 'c', character: 'Kim', gameVariant: 'dofus3', server: null },
+    { id: 'd', character: 'Bob', customName: 'Alpha', gameVariant: 'retro', server: 'Draconiros' }
+];
+
+const ids = list => list.map(window => window.id);
+
+describe('WindowView', () => {
+    test('should keep the received order and show every window by default', () => {
+        const result = new WindowView().apply(windows);
+
+        expect(ids(result.windows)).toEqual(['a', 'b', 'c', 'd']);
+        expect(result.groups).toHaveLength(1);
+        expect(result.groups[0].label).toBeNull();
+    });
+
+    test('should filter by game variant and server', () => {
+        expect(ids(new WindowView({ variant: 'retro' }).apply(windows).windows)).toEqual(['b', 'd']);
+        expect(ids(new WindowView({ server: 'Draconiros' }).apply(windows).windows)).toEqual(['a', 'd']);
+        expect(ids(new WindowView({ variant: 'dofus3', server: 'Boune' }).apply(windows).windows)).toEqual([]);
+    });
+
+    test('should filter by tag whatever its case', () => {
+        expect(ids(new WindowView({ tag: 'team a' }).apply(windows).windows)).toEqual(['a', 'b']);
+        expect(ids(new WindowView({ tag: 'mules', variant: 'dofus3' }).apply(windows).windows)).toEqual([]);
+        expect(ids(new WindowView({ tag: 'healers' }).apply(windows).windows)).toEqual([]);
+    });
+
+    test('should sort by display name, variant or server', () => {
+        expect(ids(WindowView.sortWindows(windows, 'name'))).toEqual(['d', 'b', 'c', 'a']);
+        expect(ids(WindowView.sortWindows(windows, 'variant'))).toEqual(['a', 'c', 'b', 'd']);
+        expect(ids(WindowView.sortWindows(windows, 'server'))).toEqual(['b', 'a', 'd', 'c']);
+        expect(ids(windows)).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('should group windows and keep the order within each group', () => {
+        const byVariant = new WindowView({ groupBy: 'variant' }).apply(windows);
+        expect(byVariant.groups.map(group => [group.label, ids(group.windows)])).toEqual([
+            ['Dofus 3', ['a', 'c']],
+            ['Dofus Retro', ['b', 'd']]
+        ]);
+        expect(ids(byVariant.windows)).toEqual(['a', 'c', 'b', 'd']);
+
+        const byServer = new WindowView({ groupBy: 'server' }).apply(windows);
+        expect(byServer.groups.map(group => group.label)).toEqual(['Boune', 'Draconiros', 'Unknown server']);
+    });
+
+    test('should ignore unknown sort and group options', () => {
+        const view = new WindowView({ sortBy: 'age', groupBy: 'class' });
+
+        expect(view.getOptions()).toEqual({ variant: 'all', server: 'all', tag: 'all', sortBy: 'initiative', groupBy: 'none' });
+    });
+
+    test('should list the variants, servers and tags present', () => {
+        expect(WindowView.getFilterChoices(windows)).toEqual({
+            variants: [{ value: 'dofus3', label: 'Dofus 3' }, { value: 'retro', label: 'Dofus Retro' }],
+            servers: [{ value: 'Boune', label: 'Boune' }, { value: 'Draconiros', label: 'Draconiros' }],
+            tags: [{ value: 'mules', label: 'mules' }, { value: 'Team A', label: 'Team A' }]
+        });
+    });
+});
+
+describe('Game variant detection', () => {
+    let logSpy;
+    let parser;
+
+    beforeAll(() => {
+        logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+        parser = new WindowParser({ titleRules: DEFAULT_TITLE_RULES });
+    });
+
+    afterAll(() => {
+        logSpy.mockRestore();
+    });
+
+    test('should prefer the process and window class over the title', () => {
+        expect(parser.resolveGameVariant('dofus2', { ProcessName: 'DofusRetro' })).toBe('retro');
+        expect(parser.resolveGameVariant('dofus2', { ProcessName: 'Dofus', ClassName: 'UnityWndClass' })).toBe('dofus3');
+        expect(parser.resolveGameVariant('dofus2', { ProcessName: 'Dofus', ClassName: 'ApolloRuntimeContentWindow' })).toBe('dofus2');
+        expect(parser.resolveGameVariant(null, {})).toBeNull();
+    });
+
+    test('should keep Retro and Unity windows of the same character apart', () => {
+        const stateManager = new WindowStateManager();
+        const retro = stateManager.processWindow({
+            Handle: 1,
+            Title: 'Leader - Dofus Retro v1.45.0',
+            ProcessId: 10,
+            ProcessName: 'Dofus Retro',
+            ClassName: 'ShockwaveFlash'
+        });
+        const unity = stateManager.processWindow({
+            Handle: 2,
+            Title: 'Leader - Iop - 3.0.1 - Release',
+            ProcessId: 20,
+            ProcessName: 'Dofus',
+            ClassName: 'UnityWndClass'
+        });
+
+        expect(retro).toMatchObject({ character: 'Leader', gameVariant: 'retro', gameVersion: '1.45.0' });
+        expect(unity).toMatchObject({ character: 'Leader', gameVariant: 'dofus3', gameVersion: '3.0.1' });
+        expect(retro.id).not.toBe(unity.id);
+    });
+});